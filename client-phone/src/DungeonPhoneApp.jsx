@@ -1,6 +1,25 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { behaviorMeta } from "../../shared/behaviors.js";
+import { BASE_DEFENSE, RollOutcome, UNARMED_DICE, describeReach, describeRoll, hitChance } from "../../shared/combat.js";
 import { MsgType, Role, makeMsg } from "../../shared/protocol.js";
-import { ActionType, hexNeighbors, manhattan, terrainAt } from "../../shared/game.js";
+import {
+  ActionType,
+  chargePath,
+  hexesInRadius,
+  hexesWithinCost,
+  isConcealedFrom,
+  isInBounds,
+  manhattan,
+  sightBlockerFor,
+  terrainAt,
+  terrainEffects,
+  terrainMoveCost
+} from "../../shared/game.js";
+import { ItemEffect, ItemTarget, itemAimProblem, itemArea } from "../../shared/items.js";
+import { OBJECT_META, describeObject, objectAt, routeBlockingKeys } from "../../shared/objects.js";
+import { ReactionType } from "../../shared/reactions.js";
+import { SPELL_SHAPE_LABELS, spellAimProblem, spellAreaHexes, spellTerrainChange } from "../../shared/spells.js";
+import { STATUS_EFFECTS, describeStatus, statusStepCost } from "../../shared/status.js";
 
 const theme = {
   bg: "#0f1722",
@@ -32,7 +51,10 @@ const card = {
 };
 
 const mono = { fontFamily: "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace" };
-const tabs = ["actions", "inventory", "crafting", "stats"];
+const MAP_RADIUS = 2;
+// The map widens while aiming a spell so its whole range fits.
+const AIM_MAP_RADIUS = 4;
+const tabs = ["actions", "inventory", "gear", "crafting", "stats"];
 const labels = { herb: "Herb", fang: "Fang", essence: "Essence", potion: "Potion" };
 const STORAGE_PREFIX = "tt_touchtable_dungeon";
 const storageKey = (suffix) => `${STORAGE_PREFIX}_${suffix}`;
@@ -58,12 +80,22 @@ function pct(hp, maxHp) {
   return `${Math.max(0, Math.min(100, ((Number(hp) || 0) / m) * 100))}%`;
 }
 
-function recipeText(obj = {}) {
-  return Object.entries(obj).map(([k, v]) => `${v} ${labels[k] || k}`).join(" + ");
+function gearText(g) {
+  const mods = [g.damageBonus ? `+${g.damageBonus} dmg` : "", g.armor ? `${g.armor} armor` : "", g.maxHpBonus ? `+${g.maxHpBonus} max HP` : ""];
+  return mods.filter(Boolean).join(", ") || "no bonus";
 }
 
-function dropsText(obj = {}) {
-  const parts = Object.entries(obj || {}).filter(([, v]) => Number(v) > 0).map(([k, v]) => `${v} ${labels[k] || k}`);
+// Adds `delta` to one item of a { itemId: qty } bundle, kept between 0 and `max`.
+function bumpBundle(bundle, itemId, delta, max) {
+  const qty = Math.max(0, Math.min(max, (bundle[itemId] || 0) + delta));
+  const next = { ...bundle };
+  if (qty) next[itemId] = qty;
+  else delete next[itemId];
+  return next;
+}
+
+function dropsText(obj = {}, names = labels) {
+  const parts = Object.entries(obj || {}).filter(([, v]) => Number(v) > 0).map(([k, v]) => `${v} ${names[k] || k}`);
   return parts.length ? parts.join(" | ") : "None";
 }
 
@@ -84,6 +116,8 @@ export default function DungeonPhoneApp() {
 
   const [playerName, setPlayerName] = useState(localStorage.getItem(storageKey("player_name")) || "");
   const [seat, setSeat] = useState(1);
+  const [joinOptions, setJoinOptions] = useState(null);
+  const [classId, setClassId] = useState("");
   const [joined, setJoined] = useState(false);
   const [player, setPlayer] = useState(null);
   const [privateState, setPrivateState] = useState(null);
@@ -91,12 +125,19 @@ export default function DungeonPhoneApp() {
   const [tab, setTab] = useState("actions");
 
   const [attackTarget, setAttackTarget] = useState("");
-  const [spellTarget, setSpellTarget] = useState("");
+  const [aimSpellId, setAimSpellId] = useState("");
+  const [aimItemId, setAimItemId] = useState("");
+  const [aimHex, setAimHex] = useState(null);
   const [reviveTarget, setReviveTarget] = useState("");
+  const [reactionLeft, setReactionLeft] = useState(0);
 
   const [hitFx, setHitFx] = useState(null);
   const [incomingFx, setIncomingFx] = useState(null);
   const [lootFx, setLootFx] = useState(null);
+  const [tradeTo, setTradeTo] = useState("");
+  const [tradeGive, setTradeGive] = useState({});
+  const [tradeAsk, setTradeAsk] = useState({});
+  const [craftCategory, setCraftCategory] = useState("all");
 
   const resumeToken = useMemo(() => localStorage.getItem(storageKey("resume_token")) || "", []);
   const sessionId = useMemo(() => getQuerySessionId() || "", []);
@@ -120,7 +161,10 @@ export default function DungeonPhoneApp() {
     ws.onmessage = (ev) => {
       try {
         const msg = JSON.parse(ev.data);
-        if (msg.t === MsgType.OK && msg.id === "hello-phone") setClientId(msg.payload?.clientId ?? null);
+        if (msg.t === MsgType.OK && msg.id === "hello-phone") {
+          setClientId(msg.payload?.clientId ?? null);
+          setJoinOptions(msg.payload?.joinOptions ?? null);
+        }
         if (msg.t === MsgType.OK && msg.id === "join") {
           const token = msg.payload?.resumeToken;
           if (token) localStorage.setItem(storageKey("resume_token"), token);
@@ -176,13 +220,13 @@ export default function DungeonPhoneApp() {
     if (!name) return setError("Enter a player name.");
     localStorage.setItem(storageKey("player_name"), name);
     if (!ws || ws.readyState !== WebSocket.OPEN) return setError("Not connected to server.");
-    ws.send(JSON.stringify(makeMsg(MsgType.JOIN, { playerName: name, seat: Number(seat) || undefined }, "join")));
+    ws.send(JSON.stringify(makeMsg(MsgType.JOIN, { playerName: name, seat: Number(seat) || undefined, classId: classId || undefined }, "join")));
   }
 
-  function sendMove(x, y) {
+  function sendMove(x, y, preview = false) {
     const ws = wsRef.current;
     if (!ws || ws.readyState !== WebSocket.OPEN) return setError("Not connected to server.");
-    ws.send(JSON.stringify(makeMsg(MsgType.ACTION, { action: ActionType.MOVE, params: { toX: x, toY: y } }, "move")));
+    ws.send(JSON.stringify(makeMsg(MsgType.ACTION, { action: ActionType.MOVE, params: { toX: x, toY: y, preview } }, preview ? "move-preview" : "move")));
   }
 
   function sendAction(action, params = {}) {
@@ -200,24 +244,65 @@ export default function DungeonPhoneApp() {
   const allowed = new Set(g?.allowedActions || []);
   const rpg = g?.rpg || null;
   const inventory = rpg?.inventory || {};
+  const itemIds = Object.keys(inventory);
+  const trades = g?.trades || { partners: [], incoming: [], outgoing: [] };
+  const stash = g?.stash || { open: false, items: {} };
+  const tradePartner = trades.partners.find((p) => p.playerId === tradeTo) || trades.partners[0] || null;
   const heroesPublic = g?.heroesPublic || [];
   const reviveTargets = g?.reviveTargets || [];
-  const spellName = rpg?.spell?.name || "Arc Bolt";
-  const attackRange = Math.max(1, Number(rules.attackRange) || 1);
-  const spellRange = Math.max(1, Number(rpg?.spell?.range) || Number(rules.spellRange) || 3);
-  const craftingOptions = Array.isArray(g?.craftingOptions) ? g.craftingOptions : [];
+  const interactTargets = g?.interactTargets || [];
+  const initiative = g?.initiative || [];
+  const nowActing = initiative.find((entry) => entry.active) || null;
+  const upNext = initiative.find((entry) => !entry.active && !entry.acted) || null;
+  const heldReaction = g?.reaction?.held || null;
+  const pendingReaction = g?.reaction?.pending || null;
+  const reactionOptions = g?.reaction?.options || [];
+  const mapObjects = g?.objects || [];
+  const telegraphHexes = new Map((g?.telegraphs || []).flatMap((t) => t.hexes.map((k) => [k, t])));
+  const dangerHere = hero && hero.hp > 0 ? telegraphHexes.get(`${hero.x},${hero.y}`) || null : null;
+  const spells = rpg?.spells || [];
+  const weaponReach = { range: rpg?.weapon?.range ?? Math.max(1, Number(rules.attackRange) || 1), minRange: rpg?.weapon?.minRange ?? 1 };
+  const crafting = g?.crafting || { stations: [], recipes: [], hidden: [] };
+  const craftCategories = [...new Set(crafting.recipes.map((r) => r.category))];
+  const craftTiers = [...new Set(crafting.recipes.map((r) => r.tier))].sort((a, b) => a - b);
+  const itemNames = { ...labels, ...(g?.itemLabels || {}) };
+  const usableItems = g?.usableItems || [];
+  const abilities = rpg?.abilities || [];
+  const equipment = rpg?.equipment || {};
+  const gearBag = rpg?.gear || [];
+  const shop = g?.shop || { open: false, stock: [] };
+  const classes = joinOptions?.classes || [];
+  const boardTerrain = g?.terrain ?? 0;
 
   const enemies = g?.enemies || (g?.enemy ? [g.enemy] : []);
   const visibleEnemies = hero ? enemies.filter((e) => e && e.hp > 0 && manhattan(hero, e) <= 8) : [];
-  const attackable = hero ? visibleEnemies.filter((e) => manhattan(hero, e) <= attackRange) : [];
-  const spellable = hero ? visibleEnemies.filter((e) => manhattan(hero, e) <= spellRange) : [];
+  // Enemies in concealing terrain can only be targeted from close by.
+  const inReach = (e, range) => manhattan(hero, e) <= range && !isConcealedFrom(boardTerrain, e, hero);
+  // The server works out which enemies the weapon can hit: range, minimum range, line of fire and cover.
+  const weaponTargets = new Map((g?.weaponTargets || []).map((t) => [t.enemyId, t]));
+  const attackable = hero ? visibleEnemies.filter((e) => weaponTargets.has(e.id) && !weaponTargets.get(e.id).problem) : [];
+  const accuracy = rpg?.stats?.accuracy ?? 0;
+  const hitPct = (e) => `${Math.round(hitChance(accuracy, (e.defense ?? BASE_DEFENSE) + (weaponTargets.get(e.id)?.cover || 0)) * 100)}%`;
+  const weaponDamageText = rpg?.stats ? `${rpg.stats.weaponDamage} + ${rpg.weapon?.damageDice || UNARMED_DICE}` : "-";
+  const myRolls = (g?.rolls || []).slice().reverse();
+  const standingOn = hero ? terrainAt(hero.x, hero.y, boardTerrain) : null;
 
   useEffect(() => {
     setAttackTarget((curr) => (attackable.some((e) => e.id === curr) ? curr : attackable[0]?.id || ""));
   }, [attackable]);
   useEffect(() => {
-    setSpellTarget((curr) => (spellable.some((e) => e.id === curr) ? curr : spellable[0]?.id || ""));
-  }, [spellable]);
+    if (active) return;
+    setAimSpellId("");
+    setAimHex(null);
+  }, [active]);
+  useEffect(() => {
+    if (!pendingReaction) return setReactionLeft(0);
+    const until = Date.now() + pendingReaction.expiresInMs;
+    const tick = () => setReactionLeft(Math.max(0, Math.ceil((until - Date.now()) / 1000)));
+    tick();
+    const t = setInterval(tick, 250);
+    return () => clearInterval(t);
+  }, [pendingReaction?.prompt, pendingReaction?.expiresInMs]);
   useEffect(() => {
     setReviveTarget((curr) => (reviveTargets.some((e) => e.playerId === curr) ? curr : reviveTargets[0]?.playerId || ""));
   }, [reviveTargets]);
@@ -247,24 +332,75 @@ export default function DungeonPhoneApp() {
     return () => clearTimeout(t);
   }, [g]);
 
-  const terrainSeed = g?.terrain?.seed ?? 0;
   const occupied = new Set();
   for (const h of heroesPublic) if (h.hp > 0) occupied.add(`${h.x},${h.y}`);
   for (const e of visibleEnemies) occupied.add(`${e.x},${e.y}`);
+  const scenario = g?.scenario || null;
+  const escort = g?.escort || null;
+  const exit = scenario?.objective?.exit || null;
+  if (escort?.hp > 0) occupied.add(`${escort.x},${escort.y}`);
+  for (const k of routeBlockingKeys(mapObjects)) occupied.add(k);
   const lootByCell = new Map((g?.groundLoot || []).map((l) => [`${l.x},${l.y}`, l]));
+  const aimSpell = active && hero && hero.hp > 0 ? spells.find((sp) => sp.id === aimSpellId && sp.area) || null : null;
+  // Thrown items and scrolls are aimed on the same map as area spells.
+  const aimItem = active && hero && hero.hp > 0 && !aimSpell ? usableItems.find((it) => it.id === aimItemId && it.target === ItemTarget.HEX) || null : null;
+  const aiming = aimSpell || aimItem;
+  const blocksSight = sightBlockerFor(boardTerrain, mapObjects);
+  const aimProblem = (c) => (aimSpell ? spellAimProblem(aimSpell, hero, c, aimSpell.range, blocksSight) : itemAimProblem(aimItem, hero, c, blocksSight));
+  const aimArea = !aiming || !aimHex
+    ? []
+    : aimItem?.effect === ItemEffect.TELEPORT
+      ? [aimHex]
+      : aimItem?.effect === ItemEffect.REVEAL
+        ? hexesInRadius(aimHex, aimItem.radius)
+        : spellAreaHexes(aimSpell || itemArea(aimItem), hero, aimHex, blocksSight);
+  const aimKeys = new Set(aimArea.map((p) => `${p.x},${p.y}`));
+  const aimHits = aimSpell || aimItem?.effect === ItemEffect.THROW;
+  const aimEnemies = aimHits ? visibleEnemies.filter((e) => aimKeys.has(`${e.x},${e.y}`)) : [];
+  const aimAllies = aimHits && aiming.friendlyFire ? heroesPublic.filter((h) => h.hp > 0 && aimKeys.has(`${h.x},${h.y}`)) : [];
+  const aimTerrain = aimSpell ? aimArea.filter((p) => spellTerrainChange(aimSpell, terrainAt(p.x, p.y, boardTerrain).id)) : [];
+  const mapRadius = aiming ? Math.min(AIM_MAP_RADIUS, Math.max(MAP_RADIUS, aiming.range)) : MAP_RADIUS;
   const canMove = allowed.has(ActionType.MOVE) && active && apRemaining > 0;
-  const neighbors = active && hero && hero.hp > 0
-    ? hexNeighbors(hero.x, hero.y).map((c) => {
-        const t = terrainAt(c.x, c.y, terrainSeed);
-        const moveCost = Math.min(4, Math.max(1, Number(t.moveCost) || 1));
-        const canStep = canMove && t.passable && !occupied.has(`${c.x},${c.y}`) && apRemaining >= moveCost;
-        return { ...c, t, moveCost, loot: lootByCell.get(`${c.x},${c.y}`) || null, canMove: canStep };
-      })
+  const reachable = canMove && hero && hero.hp > 0
+    ? hexesWithinCost(hero, apRemaining, statusStepCost(hero, (x, y) => (occupied.has(`${x},${y}`) ? null : terrainMoveCost(x, y, boardTerrain))))
+    : new Map();
+  const nearby = active && hero && hero.hp > 0
+    ? hexesInRadius(hero, mapRadius)
+        .filter((c) => isInBounds(c.x, c.y, boardTerrain) && (aiming || c.x !== hero.x || c.y !== hero.y))
+        .map((c) => {
+          const k = `${c.x},${c.y}`;
+          const aimable = Boolean(aiming) && !aimProblem(c);
+          return { ...c, t: terrainAt(c.x, c.y, boardTerrain), apCost: reachable.get(k) ?? null, loot: lootByCell.get(k) || null, obj: objectAt(mapObjects, c.x, c.y), canMove: !aiming && reachable.has(k), aimable };
+        })
     : [];
+  const movePreview = privateState?.preview?.action === ActionType.MOVE && active ? privateState.preview : null;
+  const previewRoute = new Set((movePreview?.path || []).map((p) => `${p.x},${p.y}`));
+  const previewGround = movePreview ? terrainAt(movePreview.to.x, movePreview.to.y, boardTerrain) : null;
+  const previewHazard = (movePreview?.path || []).reduce((sum, p) => sum + (terrainAt(p.x, p.y, boardTerrain).entryDamage || 0), 0);
 
-  const W = 72;
-  const H = 60;
+  const W = mapRadius > MAP_RADIUS ? 40 : 56;
+  const H = W * (48 / 56);
   const P = `${W * 0.25},0 ${W * 0.75},0 ${W},${H * 0.5} ${W * 0.75},${H} ${W * 0.25},${H} 0,${H * 0.5}`;
+  function aimAt(c) {
+    setAimHex({ x: c.x, y: c.y });
+    if (aimItem) sendAction(ActionType.USE_ITEM, { itemId: aimItem.id, targetX: c.x, targetY: c.y, preview: true });
+    else sendAction(ActionType.CAST_SPELL, { spellId: aimSpell.id, targetX: c.x, targetY: c.y, preview: true });
+  }
+
+  function stopAiming() {
+    setAimSpellId("");
+    setAimItemId("");
+    setAimHex(null);
+  }
+
+  function aimSummary() {
+    if (!aimHex) return `Pick a target hex for ${aiming.name}.`;
+    const at = `${aiming.name} at (${aimHex.x},${aimHex.y})`;
+    if (aimItem?.effect === ItemEffect.TELEPORT) return `${at}: you reappear there.`;
+    if (aimItem?.effect === ItemEffect.REVEAL) return `${at}: reveals ${aimArea.length} hexes.`;
+    return `${at}: ${aimEnemies.length} enem${aimEnemies.length === 1 ? "y" : "ies"}${aimAllies.length ? `, ${aimAllies.length} all${aimAllies.length === 1 ? "y" : "ies"} (friendly fire!)` : ""}${aimTerrain.length ? `, ${aimTerrain.length} hex${aimTerrain.length === 1 ? "" : "es"} changed` : ""}`;
+  }
+
   const topBadge = status === "connected" ? theme.good : status === "error" ? theme.bad : theme.sub;
 
   return (
@@ -292,6 +428,18 @@ export default function DungeonPhoneApp() {
               <input value={playerName} placeholder="Your name" onChange={(e) => setPlayerName(e.target.value)} style={{ padding: 10, borderRadius: 8, border: `1px solid ${theme.border}`, background: theme.panel, color: theme.text }} />
               <input type="number" min="1" max="6" value={seat} onChange={(e) => setSeat(e.target.value)} style={{ padding: 10, borderRadius: 8, border: `1px solid ${theme.border}`, background: theme.panel, color: theme.text }} />
             </div>
+            {classes.length ? (
+              <div style={{ display: "grid", gap: 6, marginTop: 8 }}>
+                <div style={{ fontSize: 12, color: theme.sub }}>Class (new heroes only; returning heroes keep theirs)</div>
+                {classes.map((c) => (
+                  <button key={c.id} onClick={() => setClassId(c.id)} style={{ textAlign: "left", padding: 8, borderRadius: 8, border: `1px solid ${classId === c.id ? theme.brand : theme.border}`, background: classId === c.id ? "#1d4a47" : theme.panel, color: theme.text }}>
+                    <strong>{c.name}</strong> <span style={{ fontSize: 11, color: theme.sub }}>{c.hp} HP</span>
+                    <div style={{ fontSize: 11, color: theme.sub }}>{c.description}</div>
+                    <div style={{ fontSize: 11, color: theme.sub }}>{[...c.abilities, ...(c.spells || [])].map((a) => `${a.name} (Lv ${a.level})`).join(", ")}</div>
+                  </button>
+                ))}
+              </div>
+            ) : null}
             <button onClick={doJoin} style={{ width: "100%", marginTop: 8, background: theme.brand, color: "#07201f", border: "none", borderRadius: 8, padding: 10, fontWeight: 800 }}>Enter Dungeon</button>
           </div>
         ) : (
@@ -300,7 +448,24 @@ export default function DungeonPhoneApp() {
               <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
                 <div>
                   <div style={{ fontWeight: 800 }}>{player?.playerName || "Player"}</div>
-                  <div style={{ marginTop: 3, fontSize: 12, color: theme.sub }}>HP {hero ? `${hero.hp}/${hero.maxHp}` : "-"} | AP {apRemaining}/{apMax} | Lv {rpg?.level || "-"}</div>
+                  <div style={{ marginTop: 3, fontSize: 12, color: theme.sub }}>{rpg?.heroClass?.name || "Hero"} | HP {hero ? `${hero.hp}/${hero.maxHp}` : "-"} | AP {apRemaining}/{apMax} | Lv {rpg?.level || "-"}</div>
+                  {hero?.statuses?.length ? (
+                    <div style={{ marginTop: 3, fontSize: 11 }}>
+                      {hero.statuses.map((s) => (
+                        <div key={s.id}>{STATUS_EFFECTS[s.id]?.icon} {describeStatus(s)}: <span style={{ color: theme.sub }}>{STATUS_EFFECTS[s.id]?.description}</span></div>
+                      ))}
+                    </div>
+                  ) : null}
+                  {heldReaction ? <div style={{ marginTop: 3, fontSize: 11, color: "#9fd0ff" }}>Holding {heldReaction.label}{heldReaction.targetPlayerId ? ` over ${heroesPublic.find((h) => h.ownerPlayerId === heldReaction.targetPlayerId)?.ownerPlayerName || "an ally"}` : ""} until your next turn.</div> : null}
+                  {standingOn ? <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>You stand on {standingOn.label}: {terrainEffects(standingOn).join(" ")}</div> : null}
+                  {scenario ? <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>{scenario.summary}{escort ? ` ${escort.name} ${escort.hp}/${escort.maxHp}.` : ""}</div> : null}
+                  {scenario ? (
+                    <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>
+                      Round {scenario.round || 1}
+                      {nowActing ? ` | Now: ${active ? "you" : nowActing.name}` : ""}
+                      {upNext ? ` | Next: ${upNext.name}` : " | Next: new round"}
+                    </div>
+                  ) : null}
                 </div>
                 <button disabled={!active || !allowed.has(ActionType.END_TURN)} onClick={() => sendAction(ActionType.END_TURN)} style={{ border: "none", borderRadius: 8, padding: "8px 10px", fontWeight: 800, background: !active ? "#314255" : "#d18d2f", color: !active ? "#9fb1c5" : "#2a1908" }}>
                   End Turn
@@ -308,39 +473,97 @@ export default function DungeonPhoneApp() {
               </div>
             </div>
 
+            {scenario?.status === "victory" ? <div style={{ ...card, borderColor: "#2f6b4a", color: "#c9ffe0", fontWeight: 800 }}>Victory! {scenario.title} complete.</div> : null}
+            {scenario?.status === "defeat" ? <div style={{ ...card, borderColor: "#6b3a3a", color: "#ffd6d6", fontWeight: 800 }}>Defeat. {scenario.title} is lost.</div> : null}
+
             {hitFx ? <div style={{ ...card, borderColor: "#6b3a3a", color: "#ffd6d6" }}>Hit for {hitFx.amount}. Enemy {hitFx.enemyHp}/{hitFx.enemyMaxHp}</div> : null}
             {incomingFx ? <div style={{ ...card, borderColor: "#6b3a3a", color: "#ffd6d6" }}>You were hit for {incomingFx.amount}. HP {incomingFx.heroHp}/{incomingFx.heroMaxHp}</div> : null}
+            {pendingReaction ? (
+              <div style={{ ...card, borderColor: "#6fa5e5", color: "#e4f0ff" }}>
+                <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 800 }}>
+                  <span>{pendingReaction.label}?</span>
+                  <span style={mono}>{reactionLeft}s</span>
+                </div>
+                <div style={{ marginTop: 4, fontSize: 12 }}>{pendingReaction.prompt}</div>
+                <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                  <button disabled={!allowed.has(ActionType.REACT)} onClick={() => sendAction(ActionType.REACT, { use: true })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 9, fontWeight: 800, background: "#3a6fb7", color: "#edf5ff" }}>
+                    Use {pendingReaction.label}
+                  </button>
+                  <button disabled={!allowed.has(ActionType.REACT)} onClick={() => sendAction(ActionType.REACT, { use: false })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 9, fontWeight: 800, background: "#314255", color: "#dff2ff" }}>
+                    Hold it
+                  </button>
+                </div>
+              </div>
+            ) : null}
+            {dangerHere ? <div style={{ ...card, borderColor: "#a03d4f", color: "#ffd6d6", fontWeight: 800 }}>{dangerHere.name} lands on your hex on the boss's next turn ({dangerHere.damage} damage). Move off the red hexes!</div> : null}
 
             {tab === "actions" ? (
               <>
                 <div style={card}>
-                  <div style={{ color: theme.sub, fontSize: 12, marginBottom: 6 }}>Move on green. Red hex attacks adjacent enemy.</div>
-                  <div style={{ position: "relative", width: 264, height: 220, margin: "0 auto" }}>
-                    <div style={{ position: "absolute", left: 96, top: 80, width: W, height: H, display: "grid", placeItems: "center", fontWeight: 800 }}>YOU</div>
-                    {neighbors.map((c) => {
+                  <div style={{ color: theme.sub, fontSize: 12, marginBottom: 6 }}>
+                    {aiming ? `Tap a blue hex to aim ${aiming.name}; purple hexes get ${aimHits ? "hit" : "reached"}.` : "Tap a green hex to plan a route, then confirm. Red hex attacks adjacent enemy."}
+                  </div>
+                  <div style={{ position: "relative", width: mapRadius * 2 * W * 0.75 + W, height: (mapRadius * 2 + 2) * H, margin: "0 auto" }}>
+                    {!aiming ? <div style={{ position: "absolute", left: mapRadius * W * 0.75, top: mapRadius * H + H / 2, width: W, height: H, display: "grid", placeItems: "center", fontWeight: 800 }}>YOU</div> : null}
+                    {nearby.map((c) => {
                       const xStep = W * 0.75;
                       const yStep = H;
-                      const left = 96 + (c.x - hero.x) * xStep;
-                      const top = 80 + (c.y - hero.y) * yStep + ((c.x % 2 ? yStep / 2 : 0) - (hero.x % 2 ? yStep / 2 : 0));
+                      const left = mapRadius * xStep + (c.x - hero.x) * xStep;
+                      const top = mapRadius * yStep + yStep / 2 + (c.y - hero.y) * yStep + ((c.x % 2 ? yStep / 2 : 0) - (hero.x % 2 ? yStep / 2 : 0));
+                      const k = `${c.x},${c.y}`;
                       const enemy = visibleEnemies.find((e) => e.x === c.x && e.y === c.y) || null;
-                      const canAttack = Boolean(enemy && active && allowed.has(ActionType.ATTACK));
-                      const tap = c.canMove || canAttack;
-                      const bg = c.t.passable ? c.t.fill : "#1d2734";
-                      const stroke = enemy ? "#c57784" : c.canMove ? "#5cb882" : c.t.stroke;
-                      const apLabel = !enemy && c.t.passable ? `AP${c.moveCost}` : "";
+                      const canAttack = Boolean(!aiming && enemy && active && allowed.has(ActionType.ATTACK) && attackable.some((e) => e.id === enemy.id));
+                      const tap = c.canMove || canAttack || c.aimable;
+                      const onRoute = previewRoute.has(k);
+                      const isTarget = movePreview?.to?.x === c.x && movePreview?.to?.y === c.y;
+                      const inArea = aimKeys.has(k);
+                      const bg = inArea ? "#5b3f8f" : c.t.passable ? c.t.fill : "#1d2734";
+                      const telegraph = telegraphHexes.get(k);
+                      const stroke = inArea ? "#c9a6ff" : enemy ? "#c57784" : onRoute ? "#ffd666" : telegraph ? "#ff5a5a" : c.canMove ? "#5cb882" : c.aimable ? "#6fa5e5" : c.t.stroke;
+                      const isYou = c.x === hero.x && c.y === hero.y;
                       return (
-                        <button key={`${c.x},${c.y}`} disabled={!tap} onClick={() => (canAttack ? sendAction(ActionType.ATTACK, { targetEnemyId: enemy.id }) : sendMove(c.x, c.y))} style={{ position: "absolute", left, top, width: W, height: H, border: "none", background: "transparent", padding: 0, cursor: tap ? "pointer" : "default", color: enemy ? theme.bad : c.canMove ? theme.good : theme.sub, fontWeight: 800, fontSize: 11 }}>
-                          <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`}><polygon points={P} fill={bg} stroke={stroke} strokeWidth="1.2" /></svg>
+                        <button key={k} disabled={!tap} onClick={() => (c.aimable ? aimAt(c) : canAttack ? sendAction(ActionType.ATTACK, { targetEnemyId: enemy.id }) : sendMove(c.x, c.y, true))} style={{ position: "absolute", left, top, width: W, height: H, border: "none", background: "transparent", padding: 0, cursor: tap ? "pointer" : "default", color: enemy ? theme.bad : c.canMove ? theme.good : isYou ? theme.text : theme.sub, fontWeight: 800, fontSize: 11 }}>
+                          <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`}><polygon points={P} fill={bg} stroke={stroke} strokeWidth={onRoute || telegraph || inArea ? 2.4 : 1.2} strokeDasharray={telegraph && !onRoute ? "4 3" : undefined} /></svg>
                           <div style={{ position: "absolute", inset: 0, display: "grid", placeItems: "center" }}>
-                            <div>{enemy ? "EN" : c.canMove ? "GO" : ""}</div>
+                            <div>{isYou ? "YOU" : enemy ? (enemy.boss ? "BOSS" : "EN") : escort?.x === c.x && escort?.y === c.y ? "ESC" : isTarget ? "GO" : exit?.x === c.x && exit?.y === c.y ? "EXIT" : ""}</div>
                             {enemy ? <div style={{ fontSize: 9 }}>{enemy.hp}/{enemy.maxHp}</div> : null}
-                            {!enemy && apLabel ? <div style={{ fontSize: 9 }}>{apLabel}</div> : null}
+                            {!enemy && c.canMove ? <div style={{ fontSize: 9 }}>AP{c.apCost}</div> : null}
                             {c.loot && c.canMove ? <div style={{ marginTop: 1, fontSize: 10 }}>[]</div> : null}
+                            {!enemy && c.obj ? <div title={describeObject(c.obj)} style={{ fontSize: 11 }}>{OBJECT_META[c.obj.type]?.icon}</div> : null}
                           </div>
                         </button>
                       );
                     })}
                   </div>
+                  {aiming ? (
+                    <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+                      <div style={{ flex: 1, fontSize: 12 }}>{aimSummary()}</div>
+                      <button onClick={stopAiming} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: "8px 10px", background: theme.panel, color: theme.text }}>Cancel</button>
+                      <button
+                        disabled={!aimHex || !allowed.has(aimItem ? ActionType.USE_ITEM : ActionType.CAST_SPELL) || apRemaining < aiming.apCost}
+                        onClick={() => {
+                          if (aimItem) sendAction(ActionType.USE_ITEM, { itemId: aimItem.id, targetX: aimHex.x, targetY: aimHex.y });
+                          else sendAction(ActionType.CAST_SPELL, { spellId: aimSpell.id, targetX: aimHex.x, targetY: aimHex.y });
+                          stopAiming();
+                        }}
+                        style={{ border: "none", borderRadius: 8, padding: "8px 12px", fontWeight: 800, background: aimAllies.length ? "#a0622d" : "#6a4aa8", color: "#f1eaff" }}
+                      >
+                        {aimItem ? "Use" : "Cast"}
+                      </button>
+                    </div>
+                  ) : movePreview ? (
+                    <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+                      <div style={{ flex: 1, fontSize: 12 }}>
+                        Route to ({movePreview.to.x},{movePreview.to.y}): {movePreview.path.length} hex{movePreview.path.length === 1 ? "" : "es"}, {movePreview.apCost} AP
+                        <div style={{ color: theme.sub }}>{previewGround.label}: {terrainEffects(previewGround).join(" ")}</div>
+                        {previewHazard ? <div style={{ color: theme.warn }}>This route hurts you for {previewHazard}.</div> : null}
+                        {movePreview.provokes?.length ? <div style={{ color: theme.warn }}>Leaving {movePreview.provokes.map((e) => e.name).join(", ")} provokes an opportunity attack.</div> : null}
+                      </div>
+                      <button disabled={!canMove} onClick={() => sendMove(movePreview.to.x, movePreview.to.y)} style={{ border: "none", borderRadius: 8, padding: "8px 12px", fontWeight: 800, background: theme.good, color: "#08210f" }}>
+                        Confirm Move
+                      </button>
+                    </div>
+                  ) : null}
                 </div>
 
                 <div style={card}>
@@ -355,28 +578,62 @@ export default function DungeonPhoneApp() {
                         <div style={{ marginTop: 4, height: 6, borderRadius: 99, overflow: "hidden", border: `1px solid ${theme.border}`, background: "#0e141c" }}>
                           <div style={{ width: pct(e.hp, e.maxHp), height: "100%", background: "linear-gradient(90deg,#ff9a9a,#ff5757)" }} />
                         </div>
-                        <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>Distance {hero ? manhattan(hero, e) : "?"}</div>
+                        <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>
+                          {behaviorMeta(e.behavior).label} | Distance {hero ? manhattan(hero, e) : "?"}
+                          {weaponTargets.get(e.id)?.cover ? ` | Cover +${weaponTargets.get(e.id).cover}` : ""}
+                          {weaponTargets.get(e.id)?.problem ? ` | ${weaponTargets.get(e.id).problem}` : ""}
+                          {(e.statuses || []).map((s) => ` | ${STATUS_EFFECTS[s.id]?.icon || ""} ${describeStatus(s)}`).join("")}
+                        </div>
                       </div>
                     )) : <div style={{ color: theme.sub }}>No monsters in range.</div>}
                   </div>
 
-                  <div style={{ fontSize: 12, color: theme.sub }}>Weapon target (range {attackRange})</div>
+                  <div style={{ fontSize: 12, color: theme.sub }}>Weapon target ({describeReach(weaponReach)}, damage {weaponDamageText})</div>
                   <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
-                    {attackable.map((e) => <button key={e.id} onClick={() => setAttackTarget(e.id)} style={{ padding: "5px 8px", borderRadius: 8, border: `1px solid ${attackTarget === e.id ? "#cc7784" : theme.border}`, background: attackTarget === e.id ? "#5a2e38" : theme.panel, color: attackTarget === e.id ? "#ffe0e6" : theme.sub }}>{e.name}</button>)}
-                    {!attackable.length ? <span style={{ color: theme.sub, fontSize: 12 }}>No melee targets.</span> : null}
+                    {attackable.map((e) => <button key={e.id} onClick={() => setAttackTarget(e.id)} style={{ padding: "5px 8px", borderRadius: 8, border: `1px solid ${attackTarget === e.id ? "#cc7784" : theme.border}`, background: attackTarget === e.id ? "#5a2e38" : theme.panel, color: attackTarget === e.id ? "#ffe0e6" : theme.sub }}>{e.name} {hitPct(e)}</button>)}
+                    {!attackable.length ? <span style={{ color: theme.sub, fontSize: 12 }}>No targets in reach.</span> : null}
                   </div>
                   <button disabled={!active || !allowed.has(ActionType.ATTACK) || !attackTarget} onClick={() => sendAction(ActionType.ATTACK, { targetEnemyId: attackTarget })} style={{ width: "100%", marginTop: 6, border: "none", borderRadius: 8, padding: 9, fontWeight: 800, background: "#a03d4f", color: "#ffeef1" }}>
                     Attack
                   </button>
-
-                  <div style={{ fontSize: 12, color: theme.sub, marginTop: 8 }}>Spell target (range {spellRange})</div>
-                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
-                    {spellable.map((e) => <button key={e.id} onClick={() => setSpellTarget(e.id)} style={{ padding: "5px 8px", borderRadius: 8, border: `1px solid ${spellTarget === e.id ? "#6fa5e5" : theme.border}`, background: spellTarget === e.id ? "#2a4d7f" : theme.panel, color: spellTarget === e.id ? "#e2efff" : theme.sub }}>{e.name}</button>)}
-                    {!spellable.length ? <span style={{ color: theme.sub, fontSize: 12 }}>No spell targets.</span> : null}
-                  </div>
-                  <button disabled={!active || !allowed.has(ActionType.CAST_SPELL) || !spellTarget} onClick={() => sendAction(ActionType.CAST_SPELL, { targetEnemyId: spellTarget })} style={{ width: "100%", marginTop: 6, border: "none", borderRadius: 8, padding: 9, fontWeight: 800, background: "#3a6fb7", color: "#edf5ff" }}>
-                    Cast {spellName}
-                  </button>
+                  {myRolls.length ? (
+                    <div style={{ marginTop: 6 }}>
+                      <div style={{ fontSize: 12, color: theme.sub }}>Your recent rolls</div>
+                      {myRolls.map((r) => (
+                        <div key={r.seq} style={{ marginTop: 3, fontSize: 11 }}>
+                          <strong>{r.attacker.name} → {r.target.name}</strong>
+                          <span style={{ ...mono, color: r.outcome === RollOutcome.MISS ? theme.sub : r.outcome === RollOutcome.CRIT ? "#ffc857" : theme.good }}> {describeRoll(r)}</span>
+                          {r.outcome !== RollOutcome.MISS && r.dealt !== r.damage ? <span style={{ color: theme.sub }}> ({r.dealt} got through)</span> : null}
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+
+                  <div style={{ fontSize: 12, color: theme.sub, marginTop: 8 }}>Spells</div>
+                  {spells.map((sp) => {
+                    const castable = active && allowed.has(ActionType.CAST_SPELL) && apRemaining >= sp.apCost;
+                    const targets = hero && !sp.area ? visibleEnemies.filter((e) => inReach(e, sp.range)) : [];
+                    const aiming = aimSpell?.id === sp.id;
+                    return (
+                      <div key={sp.id} style={{ border: `1px solid ${aiming ? "#6fa5e5" : theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5 }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                          <strong>{sp.name}</strong>
+                          <span style={{ ...mono, color: theme.sub }}>AP {sp.apCost} | R {sp.range}{sp.area ? ` | ${SPELL_SHAPE_LABELS[sp.area.shape]} ${sp.area.size}` : ""}</span>
+                        </div>
+                        {sp.friendlyFire ? <div style={{ marginTop: 3, fontSize: 11, color: theme.warn }}>Also hits heroes caught in the area.</div> : null}
+                        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
+                          {sp.area ? (
+                            <button disabled={!castable && !aiming} onClick={() => (aiming ? stopAiming() : (setAimSpellId(sp.id), setAimItemId(""), setAimHex(null)))} style={{ padding: "5px 8px", borderRadius: 8, border: "none", fontWeight: 700, background: castable || aiming ? "#3a6fb7" : "#314255", color: castable || aiming ? "#edf5ff" : "#9fb1c5" }}>
+                              {aiming ? "Stop aiming" : "Aim on map"}
+                            </button>
+                          ) : (
+                            targets.map((e) => <button key={e.id} disabled={!castable} onClick={() => sendAction(ActionType.CAST_SPELL, { spellId: sp.id, targetEnemyId: e.id })} style={{ padding: "5px 8px", borderRadius: 8, border: "none", fontWeight: 700, background: castable ? "#3a6fb7" : "#314255", color: castable ? "#edf5ff" : "#9fb1c5" }}>{e.name}</button>)
+                          )}
+                          {!sp.area && !targets.length ? <span style={{ color: theme.sub, fontSize: 12 }}>No spell targets.</span> : null}
+                        </div>
+                      </div>
+                    );
+                  })}
 
                   <div style={{ fontSize: 12, color: theme.sub, marginTop: 8 }}>Revive</div>
                   <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
@@ -386,6 +643,69 @@ export default function DungeonPhoneApp() {
                   <button disabled={!active || !allowed.has(ActionType.REVIVE) || !reviveTarget} onClick={() => sendAction(ActionType.REVIVE, { targetPlayerId: reviveTarget })} style={{ width: "100%", marginTop: 6, border: "none", borderRadius: 8, padding: 9, fontWeight: 800, background: "#4f7d32", color: "#efffe7" }}>
                     Revive Target
                   </button>
+
+                  <div style={{ fontSize: 12, color: theme.sub, marginTop: 8 }}>Interact (1 AP, adjacent)</div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
+                    {interactTargets.map((o) => (
+                      <button key={o.id} disabled={!active || !allowed.has(ActionType.INTERACT)} onClick={() => sendAction(ActionType.INTERACT, { objectId: o.id })} style={{ padding: "7px 9px", borderRadius: 8, border: "none", fontWeight: 800, background: "#6b5a2e", color: "#fff3d6" }}>
+                        {OBJECT_META[o.type]?.icon} {o.verb} {o.name}
+                      </button>
+                    ))}
+                    {!interactTargets.length ? <span style={{ color: theme.sub, fontSize: 12 }}>Nothing to use nearby.</span> : null}
+                  </div>
+                </div>
+
+                <div style={card}>
+                  <div style={{ marginBottom: 8, fontWeight: 700 }}>Abilities</div>
+                  {abilities.length ? abilities.map((a) => {
+                    const targets = !hero
+                      ? []
+                      : a.target === "self"
+                        ? [{ id: "self", name: "Use" }]
+                        : a.target === "ally"
+                          ? heroesPublic.filter((h) => h.hp > 0 && manhattan(hero, h) <= a.range).map((h) => ({ id: h.ownerPlayerId, name: h.ownerPlayerId === player?.playerId ? "Self" : h.ownerPlayerName || "Ally" }))
+                          : visibleEnemies
+                              .filter((e) => inReach(e, a.range) && (!a.charge || !chargePath(hero, e, boardTerrain, (x, y) => occupied.has(`${x},${y}`)).problem))
+                              .map((e) => ({ id: e.id, name: e.name }));
+                    const usable = active && allowed.has(ActionType.USE_ABILITY) && !a.cooldownLeft && apRemaining >= a.apCost;
+                    const use = (t) => sendAction(ActionType.USE_ABILITY, a.target === "enemy" ? { abilityId: a.id, targetEnemyId: t.id } : a.target === "ally" ? { abilityId: a.id, targetPlayerId: t.id } : { abilityId: a.id });
+                    return (
+                      <div key={a.id} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginBottom: 6 }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                          <strong>{a.name}</strong>
+                          <span style={{ ...mono, color: theme.sub }}>AP {a.apCost}{a.range ? ` | R ${a.range}` : ""} | CD {a.cooldownLeft ? `${a.cooldownLeft}/${a.cooldown}` : a.cooldown}</span>
+                        </div>
+                        <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>{a.description}</div>
+                        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
+                          {targets.map((t) => <button key={t.id} disabled={!usable} onClick={() => use(t)} style={{ padding: "5px 8px", borderRadius: 8, border: "none", fontWeight: 700, background: usable ? "#6a4aa8" : "#314255", color: usable ? "#f1eaff" : "#9fb1c5" }}>{t.name}</button>)}
+                          {!targets.length ? <span style={{ color: theme.sub, fontSize: 12 }}>No target in range.</span> : null}
+                        </div>
+                      </div>
+                    );
+                  }) : <div style={{ color: theme.sub }}>No abilities learned yet.</div>}
+                </div>
+
+                <div style={card}>
+                  <div style={{ marginBottom: 8, fontWeight: 700 }}>Reactions (held until your next turn)</div>
+                  {reactionOptions.map((r) => {
+                    const ready = active && allowed.has(ActionType.READY_REACTION) && r.affordable;
+                    const targets = r.type === ReactionType.GUARD
+                      ? heroesPublic.filter((h) => h.hp > 0 && h.ownerPlayerId !== player?.playerId).map((h) => ({ id: h.ownerPlayerId, name: h.ownerPlayerName || "Ally" }))
+                      : [{ id: "", name: "Ready" }];
+                    return (
+                      <div key={r.type} style={{ border: `1px solid ${heldReaction?.type === r.type ? "#6fa5e5" : theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginBottom: 6 }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                          <strong>{r.label}</strong>
+                          <span style={{ ...mono, color: theme.sub }}>AP {r.apCost}</span>
+                        </div>
+                        <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>{r.description}</div>
+                        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
+                          {targets.map((t) => <button key={t.id} disabled={!ready} onClick={() => sendAction(ActionType.READY_REACTION, t.id ? { reaction: r.type, targetPlayerId: t.id } : { reaction: r.type })} style={{ padding: "5px 8px", borderRadius: 8, border: "none", fontWeight: 700, background: ready ? "#3a6fb7" : "#314255", color: ready ? "#edf5ff" : "#9fb1c5" }}>{t.name}</button>)}
+                          {!targets.length ? <span style={{ color: theme.sub, fontSize: 12 }}>No ally to guard.</span> : null}
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
               </>
             ) : null}
@@ -393,40 +713,246 @@ export default function DungeonPhoneApp() {
             {tab === "inventory" ? (
               <div style={card}>
                 <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8, fontSize: 12 }}>
-                  <span>Herb <strong>{inventory.herb || 0}</strong></span>
-                  <span>Fang <strong>{inventory.fang || 0}</strong></span>
-                  <span>Essence <strong>{inventory.essence || 0}</strong></span>
-                  <span>Potion <strong>{inventory.potion || 0}</strong></span>
+                  {itemIds.filter((itemId) => inventory[itemId] > 0).map((itemId) => (
+                    <span key={itemId}>{itemNames[itemId] || itemId} <strong>{inventory[itemId]}</strong></span>
+                  ))}
+                  {itemIds.some((itemId) => inventory[itemId] > 0) ? null : <span style={{ color: theme.sub }}>Your pack is empty.</span>}
                 </div>
-                <button disabled={!active || !allowed.has(ActionType.USE_ITEM)} onClick={() => sendAction(ActionType.USE_ITEM, { itemId: "potion" })} style={{ width: "100%", border: "none", borderRadius: 8, padding: 9, fontWeight: 800, background: "#9d5a2b", color: "#fff0e6" }}>
-                  Drink Potion
-                </button>
-                {lootFx ? <div style={{ marginTop: 8, border: `1px solid #66502a`, borderRadius: 8, padding: 8, color: "#f8e4b4" }}>Loot pickup: +{lootFx.xp} XP, +{lootFx.gold}g, {dropsText(lootFx.drops)}</div> : null}
+                <div style={{ fontWeight: 700 }}>Use</div>
+                {usableItems.map((it) => {
+                  const usable = active && allowed.has(ActionType.USE_ITEM) && !it.problem;
+                  const useButton = { padding: "5px 8px", borderRadius: 8, border: "none", fontWeight: 700, background: usable ? "#9d5a2b" : "#314255", color: usable ? "#fff0e6" : "#9fb1c5" };
+                  return (
+                    <div key={it.id} style={{ border: `1px solid ${aimItem?.id === it.id ? "#6fa5e5" : theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5 }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                        <strong>{it.name} x{it.qty}</strong>
+                        <span style={{ ...mono, color: theme.sub }}>AP {it.apCost}{it.target !== ItemTarget.SELF ? ` | R ${it.range}` : ""}</span>
+                      </div>
+                      <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>{it.summary}</div>
+                      {it.friendlyFire ? <div style={{ marginTop: 3, fontSize: 11, color: theme.warn }}>Also hits heroes caught in the area.</div> : null}
+                      {it.problem ? <div style={{ marginTop: 3, fontSize: 11, color: theme.warn }}>{it.problem}</div> : null}
+                      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 5 }}>
+                        {it.target === ItemTarget.HEX ? (
+                          <button disabled={!usable} onClick={() => (setAimItemId(it.id), setAimSpellId(""), setAimHex(null), setTab("actions"))} style={useButton}>
+                            Aim on map
+                          </button>
+                        ) : (
+                          it.targets.map((t) => (
+                            <button key={t.playerId} disabled={!usable || Boolean(t.problem)} title={t.problem || undefined} onClick={() => sendAction(ActionType.USE_ITEM, { itemId: it.id, targetPlayerId: t.playerId })} style={useButton}>
+                              {t.playerId === player?.playerId ? "Use" : `On ${t.name}`}
+                            </button>
+                          ))
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+                {usableItems.length ? null : <div style={{ color: theme.sub, fontSize: 12 }}>Nothing in your pack can be used.</div>}
+                {lootFx ? <div style={{ marginTop: 8, border: `1px solid #66502a`, borderRadius: 8, padding: 8, color: "#f8e4b4" }}>Loot pickup: +{lootFx.xp} XP, +{lootFx.gold}g, {dropsText(lootFx.drops, itemNames)}</div> : null}
+
+                <div style={{ marginTop: 10, fontWeight: 700 }}>Trade</div>
+                {trades.incoming.map((t) => (
+                  <div key={t.id} style={{ border: "1px solid #6fa5e5", borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5, fontSize: 12 }}>
+                    <div><strong>{t.fromName}</strong> offers {dropsText(t.give)}{Object.keys(t.ask).length ? ` for your ${dropsText(t.ask)}` : ""}</div>
+                    {t.problem ? <div style={{ color: theme.sub }}>{t.problem}</div> : null}
+                    <div style={{ display: "flex", gap: 6, marginTop: 5 }}>
+                      <button disabled={Boolean(t.problem) || !allowed.has(ActionType.ANSWER_TRADE)} onClick={() => sendAction(ActionType.ANSWER_TRADE, { tradeId: t.id, accept: true })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#2f7a61", color: "#e9fff6" }}>
+                        Accept
+                      </button>
+                      <button disabled={!allowed.has(ActionType.ANSWER_TRADE)} onClick={() => sendAction(ActionType.ANSWER_TRADE, { tradeId: t.id, accept: false })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#314255", color: "#dff2ff" }}>
+                        Decline
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {trades.outgoing.map((t) => (
+                  <div key={t.id} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5, fontSize: 12 }}>
+                    <div>Waiting for <strong>{t.toName}</strong>: you give {dropsText(t.give)}, you get {dropsText(t.ask)}</div>
+                    {t.problem ? <div style={{ color: theme.sub }}>{t.problem}</div> : null}
+                    <button onClick={() => sendAction(ActionType.ANSWER_TRADE, { tradeId: t.id, accept: false })} style={{ width: "100%", marginTop: 5, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#314255", color: "#dff2ff" }}>
+                      Withdraw offer
+                    </button>
+                  </div>
+                ))}
+                {!trades.outgoing.length && tradePartner ? (
+                  <div style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5, fontSize: 12 }}>
+                    <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                      {trades.partners.map((p) => (
+                        <button key={p.playerId} onClick={() => setTradeTo(p.playerId)} style={{ padding: "5px 8px", borderRadius: 8, border: `1px solid ${tradePartner.playerId === p.playerId ? "#6fa5e5" : theme.border}`, background: tradePartner.playerId === p.playerId ? "#234259" : theme.panel, color: theme.text }}>
+                          {p.name}
+                        </button>
+                      ))}
+                    </div>
+                    {itemIds.map((itemId) => (
+                      <div key={itemId} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 6, marginTop: 5 }}>
+                        <span>{itemNames[itemId] || itemId} <span style={{ color: theme.sub }}>(you {inventory[itemId] || 0})</span></span>
+                        <span style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                          Give
+                          <button onClick={() => setTradeGive((curr) => bumpBundle(curr, itemId, -1, inventory[itemId] || 0))} style={{ padding: "2px 7px" }}>-</button>
+                          <span style={mono}>{tradeGive[itemId] || 0}</span>
+                          <button onClick={() => setTradeGive((curr) => bumpBundle(curr, itemId, 1, inventory[itemId] || 0))} style={{ padding: "2px 7px" }}>+</button>
+                          Ask
+                          <button onClick={() => setTradeAsk((curr) => bumpBundle(curr, itemId, -1, 99))} style={{ padding: "2px 7px" }}>-</button>
+                          <span style={mono}>{tradeAsk[itemId] || 0}</span>
+                          <button onClick={() => setTradeAsk((curr) => bumpBundle(curr, itemId, 1, 99))} style={{ padding: "2px 7px" }}>+</button>
+                        </span>
+                      </div>
+                    ))}
+                    <button
+                      disabled={!allowed.has(ActionType.OFFER_TRADE) || !(Object.keys(tradeGive).length || Object.keys(tradeAsk).length)}
+                      onClick={() => {
+                        sendAction(ActionType.OFFER_TRADE, { toPlayerId: tradePartner.playerId, give: tradeGive, ask: tradeAsk });
+                        setTradeGive({});
+                        setTradeAsk({});
+                      }}
+                      style={{ width: "100%", marginTop: 6, border: "none", borderRadius: 8, padding: 8, fontWeight: 800, background: "#3a6fb7", color: "#edf5ff" }}
+                    >
+                      {Object.keys(tradeAsk).length ? "Offer trade" : "Give"} to {tradePartner.name}
+                    </button>
+                  </div>
+                ) : null}
+                {!trades.outgoing.length && !tradePartner ? <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>Stand next to another hero to trade.</div> : null}
+
+                <div style={{ marginTop: 10, fontWeight: 700 }}>Party stash</div>
+                {stash.open ? itemIds.map((itemId) => (
+                  <div key={itemId} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 6, marginTop: 5, fontSize: 12 }}>
+                    <span>{itemNames[itemId] || itemId} <span style={{ color: theme.sub }}>stash {stash.items[itemId] || 0} | you {inventory[itemId] || 0}</span></span>
+                    <span style={{ display: "flex", gap: 6 }}>
+                      <button disabled={!inventory[itemId] || !allowed.has(ActionType.STASH_DEPOSIT)} onClick={() => sendAction(ActionType.STASH_DEPOSIT, { itemId })} style={{ border: "none", borderRadius: 8, padding: "5px 8px", fontWeight: 800, background: "#314255", color: "#dff2ff" }}>
+                        Leave 1
+                      </button>
+                      <button disabled={!stash.items[itemId] || !allowed.has(ActionType.STASH_WITHDRAW)} onClick={() => sendAction(ActionType.STASH_WITHDRAW, { itemId })} style={{ border: "none", borderRadius: 8, padding: "5px 8px", fontWeight: 800, background: "#2f7a61", color: "#e9fff6" }}>
+                        Take 1
+                      </button>
+                    </span>
+                  </div>
+                )) : <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>The party stash opens once the encounter is over.</div>}
+              </div>
+            ) : null}
+
+            {tab === "gear" ? (
+              <div style={card}>
+                <div style={{ fontSize: 12, color: theme.sub }}>
+                  Gold {rpg?.gold || 0} | +{rpg?.stats?.damageBonus || 0} dmg | {rpg?.stats?.armor || 0} armor | +{rpg?.stats?.maxHpBonus || 0} max HP
+                </div>
+                <div style={{ marginTop: 8, fontWeight: 700 }}>Equipped</div>
+                {Object.entries(equipment).map(([slot, worn]) => (
+                  <div key={slot} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 6, marginTop: 5, fontSize: 12 }}>
+                    <span><span style={{ color: theme.sub, textTransform: "capitalize" }}>{slot}:</span> {worn ? `${worn.name} (${gearText(worn)})` : "-"}</span>
+                    <button disabled={!worn || !allowed.has(ActionType.UNEQUIP_ITEM)} onClick={() => sendAction(ActionType.UNEQUIP_ITEM, { slot })} style={{ border: "none", borderRadius: 8, padding: "5px 8px", fontWeight: 800, background: "#314255", color: "#dff2ff" }}>
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <div style={{ marginTop: 8, fontWeight: 700 }}>Gear bag</div>
+                {gearBag.length ? gearBag.map((item) => (
+                  <div key={item.id} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5, fontSize: 12 }}>
+                    <div><strong>{item.name}</strong> x{item.qty} <span style={{ color: theme.sub }}>({item.slot}, {gearText(item)})</span></div>
+                    <div style={{ display: "flex", gap: 6, marginTop: 5 }}>
+                      <button disabled={!allowed.has(ActionType.EQUIP_ITEM)} onClick={() => sendAction(ActionType.EQUIP_ITEM, { itemId: item.id })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#2f7a61", color: "#e9fff6" }}>
+                        Equip{shop.open ? "" : " (1 AP)"}
+                      </button>
+                      {item.sellPrice ? (
+                        <button disabled={!shop.open || !allowed.has(ActionType.SELL_ITEM)} onClick={() => sendAction(ActionType.SELL_ITEM, { itemId: item.id })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#66502a", color: "#f8e4b4" }}>
+                          Sell {item.sellPrice}g
+                        </button>
+                      ) : null}
+                    </div>
+                  </div>
+                )) : <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>Nothing stowed.</div>}
+                <div style={{ marginTop: 10, fontWeight: 700 }}>Shop</div>
+                {shop.open ? shop.stock.map((entry) => {
+                  const owned = entry.kind === "item" ? inventory[entry.id] || 0 : 0;
+                  return (
+                    <div key={entry.id} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 7, background: theme.panel, marginTop: 5, fontSize: 12 }}>
+                      <div style={{ display: "flex", justifyContent: "space-between" }}>
+                        <strong>{entry.name}</strong><span style={{ ...mono, color: theme.sub }}>{entry.price}g</span>
+                      </div>
+                      <div style={{ color: theme.sub }}>{entry.kind === "item" ? `Item | you have ${owned}` : `${entry.kind} | ${gearText(entry)}`}</div>
+                      <div style={{ display: "flex", gap: 6, marginTop: 5 }}>
+                        <button disabled={(rpg?.gold || 0) < entry.price || !allowed.has(ActionType.BUY_ITEM)} onClick={() => sendAction(ActionType.BUY_ITEM, { itemId: entry.id })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#3a6fb7", color: "#edf5ff" }}>
+                          Buy
+                        </button>
+                        {entry.kind === "item" ? (
+                          <button disabled={!owned || !allowed.has(ActionType.SELL_ITEM)} onClick={() => sendAction(ActionType.SELL_ITEM, { itemId: entry.id })} style={{ flex: 1, border: "none", borderRadius: 8, padding: 7, fontWeight: 800, background: "#66502a", color: "#f8e4b4" }}>
+                            Sell {entry.sellPrice}g
+                          </button>
+                        ) : null}
+                      </div>
+                    </div>
+                  );
+                }) : <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>The shop opens once the encounter is over.</div>}
               </div>
             ) : null}
 
             {tab === "crafting" ? (
               <div style={card}>
-                {craftingOptions.length ? craftingOptions.map((r) => (
-                  <div key={r.id} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 8, background: theme.panel, marginBottom: 7 }}>
-                    <div style={{ display: "flex", justifyContent: "space-between" }}>
-                      <strong>{r.label}</strong><span style={{ ...mono, fontSize: 12, color: theme.sub }}>AP {r.apCost}</span>
+                <div style={{ fontSize: 12, color: theme.sub, marginBottom: 6 }}>
+                  {crafting.stations.length ? `At hand: ${crafting.stations.map((st) => st.label).join(", ")}` : "No crafting station nearby."}
+                </div>
+                {craftCategories.length > 1 ? (
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8 }}>
+                    {["all", ...craftCategories].map((cat) => (
+                      <button key={cat} onClick={() => setCraftCategory(cat)} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: "4px 8px", fontSize: 12, textTransform: "capitalize", background: craftCategory === cat ? "#2f7a61" : theme.panel, color: theme.text }}>
+                        {cat}
+                      </button>
+                    ))}
+                  </div>
+                ) : null}
+                {craftTiers.map((tier) => {
+                  const tierRecipes = crafting.recipes.filter((r) => r.tier === tier && (craftCategory === "all" || r.category === craftCategory));
+                  if (!tierRecipes.length) return null;
+                  return (
+                    <div key={tier}>
+                      <div style={{ margin: "4px 0 6px", fontWeight: 700 }}>Tier {tier}</div>
+                      {tierRecipes.map((r) => (
+                        <div key={r.id} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 8, background: theme.panel, marginBottom: 7 }}>
+                          <div style={{ display: "flex", justifyContent: "space-between" }}>
+                            <strong>{r.label}</strong><span style={{ ...mono, fontSize: 12, color: theme.sub }}>AP {r.apCost}</span>
+                          </div>
+                          <div style={{ marginTop: 2, fontSize: 12, color: theme.sub, textTransform: "capitalize" }}>
+                            {r.category}{r.station ? ` | ${r.station.label}` : ""}
+                          </div>
+                          <div style={{ marginTop: 4, display: "flex", gap: 8, flexWrap: "wrap", fontSize: 12 }}>
+                            {r.materials.map((m) => (
+                              <span key={m.id} style={{ color: m.have >= m.need ? theme.good : theme.bad }}>
+                                {m.name} {m.have}/{m.need}
+                              </span>
+                            ))}
+                          </div>
+                          <div style={{ marginTop: 2, fontSize: 12, color: theme.sub }}>Makes: {r.yields.map((y) => `${y.qty} ${y.name}`).join(" + ")}</div>
+                          {r.problem ? <div style={{ marginTop: 2, fontSize: 12, color: theme.warn }}>{r.problem}</div> : null}
+                          <button disabled={!active || !allowed.has(ActionType.CRAFT_ITEM) || !r.canCraft} onClick={() => sendAction(ActionType.CRAFT_ITEM, { recipeId: r.id })} style={{ width: "100%", marginTop: 6, border: "none", borderRadius: 8, padding: 8, fontWeight: 800, background: "#2f7a61", color: "#e9fff6" }}>
+                            Craft
+                          </button>
+                        </div>
+                      ))}
                     </div>
-                    <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>Cost: {recipeText(r.requires)}</div>
-                    <div style={{ marginTop: 2, fontSize: 12, color: theme.sub }}>Result: {recipeText(r.yields)}</div>
-                    <button disabled={!active || !allowed.has(ActionType.CRAFT_ITEM) || !r.canCraft} onClick={() => sendAction(ActionType.CRAFT_ITEM, { recipeId: r.id })} style={{ width: "100%", marginTop: 6, border: "none", borderRadius: 8, padding: 8, fontWeight: 800, background: "#2f7a61", color: "#e9fff6" }}>
-                      Craft
-                    </button>
+                  );
+                })}
+                {crafting.recipes.length ? null : <div style={{ color: theme.sub }}>No recipes discovered yet.</div>}
+                {crafting.hidden.length ? (
+                  <div style={{ marginTop: 6 }}>
+                    <div style={{ fontWeight: 700 }}>Undiscovered ({crafting.hidden.length})</div>
+                    {crafting.hidden.map((h, i) => (
+                      <div key={i} style={{ marginTop: 3, fontSize: 12, color: theme.sub }}>
+                        Tier {h.tier} <span style={{ textTransform: "capitalize" }}>{h.category}</span>: {h.hint}
+                      </div>
+                    ))}
                   </div>
-                )) : <div style={{ color: theme.sub }}>No recipes unlocked yet.</div>}
-                <div style={{ marginTop: 6, fontSize: 12, color: theme.sub }}>More recipes will be added here.</div>
+                ) : null}
               </div>
             ) : null}
 
             {tab === "stats" ? (
               <div style={card}>
                 <div style={{ fontSize: 12, color: theme.sub }}>XP {rpg?.xp || 0}/{rpg?.xpToNext || 0} | Gold {rpg?.gold || 0}</div>
-                <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>Weapon {rpg?.weapon?.name || "-"} | Spell {rpg?.spell?.name || "-"}</div>
+                <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>Weapon {rpg?.weapon?.name || "-"} ({weaponDamageText}) | Accuracy +{accuracy} | Defense {rpg?.stats?.defense ?? "-"} | Spells {spells.map((sp) => sp.name).join(", ") || "-"}</div>
+                {rpg?.heroClass ? (
+                  <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>
+                    {rpg.heroClass.name}: {rpg.heroClass.abilities.map((a) => `${a.name} (Lv ${a.level})`).join(", ")}
+                  </div>
+                ) : null}
                 <div style={{ marginTop: 4, fontSize: 12, color: theme.sub }}>Client {clientId || "-"}</div>
                 <div style={{ marginTop: 8, fontWeight: 700 }}>Party</div>
                 <div style={{ display: "grid", gap: 6, marginTop: 5 }}>
@@ -434,12 +960,15 @@ export default function DungeonPhoneApp() {
                     <div key={h.ownerPlayerId} style={{ border: `1px solid ${theme.border}`, borderRadius: 8, padding: 7, background: theme.panel }}>
                       <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
                         <strong>{h.ownerPlayerName || "Player"} {h.ownerPlayerId === player?.playerId ? "(You)" : ""}</strong>
-                        <span>Lv {h.level || 1}</span>
+                        <span>{h.className ? `${h.className} ` : ""}Lv {h.level || 1}</span>
                       </div>
                       <div style={{ marginTop: 4, height: 6, borderRadius: 99, overflow: "hidden", background: "#0e141c", border: `1px solid ${theme.border}` }}>
                         <div style={{ width: pct(h.hp, h.maxHp), height: "100%", background: "linear-gradient(90deg,#ff9595,#ff5959)" }} />
                       </div>
-                      <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>{h.hp}/{h.maxHp} | ({h.x},{h.y})</div>
+                      <div style={{ marginTop: 3, fontSize: 11, color: theme.sub }}>
+                        {h.hp}/{h.maxHp} | ({h.x},{h.y})
+                        {(h.statuses || []).map((s) => ` | ${STATUS_EFFECTS[s.id]?.icon || ""} ${describeStatus(s)}`).join("")}
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -452,7 +981,7 @@ export default function DungeonPhoneApp() {
       </div>
 
       {joined ? (
-        <div style={{ position: "fixed", left: "50%", bottom: 9, transform: "translateX(-50%)", width: "min(640px, calc(100vw - 18px))", display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 6, background: "rgba(15, 24, 35, 0.98)", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 5 }}>
+        <div style={{ position: "fixed", left: "50%", bottom: 9, transform: "translateX(-50%)", width: "min(640px, calc(100vw - 18px))", display: "grid", gridTemplateColumns: `repeat(${tabs.length},1fr)`, gap: 6, background: "rgba(15, 24, 35, 0.98)", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 5 }}>
           {tabs.map((t) => (
             <button key={t} onClick={() => setTab(t)} style={{ border: "none", borderRadius: 8, padding: "9px 6px", textTransform: "capitalize", background: tab === t ? "#234259" : "transparent", color: tab === t ? "#dff2ff" : theme.sub, fontWeight: 800 }}>
               {t}
@@ -340,7 +340,7 @@ export default function KewlCardGamePhoneApp() {
     seenMineCredits.current = credits;
   }, [mineCredits]);
 
-  const terrainSeed = g?.terrain?.seed ?? 0;
+  const boardTerrain = g?.terrain ?? 0;
   const occupied = new Set();
   for (const h of heroesPublic) if (h.hp > 0) occupied.add(`${h.x},${h.y}`);
   for (const e of visibleEnemies) occupied.add(`${e.x},${e.y}`);
@@ -350,7 +350,7 @@ export default function KewlCardGamePhoneApp() {
   const damageTarget = damageTargetId ? visibleEnemies.find((e) => e.id === damageTargetId) || null : null;
   const neighbors = active && hero && hero.hp > 0
     ? hexNeighbors(hero.x, hero.y).map((c) => {
-        const t = terrainAt(c.x, c.y, terrainSeed);
+        const t = terrainAt(c.x, c.y, boardTerrain);
         const moveCost = Math.min(4, Math.max(1, Number(t.moveCost) || 1));
         const canStep = canMove && t.passable && !occupied.has(`${c.x},${c.y}`) && apRemaining >= moveCost;
         return { ...c, t, moveCost, loot: lootByCell.get(`${c.x},${c.y}`) || null, canMove: canStep };
@@ -1,7 +1,12 @@
 import React, { useEffect, useRef, useState } from "react";
 import { QRCodeCanvas } from "qrcode.react";
+import { behaviorMeta } from "../../shared/behaviors.js";
+import { RollOutcome, describeRoll } from "../../shared/combat.js";
 import { MsgType, Role, makeMsg } from "../../shared/protocol.js";
-import { ActionType, hexWithinRange, terrainAt } from "../../shared/game.js";
+import { ActionType, hexesWithinCost, isInBounds, terrainAt, terrainEffects, terrainMoveCost } from "../../shared/game.js";
+import { OBJECT_META, ObjectType, describeObject, objectAt, routeBlockingKeys } from "../../shared/objects.js";
+import { describeStatus, statusById, statusStepCost } from "../../shared/status.js";
+import ScenarioEditor, { makeScenarioDraft } from "./ScenarioEditor.jsx";
 import forestTexture from "./assets/catan-textures/forest.svg";
 import pastureTexture from "./assets/catan-textures/pasture.svg";
 import wheatTexture from "./assets/catan-textures/wheat.svg";
@@ -52,6 +57,205 @@ function Icon({ path, size = 16, stroke = "currentColor", fill = "none", strokeW
   );
 }
 
+// Small row of status-effect icons drawn under a unit on the board.
+function StatusBadges({ statuses }) {
+  if (!statuses?.length) return null;
+  return (
+    <div style={{ display: "flex", gap: 1, justifyContent: "center", fontSize: 10, lineHeight: 1 }}>
+      {statuses.map((s) => (
+        <span key={s.id} title={describeStatus(s)}>
+          {statusById(s.id)?.icon}
+          {s.stacks > 1 ? s.stacks : ""}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Door, chest, lever or trap drawn on its hex; used-up chests and traps are faded.
+function MapObjectBadge({ obj }) {
+  if (!obj) return null;
+  const spent = (obj.type === ObjectType.CHEST && obj.opened) || (obj.type === ObjectType.TRAP && !obj.armed);
+  return (
+    <div title={describeObject(obj)} style={{ fontSize: 14, lineHeight: 1, opacity: spent ? 0.45 : 1 }}>
+      {OBJECT_META[obj.type]?.icon}
+    </div>
+  );
+}
+
+// What a tapped hex holds: its terrain and the rules that come with it, plus any object or marker.
+function HexInspectModal({ hex, terrain, obj, exit, telegraph, onClose }) {
+  return (
+    <div className="ttd-modal-backdrop" onClick={onClose}>
+      <div className="ttd-modal" onClick={(e) => e.stopPropagation()}>
+        <h3 style={{ marginTop: 0, marginBottom: 8 }}>
+          {terrain.label} ({hex.x},{hex.y})
+        </h3>
+        <div style={{ marginBottom: 8, color: "var(--ttd-sub)", fontWeight: 700 }}>{terrain.className}</div>
+        <ul style={{ margin: "0 0 8px", paddingLeft: 18 }}>
+          {terrainEffects(terrain).map((effect) => (
+            <li key={effect}>{effect}</li>
+          ))}
+        </ul>
+        {obj ? (
+          <p style={{ margin: "0 0 6px" }}>
+            {OBJECT_META[obj.type]?.icon} {describeObject(obj)}
+          </p>
+        ) : null}
+        {exit ? <p style={{ margin: "0 0 6px" }}>The exit. Reach it to complete the scenario.</p> : null}
+        {telegraph ? (
+          <p style={{ margin: 0, color: "#ff8b8b" }}>
+            {telegraph.name} lands here on the boss's next turn ({telegraph.damage} damage).
+          </p>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+// Boss HP with a tick at each phase threshold, shown above the board while a boss is alive.
+function BossHealthBar({ boss }) {
+  const pct = Math.max(0, Math.min(100, (boss.hp / Math.max(1, boss.maxHp)) * 100));
+  return (
+    <div style={{ margin: "0 0 10px", padding: "8px 10px", borderRadius: 10, border: "1px solid rgba(255, 107, 107, 0.45)", background: "rgba(40, 12, 16, 0.85)" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8, marginBottom: 6, fontWeight: 800 }}>
+        <span>
+          {boss.art ? `${boss.art} ` : ""}
+          {boss.name}
+        </span>
+        <span style={{ color: "var(--ttd-sub)", fontSize: "0.8rem" }}>
+          Phase {boss.phase}/{boss.phaseCount}
+          {boss.phaseName ? `: ${boss.phaseName}` : ""} | {boss.hp}/{boss.maxHp}
+        </span>
+      </div>
+      <div style={{ position: "relative", height: 12, borderRadius: 99, overflow: "hidden", background: "rgba(255, 255, 255, 0.08)" }}>
+        <div style={{ width: `${pct}%`, height: "100%", background: "linear-gradient(90deg, #ff5d5d, #ffb35c)", transition: "width 0.3s ease" }} />
+        {(boss.thresholds || []).map((t) => (
+          <div key={t} style={{ position: "absolute", top: 0, bottom: 0, left: `${t}%`, width: 2, background: "rgba(255, 255, 255, 0.7)" }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// This round's turn order, shown above the board. Heroes and the enemies the party can see, with
+// whoever is acting highlighted and those who already went dimmed.
+function InitiativeTracker({ round, entries }) {
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", margin: "0 0 10px" }}>
+      <span className="ttd-pill" style={{ fontWeight: 800 }}>Round {round || 1}</span>
+      {entries.map((entry) => (
+        <span
+          key={`${entry.kind}-${entry.id}`}
+          title={`Initiative ${entry.total} (speed ${entry.speed} + roll ${entry.roll})`}
+          style={{
+            display: "inline-flex",
+            alignItems: "center",
+            gap: 6,
+            padding: "4px 10px",
+            borderRadius: 99,
+            fontSize: "0.8rem",
+            fontWeight: 700,
+            border: `1px solid ${entry.active ? "#20bfb7" : entry.kind === "enemy" ? "rgba(255, 107, 107, 0.45)" : "rgba(255, 255, 255, 0.18)"}`,
+            background: entry.active ? "rgba(32, 191, 183, 0.22)" : entry.kind === "enemy" ? "rgba(40, 12, 16, 0.85)" : "rgba(255, 255, 255, 0.06)",
+            opacity: entry.acted ? 0.45 : 1,
+            textDecoration: entry.down ? "line-through" : "none"
+          }}
+        >
+          <span style={mono}>{entry.total}</span>
+          {entry.art ? `${entry.art} ` : ""}
+          {entry.name}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Reactions heroes hold, and the one the table is waiting on while an enemy's turn is paused.
+function ReactionBar({ reaction, heroes }) {
+  const [left, setLeft] = useState(0);
+  useEffect(() => {
+    if (!reaction) return undefined;
+    const until = Date.now() + reaction.expiresInMs;
+    const tick = () => setLeft(Math.max(0, Math.ceil((until - Date.now()) / 1000)));
+    tick();
+    const t = setInterval(tick, 250);
+    return () => clearInterval(t);
+  }, [reaction]);
+  const nameOf = (playerId) => heroes.find((h) => h.ownerPlayerId === playerId)?.ownerPlayerName || "ally";
+  const holding = heroes.filter((h) => h.reaction && h.hp > 0);
+  if (!reaction && !holding.length) return null;
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", margin: "0 0 10px" }}>
+      {reaction ? (
+        <span className="ttd-pill" style={{ fontWeight: 800, borderColor: "#6fa5e5", background: "rgba(58, 111, 183, 0.3)" }}>
+          {reaction.prompt} Waiting for {reaction.playerName}: {reaction.label}? <span style={mono}>{left}s</span>
+        </span>
+      ) : null}
+      {holding.map((h) => (
+        <span key={h.ownerPlayerId} className="ttd-pill">
+          {h.ownerPlayerName || "Hero"}: {h.reaction.label}
+          {h.reaction.targetPlayerId ? ` (${nameOf(h.reaction.targetPlayerId)})` : ""}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+const ROLL_COLORS = Object.freeze({
+  [RollOutcome.HIT]: "#20bfb7",
+  [RollOutcome.CRIT]: "#ffc857",
+  [RollOutcome.MISS]: "#7a8a99"
+});
+
+// Attack rolls as they happen: the d20 tumbles in, then the breakdown stays up for a few seconds.
+// Rolls already made when the table connects are not replayed.
+function DiceTray({ rolls }) {
+  const latestSeq = rolls.length ? rolls[rolls.length - 1].seq : 0;
+  const seenSeq = useRef(null);
+  const [shown, setShown] = useState([]);
+  useEffect(() => {
+    if (seenSeq.current === null || latestSeq <= seenSeq.current) {
+      seenSeq.current = Math.max(seenSeq.current ?? 0, latestSeq);
+      return undefined;
+    }
+    const fresh = rolls.filter((r) => r.seq > seenSeq.current).slice(-3);
+    seenSeq.current = latestSeq;
+    setShown(fresh);
+    const t = setTimeout(() => setShown([]), 3500);
+    return () => clearTimeout(t);
+  }, [latestSeq]);
+  if (!shown.length) return null;
+  return (
+    <div style={{ display: "grid", gap: 6, margin: "0 0 10px" }}>
+      {shown.map((roll) => (
+        <div key={roll.seq} style={{ display: "flex", alignItems: "center", gap: 10, padding: "6px 10px", borderRadius: 10, border: `1px solid ${ROLL_COLORS[roll.outcome]}`, background: "rgba(8, 14, 22, 0.85)" }}>
+          <span
+            style={{
+              ...mono,
+              display: "inline-grid",
+              placeItems: "center",
+              width: 34,
+              height: 34,
+              borderRadius: 8,
+              fontWeight: 900,
+              color: "#07201f",
+              background: ROLL_COLORS[roll.outcome],
+              animation: "tvDiceTumble 0.6s ease-out"
+            }}
+          >
+            {roll.natural}
+          </span>
+          <span style={{ fontSize: "0.85rem" }}>
+            <strong>{roll.attacker.name}</strong> {roll.weapon ? `(${roll.weapon}) ` : ""}vs <strong>{roll.target.name}</strong>
+            <div style={{ ...mono, fontSize: "0.75rem", color: "var(--ttd-sub)" }}>{describeRoll(roll)}</div>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function statusColor(status) {
   if (status === "connected") return "#149b6c";
   if (status === "connecting") return "#e89e1b";
@@ -100,6 +304,7 @@ function DungeonTableView({ onBackToMenu }) {
   const [qrOpen, setQrOpen] = useState(false);
   const [kickPrompt, setKickPrompt] = useState(null);
   const [enemyInspectId, setEnemyInspectId] = useState(null);
+  const [hexInspect, setHexInspect] = useState(null);
   const [cameraPx, setCameraPx] = useState({ x: 0, y: 0 });
   const [boardViewport, setBoardViewport] = useState({ width: 0, height: 0 });
 
@@ -223,6 +428,7 @@ function DungeonTableView({ onBackToMenu }) {
     if (!confirmed) return;
     setKickPrompt(null);
     setEnemyInspectId(null);
+    setHexInspect(null);
     setQrOpen(false);
     sendTableAction(ActionType.NEW_CAMPAIGN, {}, "new-campaign");
   }
@@ -321,12 +527,20 @@ function DungeonTableView({ onBackToMenu }) {
   const campaignTitle = sessionInfo?.campaign?.title || '';
   const showCampaignPrompt = campaignPromptOpen;
   const game = publicState?.game || null;
-  const terrainSeed = game?.terrain?.seed ?? 0;
+  const boardTerrain = game?.terrain ?? 0;
   const terrainTheme = game?.terrain?.theme || "frostwild-frontier";
   const scenario = game?.scenario || null;
+  const escort = game?.escort || null;
+  const scenarioExit = scenario?.objective?.exit || null;
   const heroes = game?.heroes || [];
   const enemies = game?.enemies || (game?.enemy ? [game.enemy] : []);
   const groundLoot = game?.groundLoot || [];
+  const mapObjects = game?.objects || [];
+  const bosses = game?.bosses || [];
+  const telegraphHexes = new Map((game?.telegraphs || []).flatMap((t) => t.hexes.map((k) => [k, t])));
+  const fog = game?.fog || null;
+  const visibleHexes = new Set(fog?.visible || []);
+  const exploredHexes = new Set(fog?.explored || []);
   const livingEnemies = enemies.filter((e) => e && e.hp > 0);
   const heroByOwnerId = new Map(heroes.map((h) => [h.ownerPlayerId, h]));
   const primaryEnemy = livingEnemies[0] || null;
@@ -413,11 +627,10 @@ function DungeonTableView({ onBackToMenu }) {
     return () => clearTimeout(t);
   }, [publicState]);
 
-  const moveRange = game?.rules?.moveRange ?? 1;
   const terrainCache = new Map();
   const getTerrain = (x, y) => {
     const key = `${x},${y}`;
-    if (!terrainCache.has(key)) terrainCache.set(key, terrainAt(x, y, terrainSeed));
+    if (!terrainCache.has(key)) terrainCache.set(key, terrainAt(x, y, boardTerrain));
     return terrainCache.get(key);
   };
   const occupied = new Set();
@@ -425,14 +638,18 @@ function DungeonTableView({ onBackToMenu }) {
     if (h.hp > 0) occupied.add(`${h.x},${h.y}`);
   }
   for (const enemyUnit of livingEnemies) occupied.add(`${enemyUnit.x},${enemyUnit.y}`);
+  for (const k of routeBlockingKeys(mapObjects)) occupied.add(k);
 
-  const moveOptions = new Set();
+  let moveOptions = new Map();
   if (game && activeHero && activeHero.hp > 0 && apRemaining > 0) {
-    const inBounds = () => true;
-    const isBlocked = (x, y) => occupied.has(`${x},${y}`) || !getTerrain(x, y).passable;
-    const opts = hexWithinRange({ x: activeHero.x, y: activeHero.y }, moveRange, inBounds, isBlocked);
-    for (const k of opts) moveOptions.add(k);
+    const stepCost = statusStepCost(activeHero, (x, y) => (occupied.has(`${x},${y}`) ? null : terrainMoveCost(x, y, boardTerrain)));
+    moveOptions = hexesWithinCost({ x: activeHero.x, y: activeHero.y }, apRemaining, stepCost);
   }
+  const movePreview = publicState?.preview?.action === ActionType.MOVE ? publicState.preview : null;
+  const previewRoute = new Set((movePreview?.path || []).map((p) => `${p.x},${p.y}`));
+  // Area spells and aimed items both preview the hexes they reach.
+  const spellPreview = [ActionType.CAST_SPELL, ActionType.USE_ITEM].includes(publicState?.preview?.action) ? publicState.preview : null;
+  const spellPreviewHexes = new Set(spellPreview?.hexes || []);
 
   const HEX_SIZE = 34;
   const HEX_W = HEX_SIZE * 2;
@@ -562,7 +779,11 @@ function DungeonTableView({ onBackToMenu }) {
       art: enemyUnit.art || "👹",
       flavor: enemyUnit.flavor || "A dangerous foe with unstable behavior.",
       hp: `${enemyUnit.hp}/${enemyUnit.maxHp}`,
-      attackPower: enemyUnit.attackPower ?? game?.rules?.enemyDamage ?? "-"
+      attackPower: enemyUnit.attackPower ?? game?.rules?.enemyDamage ?? "-",
+      attackRange: enemyUnit.attackRange ?? game?.rules?.attackRange ?? 1,
+      moveAp: enemyUnit.moveAp ?? "-",
+      behavior: behaviorMeta(enemyUnit.behavior),
+      statuses: enemyUnit.statuses || []
     };
   }
 
@@ -679,6 +900,36 @@ function DungeonTableView({ onBackToMenu }) {
       );
     }
 
+    if (terrain.id === "ice") {
+      return (
+        <g stroke="rgba(236, 248, 255, 0.55)" strokeWidth="1.2" fill="none" strokeLinecap="round">
+          <path d={`M${width * 0.3} ${height * 0.3} L${width * 0.46} ${height * 0.5} L${width * 0.4} ${height * 0.72}`} />
+          <path d={`M${width * 0.46} ${height * 0.5} L${width * 0.68} ${height * 0.42}`} />
+          <path d={`M${width * 0.58} ${height * 0.66} L${width * 0.72} ${height * 0.6}`} />
+        </g>
+      );
+    }
+
+    if (terrain.id === "floor") {
+      return (
+        <g stroke="rgba(200, 192, 176, 0.22)" strokeWidth="1" fill="none">
+          <path d={`M${width * 0.22} ${height * 0.5} L${width * 0.78} ${height * 0.5}`} />
+          <path d={`M${width * 0.5} ${height * 0.16} L${width * 0.5} ${height * 0.5}`} />
+          <path d={`M${width * 0.36} ${height * 0.5} L${width * 0.36} ${height * 0.84}`} />
+          <path d={`M${width * 0.64} ${height * 0.5} L${width * 0.64} ${height * 0.84}`} />
+        </g>
+      );
+    }
+
+    if (terrain.id === "wall") {
+      return (
+        <g fill="rgba(62, 66, 76, 0.7)" stroke="rgba(18, 20, 24, 0.6)" strokeWidth="1">
+          <polygon points={`${width * 0.3},${height * 0.3} ${width * 0.52},${height * 0.22} ${width * 0.6},${height * 0.46} ${width * 0.36},${height * 0.52}`} />
+          <polygon points={`${width * 0.5},${height * 0.56} ${width * 0.72},${height * 0.5} ${width * 0.7},${height * 0.76} ${width * 0.46},${height * 0.78}`} />
+        </g>
+      );
+    }
+
     if (terrain.id === "boulder") {
       return (
         <g fill="none" stroke="rgba(215, 225, 236, 0.3)" strokeWidth="1.4">
@@ -1040,6 +1291,14 @@ function DungeonTableView({ onBackToMenu }) {
           0% { transform: translateY(0); opacity: 1; }
           100% { transform: translateY(-22px); opacity: 0; }
         }
+        @keyframes tvTelegraphPulse {
+          0%, 100% { opacity: 0.45; }
+          50% { opacity: 1; }
+        }
+        @keyframes tvDiceTumble {
+          0% { transform: rotate(-540deg) scale(0.4); opacity: 0; }
+          100% { transform: rotate(0) scale(1); opacity: 1; }
+        }
       `}</style>
 
       <div className="ttd-shell">
@@ -1117,6 +1376,9 @@ function DungeonTableView({ onBackToMenu }) {
                         </span>
                       </div>
                       <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                        {seat.playerId && heroByOwnerId.get(seat.playerId)?.className ? (
+                          <span className="ttd-pill">{heroByOwnerId.get(seat.playerId).className}</span>
+                        ) : null}
                         {seat.playerId && heroByOwnerId.get(seat.playerId) ? (
                           <span className="ttd-pill">
                             {heroByOwnerId.get(seat.playerId).hp}/{heroByOwnerId.get(seat.playerId).maxHp}
@@ -1151,13 +1413,10 @@ function DungeonTableView({ onBackToMenu }) {
                   </div>
                   <div className="ttd-stat">
                     <label>Scenario Goal</label>
-                    <strong style={mono}>
-                      {scenario?.objective?.targetCount
-                        ? `${scenario?.defeatedCount || 0}/${scenario.objective.targetCount} defeated`
-                        : "In progress"}
-                    </strong>
-                    <div style={{ marginTop: 4, color: "var(--ttd-sub)", fontSize: "0.75rem", fontWeight: 700 }}>
-                      {scenario?.status === "victory" ? "Victory" : "Active"}
+                    <strong style={{ fontSize: "0.82rem" }}>{scenario?.summary || "In progress"}</strong>
+                    <div style={{ marginTop: 4, color: scenario?.status === "defeat" ? "#ff9b9b" : scenario?.status === "victory" ? "#8ff0b4" : "var(--ttd-sub)", fontSize: "0.75rem", fontWeight: 700 }}>
+                      {scenario?.status === "victory" ? "Victory" : scenario?.status === "defeat" ? "Defeat" : `Round ${scenario?.round || 1}`}
+                      {escort ? ` | ${escort.name} ${escort.hp}/${escort.maxHp}` : ""}
                     </div>
                   </div>
                 </div>
@@ -1204,6 +1463,12 @@ function DungeonTableView({ onBackToMenu }) {
                 <span className="ttd-pill">Terrain: {terrainTheme}</span>
               </div>
             </div>
+            {bosses.map((boss) => (
+              <BossHealthBar key={boss.id} boss={boss} />
+            ))}
+            {game?.turn?.initiative ? <InitiativeTracker round={scenario?.round} entries={game.turn.initiative} /> : null}
+            <ReactionBar reaction={game?.reaction || null} heroes={game?.heroes || []} />
+            <DiceTray rolls={game?.rolls || []} />
             <div className="ttd-board-scroll" ref={boardScrollRef}>
               <button
                 className="ttd-pan-btn ttd-pan-top"
@@ -1239,34 +1504,66 @@ function DungeonTableView({ onBackToMenu }) {
                   const x = visibleMinX + xi;
                   return Array.from({ length: visibleMaxY - visibleMinY + 1 }).map((__, yi) => {
                     const y = visibleMinY + yi;
+                    if (!isInBounds(x, y, boardTerrain)) return null;
                     const terrain = getTerrain(x, y);
                     const terrainTextureId = `ttd-terrain-${x}-${y}`.replace(/[^a-zA-Z0-9_-]/g, "_");
                     const heroHere = heroes.find((h) => h.x === x && h.y === y) || null;
                     const enemyHere = livingEnemies.find((e) => e.x === x && e.y === y) || null;
                     const lootHere = groundLoot.find((l) => l.x === x && l.y === y) || null;
+                    const escortHere = escort && escort.hp > 0 && escort.x === x && escort.y === y ? escort : null;
+                    const objectHere = objectAt(mapObjects, x, y);
+                    const telegraphHere = telegraphHexes.get(`${x},${y}`) || null;
+                    const isExitCell = Boolean(scenarioExit && scenarioExit.x === x && scenarioExit.y === y);
                     const isEnemy = Boolean(enemyHere);
                     const isLoot = Boolean(lootHere);
                     const isActiveCell = heroHere && heroHere.ownerPlayerId === activePlayerId;
                     const isHeroDown = Boolean(heroHere && heroHere.hp <= 0);
                     const isBlockedTerrain = !terrain.passable;
+                    const cellKey = `${x},${y}`;
+                    const fogState =
+                      !fog || visibleHexes.has(cellKey) ? "visible" : exploredHexes.has(cellKey) ? "remembered" : "unexplored";
 
                     const worldX = x * HEX_STEP_X;
                     const worldY = y * HEX_H + (x % 2 !== 0 ? HEX_H / 2 : 0);
                     const left = worldX - cameraPx.x + boardViewport.width / 2;
                     const top = worldY - cameraPx.y + boardViewport.height / 2;
 
+                    if (fogState === "unexplored") {
+                      return (
+                        <div key={cellKey} style={{ position: "absolute", left, top, width: HEX_W, height: HEX_H, pointerEvents: "none" }}>
+                          <svg
+                            width={HEX_W}
+                            height={HEX_H}
+                            viewBox={`0 0 ${HEX_W} ${HEX_H}`}
+                            aria-hidden="true"
+                            style={{ position: "absolute", inset: 0 }}
+                          >
+                            <polygon points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`} fill="rgba(7, 10, 15, 0.97)" stroke="rgba(255, 255, 255, 0.05)" strokeWidth={0.9} />
+                          </svg>
+                        </div>
+                      );
+                    }
+
                     const label = heroHere
                       ? isHeroDown
                         ? "DOWN"
                         : heroGlyph(heroHere)
                       : isEnemy
-                        ? `E${enemyHere.level || 1}`
-                        : isLoot
-                          ? "LOOT"
-                          : isBlockedTerrain
-                            ? "X"
-                            : "";
+                        ? enemyHere.boss
+                          ? "BOSS"
+                          : `E${enemyHere.level || 1}`
+                        : escortHere
+                          ? "ESC"
+                          : isLoot
+                            ? "LOOT"
+                            : isExitCell
+                              ? "EXIT"
+                              : isBlockedTerrain
+                                ? "X"
+                                : "";
                     const isMoveOption = moveOptions.has(`${x},${y}`);
+                    const isPreviewStep = previewRoute.has(cellKey);
+                    const isPreviewEnd = isPreviewStep && movePreview.to?.x === x && movePreview.to?.y === y;
                     const isHitCell = tableHitFx && tableHitFx.x === x && tableHitFx.y === y;
                     const isHeroHitCell =
                       tableHeroHitFx && heroHere && tableHeroHitFx.targetPlayerId === heroHere.ownerPlayerId;
@@ -1298,15 +1595,16 @@ function DungeonTableView({ onBackToMenu }) {
                         key={`${x},${y}`}
                         onClick={() => {
                           if (enemyHere) setEnemyInspectId(enemyHere.id);
+                          else setHexInspect({ x, y });
                         }}
-                        title={isEnemy ? "Show enemy details" : undefined}
+                        title={isEnemy ? "Show enemy details" : `${terrain.label}: tap for details`}
                         style={{
                           position: "absolute",
                           left,
                           top,
                           width: HEX_W,
                           height: HEX_H,
-                          pointerEvents: isEnemy ? "auto" : "none",
+                          pointerEvents: "auto",
                           display: "flex",
                           alignItems: "center",
                           justifyContent: "center",
@@ -1315,7 +1613,7 @@ function DungeonTableView({ onBackToMenu }) {
                           padding: 4,
                           color: "var(--ttd-ink)",
                           fontWeight: 800,
-                          cursor: isEnemy ? "pointer" : "default"
+                          cursor: "pointer"
                         }}
                       >
                         <svg
@@ -1339,12 +1637,58 @@ function DungeonTableView({ onBackToMenu }) {
                             />
                           ) : null}
                           {!isEnemy ? renderTerrainTexture(terrain, HEX_W, HEX_H, terrainTextureId) : null}
-                          {isBlockedTerrain ? (
+                          {isBlockedTerrain && terrain.id !== "wall" ? (
                             <>
                               <line x1={HEX_W * 0.28} y1={HEX_H * 0.22} x2={HEX_W * 0.72} y2={HEX_H * 0.78} stroke="rgba(225, 233, 241, 0.36)" strokeWidth="2.2" />
                               <line x1={HEX_W * 0.72} y1={HEX_H * 0.22} x2={HEX_W * 0.28} y2={HEX_H * 0.78} stroke="rgba(225, 233, 241, 0.36)" strokeWidth="2.2" />
                             </>
                           ) : null}
+                          {fogState === "remembered" ? (
+                            <polygon points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`} fill="rgba(7, 10, 15, 0.58)" />
+                          ) : null}
+                          {isExitCell ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(110, 190, 255, 0.16)"
+                              stroke="rgba(140, 205, 255, 0.9)"
+                              strokeWidth="3"
+                              strokeDasharray="8 5"
+                            />
+                          ) : null}
+                          {objectHere?.blocks ? (
+                            <rect x={HEX_W * 0.2} y={HEX_H * 0.42} width={HEX_W * 0.6} height={HEX_H * 0.16} rx={2} fill="rgba(120, 78, 44, 0.9)" stroke="rgba(232, 190, 140, 0.8)" strokeWidth="1.5" />
+                          ) : null}
+                          {escortHere ? (
+                            <circle cx={HEX_W / 2} cy={HEX_H / 2} r={HEX_H * 0.3} fill="rgba(120, 214, 160, 0.28)" stroke="rgba(150, 236, 184, 0.9)" strokeWidth="2" />
+                          ) : null}
+                          {telegraphHere ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(255, 72, 72, 0.28)"
+                              stroke="rgba(255, 96, 96, 0.95)"
+                              strokeWidth="3"
+                              strokeDasharray="6 4"
+                              style={{ animation: "tvTelegraphPulse 1.2s ease-in-out infinite" }}
+                            >
+                              <title>{`${telegraphHere.name}: ${telegraphHere.damage} damage on the boss's next turn`}</title>
+                            </polygon>
+                          ) : null}
+                          {isPreviewStep ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(255, 214, 102, 0.24)"
+                              stroke="rgba(255, 214, 102, 0.85)"
+                              strokeWidth={isPreviewEnd ? 4 : 2}
+                            />
+                          ) : null}
+                          {spellPreviewHexes.has(cellKey) ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(160, 110, 255, 0.26)"
+                              stroke="rgba(201, 166, 255, 0.9)"
+                              strokeWidth={spellPreview.target?.x === x && spellPreview.target?.y === y ? 4 : 2.5}
+                            />
+                          ) : null}
                           {isMoveOption ? (
                             <polygon
                               points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
@@ -1374,6 +1718,9 @@ function DungeonTableView({ onBackToMenu }) {
                         </svg>
                         <div style={{ position: "relative", textAlign: "center", lineHeight: 1.05 }}>
                           <div>{label}</div>
+                          <StatusBadges statuses={heroHere?.statuses || enemyHere?.statuses} />
+                          {!heroHere && !isEnemy ? <MapObjectBadge obj={objectHere} /> : null}
+                          {isPreviewEnd ? <div style={{ marginTop: 2, fontSize: 10, color: "#ffe29a" }}>{movePreview.apCost} AP</div> : null}
                           {isEnemy ? (
                             <div style={{ marginTop: 3, minWidth: 42 }}>
                               <div
@@ -1504,6 +1851,16 @@ function DungeonTableView({ onBackToMenu }) {
           </div>
         </div>
       ) : null}
+      {hexInspect ? (
+        <HexInspectModal
+          hex={hexInspect}
+          terrain={terrainAt(hexInspect.x, hexInspect.y, boardTerrain)}
+          obj={objectAt(mapObjects, hexInspect.x, hexInspect.y)}
+          exit={Boolean(scenarioExit && scenarioExit.x === hexInspect.x && scenarioExit.y === hexInspect.y)}
+          telegraph={telegraphHexes.get(`${hexInspect.x},${hexInspect.y}`) || null}
+          onClose={() => setHexInspect(null)}
+        />
+      ) : null}
       {enemyInspectId ? (
         <div className="ttd-modal-backdrop" onClick={() => setEnemyInspectId(null)}>
           <div className="ttd-modal" onClick={(e) => e.stopPropagation()}>
@@ -1514,6 +1871,9 @@ function DungeonTableView({ onBackToMenu }) {
                 <div style={{ marginBottom: 8, color: "var(--ttd-sub)", fontWeight: 700 }}>
                   Level {viewedEnemy.level} | Tier: {viewedEnemy.tier}
                 </div>
+                <div style={{ marginBottom: 8, fontWeight: 700 }}>
+                  {viewedEnemy.behavior.label}: <span style={{ color: "var(--ttd-sub)", fontWeight: 400 }}>{viewedEnemy.behavior.description}</span>
+                </div>
                 <div className="ttd-stat-grid" style={{ marginBottom: 10 }}>
                   <div className="ttd-stat">
                     <label>Health</label>
@@ -1523,7 +1883,18 @@ function DungeonTableView({ onBackToMenu }) {
                     <label>Attack Power</label>
                     <strong style={{ ...mono, color: "#ff8b8b" }}>{viewedEnemy.attackPower}</strong>
                   </div>
+                  <div className="ttd-stat">
+                    <label>Reach / Move</label>
+                    <strong style={mono}>
+                      {viewedEnemy.attackRange} hex / {viewedEnemy.moveAp} AP
+                    </strong>
+                  </div>
                 </div>
+                {viewedEnemy.statuses?.length ? (
+                  <div style={{ marginBottom: 8, fontWeight: 700 }}>
+                    {viewedEnemy.statuses.map((s) => `${statusById(s.id)?.icon || ""} ${describeStatus(s)}`).join("  ")}
+                  </div>
+                ) : null}
                 <p style={{ margin: 0, color: "var(--ttd-sub)" }}>{viewedEnemy.flavor}</p>
               </>
             ) : (
@@ -1575,67 +1946,9 @@ function DungeonTableView({ onBackToMenu }) {
 }
 
 
-const KEWL_SCENARIOS = [
-  {
-    id: "scenario-1",
-    title: "Rift Breach",
-    chapter: "Opening",
-    teaser: "A fresh breach is bleeding hostile energy into the frontier.",
-    intel: "Fast skirmishes, unstable terrain, and roaming rift spawn.",
-    difficulty: "Low",
-    estDuration: "20-30 min",
-    rewardHint: "Unlocks the first campaign split.",
-    selectable: true,
-    x: 18,
-    y: 52
-  },
-  {
-    id: "scenario-2a",
-    title: "Ironroot Hollow",
-    chapter: "Branch A",
-    teaser: "Track corrupted growth through choking caverns.",
-    intel: "Opens if the team secures relic shards in Rift Breach.",
-    difficulty: "Medium",
-    estDuration: "25-35 min",
-    rewardHint: "Potential ally route.",
-    selectable: false,
-    x: 50,
-    y: 24
-  },
-  {
-    id: "scenario-2b",
-    title: "Shatterline Convoy",
-    chapter: "Branch B",
-    teaser: "Escort survivors through artillery-scarred roads.",
-    intel: "Opens if the team prioritizes evacuation choices.",
-    difficulty: "Medium",
-    estDuration: "25-35 min",
-    rewardHint: "Resource cache route.",
-    selectable: false,
-    x: 50,
-    y: 80
-  },
-  {
-    id: "scenario-3",
-    title: "Citadel Threshold",
-    chapter: "Convergence",
-    teaser: "Face the breach command node once paths reconverge.",
-    intel: "Requires one branch completion from Chapter 2.",
-    difficulty: "High",
-    estDuration: "35-45 min",
-    rewardHint: "Chapter clear unlock.",
-    selectable: false,
-    x: 82,
-    y: 52
-  }
-];
-
-const KEWL_SCENARIO_LINKS = [
-  { id: "s1-s2a", x1: 18, y1: 52, x2: 50, y2: 24, unlocked: true },
-  { id: "s1-s2b", x1: 18, y1: 52, x2: 50, y2: 80, unlocked: true },
-  { id: "s2a-s3", x1: 50, y1: 24, x2: 82, y2: 52, unlocked: false },
-  { id: "s2b-s3", x1: 50, y1: 80, x2: 82, y2: 52, unlocked: false }
-];
+function isEmbarkable(node) {
+  return node?.status === "available" || node?.status === "completed";
+}
 
 function parseCampaignPlayerNames(raw) {
   const src = (raw ?? "").toString();
@@ -1660,6 +1973,9 @@ function KewlCardGameTableView({ onBackToMenu }) {
   const [scenarioSelectorOpen, setScenarioSelectorOpen] = useState(false);
   const [selectedScenarioId, setSelectedScenarioId] = useState("scenario-1");
   const [scenarioEmbarked, setScenarioEmbarked] = useState(false);
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [editorDraft, setEditorDraft] = useState(null);
+  const [editorNotice, setEditorNotice] = useState(null);
   const [publicState, setPublicState] = useState(null);
   const [error, setError] = useState(null);
   const [tableHitFx, setTableHitFx] = useState(null);
@@ -1668,6 +1984,7 @@ function KewlCardGameTableView({ onBackToMenu }) {
   const [qrOpen, setQrOpen] = useState(false);
   const [kickPrompt, setKickPrompt] = useState(null);
   const [enemyInspectId, setEnemyInspectId] = useState(null);
+  const [hexInspect, setHexInspect] = useState(null);
   const [cameraPx, setCameraPx] = useState({ x: 0, y: 0 });
   const [boardViewport, setBoardViewport] = useState({ width: 0, height: 0 });
   const [focusedPlayerId, setFocusedPlayerId] = useState(null);
@@ -1676,6 +1993,7 @@ function KewlCardGameTableView({ onBackToMenu }) {
   const [logOpen, setLogOpen] = useState(false);
 
   const wsRef = useRef(null);
+  const prevScenarioStatusRef = useRef(null);
   const prevEnemyHpRef = useRef({});
   const seenEnemyDamageAtRef = useRef(0);
   const audioCtxRef = useRef(null);
@@ -1706,11 +2024,21 @@ function KewlCardGameTableView({ onBackToMenu }) {
           setCampaignPromptOpen(false);
           setCreatingCampaign(false);
           setCampaignError(null);
-          setSelectedScenarioId("scenario-1");
+          setSelectedScenarioId(msg.payload?.campaign?.currentScenarioId || "scenario-1");
           setScenarioEmbarked(false);
           setScenarioSelectorOpen(true);
+        } else if (msg.t === MsgType.OK && msg.id === "scenario-embark") {
+          setScenarioEmbarked(true);
+          setScenarioSelectorOpen(false);
+        } else if (msg.t === MsgType.OK && msg.id === "scenario-save") {
+          const scenarioId = msg.payload?.scenarioId;
+          setEditorDraft((draft) => (draft ? { ...draft, id: scenarioId } : draft));
+          setEditorNotice({ ok: true, message: "Saved. It is on the route map, ready to embark." });
+          setSelectedScenarioId(scenarioId);
         } else if (msg.t === MsgType.STATE_PUBLIC) {
           setPublicState(msg.payload?.state ?? null);
+        } else if (msg.t === MsgType.ERROR && msg.id === "scenario-save") {
+          setEditorNotice({ ok: false, message: msg.payload?.message ?? "Could not save the scenario." });
         } else if (msg.t === MsgType.ERROR) {
           setError(msg.payload?.message ?? "Unknown error");
         }
@@ -1829,6 +2157,7 @@ function KewlCardGameTableView({ onBackToMenu }) {
     if (!confirmed) return;
     setKickPrompt(null);
     setEnemyInspectId(null);
+    setHexInspect(null);
     setQrOpen(false);
     setScenarioEmbarked(false);
     setSelectedScenarioId("scenario-1");
@@ -1847,10 +2176,33 @@ function KewlCardGameTableView({ onBackToMenu }) {
   }
 
   function embarkSelectedScenario() {
-    const selected = KEWL_SCENARIOS.find((node) => node.id === selectedScenarioId);
-    if (!selected || !selected.selectable) return;
-    setScenarioEmbarked(true);
-    setScenarioSelectorOpen(false);
+    const selected = scenarioNodes.find((node) => node.id === selectedScenarioId);
+    if (!selected || !isEmbarkable(selected)) return;
+    const running = scenario && scenario.status === "active" && scenario.id !== selected.id;
+    if (running && !window.confirm(`Abandon ${scenario.title} and embark on ${selected.name}?`)) return;
+    setError(null);
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      setError("Not connected to server.");
+      return;
+    }
+    ws.send(JSON.stringify(makeMsg(MsgType.SCENARIO_EMBARK, { scenarioId: selected.id, abandon: Boolean(running) }, "scenario-embark")));
+  }
+
+  function openScenarioEditor() {
+    setEditorDraft((draft) => draft || makeScenarioDraft());
+    setEditorNotice(null);
+    setEditorOpen(true);
+  }
+
+  function saveEditorScenario(scenario) {
+    setEditorNotice(null);
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      setEditorNotice({ ok: false, message: "Not connected to server." });
+      return;
+    }
+    ws.send(JSON.stringify(makeMsg(MsgType.SCENARIO_SAVE, { scenario }, "scenario-save")));
   }
 
   function kickPlayer(playerId, playerName) {
@@ -1945,14 +2297,25 @@ function KewlCardGameTableView({ onBackToMenu }) {
 
   const showCampaignPrompt = campaignPromptOpen;
   const showScenarioSelector = Boolean(sessionInfo) && !showCampaignPrompt && (scenarioSelectorOpen || !scenarioEmbarked);
-  const selectedScenario = KEWL_SCENARIOS.find((node) => node.id === selectedScenarioId) || KEWL_SCENARIOS[0];
+  const scenarioNodes = publicState?.scenarioGraph?.nodes || [];
+  const scenarioNodeById = new Map(scenarioNodes.map((node) => [node.id, node]));
+  const scenarioLinks = publicState?.scenarioGraph?.links || [];
+  const selectedScenario = scenarioNodeById.get(selectedScenarioId) || scenarioNodes[0] || null;
   const game = publicState?.game || null;
-  const terrainSeed = game?.terrain?.seed ?? 0;
+  const boardTerrain = game?.terrain ?? 0;
   const terrainTheme = game?.terrain?.theme || "frostwild-frontier";
   const scenario = game?.scenario || null;
+  const escort = game?.escort || null;
+  const scenarioExit = scenario?.objective?.exit || null;
   const heroes = game?.heroes || [];
   const enemies = game?.enemies || (game?.enemy ? [game.enemy] : []);
   const groundLoot = game?.groundLoot || [];
+  const mapObjects = game?.objects || [];
+  const bosses = game?.bosses || [];
+  const telegraphHexes = new Map((game?.telegraphs || []).flatMap((t) => t.hexes.map((k) => [k, t])));
+  const fog = game?.fog || null;
+  const visibleHexes = new Set(fog?.visible || []);
+  const exploredHexes = new Set(fog?.explored || []);
   const livingEnemies = enemies.filter((e) => e && e.hp > 0);
   const heroByOwnerId = new Map(heroes.map((h) => [h.ownerPlayerId, h]));
   const primaryEnemy = livingEnemies[0] || null;
@@ -1987,6 +2350,17 @@ function KewlCardGameTableView({ onBackToMenu }) {
     };
   }, []);
 
+  // Bring the route map back once an encounter ends so the table can pick what comes next.
+  useEffect(() => {
+    const status = scenario?.status || null;
+    const previous = prevScenarioStatusRef.current;
+    prevScenarioStatusRef.current = status;
+    if (previous === "active" && status && status !== "active") {
+      setSelectedScenarioId(scenario.id);
+      setScenarioSelectorOpen(true);
+    }
+  }, [scenario?.status, scenario?.id]);
+
   useEffect(() => {
     const nextEnemies = (publicState?.game?.enemies || (publicState?.game?.enemy ? [publicState.game.enemy] : [])).filter((e) => e && e.id);
     if (!nextEnemies.length) {
@@ -2052,11 +2426,10 @@ function KewlCardGameTableView({ onBackToMenu }) {
     return () => clearTimeout(t);
   }, [publicState]);
 
-  const moveRange = game?.rules?.moveRange ?? 1;
   const terrainCache = new Map();
   const getTerrain = (x, y) => {
     const key = `${x},${y}`;
-    if (!terrainCache.has(key)) terrainCache.set(key, terrainAt(x, y, terrainSeed));
+    if (!terrainCache.has(key)) terrainCache.set(key, terrainAt(x, y, boardTerrain));
     return terrainCache.get(key);
   };
   const occupied = new Set();
@@ -2064,14 +2437,18 @@ function KewlCardGameTableView({ onBackToMenu }) {
     if (h.hp > 0) occupied.add(`${h.x},${h.y}`);
   }
   for (const enemyUnit of livingEnemies) occupied.add(`${enemyUnit.x},${enemyUnit.y}`);
+  for (const k of routeBlockingKeys(mapObjects)) occupied.add(k);
 
-  const moveOptions = new Set();
+  let moveOptions = new Map();
   if (game && activeHero && activeHero.hp > 0 && apRemaining > 0) {
-    const inBounds = () => true;
-    const isBlocked = (x, y) => occupied.has(`${x},${y}`) || !getTerrain(x, y).passable;
-    const opts = hexWithinRange({ x: activeHero.x, y: activeHero.y }, moveRange, inBounds, isBlocked);
-    for (const k of opts) moveOptions.add(k);
+    const stepCost = statusStepCost(activeHero, (x, y) => (occupied.has(`${x},${y}`) ? null : terrainMoveCost(x, y, boardTerrain)));
+    moveOptions = hexesWithinCost({ x: activeHero.x, y: activeHero.y }, apRemaining, stepCost);
   }
+  const movePreview = publicState?.preview?.action === ActionType.MOVE ? publicState.preview : null;
+  const previewRoute = new Set((movePreview?.path || []).map((p) => `${p.x},${p.y}`));
+  // Area spells and aimed items both preview the hexes they reach.
+  const spellPreview = [ActionType.CAST_SPELL, ActionType.USE_ITEM].includes(publicState?.preview?.action) ? publicState.preview : null;
+  const spellPreviewHexes = new Set(spellPreview?.hexes || []);
 
   const HEX_SIZE = 68;
   const HEX_W = HEX_SIZE * 2;
@@ -2215,7 +2592,11 @@ function KewlCardGameTableView({ onBackToMenu }) {
       art: enemyUnit.art || "👹",
       flavor: enemyUnit.flavor || "A dangerous foe with unstable behavior.",
       hp: `${enemyUnit.hp}/${enemyUnit.maxHp}`,
-      attackPower: enemyUnit.attackPower ?? game?.rules?.enemyDamage ?? "-"
+      attackPower: enemyUnit.attackPower ?? game?.rules?.enemyDamage ?? "-",
+      attackRange: enemyUnit.attackRange ?? game?.rules?.attackRange ?? 1,
+      moveAp: enemyUnit.moveAp ?? "-",
+      behavior: behaviorMeta(enemyUnit.behavior),
+      statuses: enemyUnit.statuses || []
     };
   }
 
@@ -2332,6 +2713,36 @@ function KewlCardGameTableView({ onBackToMenu }) {
       );
     }
 
+    if (terrain.id === "ice") {
+      return (
+        <g stroke="rgba(236, 248, 255, 0.55)" strokeWidth="1.2" fill="none" strokeLinecap="round">
+          <path d={`M${width * 0.3} ${height * 0.3} L${width * 0.46} ${height * 0.5} L${width * 0.4} ${height * 0.72}`} />
+          <path d={`M${width * 0.46} ${height * 0.5} L${width * 0.68} ${height * 0.42}`} />
+          <path d={`M${width * 0.58} ${height * 0.66} L${width * 0.72} ${height * 0.6}`} />
+        </g>
+      );
+    }
+
+    if (terrain.id === "floor") {
+      return (
+        <g stroke="rgba(200, 192, 176, 0.22)" strokeWidth="1" fill="none">
+          <path d={`M${width * 0.22} ${height * 0.5} L${width * 0.78} ${height * 0.5}`} />
+          <path d={`M${width * 0.5} ${height * 0.16} L${width * 0.5} ${height * 0.5}`} />
+          <path d={`M${width * 0.36} ${height * 0.5} L${width * 0.36} ${height * 0.84}`} />
+          <path d={`M${width * 0.64} ${height * 0.5} L${width * 0.64} ${height * 0.84}`} />
+        </g>
+      );
+    }
+
+    if (terrain.id === "wall") {
+      return (
+        <g fill="rgba(62, 66, 76, 0.7)" stroke="rgba(18, 20, 24, 0.6)" strokeWidth="1">
+          <polygon points={`${width * 0.3},${height * 0.3} ${width * 0.52},${height * 0.22} ${width * 0.6},${height * 0.46} ${width * 0.36},${height * 0.52}`} />
+          <polygon points={`${width * 0.5},${height * 0.56} ${width * 0.72},${height * 0.5} ${width * 0.7},${height * 0.76} ${width * 0.46},${height * 0.78}`} />
+        </g>
+      );
+    }
+
     if (terrain.id === "boulder") {
       return (
         <g fill="none" stroke="rgba(215, 225, 236, 0.3)" strokeWidth="1.4">
@@ -2910,6 +3321,14 @@ function KewlCardGameTableView({ onBackToMenu }) {
           0% { transform: translateY(0); opacity: 1; }
           100% { transform: translateY(-22px); opacity: 0; }
         }
+        @keyframes tvTelegraphPulse {
+          0%, 100% { opacity: 0.45; }
+          50% { opacity: 1; }
+        }
+        @keyframes tvDiceTumble {
+          0% { transform: rotate(-540deg) scale(0.4); opacity: 0; }
+          100% { transform: rotate(0) scale(1); opacity: 1; }
+        }
       `}</style>
 
       <div className="ttd-shell">
@@ -2954,6 +3373,15 @@ function KewlCardGameTableView({ onBackToMenu }) {
                   >
                     Spawn Monster
                   </button>
+                  <button
+                    className="ttd-btn ttd-menu-item"
+                    onClick={() => {
+                      setMenuOpen(false);
+                      setScenarioSelectorOpen(true);
+                    }}
+                  >
+                    Scenario Map
+                  </button>
                   <button
                     className="ttd-btn ttd-menu-item"
                     onClick={() => {
@@ -3002,6 +3430,12 @@ function KewlCardGameTableView({ onBackToMenu }) {
             }}
             className="ttd-board-shell"
           >
+            {bosses.map((boss) => (
+              <BossHealthBar key={boss.id} boss={boss} />
+            ))}
+            {game?.turn?.initiative ? <InitiativeTracker round={scenario?.round} entries={game.turn.initiative} /> : null}
+            <ReactionBar reaction={game?.reaction || null} heroes={game?.heroes || []} />
+            <DiceTray rolls={game?.rolls || []} />
             <div className="ttd-board-scroll" ref={boardScrollRef}>
               <button
                 className="ttd-pan-btn ttd-pan-top"
@@ -3037,16 +3471,24 @@ function KewlCardGameTableView({ onBackToMenu }) {
                   const x = visibleMinX + xi;
                   return Array.from({ length: visibleMaxY - visibleMinY + 1 }).map((__, yi) => {
                     const y = visibleMinY + yi;
+                    if (!isInBounds(x, y, boardTerrain)) return null;
                     const terrain = getTerrain(x, y);
                     const terrainTextureId = `ttd-terrain-${x}-${y}`.replace(/[^a-zA-Z0-9_-]/g, "_");
                     const heroHere = heroes.find((h) => h.x === x && h.y === y) || null;
                     const enemyHere = livingEnemies.find((e) => e.x === x && e.y === y) || null;
                     const lootHere = groundLoot.find((l) => l.x === x && l.y === y) || null;
+                    const escortHere = escort && escort.hp > 0 && escort.x === x && escort.y === y ? escort : null;
+                    const objectHere = objectAt(mapObjects, x, y);
+                    const telegraphHere = telegraphHexes.get(`${x},${y}`) || null;
+                    const isExitCell = Boolean(scenarioExit && scenarioExit.x === x && scenarioExit.y === y);
                     const isEnemy = Boolean(enemyHere);
                     const isLoot = Boolean(lootHere);
                     const isActiveCell = heroHere && heroHere.ownerPlayerId === activePlayerId;
                     const isHeroDown = Boolean(heroHere && heroHere.hp <= 0);
                     const isBlockedTerrain = !terrain.passable;
+                    const cellKey = `${x},${y}`;
+                    const fogState =
+                      !fog || visibleHexes.has(cellKey) ? "visible" : exploredHexes.has(cellKey) ? "remembered" : "unexplored";
 
                     const worldX = x * HEX_STEP_X;
                     const worldY = y * HEX_H + (x % 2 !== 0 ? HEX_H / 2 : 0);
@@ -3055,18 +3497,42 @@ function KewlCardGameTableView({ onBackToMenu }) {
                     const tileW = HEX_W * boardZoom;
                     const tileH = HEX_H * boardZoom;
 
+                    if (fogState === "unexplored") {
+                      return (
+                        <div key={cellKey} style={{ position: "absolute", left, top, width: tileW, height: tileH, pointerEvents: "none" }}>
+                          <svg
+                            width={tileW}
+                            height={tileH}
+                            viewBox={`0 0 ${HEX_W} ${HEX_H}`}
+                            aria-hidden="true"
+                            style={{ position: "absolute", inset: 0 }}
+                          >
+                            <polygon points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`} fill="rgba(7, 10, 15, 0.97)" stroke="rgba(255, 255, 255, 0.05)" strokeWidth={0.9} />
+                          </svg>
+                        </div>
+                      );
+                    }
+
                     const label = heroHere
                       ? isHeroDown
                         ? "DOWN"
                         : heroGlyph(heroHere)
                       : isEnemy
-                        ? `E${enemyHere.level || 1}`
-                        : isLoot
-                          ? "LOOT"
-                          : isBlockedTerrain
-                            ? "X"
-                            : "";
+                        ? enemyHere.boss
+                          ? "BOSS"
+                          : `E${enemyHere.level || 1}`
+                        : escortHere
+                          ? "ESC"
+                          : isLoot
+                            ? "LOOT"
+                            : isExitCell
+                              ? "EXIT"
+                              : isBlockedTerrain
+                                ? "X"
+                                : "";
                     const isMoveOption = moveOptions.has(`${x},${y}`);
+                    const isPreviewStep = previewRoute.has(cellKey);
+                    const isPreviewEnd = isPreviewStep && movePreview.to?.x === x && movePreview.to?.y === y;
                     const isHitCell = tableHitFx && tableHitFx.x === x && tableHitFx.y === y;
                     const isHeroHitCell =
                       tableHeroHitFx && heroHere && tableHeroHitFx.targetPlayerId === heroHere.ownerPlayerId;
@@ -3098,15 +3564,16 @@ function KewlCardGameTableView({ onBackToMenu }) {
                         key={`${x},${y}`}
                         onClick={() => {
                           if (enemyHere) setEnemyInspectId(enemyHere.id);
+                          else setHexInspect({ x, y });
                         }}
-                        title={isEnemy ? "Show enemy details" : undefined}
+                        title={isEnemy ? "Show enemy details" : `${terrain.label}: tap for details`}
                         style={{
                           position: "absolute",
                           left,
                           top,
                           width: tileW,
                           height: tileH,
-                          pointerEvents: isEnemy ? "auto" : "none",
+                          pointerEvents: "auto",
                           display: "flex",
                           alignItems: "center",
                           justifyContent: "center",
@@ -3115,7 +3582,7 @@ function KewlCardGameTableView({ onBackToMenu }) {
                           padding: Math.max(2, 4 * boardZoom),
                           color: "var(--ttd-ink)",
                           fontWeight: 800,
-                          cursor: isEnemy ? "pointer" : "default"
+                          cursor: "pointer"
                         }}
                       >
                         <svg
@@ -3139,12 +3606,58 @@ function KewlCardGameTableView({ onBackToMenu }) {
                             />
                           ) : null}
                           {!isEnemy ? renderTerrainTexture(terrain, HEX_W, HEX_H, terrainTextureId) : null}
-                          {isBlockedTerrain ? (
+                          {isBlockedTerrain && terrain.id !== "wall" ? (
                             <>
                               <line x1={HEX_W * 0.28} y1={HEX_H * 0.22} x2={HEX_W * 0.72} y2={HEX_H * 0.78} stroke="rgba(225, 233, 241, 0.36)" strokeWidth="2.2" />
                               <line x1={HEX_W * 0.72} y1={HEX_H * 0.22} x2={HEX_W * 0.28} y2={HEX_H * 0.78} stroke="rgba(225, 233, 241, 0.36)" strokeWidth="2.2" />
                             </>
                           ) : null}
+                          {fogState === "remembered" ? (
+                            <polygon points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`} fill="rgba(7, 10, 15, 0.58)" />
+                          ) : null}
+                          {isExitCell ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(110, 190, 255, 0.16)"
+                              stroke="rgba(140, 205, 255, 0.9)"
+                              strokeWidth="3"
+                              strokeDasharray="8 5"
+                            />
+                          ) : null}
+                          {objectHere?.blocks ? (
+                            <rect x={HEX_W * 0.2} y={HEX_H * 0.42} width={HEX_W * 0.6} height={HEX_H * 0.16} rx={2} fill="rgba(120, 78, 44, 0.9)" stroke="rgba(232, 190, 140, 0.8)" strokeWidth="1.5" />
+                          ) : null}
+                          {escortHere ? (
+                            <circle cx={HEX_W / 2} cy={HEX_H / 2} r={HEX_H * 0.3} fill="rgba(120, 214, 160, 0.28)" stroke="rgba(150, 236, 184, 0.9)" strokeWidth="2" />
+                          ) : null}
+                          {telegraphHere ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(255, 72, 72, 0.28)"
+                              stroke="rgba(255, 96, 96, 0.95)"
+                              strokeWidth="3"
+                              strokeDasharray="6 4"
+                              style={{ animation: "tvTelegraphPulse 1.2s ease-in-out infinite" }}
+                            >
+                              <title>{`${telegraphHere.name}: ${telegraphHere.damage} damage on the boss's next turn`}</title>
+                            </polygon>
+                          ) : null}
+                          {isPreviewStep ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(255, 214, 102, 0.24)"
+                              stroke="rgba(255, 214, 102, 0.85)"
+                              strokeWidth={isPreviewEnd ? 4 : 2}
+                            />
+                          ) : null}
+                          {spellPreviewHexes.has(cellKey) ? (
+                            <polygon
+                              points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
+                              fill="rgba(160, 110, 255, 0.26)"
+                              stroke="rgba(201, 166, 255, 0.9)"
+                              strokeWidth={spellPreview.target?.x === x && spellPreview.target?.y === y ? 4 : 2.5}
+                            />
+                          ) : null}
                           {isMoveOption ? (
                             <polygon
                               points={`${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`}
@@ -3174,6 +3687,9 @@ function KewlCardGameTableView({ onBackToMenu }) {
                         </svg>
                         <div style={{ position: "relative", textAlign: "center", lineHeight: 1.05 }}>
                           <div>{label}</div>
+                          <StatusBadges statuses={heroHere?.statuses || enemyHere?.statuses} />
+                          {!heroHere && !isEnemy ? <MapObjectBadge obj={objectHere} /> : null}
+                          {isPreviewEnd ? <div style={{ marginTop: 2, fontSize: 10, color: "#ffe29a" }}>{movePreview.apCost} AP</div> : null}
                           {isEnemy ? (
                             <div style={{ marginTop: 3, minWidth: 42 }}>
                               <div
@@ -3367,38 +3883,43 @@ function KewlCardGameTableView({ onBackToMenu }) {
             <div className="ttd-scenario-grid">
               <section className="ttd-scenario-map" aria-label="Scenario process map">
                 <svg className="ttd-scenario-links" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
-                  {KEWL_SCENARIO_LINKS.map((link) => (
-                    <line
-                      key={link.id}
-                      x1={link.x1}
-                      y1={link.y1}
-                      x2={link.x2}
-                      y2={link.y2}
-                      stroke={link.unlocked ? "rgba(112, 198, 236, 0.54)" : "rgba(148, 166, 186, 0.34)"}
-                      strokeWidth="1.6"
-                      strokeDasharray={link.unlocked ? "0" : "2.8 2.8"}
-                    />
-                  ))}
+                  {scenarioLinks.map((link) => {
+                    const from = scenarioNodeById.get(link.from);
+                    const to = scenarioNodeById.get(link.to);
+                    if (!from || !to) return null;
+                    return (
+                      <line
+                        key={link.id}
+                        x1={from.map.x}
+                        y1={from.map.y}
+                        x2={to.map.x}
+                        y2={to.map.y}
+                        stroke={link.open ? "rgba(112, 198, 236, 0.54)" : "rgba(148, 166, 186, 0.34)"}
+                        strokeWidth="1.6"
+                        strokeDasharray={link.open ? "0" : "2.8 2.8"}
+                      />
+                    );
+                  })}
                 </svg>
-                {KEWL_SCENARIOS.map((node) => {
+                {scenarioNodes.map((node) => {
                   const isSelected = selectedScenario?.id === node.id;
                   return (
                     <button
                       key={node.id}
-                      className={`ttd-scenario-node ${node.selectable ? "available" : "locked"}${isSelected ? " selected" : ""}`}
-                      style={{ left: `${node.x}%`, top: `${node.y}%` }}
+                      className={`ttd-scenario-node ${isEmbarkable(node) ? "available" : "locked"}${isSelected ? " selected" : ""}`}
+                      style={{ left: `${node.map.x}%`, top: `${node.map.y}%` }}
                       onClick={() => openScenarioDetails(node.id)}
                       aria-pressed={isSelected}
                     >
                       <span className="ttd-scenario-kicker">{node.chapter}</span>
-                      <span className="ttd-scenario-name">{node.title}</span>
+                      <span className="ttd-scenario-name">{node.name}</span>
                       <span className="ttd-scenario-teaser">{node.teaser}</span>
                     </button>
                   );
                 })}
               </section>
               <aside className="ttd-scenario-detail">
-                <h3 style={{ margin: 0 }}>{selectedScenario?.title || "Scenario Details"}</h3>
+                <h3 style={{ margin: 0 }}>{selectedScenario?.name || "Scenario Details"}</h3>
                 <div className="ttd-detail-chip-row">
                   <span className="ttd-detail-chip">Difficulty: {selectedScenario?.difficulty || "-"}</span>
                   <span className="ttd-detail-chip">Duration: {selectedScenario?.estDuration || "-"}</span>
@@ -3406,16 +3927,26 @@ function KewlCardGameTableView({ onBackToMenu }) {
                 <p className="ttd-scenario-branch-note">{selectedScenario?.teaser}</p>
                 <p className="ttd-scenario-branch-note">{selectedScenario?.intel}</p>
                 <p className="ttd-scenario-branch-note">Reward hint: {selectedScenario?.rewardHint}</p>
-                {!selectedScenario?.selectable ? (
-                  <p className="ttd-scenario-branch-note">Locked for now: complete Scenario 1 to open this branch.</p>
+                {selectedScenario?.note ? (
+                  <p className="ttd-scenario-branch-note">{selectedScenario.note}</p>
+                ) : selectedScenario?.status === "completed" ? (
+                  <p className="ttd-scenario-branch-note">Completed: embark again to replay it.</p>
                 ) : (
-                  <p className="ttd-scenario-branch-note">Ready: this is the first playable scenario.</p>
+                  <p className="ttd-scenario-branch-note">Ready: the party can embark on this scenario.</p>
                 )}
                 <div className="ttd-scenario-actions">
                   <button className="ttd-btn" onClick={openCampaignPicker}>
                     Switch Campaign
                   </button>
-                  <button className="ttd-btn primary" onClick={embarkSelectedScenario} disabled={!selectedScenario?.selectable}>
+                  <button className="ttd-btn" onClick={openScenarioEditor}>
+                    Scenario Editor
+                  </button>
+                  {scenarioEmbarked ? (
+                    <button className="ttd-btn" onClick={() => setScenarioSelectorOpen(false)}>
+                      Close
+                    </button>
+                  ) : null}
+                  <button className="ttd-btn primary" onClick={embarkSelectedScenario} disabled={!selectedScenario || !isEmbarkable(selectedScenario)}>
                     Embark
                   </button>
                 </div>
@@ -3424,6 +3955,27 @@ function KewlCardGameTableView({ onBackToMenu }) {
           </div>
         </div>
       ) : null}
+      {editorOpen && editorDraft ? (
+        <ScenarioEditor
+          draft={editorDraft}
+          onChange={setEditorDraft}
+          options={sessionInfo?.scenarioEditor}
+          scenarios={scenarioNodes}
+          notice={editorNotice}
+          onSave={saveEditorScenario}
+          onClose={() => setEditorOpen(false)}
+        />
+      ) : null}
+      {hexInspect ? (
+        <HexInspectModal
+          hex={hexInspect}
+          terrain={terrainAt(hexInspect.x, hexInspect.y, boardTerrain)}
+          obj={objectAt(mapObjects, hexInspect.x, hexInspect.y)}
+          exit={Boolean(scenarioExit && scenarioExit.x === hexInspect.x && scenarioExit.y === hexInspect.y)}
+          telegraph={telegraphHexes.get(`${hexInspect.x},${hexInspect.y}`) || null}
+          onClose={() => setHexInspect(null)}
+        />
+      ) : null}
       {enemyInspectId ? (
         <div className="ttd-modal-backdrop" onClick={() => setEnemyInspectId(null)}>
           <div className="ttd-modal" onClick={(e) => e.stopPropagation()}>
@@ -3434,6 +3986,9 @@ function KewlCardGameTableView({ onBackToMenu }) {
                 <div style={{ marginBottom: 8, color: "var(--ttd-sub)", fontWeight: 700 }}>
                   Level {viewedEnemy.level} | Tier: {viewedEnemy.tier}
                 </div>
+                <div style={{ marginBottom: 8, fontWeight: 700 }}>
+                  {viewedEnemy.behavior.label}: <span style={{ color: "var(--ttd-sub)", fontWeight: 400 }}>{viewedEnemy.behavior.description}</span>
+                </div>
                 <div className="ttd-stat-grid" style={{ marginBottom: 10 }}>
                   <div className="ttd-stat">
                     <label>Health</label>
@@ -3443,7 +3998,18 @@ function KewlCardGameTableView({ onBackToMenu }) {
                     <label>Attack Power</label>
                     <strong style={{ ...mono, color: "#ff8b8b" }}>{viewedEnemy.attackPower}</strong>
                   </div>
+                  <div className="ttd-stat">
+                    <label>Reach / Move</label>
+                    <strong style={mono}>
+                      {viewedEnemy.attackRange} hex / {viewedEnemy.moveAp} AP
+                    </strong>
+                  </div>
                 </div>
+                {viewedEnemy.statuses?.length ? (
+                  <div style={{ marginBottom: 8, fontWeight: 700 }}>
+                    {viewedEnemy.statuses.map((s) => `${statusById(s.id)?.icon || ""} ${describeStatus(s)}`).join("  ")}
+                  </div>
+                ) : null}
                 <p style={{ margin: 0, color: "var(--ttd-sub)" }}>{viewedEnemy.flavor}</p>
               </>
             ) : (
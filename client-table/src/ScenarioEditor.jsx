@@ -0,0 +1,507 @@
+import React, { useRef, useState } from "react";
+import { TERRAIN_BY_TILE, TERRAIN_META } from "../../shared/game.js";
+import { MAP_MAX_SIZE, MapMarker, mapProblems } from "../../shared/maps.js";
+import { CRAFTING_STATIONS, OBJECT_META, ObjectType } from "../../shared/objects.js";
+import { ObjectiveType } from "../../shared/scenarios.js";
+import { STATUS_EFFECTS, statusById } from "../../shared/status.js";
+
+// Touch-first scenario editor for the table: paint terrain and markers onto map rows (the
+// content-pack format of shared/maps.js), drop map objects, fill in the route map details and
+// objective, and save the draft to the server (SCENARIO_SAVE), which checks it and puts it on
+// every campaign's route map.
+
+const HEX_SIZE = 16;
+const HEX_W = HEX_SIZE * 2;
+const HEX_H = Math.sqrt(3) * HEX_SIZE;
+const HEX_STEP_X = HEX_SIZE * 1.5;
+const HEX_POINTS = `${HEX_W * 0.25},0 ${HEX_W * 0.75},0 ${HEX_W},${HEX_H * 0.5} ${HEX_W * 0.75},${HEX_H} ${HEX_W * 0.25},${HEX_H} 0,${HEX_H * 0.5}`;
+const FLOOR = TERRAIN_META.floor.tile;
+const WALL = TERRAIN_META.wall.tile;
+
+const MARKER_TOOLS = Object.freeze([
+  Object.freeze({ ch: MapMarker.ENTRANCE, label: "Entrance", color: "#5cb882" }),
+  Object.freeze({ ch: MapMarker.SPAWN, label: "Enemy spawn", color: "#ff7b7b" }),
+  Object.freeze({ ch: MapMarker.EXIT, label: "Exit", color: "#6fb8ff" })
+]);
+const MARKER_BY_CH = Object.freeze(Object.fromEntries(MARKER_TOOLS.map((m) => [m.ch, m])));
+
+const OBJECTIVE_LABELS = Object.freeze({
+  [ObjectiveType.DEFEAT_COUNT]: "Defeat monsters",
+  [ObjectiveType.DEFEAT_BOSS]: "Defeat a boss",
+  [ObjectiveType.SURVIVE_ROUNDS]: "Survive rounds",
+  [ObjectiveType.REACH_EXIT]: "Reach the exit",
+  [ObjectiveType.ESCORT]: "Escort to the exit"
+});
+
+function blankRows(width, height) {
+  return Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (__, x) => (x === 0 || y === 0 || x === width - 1 || y === height - 1 ? WALL : FLOOR)).join("")
+  );
+}
+
+export function makeScenarioDraft() {
+  const rows = blankRows(20, 12).map((row) => row.split(""));
+  rows[5][2] = MapMarker.ENTRANCE;
+  rows[6][2] = MapMarker.ENTRANCE;
+  rows[5][15] = MapMarker.SPAWN;
+  return {
+    id: null,
+    name: "",
+    chapter: "Homebrew",
+    teaser: "",
+    intel: "",
+    difficulty: "Medium",
+    map: { x: 50, y: 92 },
+    after: "",
+    objective: { type: ObjectiveType.DEFEAT_COUNT, targetCount: 4, rounds: 8, bossId: "", escortName: "Survivor", escortHp: 8 },
+    rows: rows.map((row) => row.join("")),
+    objects: []
+  };
+}
+
+function hexCenter(x, y) {
+  return { cx: x * HEX_STEP_X + HEX_W / 2, cy: y * HEX_H + HEX_H / 2 + (x % 2 ? HEX_H / 2 : 0) };
+}
+
+function cellFill(ch) {
+  return (TERRAIN_META[TERRAIN_BY_TILE[ch]] || TERRAIN_META.floor).fill;
+}
+
+function nextObjectId(objects, type) {
+  let n = 1;
+  while (objects.some((obj) => obj.id === `${type}-${n}`)) n += 1;
+  return `${type}-${n}`;
+}
+
+// The request body for SCENARIO_SAVE.
+function draftPayload(draft) {
+  const { objective } = draft;
+  return {
+    id: draft.id,
+    name: draft.name,
+    chapter: draft.chapter,
+    teaser: draft.teaser,
+    intel: draft.intel,
+    difficulty: draft.difficulty,
+    map: draft.map,
+    unlock: { completed: draft.after ? [draft.after] : [] },
+    objective: {
+      type: objective.type,
+      targetCount: objective.targetCount,
+      rounds: objective.rounds,
+      bossId: objective.bossId,
+      escort: { name: objective.escortName, hp: objective.escortHp }
+    },
+    rows: draft.rows,
+    objects: draft.objects
+  };
+}
+
+// `onChange` takes the next draft or, like a state setter, a function of the current one.
+export default function ScenarioEditor({ draft, onChange, options, scenarios, notice, onSave, onClose }) {
+  const [tool, setTool] = useState({ kind: "terrain", id: "wall" });
+  const [selectedObjectId, setSelectedObjectId] = useState(null);
+  const [size, setSize] = useState({ w: draft.rows[0].length, h: draft.rows.length });
+  const svgRef = useRef(null);
+  const paintingRef = useRef(false);
+
+  const width = draft.rows[0].length;
+  const height = draft.rows.length;
+  const selectedObject = draft.objects.find((obj) => obj.id === selectedObjectId) || null;
+  const counts = draft.rows.join("").split("").reduce((acc, ch) => ({ ...acc, [ch]: (acc[ch] || 0) + 1 }), {});
+  const lootTables = options?.lootTables || [];
+  const bosses = options?.bosses || [];
+  const problems = [
+    ...(draft.name.trim() ? [] : ["Name the scenario."]),
+    ...mapProblems(draft.rows),
+    ...(counts[MapMarker.SPAWN] ? [] : ["Add at least one enemy spawn (S)."]),
+    ...([ObjectiveType.REACH_EXIT, ObjectiveType.ESCORT].includes(draft.objective.type) && !counts[MapMarker.EXIT] ? ["Add an exit (X)."] : []),
+    ...(draft.objective.type === ObjectiveType.DEFEAT_BOSS && !draft.objective.bossId ? ["Pick a boss."] : [])
+  ];
+
+  function update(patch) {
+    onChange({ ...draft, ...patch });
+  }
+
+  function updateObjective(patch) {
+    update({ objective: { ...draft.objective, ...patch } });
+  }
+
+  function updateObject(objectId, patch) {
+    update({ objects: draft.objects.map((obj) => (obj.id === objectId ? { ...obj, ...patch } : obj)) });
+  }
+
+  function removeObject(objectId) {
+    update({
+      objects: draft.objects
+        .filter((obj) => obj.id !== objectId)
+        .map((obj) => (obj.type === ObjectType.LEVER ? { ...obj, targets: obj.targets.filter((id) => id !== objectId) } : obj))
+    });
+    setSelectedObjectId(null);
+  }
+
+  function setCell(rows, x, y, ch) {
+    const row = rows[y];
+    rows[y] = row.slice(0, x) + ch + row.slice(x + 1);
+  }
+
+  // One tap (or one hex of a drag) with the current tool.
+  function applyTool(x, y, dragging) {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const objectHere = draft.objects.find((obj) => obj.x === x && obj.y === y) || null;
+    if (tool.kind === "select") {
+      if (!dragging) setSelectedObjectId(objectHere?.id || null);
+      return;
+    }
+    if (tool.kind === "object") {
+      if (dragging) return;
+      if (objectHere) {
+        setSelectedObjectId(objectHere.id);
+        return;
+      }
+      const id = nextObjectId(draft.objects, tool.type);
+      const base = { id, type: tool.type, name: OBJECT_META[tool.type].label, x, y };
+      const extra =
+        tool.type === ObjectType.DOOR
+          ? { locked: false }
+          : tool.type === ObjectType.CHEST
+            ? { lootTable: lootTables[0] || "" }
+            : tool.type === ObjectType.LEVER
+              ? { targets: [] }
+              : tool.type === ObjectType.STATION
+                ? { station: Object.keys(CRAFTING_STATIONS)[0] }
+                : { damage: 2, status: null };
+      update({ objects: [...draft.objects, { ...base, ...extra }] });
+      setSelectedObjectId(id);
+      return;
+    }
+    if (tool.kind === "erase" && objectHere) {
+      removeObject(objectHere.id);
+      return;
+    }
+    // Drags paint faster than renders land, so each hex builds on the latest rows.
+    onChange((current) => {
+      const rows = [...current.rows];
+      if (tool.kind === "erase") {
+        if (MARKER_BY_CH[rows[y][x]]) setCell(rows, x, y, FLOOR);
+      } else if (tool.kind === "marker") {
+        // There is only one exit; placing it again moves it.
+        if (tool.ch === MapMarker.EXIT) rows.forEach((row, ry) => row.includes(MapMarker.EXIT) && setCell(rows, row.indexOf(MapMarker.EXIT), ry, FLOOR));
+        setCell(rows, x, y, tool.ch);
+      } else {
+        setCell(rows, x, y, TERRAIN_META[tool.id].tile);
+      }
+      return rows.some((row, ry) => row !== current.rows[ry]) ? { ...current, rows } : current;
+    });
+  }
+
+  // The hex under a pointer, found from the nearest hex centre so drags work on touch screens too.
+  function hexAtPointer(ev) {
+    const svg = svgRef.current;
+    if (!svg) return null;
+    const box = svg.getBoundingClientRect();
+    const scale = box.width / (width * HEX_STEP_X + HEX_W / 2);
+    const px = (ev.clientX - box.left) / scale;
+    const py = (ev.clientY - box.top) / scale;
+    const col = Math.round((px - HEX_W / 2) / HEX_STEP_X);
+    let best = null;
+    for (let x = col - 1; x <= col + 1; x += 1) {
+      const row = Math.round((py - HEX_H / 2 - (x % 2 ? HEX_H / 2 : 0)) / HEX_H);
+      for (let y = row - 1; y <= row + 1; y += 1) {
+        const { cx, cy } = hexCenter(x, y);
+        const d = (cx - px) ** 2 + (cy - py) ** 2;
+        if (!best || d < best.d) best = { x, y, d };
+      }
+    }
+    return best;
+  }
+
+  function onPointerDown(ev) {
+    ev.currentTarget.setPointerCapture?.(ev.pointerId);
+    paintingRef.current = true;
+    const hex = hexAtPointer(ev);
+    if (hex) applyTool(hex.x, hex.y, false);
+  }
+
+  function onPointerMove(ev) {
+    if (!paintingRef.current || (tool.kind !== "terrain" && tool.kind !== "erase")) return;
+    const hex = hexAtPointer(ev);
+    if (hex) applyTool(hex.x, hex.y, true);
+  }
+
+  function stopPainting() {
+    paintingRef.current = false;
+  }
+
+  function resizeMap() {
+    const w = Math.max(6, Math.min(MAP_MAX_SIZE, Math.floor(Number(size.w) || width)));
+    const h = Math.max(6, Math.min(MAP_MAX_SIZE, Math.floor(Number(size.h) || height)));
+    const rows = Array.from({ length: h }, (_, y) => Array.from({ length: w }, (__, x) => draft.rows[y]?.[x] ?? FLOOR).join(""));
+    update({ rows, objects: draft.objects.filter((obj) => obj.x < w && obj.y < h) });
+    setSize({ w, h });
+  }
+
+  const toolButton = (key, active, label, onClick, swatch) => (
+    <button key={key} className={`ttd-btn${active ? " primary" : ""}`} onClick={onClick} style={{ display: "flex", alignItems: "center", gap: 6, padding: "6px 8px", fontSize: "0.78rem" }}>
+      {swatch ? <span style={{ width: 14, height: 14, borderRadius: 4, background: swatch, border: "1px solid rgba(255,255,255,0.25)" }} /> : null}
+      {label}
+    </button>
+  );
+
+  const field = (label, input) => (
+    <label style={{ display: "grid", gap: 4, fontSize: "0.78rem", fontWeight: 700, color: "var(--ttd-sub)" }}>
+      {label}
+      {input}
+    </label>
+  );
+
+  return (
+    <div className="ttd-modal-backdrop ttd-scenario-backdrop" style={{ zIndex: 28 }}>
+      <div className="ttd-scenario-shell" style={{ width: "min(1400px, 99vw)", maxHeight: "96vh", overflow: "auto" }}>
+        <div className="ttd-modal-head">
+          <h3>Scenario Editor</h3>
+          <span className="ttd-pill">{draft.id ? `Saved as ${draft.id}` : "Unsaved draft"}</span>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "180px 1fr 300px", gap: 12, alignItems: "start" }}>
+          <aside style={{ display: "grid", gap: 6 }}>
+            <div className="ttd-field-hint">Terrain</div>
+            {Object.values(TERRAIN_META).map((meta) =>
+              toolButton(meta.id, tool.kind === "terrain" && tool.id === meta.id, meta.label, () => setTool({ kind: "terrain", id: meta.id }), meta.fill)
+            )}
+            <div className="ttd-field-hint">Markers</div>
+            {MARKER_TOOLS.map((m) => toolButton(m.ch, tool.kind === "marker" && tool.ch === m.ch, `${m.ch} ${m.label}`, () => setTool({ kind: "marker", ch: m.ch }), m.color))}
+            <div className="ttd-field-hint">Objects</div>
+            {Object.values(ObjectType).map((type) =>
+              toolButton(type, tool.kind === "object" && tool.type === type, `${OBJECT_META[type].icon} ${OBJECT_META[type].label}`, () => setTool({ kind: "object", type }))
+            )}
+            <div className="ttd-field-hint">Edit</div>
+            {toolButton("select", tool.kind === "select", "Select object", () => setTool({ kind: "select" }))}
+            {toolButton("erase", tool.kind === "erase", "Erase marker/object", () => setTool({ kind: "erase" }))}
+          </aside>
+
+          <section style={{ display: "grid", gap: 8 }}>
+            <div style={{ display: "flex", gap: 8, alignItems: "end", flexWrap: "wrap" }}>
+              {field("Width", <input className="ttd-input" type="number" min={6} max={MAP_MAX_SIZE} value={size.w} onChange={(e) => setSize({ ...size, w: e.target.value })} style={{ width: 80 }} />)}
+              {field("Height", <input className="ttd-input" type="number" min={6} max={MAP_MAX_SIZE} value={size.h} onChange={(e) => setSize({ ...size, h: e.target.value })} style={{ width: 80 }} />)}
+              <button className="ttd-btn" onClick={resizeMap}>
+                Resize
+              </button>
+              <span className="ttd-field-hint" style={{ marginTop: 0 }}>
+                {counts[MapMarker.ENTRANCE] || 0} entrances, {counts[MapMarker.SPAWN] || 0} spawns, {counts[MapMarker.EXIT] ? "exit placed" : "no exit"}, {draft.objects.length} objects
+              </span>
+            </div>
+            <div style={{ overflow: "auto", borderRadius: 12, border: "1px solid rgba(148, 166, 186, 0.2)", background: "rgba(8, 12, 18, 0.8)", padding: 6 }}>
+              <svg
+                ref={svgRef}
+                width={(width * HEX_STEP_X + HEX_W / 2) * 1.4}
+                height={(height * HEX_H + HEX_H / 2) * 1.4}
+                viewBox={`0 0 ${width * HEX_STEP_X + HEX_W / 2} ${height * HEX_H + HEX_H / 2}`}
+                style={{ display: "block", touchAction: "none", userSelect: "none" }}
+                onPointerDown={onPointerDown}
+                onPointerMove={onPointerMove}
+                onPointerUp={stopPainting}
+                onPointerCancel={stopPainting}
+                onPointerLeave={stopPainting}
+              >
+                {draft.rows.map((row, y) =>
+                  [...row].map((ch, x) => {
+                    const { cx, cy } = hexCenter(x, y);
+                    const marker = MARKER_BY_CH[ch];
+                    const obj = draft.objects.find((o) => o.x === x && o.y === y);
+                    const selected = obj && obj.id === selectedObjectId;
+                    return (
+                      <g key={`${x},${y}`} transform={`translate(${cx - HEX_W / 2}, ${cy - HEX_H / 2})`}>
+                        <polygon points={HEX_POINTS} fill={cellFill(ch)} stroke={selected ? "#ffd666" : "rgba(200, 210, 220, 0.18)"} strokeWidth={selected ? 2 : 0.8} />
+                        {marker ? (
+                          <text x={HEX_W / 2} y={HEX_H / 2 + 4} textAnchor="middle" fontSize="11" fontWeight="800" fill={marker.color}>
+                            {marker.ch}
+                          </text>
+                        ) : null}
+                        {obj ? (
+                          <text x={HEX_W / 2} y={HEX_H / 2 + 5} textAnchor="middle" fontSize="13">
+                            {OBJECT_META[obj.type]?.icon}
+                          </text>
+                        ) : null}
+                      </g>
+                    );
+                  })
+                )}
+              </svg>
+            </div>
+            {selectedObject ? (
+              <div className="ttd-modal" style={{ width: "auto", display: "grid", gap: 8 }}>
+                <strong>
+                  {OBJECT_META[selectedObject.type].icon} {selectedObject.id} at ({selectedObject.x},{selectedObject.y})
+                </strong>
+                {field("Name", <input className="ttd-input" value={selectedObject.name} maxLength={32} onChange={(e) => updateObject(selectedObject.id, { name: e.target.value })} />)}
+                {selectedObject.type === ObjectType.DOOR ? (
+                  <label style={{ display: "flex", gap: 8, alignItems: "center", fontWeight: 700 }}>
+                    <input type="checkbox" checked={selectedObject.locked} onChange={(e) => updateObject(selectedObject.id, { locked: e.target.checked })} />
+                    Locked (only a lever opens it)
+                  </label>
+                ) : null}
+                {selectedObject.type === ObjectType.CHEST
+                  ? field(
+                      "Loot table",
+                      <select className="ttd-input" value={selectedObject.lootTable} onChange={(e) => updateObject(selectedObject.id, { lootTable: e.target.value })}>
+                        {lootTables.map((id) => (
+                          <option key={id} value={id}>
+                            {id}
+                          </option>
+                        ))}
+                      </select>
+                    )
+                  : null}
+                {selectedObject.type === ObjectType.STATION
+                  ? field(
+                      "Station",
+                      <select className="ttd-input" value={selectedObject.station} onChange={(e) => updateObject(selectedObject.id, { station: e.target.value })}>
+                        {Object.entries(CRAFTING_STATIONS).map(([kind, meta]) => (
+                          <option key={kind} value={kind}>
+                            {meta.label}
+                          </option>
+                        ))}
+                      </select>
+                    )
+                  : null}
+                {selectedObject.type === ObjectType.LEVER ? (
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                    {draft.objects
+                      .filter((obj) => obj.type === ObjectType.DOOR || obj.type === ObjectType.TRAP)
+                      .map((obj) => {
+                        const wired = selectedObject.targets.includes(obj.id);
+                        return toolButton(obj.id, wired, `${wired ? "Wired: " : ""}${obj.name} (${obj.id})`, () =>
+                          updateObject(selectedObject.id, { targets: wired ? selectedObject.targets.filter((id) => id !== obj.id) : [...selectedObject.targets, obj.id] })
+                        );
+                      })}
+                  </div>
+                ) : null}
+                {selectedObject.type === ObjectType.TRAP ? (
+                  <div style={{ display: "flex", gap: 8 }}>
+                    {field("Damage", <input className="ttd-input" type="number" min={0} max={20} value={selectedObject.damage} onChange={(e) => updateObject(selectedObject.id, { damage: Number(e.target.value) })} style={{ width: 80 }} />)}
+                    {field(
+                      "Status",
+                      <select
+                        className="ttd-input"
+                        value={selectedObject.status?.id || ""}
+                        onChange={(e) => updateObject(selectedObject.id, { status: statusById(e.target.value) ? { id: e.target.value, turns: 2 } : null })}
+                      >
+                        <option value="">None</option>
+                        {Object.values(STATUS_EFFECTS)
+                          .filter((s) => s.harmful)
+                          .map((s) => (
+                            <option key={s.id} value={s.id}>
+                              {s.label}
+                            </option>
+                          ))}
+                      </select>
+                    )}
+                  </div>
+                ) : null}
+                <div>
+                  <button className="ttd-btn warn" onClick={() => removeObject(selectedObject.id)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ) : null}
+          </section>
+
+          <aside style={{ display: "grid", gap: 8 }}>
+            {field("Name", <input className="ttd-input" value={draft.name} maxLength={48} onChange={(e) => update({ name: e.target.value })} />)}
+            {field("Chapter", <input className="ttd-input" value={draft.chapter} maxLength={24} onChange={(e) => update({ chapter: e.target.value })} />)}
+            {field("Teaser", <input className="ttd-input" value={draft.teaser} maxLength={160} onChange={(e) => update({ teaser: e.target.value })} />)}
+            {field("Intel", <textarea className="ttd-input ttd-textarea" value={draft.intel} maxLength={240} onChange={(e) => update({ intel: e.target.value })} />)}
+            <div style={{ display: "flex", gap: 8 }}>
+              {field(
+                "Difficulty",
+                <select className="ttd-input" value={draft.difficulty} onChange={(e) => update({ difficulty: e.target.value })}>
+                  {["Low", "Medium", "High"].map((d) => (
+                    <option key={d}>{d}</option>
+                  ))}
+                </select>
+              )}
+              {field("Route x%", <input className="ttd-input" type="number" min={4} max={96} value={draft.map.x} onChange={(e) => update({ map: { ...draft.map, x: Number(e.target.value) } })} />)}
+              {field("Route y%", <input className="ttd-input" type="number" min={4} max={96} value={draft.map.y} onChange={(e) => update({ map: { ...draft.map, y: Number(e.target.value) } })} />)}
+            </div>
+            {field(
+              "Opens after",
+              <select className="ttd-input" value={draft.after} onChange={(e) => update({ after: e.target.value })}>
+                <option value="">Open from the start</option>
+                {scenarios
+                  .filter((node) => node.id !== draft.id)
+                  .map((node) => (
+                    <option key={node.id} value={node.id}>
+                      {node.name}
+                    </option>
+                  ))}
+              </select>
+            )}
+            {field(
+              "Objective",
+              <select className="ttd-input" value={draft.objective.type} onChange={(e) => updateObjective({ type: e.target.value })}>
+                {Object.entries(OBJECTIVE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            )}
+            {draft.objective.type === ObjectiveType.DEFEAT_COUNT
+              ? field("Monsters to defeat", <input className="ttd-input" type="number" min={1} max={20} value={draft.objective.targetCount} onChange={(e) => updateObjective({ targetCount: Number(e.target.value) })} />)
+              : null}
+            {draft.objective.type === ObjectiveType.SURVIVE_ROUNDS
+              ? field("Rounds", <input className="ttd-input" type="number" min={1} max={30} value={draft.objective.rounds} onChange={(e) => updateObjective({ rounds: Number(e.target.value) })} />)
+              : null}
+            {draft.objective.type === ObjectiveType.DEFEAT_BOSS
+              ? field(
+                  "Boss (takes the first spawn)",
+                  <select className="ttd-input" value={draft.objective.bossId} onChange={(e) => updateObjective({ bossId: e.target.value })}>
+                    <option value="">Pick a boss</option>
+                    {bosses.map((boss) => (
+                      <option key={boss.id} value={boss.id}>
+                        {boss.name}
+                      </option>
+                    ))}
+                  </select>
+                )
+              : null}
+            {draft.objective.type === ObjectiveType.ESCORT ? (
+              <div style={{ display: "flex", gap: 8 }}>
+                {field("Escort name", <input className="ttd-input" value={draft.objective.escortName} maxLength={32} onChange={(e) => updateObjective({ escortName: e.target.value })} />)}
+                {field("HP", <input className="ttd-input" type="number" min={1} max={40} value={draft.objective.escortHp} onChange={(e) => updateObjective({ escortHp: Number(e.target.value) })} style={{ width: 70 }} />)}
+              </div>
+            ) : null}
+            {problems.length ? (
+              <ul style={{ margin: 0, paddingLeft: 18, color: "#f0c473", fontSize: "0.8rem" }}>
+                {problems.map((p) => (
+                  <li key={p}>{p}</li>
+                ))}
+              </ul>
+            ) : null}
+            {notice ? <p className="ttd-scenario-branch-note" style={{ color: notice.ok ? "#53d496" : "#ff8b8b" }}>{notice.message}</p> : null}
+            <div className="ttd-scenario-actions">
+              <button className="ttd-btn" onClick={onClose}>
+                Close
+              </button>
+              <button
+                className="ttd-btn"
+                onClick={() => {
+                  const fresh = makeScenarioDraft();
+                  onChange(fresh);
+                  setSize({ w: fresh.rows[0].length, h: fresh.rows.length });
+                  setSelectedObjectId(null);
+                }}
+              >
+                New
+              </button>
+              <button className="ttd-btn primary" disabled={problems.length > 0} onClick={() => onSave(draftPayload(draft))}>
+                Save scenario
+              </button>
+            </div>
+          </aside>
+        </div>
+      </div>
+    </div>
+  );
+}
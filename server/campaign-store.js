@@ -2,9 +2,10 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { v4 as uuid } from "uuid";
+import { CRAFTING_RECIPES, DEFAULT_SPELL_ID, DEFAULT_WEAPON_ID, ITEMS } from "./content/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CAMPAIGN_STORE_FILE = path.join(__dirname, ".campaigns.json");
+const CAMPAIGN_STORE_FILE = process.env.TT_CAMPAIGN_STORE ? path.resolve(process.env.TT_CAMPAIGN_STORE) : path.join(__dirname, ".campaigns.json");
 const LEGACY_CAMPAIGN_FILE = path.join(__dirname, ".campaign-state.json");
 const MAX_CAMPAIGN_SETUP_PLAYERS = 8;
 
@@ -45,19 +46,13 @@ export function makeDefaultRpgProfile() {
     xp: 0,
     xpToNext: 20,
     gold: 0,
-    weaponId: "rusty_blade",
-    spellId: "arc_bolt",
-    inventory: {
-      herb: 0,
-      fang: 0,
-      essence: 0,
-      potion: 0,
-      coal: 0,
-      copper: 0,
-      iron: 0,
-      crystal: 0,
-      relic: 0
-    }
+    equipment: { weapon: DEFAULT_WEAPON_ID, armor: null, trinket: null },
+    gear: {},
+    spellId: DEFAULT_SPELL_ID,
+    // Picked on the phone at JOIN; abilities are unlocked from the class as levels are reached.
+    classId: null,
+    abilityIds: [],
+    inventory: Object.fromEntries(Object.keys(ITEMS).map((itemId) => [itemId, 0]))
   };
 }
 
@@ -80,8 +75,17 @@ export function makeDefaultCampaignState({ title, playerNames, playerCount } = {
     progression: {
       currentScenarioId: "scenario-1",
       completedScenarioIds: [],
+      flags: [],
       victories: 0
     },
+    exploration: {
+      mapSeed: null,
+      hexes: []
+    },
+    // The party stash: items any player can leave or take between encounters.
+    stash: {},
+    // Recipes the party has discovered; recipes without an unlock are always known.
+    recipes: [],
     activeGame: null
   };
 }
@@ -93,6 +97,27 @@ function makeDefaultStore() {
   };
 }
 
+function sanitizeExploration(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const mapSeed = Number.isFinite(Number(src.mapSeed)) && src.mapSeed !== null ? Number(src.mapSeed) : null;
+  const hexes = Array.isArray(src.hexes) ? src.hexes.filter((k) => typeof k === "string" && /^-?\d+,-?\d+$/.test(k)) : [];
+  return { mapSeed, hexes: [...new Set(hexes)] };
+}
+
+function sanitizeProgression(raw) {
+  const base = makeDefaultCampaignState().progression;
+  const src = raw && typeof raw === "object" ? raw : {};
+  const ids = (list) => (Array.isArray(list) ? [...new Set(list.filter((v) => typeof v === "string" && v))] : []);
+  return {
+    ...base,
+    ...src,
+    currentScenarioId: typeof src.currentScenarioId === "string" && src.currentScenarioId ? src.currentScenarioId : base.currentScenarioId,
+    completedScenarioIds: ids(src.completedScenarioIds),
+    flags: ids(src.flags),
+    victories: Math.max(0, Number(src.victories) || 0)
+  };
+}
+
 function sanitizeCampaign(raw) {
   const base = makeDefaultCampaignState();
   const state = raw && typeof raw === "object" ? raw : {};
@@ -107,10 +132,10 @@ function sanitizeCampaign(raw) {
     updatedAt,
     players: safePlayers,
     setup: sanitizeCampaignSetup(state.setup, safePlayers),
-    progression: {
-      ...base.progression,
-      ...(state.progression && typeof state.progression === "object" ? state.progression : {})
-    }
+    progression: sanitizeProgression(state.progression),
+    exploration: sanitizeExploration(state.exploration),
+    stash: sanitizeStash(state.stash),
+    recipes: Array.isArray(state.recipes) ? [...new Set(state.recipes.filter((id) => CRAFTING_RECIPES[id]))] : []
   };
 }
 
@@ -142,6 +167,15 @@ function sanitizeInventory(rawInventory) {
   return safe;
 }
 
+function sanitizeStash(rawStash) {
+  const src = rawStash && typeof rawStash === "object" ? rawStash : {};
+  return Object.fromEntries(
+    Object.keys(ITEMS)
+      .map((itemId) => [itemId, Math.max(0, Math.floor(Number(src[itemId]) || 0))])
+      .filter(([, qty]) => qty > 0)
+  );
+}
+
 function sanitizeRpgProfile(rawRpg) {
   const base = makeDefaultRpgProfile();
   const src = rawRpg && typeof rawRpg === "object" ? rawRpg : {};
@@ -169,7 +203,8 @@ function sanitizeCampaignPlayer(rawPlayer) {
     retired: Boolean(src.retired),
     stats: {
       victories: Math.max(0, Number(src?.stats?.victories) || 0),
-      scenariosCompleted: Math.max(0, Number(src?.stats?.scenariosCompleted) || 0)
+      scenariosCompleted: Math.max(0, Number(src?.stats?.scenariosCompleted) || 0),
+      defeats: Math.max(0, Number(src?.stats?.defeats) || 0)
     },
     rpg: sanitizeRpgProfile(src.rpg)
   };
@@ -272,7 +307,8 @@ export function pickOrCreateCampaignPlayer(campaignState, playerName, occupiedPl
       retired: false,
       stats: {
         victories: 0,
-        scenariosCompleted: 0
+        scenariosCompleted: 0,
+        defeats: 0
       },
       rpg: makeDefaultRpgProfile()
     };
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { CONTENT_SECTIONS, validatePack, validateReferences } from "./schema.js";
+
+// Game content (items, weapons, armor, trinkets, spells, recipes, abilities, classes, enemies,
+// bosses, chest loot tables, mine resources, maps) comes from content packs: JSON files, or JS
+// modules with a default export, in ./packs and in the directories listed in TT_CONTENT_DIRS.
+// core.json loads first, then the rest by file name; a later pack adds new ids and replaces
+// entries that reuse an existing id. Packs are validated when the server starts and any problem stops it with
+// the full list.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILTIN_PACK_DIR = path.join(__dirname, "packs");
+const CORE_PACK_FILE = "core.json";
+const PACK_FILE_RE = /\.(json|js|mjs)$/;
+
+function packDirs() {
+  const extra = (process.env.TT_CONTENT_DIRS || "")
+    .split(",")
+    .map((dir) => dir.trim())
+    .filter(Boolean)
+    .map((dir) => path.resolve(dir));
+  return [BUILTIN_PACK_DIR, ...extra];
+}
+
+function packFiles(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Content pack directory not found: ${dir}`);
+  return fs
+    .readdirSync(dir)
+    .filter((name) => PACK_FILE_RE.test(name))
+    .sort((a, b) => (a === CORE_PACK_FILE ? -1 : b === CORE_PACK_FILE ? 1 : a.localeCompare(b)))
+    .map((name) => path.join(dir, name));
+}
+
+async function readPack(file) {
+  if (file.endsWith(".json")) return JSON.parse(fs.readFileSync(file, "utf8"));
+  const mod = await import(pathToFileURL(file).href);
+  return mod.default;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    for (const child of Object.values(value)) deepFreeze(child);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+export async function loadContent(dirs = packDirs()) {
+  const content = { packs: [], defaults: {}, openingEnemies: [] };
+  for (const section of CONTENT_SECTIONS) content[section] = {};
+  const errors = [];
+
+  for (const file of dirs.flatMap(packFiles)) {
+    let pack;
+    try {
+      pack = await readPack(file);
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+      continue;
+    }
+    const problems = validatePack(pack);
+    if (problems.length) {
+      errors.push(...problems.map((p) => `${file}: ${p}`));
+      continue;
+    }
+    content.packs.push({ id: pack.id, title: pack.title || pack.id, file });
+    for (const section of CONTENT_SECTIONS) {
+      for (const [id, entry] of Object.entries(pack[section] || {})) {
+        content[section][id] = { ...JSON.parse(JSON.stringify(entry)), id };
+      }
+    }
+    Object.assign(content.defaults, pack.defaults || {});
+    if (pack.openingEnemies) content.openingEnemies = [...pack.openingEnemies];
+  }
+
+  if (!errors.length) errors.push(...validateReferences(content));
+  if (errors.length) throw new Error(`Invalid content packs:\n  ${errors.join("\n  ")}`);
+  return deepFreeze(content);
+}
+
+export const CONTENT = await loadContent();
+
+export const ITEMS = CONTENT.items;
+export const WEAPONS = CONTENT.weapons;
+export const ARMOR = CONTENT.armor;
+export const TRINKETS = CONTENT.trinkets;
+// Equipment slot -> the gear that fits it.
+export const EQUIPMENT = Object.freeze({ weapon: WEAPONS, armor: ARMOR, trinket: TRINKETS });
+export const SPELLS = CONTENT.spells;
+export const CRAFTING_RECIPES = CONTENT.recipes;
+export const ABILITIES = CONTENT.abilities;
+export const CLASSES = CONTENT.classes;
+export const ENEMY_TEMPLATES = CONTENT.enemies;
+export const BOSSES = CONTENT.bosses;
+export const LOOT_TABLES = CONTENT.lootTables;
+export const MAPS = CONTENT.maps;
+export const ITEM_LABELS = Object.freeze(Object.fromEntries(Object.values(ITEMS).map((item) => [item.id, item.label])));
+export const MINE_RESOURCES = Object.freeze(Object.values(CONTENT.mineResources));
+export const OPENING_ENEMY_TEMPLATES = Object.freeze(CONTENT.openingEnemies.map((id) => ENEMY_TEMPLATES[id]));
+export const DEFAULT_WEAPON_ID = CONTENT.defaults.weaponId;
+export const DEFAULT_SPELL_ID = CONTENT.defaults.spellId;
+export const DEFAULT_CLASS_ID = CONTENT.defaults.classId;
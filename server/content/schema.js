@@ -0,0 +1,397 @@
+import { EnemyBehavior } from "../../shared/behaviors.js";
+import { parseDice } from "../../shared/combat.js";
+import { TERRAIN_META } from "../../shared/game.js";
+import { EFFECT_TARGETS, ItemEffect, ItemTarget } from "../../shared/items.js";
+import { mapProblems } from "../../shared/maps.js";
+import { CRAFTING_STATIONS, ObjectType } from "../../shared/objects.js";
+import { SCENARIOS } from "../../shared/scenarios.js";
+import { SpellShape } from "../../shared/spells.js";
+import { STATUS_EFFECTS } from "../../shared/status.js";
+
+// Shape of a content pack. Every section is optional so a pack can add a single monster; each
+// section is an object keyed by id. Specs are checked field by field and all problems are
+// reported together so a broken pack can be fixed in one pass.
+
+export const ENEMY_TIERS = Object.freeze(["common", "uncommon", "elite", "rare"]);
+export const MINE_TIERS = Object.freeze(["early", "mid", "late"]);
+export const ABILITY_TARGETS = Object.freeze(["self", "ally", "enemy"]);
+export const RECIPE_CATEGORIES = Object.freeze(["consumable", "material", "weapon", "armor", "bomb", "scroll"]);
+
+const str = { type: "string" };
+const int = (min, extra = {}) => ({ type: "integer", min, ...extra });
+const itemCounts = { type: "counts", min: 1 };
+// Entries with a price are stocked by the shop; it buys them back at half price.
+const price = int(1, { optional: true });
+const bonus = int(0, { optional: true });
+// Damage dice such as "1d6" (shared/combat.js).
+const dice = { type: "dice", optional: true };
+const dropTable = {
+  type: "array",
+  of: { item: str, min: int(1), max: int(1), chance: { type: "number", min: 0, max: 1 } }
+};
+// A status effect (shared/status.js) an attack may leave on whoever it hits.
+const statusApplication = {
+  type: "object",
+  optional: true,
+  fields: {
+    id: { type: "enum", values: Object.keys(STATUS_EFFECTS) },
+    turns: int(1),
+    stacks: int(1, { optional: true }),
+    chance: { type: "number", min: 0, max: 1, optional: true }
+  }
+};
+
+const behavior = { type: "enum", values: Object.values(EnemyBehavior) };
+const terrainId = { type: "enum", values: Object.keys(TERRAIN_META) };
+// Shared by enemies and bosses. Behavior profile (shared/behaviors.js, rusher when left out),
+// movement AP per turn, attack reach in hexes (the rules' attack range when left out), the
+// speed added to initiative rolls (shared/initiative.js) and what its attacks roll to hit and
+// damage with (shared/combat.js; defense 10, accuracy level + 2 and 1d2 when left out).
+const enemyFields = {
+  name: str,
+  art: { type: "string", maxLength: 4 },
+  flavor: str,
+  level: int(1),
+  hp: int(1),
+  attackPower: int(1),
+  rewardXp: int(0),
+  rewardGold: int(0),
+  dropTable,
+  onHit: statusApplication,
+  behavior: { ...behavior, optional: true },
+  moveAp: int(0, { optional: true }),
+  attackRange: int(1, { optional: true }),
+  speed: int(0, { optional: true }),
+  defense: int(0, { optional: true }),
+  accuracy: int(0, { optional: true }),
+  damageDice: dice
+};
+
+// What using an item does (shared/items.js): `amount` is the HP healed or the damage dealt and
+// `status` the buff given or the status thrown items leave on whoever they hit.
+const itemUse = {
+  type: "object",
+  optional: true,
+  fields: {
+    effect: { type: "enum", values: Object.values(ItemEffect) },
+    target: { type: "enum", values: Object.values(ItemTarget) },
+    apCost: int(0, { optional: true }),
+    range: int(0, { optional: true }),
+    amount: int(1, { optional: true }),
+    radius: int(0, { optional: true }),
+    status: statusApplication,
+    cures: { type: "strings", optional: true },
+    friendlyFire: { type: "boolean", optional: true }
+  }
+};
+
+const SECTION_SCHEMAS = Object.freeze({
+  items: { label: str, price, use: itemUse },
+  weapons: {
+    name: str,
+    damageBonus: int(0),
+    damageDice: dice,
+    range: int(1, { optional: true }),
+    minRange: int(1, { optional: true }),
+    lineOfFire: { type: "boolean", optional: true },
+    autoEquipAtLevel: int(1, { optional: true }),
+    status: statusApplication,
+    price
+  },
+  armor: { name: str, armor: int(0), maxHpBonus: bonus, price },
+  trinkets: { name: str, damageBonus: bonus, armor: bonus, maxHpBonus: bonus, price },
+  // Spells with an `area` are aimed at a hex and hit every enemy in the shape (shared/spells.js);
+  // `friendlyFire` spells hit heroes there too and `terrain` rules change the ground they land on.
+  spells: {
+    name: str,
+    range: int(1),
+    apCost: int(0),
+    damageBonus: int(0),
+    status: statusApplication,
+    area: { type: "object", optional: true, fields: { shape: { type: "enum", values: Object.values(SpellShape) }, size: int(0) } },
+    friendlyFire: { type: "boolean", optional: true },
+    terrain: { type: "array", optional: true, of: { from: terrainId, to: terrainId } }
+  },
+  // Recipes use and make items or gear (a weapon upgrade uses the old weapon). `tier` (1 when left
+  // out) and `category` (consumable) sort the phone's crafting browser; a `station` recipe is
+  // crafted next to that kind of station (shared/objects.js). Recipes with an `unlock` start
+  // undiscovered: the campaign learns them once the party crafts the `recipe` or a hero carries the `item`.
+  recipes: {
+    label: str,
+    tier: int(1, { optional: true }),
+    category: { type: "enum", values: RECIPE_CATEGORIES, optional: true },
+    station: { type: "enum", values: Object.keys(CRAFTING_STATIONS), optional: true },
+    unlock: { type: "object", optional: true, fields: { recipe: { ...str, optional: true }, item: { ...str, optional: true } } },
+    requires: itemCounts,
+    yields: itemCounts,
+    apCost: int(0)
+  },
+  // Class abilities: hit an enemy (damageBonus and/or status) or help yourself or an ally
+  // (heal and/or status). `cooldown` counts the user's turns, including the one it was used in.
+  // A `charge` ability moves the user in a straight line next to the enemy before it strikes.
+  abilities: {
+    name: str,
+    description: str,
+    target: { type: "enum", values: ABILITY_TARGETS },
+    apCost: int(1),
+    range: int(0),
+    cooldown: int(1),
+    damageBonus: int(0, { optional: true }),
+    heal: int(1, { optional: true }),
+    status: statusApplication,
+    charge: { type: "boolean", optional: true }
+  },
+  classes: {
+    name: str,
+    description: str,
+    hp: int(1),
+    hpPerLevel: int(0),
+    damageBonus: int(0),
+    speed: int(0, { optional: true }),
+    defense: int(0, { optional: true }),
+    weaponId: { ...str, optional: true },
+    spellId: { ...str, optional: true },
+    // Spells learned on top of spellId once the hero reaches the level.
+    spells: { type: "array", optional: true, of: { id: str, level: int(1) } },
+    abilities: { type: "array", of: { id: str, level: int(1) } }
+  },
+  enemies: {
+    ...enemyFields,
+    tier: { type: "enum", values: ENEMY_TIERS },
+    heal: int(1, { optional: true })
+  },
+  // Scenario bosses: an enemy with phases. A phase starts once the boss is down to `hpAtMost`
+  // percent of its HP (the first phase at 100) and may change its stats, summon minions and give it
+  // an area attack that is announced one turn before it lands.
+  bosses: {
+    ...enemyFields,
+    phases: {
+      type: "array",
+      of: {
+        name: str,
+        hpAtMost: int(1, { max: 100 }),
+        attackPower: int(1, { optional: true }),
+        moveAp: int(0, { optional: true }),
+        behavior: { ...behavior, optional: true },
+        areaAttack: {
+          type: "object",
+          optional: true,
+          fields: { name: str, radius: int(0), damage: int(1), cooldown: int(1), status: statusApplication }
+        },
+        summon: {
+          type: "object",
+          optional: true,
+          fields: { enemy: str, count: int(1), cooldown: int(1, { optional: true }) }
+        }
+      }
+    }
+  },
+  // What a chest on the map holds; scenarios name the table each chest rolls once when opened.
+  lootTables: { name: str, xp: int(0), gold: int(0), drops: dropTable },
+  // Hand-built board maps (shared/maps.js): rows of terrain tiles with entrance, spawn and exit
+  // markers. Scenarios pick one with `layout: { mapId }`.
+  maps: { name: str, rows: { type: "strings" } },
+  mineResources: { min: int(1), max: int(1), weight: { type: "number", min: 0 }, tier: { type: "enum", values: MINE_TIERS } }
+});
+
+export const CONTENT_SECTIONS = Object.freeze(Object.keys(SECTION_SCHEMAS));
+
+function checkValue(errors, where, spec, value) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || !value.trim()) return errors.push(`${where} must be a non-empty string`);
+      if (spec.maxLength && value.length > spec.maxLength) errors.push(`${where} must be at most ${spec.maxLength} characters`);
+      return;
+    case "dice":
+      if (!parseDice(value)) errors.push(`${where} must be dice like "1d6"`);
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${where} must be true or false`);
+      return;
+    case "strings":
+      if (!Array.isArray(value) || !value.length || value.some((s) => typeof s !== "string")) errors.push(`${where} must be a non-empty list of strings`);
+      return;
+    case "enum":
+      if (!spec.values.includes(value)) errors.push(`${where} must be one of ${spec.values.join(", ")}`);
+      return;
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+        return errors.push(`${where} must be ${spec.type === "integer" ? "an integer" : "a number"}`);
+      }
+      if (spec.min !== undefined && value < spec.min) errors.push(`${where} must be >= ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`${where} must be <= ${spec.max}`);
+      return;
+    case "counts":
+      if (!value || typeof value !== "object" || Array.isArray(value) || !Object.keys(value).length) {
+        return errors.push(`${where} must be an object of item counts`);
+      }
+      for (const [itemId, qty] of Object.entries(value)) checkValue(errors, `${where}.${itemId}`, int(spec.min), qty);
+      return;
+    case "object":
+      return checkFields(errors, where, spec.fields, value);
+    case "array":
+      if (!Array.isArray(value)) return errors.push(`${where} must be an array`);
+      value.forEach((entry, i) => checkFields(errors, `${where}[${i}]`, spec.of, entry));
+      return;
+    default:
+      errors.push(`${where} has an unknown schema type`);
+  }
+}
+
+function checkFields(errors, where, fields, entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return errors.push(`${where} must be an object`);
+  for (const [field, spec] of Object.entries(fields)) {
+    if (entry[field] === undefined && spec.optional) continue;
+    checkValue(errors, `${where}.${field}`, spec, entry[field]);
+  }
+}
+
+// Checks one pack on its own. Returns a list of problems (empty when the pack is valid).
+export function validatePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== "object" || Array.isArray(pack)) return ["pack must be an object"];
+  if (typeof pack.id !== "string" || !pack.id.trim()) errors.push("id must be a non-empty string");
+  for (const [section, fields] of Object.entries(SECTION_SCHEMAS)) {
+    const entries = pack[section];
+    if (entries === undefined) continue;
+    if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+      errors.push(`${section} must be an object keyed by id`);
+      continue;
+    }
+    for (const [id, entry] of Object.entries(entries)) {
+      if (!/^[a-z0-9_]+$/.test(id)) errors.push(`${section}.${id}: ids use lowercase letters, digits and underscores`);
+      checkFields(errors, `${section}.${id}`, fields, entry);
+      const drops = section === "enemies" || section === "bosses" ? entry?.dropTable : section === "lootTables" ? entry?.drops : null;
+      for (const drop of Array.isArray(drops) ? drops : []) {
+        if (Number.isInteger(drop?.min) && Number.isInteger(drop?.max) && drop.max < drop.min) errors.push(`${section}.${id} drop max must be >= min`);
+      }
+      if (section === "abilities" && entry && typeof entry === "object") {
+        const helps = entry.heal !== undefined;
+        const hurts = entry.damageBonus !== undefined;
+        if (entry.target === "enemy" ? helps : hurts) errors.push(`${section}.${id} cannot ${helps ? "heal" : "damage"} a ${entry.target} target`);
+        if (!helps && !hurts && !entry.status) errors.push(`${section}.${id} needs damageBonus, heal or status`);
+        if (entry.charge && entry.target !== "enemy") errors.push(`${section}.${id} can only charge an enemy`);
+      }
+      if (section === "enemies" && entry?.behavior === EnemyBehavior.HEALER && entry.heal === undefined) {
+        errors.push(`${section}.${id} is a healer and needs heal`);
+      }
+      if (section === "bosses" && Array.isArray(entry?.phases)) {
+        const thresholds = entry.phases.map((phase) => phase?.hpAtMost);
+        if (thresholds[0] !== 100) errors.push(`${section}.${id} first phase needs hpAtMost 100`);
+        if (thresholds.some((hp, i) => i > 0 && !(hp < thresholds[i - 1]))) errors.push(`${section}.${id} phase hpAtMost must go down phase by phase`);
+        if ([entry, ...entry.phases].some((e) => e?.behavior === EnemyBehavior.HEALER)) errors.push(`${section}.${id} cannot use the healer behavior`);
+      }
+      if (section === "spells" && entry?.terrain && !entry.area) errors.push(`${section}.${id} needs an area to change terrain`);
+      if (section === "spells" && entry?.area?.shape !== undefined && entry.area.shape !== SpellShape.RADIUS && entry.area.size < 1) {
+        errors.push(`${section}.${id} ${entry.area.shape} needs size >= 1`);
+      }
+      if (section === "maps" && Array.isArray(entry?.rows)) {
+        for (const problem of mapProblems(entry.rows)) errors.push(`${section}.${id} ${problem}`);
+      }
+      if (section === "trinkets" && entry && typeof entry === "object" && !entry.damageBonus && !entry.armor && !entry.maxHpBonus) {
+        errors.push(`${section}.${id} needs damageBonus, armor or maxHpBonus`);
+      }
+      if (section === "items" && entry?.use && typeof entry.use === "object") {
+        const use = entry.use;
+        if (EFFECT_TARGETS[use.effect] && !EFFECT_TARGETS[use.effect].includes(use.target)) {
+          errors.push(`${section}.${id}.use ${use.effect} cannot target ${use.target}`);
+        }
+        if ((use.effect === ItemEffect.HEAL || use.effect === ItemEffect.THROW) && use.amount === undefined) errors.push(`${section}.${id}.use needs an amount`);
+        if (use.effect === ItemEffect.BUFF && !use.status) errors.push(`${section}.${id}.use needs a status`);
+        for (const statusId of Array.isArray(use.cures) ? use.cures : []) {
+          if (!STATUS_EFFECTS[statusId]) errors.push(`${section}.${id}.use.cures refers to unknown status "${statusId}"`);
+        }
+      }
+      if (section === "recipes" && entry?.unlock && typeof entry.unlock === "object" && !entry.unlock.recipe && !entry.unlock.item) {
+        errors.push(`${section}.${id}.unlock needs a recipe or an item`);
+      }
+      if (section === "mineResources" && Number.isInteger(entry?.min) && Number.isInteger(entry?.max) && entry.max < entry.min) {
+        errors.push(`${section}.${id}.max must be >= min`);
+      }
+    }
+  }
+  if (pack.defaults !== undefined) {
+    const optionalId = { ...str, optional: true };
+    checkFields(errors, "defaults", { weaponId: optionalId, spellId: optionalId, classId: optionalId }, pack.defaults);
+  }
+  if (pack.openingEnemies !== undefined && (!Array.isArray(pack.openingEnemies) || !pack.openingEnemies.every((id) => typeof id === "string"))) {
+    errors.push("openingEnemies must be an array of enemy ids");
+  }
+  return errors;
+}
+
+// Checks the merged content: every id one entry points at must exist somewhere.
+export function validateReferences(content) {
+  const errors = [];
+  const needItem = (where, itemId) => {
+    if (!content.items[itemId]) errors.push(`${where} refers to unknown item "${itemId}"`);
+  };
+  const needItemOrGear = (where, id) => {
+    if (!["items", "weapons", "armor", "trinkets"].some((section) => content[section][id])) errors.push(`${where} refers to unknown item or gear "${id}"`);
+  };
+  for (const [id, enemy] of Object.entries(content.enemies)) {
+    enemy.dropTable.forEach((drop, i) => needItem(`enemies.${id}.dropTable[${i}]`, drop.item));
+  }
+  for (const [id, boss] of Object.entries(content.bosses)) {
+    boss.dropTable.forEach((drop, i) => needItem(`bosses.${id}.dropTable[${i}]`, drop.item));
+    boss.phases.forEach((phase, i) => {
+      if (phase.summon && !content.enemies[phase.summon.enemy]) errors.push(`bosses.${id}.phases[${i}].summon refers to unknown enemy "${phase.summon.enemy}"`);
+    });
+  }
+  for (const [id, table] of Object.entries(content.lootTables)) {
+    table.drops.forEach((drop, i) => needItem(`lootTables.${id}.drops[${i}]`, drop.item));
+  }
+  // Chests, bosses, maps and stations are named by the scenarios in shared/scenarios.js, so they must exist.
+  for (const scenario of Object.values(SCENARIOS)) {
+    const bossId = scenario.objective?.bossId;
+    if (bossId && !content.bosses[bossId]) errors.push(`${scenario.id} refers to unknown boss "${bossId}"`);
+    const mapId = scenario.layout?.mapId;
+    if (mapId && !content.maps[mapId]) errors.push(`${scenario.id} refers to unknown map "${mapId}"`);
+    for (const obj of scenario.objects || []) {
+      if (obj.type === ObjectType.CHEST && !content.lootTables[obj.lootTable]) {
+        errors.push(`${scenario.id} chest ${obj.id} refers to unknown loot table "${obj.lootTable}"`);
+      }
+      if (obj.type === ObjectType.STATION && !CRAFTING_STATIONS[obj.station]) {
+        errors.push(`${scenario.id} station ${obj.id} is an unknown crafting station "${obj.station}"`);
+      }
+    }
+  }
+  for (const [id, recipe] of Object.entries(content.recipes)) {
+    for (const itemId of Object.keys(recipe.requires)) needItemOrGear(`recipes.${id}.requires`, itemId);
+    for (const itemId of Object.keys(recipe.yields)) needItemOrGear(`recipes.${id}.yields`, itemId);
+    if (recipe.unlock?.recipe && !content.recipes[recipe.unlock.recipe]) errors.push(`recipes.${id}.unlock refers to unknown recipe "${recipe.unlock.recipe}"`);
+    if (recipe.unlock?.item) needItemOrGear(`recipes.${id}.unlock`, recipe.unlock.item);
+  }
+  for (const id of Object.keys(content.mineResources)) needItem(`mineResources.${id}`, id);
+  // Items and gear share one id space so shop and gear-bag ids are unambiguous.
+  const seen = new Map();
+  for (const section of ["items", "weapons", "armor", "trinkets"]) {
+    for (const id of Object.keys(content[section])) {
+      if (seen.has(id)) errors.push(`${section}.${id} reuses an id already used in ${seen.get(id)}`);
+      else seen.set(id, section);
+    }
+  }
+  for (const [id, weapon] of Object.entries(content.weapons)) {
+    if (weapon.minRange > (weapon.range ?? 1)) errors.push(`weapons.${id}.minRange is beyond its range`);
+  }
+  for (const [id, cls] of Object.entries(content.classes)) {
+    if (cls.weaponId && !content.weapons[cls.weaponId]) errors.push(`classes.${id}.weaponId refers to unknown weapon "${cls.weaponId}"`);
+    if (cls.spellId && !content.spells[cls.spellId]) errors.push(`classes.${id}.spellId refers to unknown spell "${cls.spellId}"`);
+    (cls.spells || []).forEach((unlock, i) => {
+      if (!content.spells[unlock.id]) errors.push(`classes.${id}.spells[${i}] refers to unknown spell "${unlock.id}"`);
+    });
+    cls.abilities.forEach((unlock, i) => {
+      if (!content.abilities[unlock.id]) errors.push(`classes.${id}.abilities[${i}] refers to unknown ability "${unlock.id}"`);
+    });
+  }
+  if (!content.weapons[content.defaults.weaponId]) errors.push(`defaults.weaponId refers to unknown weapon "${content.defaults.weaponId}"`);
+  if (!content.spells[content.defaults.spellId]) errors.push(`defaults.spellId refers to unknown spell "${content.defaults.spellId}"`);
+  if (!content.classes[content.defaults.classId]) errors.push(`defaults.classId refers to unknown class "${content.defaults.classId}"`);
+  if (!content.openingEnemies.length) errors.push("openingEnemies must list at least one enemy");
+  for (const id of content.openingEnemies) {
+    if (!content.enemies[id]) errors.push(`openingEnemies refers to unknown enemy "${id}"`);
+  }
+  if (!Object.values(content.enemies).some((e) => e.tier === ENEMY_TIERS[0])) errors.push(`enemies needs at least one "${ENEMY_TIERS[0]}" enemy`);
+  return errors;
+}
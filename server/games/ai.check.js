@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { EnemyBehavior } from "../../shared/behaviors.js";
+import { planEnemyTurn } from "./ai.js";
+
+// Checks that each behavior profile plans the same turn on a fixed board every time. Run with
+// `npm --workspace server run check:ai`; it exits non-zero when a plan changes.
+
+const ROWS = [
+  "##############",
+  "#............#",
+  "#............#",
+  "#............#",
+  "#............#",
+  "#............#",
+  "#............#",
+  "#............#",
+  "##############"
+];
+
+function board({ enemies, heroes }) {
+  return {
+    terrain: { seed: 1, map: { rows: ROWS, width: ROWS[0].length, height: ROWS.length }, changes: {} },
+    rules: { attackRange: 1 },
+    objects: [],
+    escort: null,
+    enemies: enemies.map((e) => ({ hp: 6, maxHp: 6, moveAp: 2, statuses: [], post: { x: e.x, y: e.y }, ...e })),
+    heroes: Object.fromEntries(heroes.map((h) => [h.ownerPlayerId, { hp: 10, maxHp: 10, statuses: [], ...h }]))
+  };
+}
+
+function plan(game, enemyId) {
+  const enemyUnit = game.enemies.find((e) => e.id === enemyId);
+  const result = planEnemyTurn(game, enemyUnit, Object.values(game.heroes));
+  // The same board always gives the same turn.
+  assert.deepEqual(planEnemyTurn(game, enemyUnit, Object.values(game.heroes)), result);
+  return {
+    to: result.to,
+    target: result.target?.ownerPlayerId ?? null,
+    heal: result.heal?.id ?? null,
+    fleeing: result.fleeing
+  };
+}
+
+const cases = [
+  {
+    name: "rusher closes in on the nearest hero",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.RUSHER, x: 2, y: 4 }],
+      heroes: [{ ownerPlayerId: "a", x: 8, y: 4 }, { ownerPlayerId: "b", x: 9, y: 6 }]
+    }),
+    enemyId: "e1",
+    expect: { to: { x: 4, y: 3 }, target: null, heal: null, fleeing: false }
+  },
+  {
+    name: "rusher hits the weakest hero in reach",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.RUSHER, x: 5, y: 4 }],
+      heroes: [{ ownerPlayerId: "b", x: 5, y: 3 }, { ownerPlayerId: "a", x: 5, y: 5 }, { ownerPlayerId: "c", x: 6, y: 4, hp: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: null, target: "c", heal: null, fleeing: false }
+  },
+  {
+    name: "rusher breaks a tie between equal heroes by owner id",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.RUSHER, x: 5, y: 4 }],
+      heroes: [{ ownerPlayerId: "b", x: 5, y: 3 }, { ownerPlayerId: "a", x: 5, y: 5 }]
+    }),
+    enemyId: "e1",
+    expect: { to: null, target: "a", heal: null, fleeing: false }
+  },
+  {
+    name: "kiter backs off to the edge of its range",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.KITER, attackRange: 3, x: 5, y: 4 }],
+      heroes: [{ ownerPlayerId: "a", x: 6, y: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: { x: 3, y: 3 }, target: "a", heal: null, fleeing: false }
+  },
+  {
+    name: "guard holds its post while heroes stay away",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.GUARD, x: 2, y: 4 }],
+      heroes: [{ ownerPlayerId: "a", x: 11, y: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: null, target: null, heal: null, fleeing: false }
+  },
+  {
+    name: "guard engages a hero inside its zone",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.GUARD, x: 2, y: 4 }],
+      heroes: [{ ownerPlayerId: "a", x: 5, y: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: { x: 4, y: 4 }, target: "a", heal: null, fleeing: false }
+  },
+  {
+    name: "healer mends the most wounded ally from a safe hex",
+    game: board({
+      enemies: [
+        { id: "e1", behavior: EnemyBehavior.HEALER, heal: 3, x: 2, y: 2 },
+        { id: "e2", behavior: EnemyBehavior.RUSHER, hp: 2, x: 6, y: 4 },
+        { id: "e3", behavior: EnemyBehavior.RUSHER, hp: 5, x: 3, y: 6 }
+      ],
+      heroes: [{ ownerPlayerId: "a", x: 8, y: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: { x: 3, y: 2 }, target: null, heal: "e2", fleeing: false }
+  },
+  {
+    name: "coward runs once badly hurt",
+    game: board({
+      enemies: [{ id: "e1", behavior: EnemyBehavior.COWARD, hp: 2, x: 5, y: 4 }],
+      heroes: [{ ownerPlayerId: "a", x: 6, y: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: { x: 3, y: 3 }, target: null, heal: null, fleeing: true }
+  },
+  {
+    name: "pack hunter piles onto the hero its pack is fighting",
+    game: board({
+      enemies: [
+        { id: "e1", behavior: EnemyBehavior.PACK, x: 5, y: 4 },
+        { id: "e2", behavior: EnemyBehavior.PACK, x: 8, y: 3 }
+      ],
+      heroes: [{ ownerPlayerId: "a", x: 4, y: 4, hp: 3 }, { ownerPlayerId: "b", x: 8, y: 4 }]
+    }),
+    enemyId: "e1",
+    expect: { to: { x: 7, y: 3 }, target: "b", heal: null, fleeing: false }
+  }
+];
+
+let failed = 0;
+for (const c of cases) {
+  const got = plan(c.game, c.enemyId);
+  try {
+    assert.deepEqual(got, c.expect);
+    console.log(`ok   ${c.name}`);
+  } catch {
+    failed += 1;
+    console.log(`FAIL ${c.name}: expected ${JSON.stringify(c.expect)}, got ${JSON.stringify(got)}`);
+  }
+}
+if (failed) process.exit(1);
@@ -0,0 +1,230 @@
+import { DEFAULT_ENEMY_MOVE_AP, EnemyBehavior } from "../../shared/behaviors.js";
+import {
+  findHexPath,
+  hasLineOfSight,
+  hexDistance,
+  hexNeighbors,
+  hexesWithinCost,
+  isConcealedFrom,
+  isHeroAlive,
+  livingEnemies,
+  sightBlockerFor,
+  terrainMoveCost
+} from "../../shared/game.js";
+import { statusStepCost } from "../../shared/status.js";
+import { closedDoorKeys } from "./objects.js";
+
+// Enemy turn planning for the dungeon board. Every enemy follows the behavior profile of its
+// template (shared/behaviors.js): it scores each hex it can reach with its movement AP (routes go
+// around terrain, closed doors and other units), moves to the best one and then picks what to do
+// from there. Planning is pure and every tie is broken the same way (score, AP spent, row, column;
+// targets by their own order, then id), so the same board always gives the same turn.
+
+const AWARENESS_RANGE = 8;
+const GUARD_RADIUS = 3;
+const HEAL_RANGE = 3;
+const FLEE_BELOW = 0.35;
+const PACK_RADIUS = 4;
+// How far (in AP) distance fields reach; anything further just counts straight-line distance.
+const FIELD_COST = 16;
+// Added to the score of any hex the enemy cannot act from, so acting always wins over closing in.
+const OUT_OF_REACH = 1000;
+
+function hexKey(x, y) {
+  return `${x},${y}`;
+}
+
+export function enemyMoveAp(enemyUnit) {
+  return Math.max(0, Math.floor(Number(enemyUnit.moveAp ?? DEFAULT_ENEMY_MOVE_AP) || 0));
+}
+
+export function enemyAttackRange(game, enemyUnit) {
+  return Math.max(1, Math.floor(Number(enemyUnit.attackRange) || game.rules.attackRange || 1));
+}
+
+function terrainStepCost(game) {
+  const boardTerrain = game.terrain ?? 0;
+  const doors = closedDoorKeys(game);
+  return (x, y) => (doors.has(hexKey(x, y)) ? null : terrainMoveCost(x, y, boardTerrain));
+}
+
+function sightBlocker(game) {
+  return sightBlockerFor(game.terrain ?? 0, game.objects);
+}
+
+// Cheapest AP from any of the sources to every hex within FIELD_COST, ignoring units. Step
+// costs are at most a few AP, so a bucket queue keeps this cheap.
+function distanceField(game, sources) {
+  const stepCost = terrainStepCost(game);
+  const field = new Map();
+  const buckets = [[]];
+  for (const s of sources) {
+    field.set(hexKey(s.x, s.y), 0);
+    buckets[0].push(s);
+  }
+  for (let g = 0; g < buckets.length; g += 1) {
+    for (const cur of buckets[g] || []) {
+      if (field.get(hexKey(cur.x, cur.y)) < g) continue;
+      for (const n of hexNeighbors(cur.x, cur.y)) {
+        const cost = stepCost(n.x, n.y);
+        if (cost === null) continue;
+        const ng = g + cost;
+        const k = hexKey(n.x, n.y);
+        if (ng > FIELD_COST || (field.has(k) && field.get(k) <= ng)) continue;
+        field.set(k, ng);
+        (buckets[ng] = buckets[ng] || []).push(n);
+      }
+    }
+  }
+  return (p) => field.get(hexKey(p.x, p.y)) ?? FIELD_COST + Math.min(...sources.map((s) => hexDistance(s, p)));
+}
+
+// AP for the enemy to step onto a hex around terrain, closed doors and other units.
+function enemyStepCost(game, enemyUnit) {
+  const blocked = new Set();
+  for (const h of Object.values(game.heroes || {})) if (isHeroAlive(h)) blocked.add(hexKey(h.x, h.y));
+  for (const e of livingEnemies(game)) if (e.id !== enemyUnit.id) blocked.add(hexKey(e.x, e.y));
+  if (game.escort?.hp > 0) blocked.add(hexKey(game.escort.x, game.escort.y));
+  const terrain = terrainStepCost(game);
+  return statusStepCost(enemyUnit, (x, y) => (blocked.has(hexKey(x, y)) ? null : terrain(x, y)));
+}
+
+// Where the enemy can end its move: its own hex plus everything its movement AP reaches.
+function reachableSpots(game, enemyUnit) {
+  const stepCost = enemyStepCost(game, enemyUnit);
+  const spots = [{ x: enemyUnit.x, y: enemyUnit.y, cost: 0 }];
+  for (const [k, cost] of hexesWithinCost(enemyUnit, enemyMoveAp(enemyUnit), stepCost)) {
+    const [x, y] = k.split(",").map(Number);
+    spots.push({ x, y, cost });
+  }
+  return spots;
+}
+
+function bestSpot(spots, score) {
+  let best = null;
+  for (const spot of spots) {
+    const s = score(spot);
+    if (
+      !best ||
+      s < best.score ||
+      (s === best.score && (spot.cost < best.cost || (spot.cost === best.cost && (spot.y < best.y || (spot.y === best.y && spot.x < best.x)))))
+    ) {
+      best = { ...spot, score: s };
+    }
+  }
+  return best;
+}
+
+function nearestDistance(p, units) {
+  return units.reduce((best, u) => Math.min(best, hexDistance(p, u)), Number.POSITIVE_INFINITY);
+}
+
+// How many other enemies already stand next to the hero.
+function engagedBy(game, hero, enemyUnit) {
+  return livingEnemies(game).filter((e) => e.id !== enemyUnit.id && hexDistance(e, hero) <= 1).length;
+}
+
+// Weakest first, then nearest, then by owner id. Pack hunters first take whoever the pack is on.
+function heroOrder(game, enemyUnit, from) {
+  const pack = enemyUnit.behavior === EnemyBehavior.PACK;
+  return (a, b) =>
+    (pack ? engagedBy(game, b, enemyUnit) - engagedBy(game, a, enemyUnit) : 0) ||
+    a.hp - b.hp ||
+    hexDistance(a, from) - hexDistance(b, from) ||
+    a.ownerPlayerId.localeCompare(b.ownerPlayerId);
+}
+
+// Whether the enemy could hit a unit from a hex: in range, in sight and not hidden by concealing terrain.
+function hitCheck(game, enemyUnit) {
+  const range = enemyAttackRange(game, enemyUnit);
+  const blocksSight = sightBlocker(game);
+  const boardTerrain = game.terrain ?? 0;
+  return (from, unit) => hexDistance(from, unit) <= range && hasLineOfSight(from, unit, blocksSight) && !isConcealedFrom(boardTerrain, unit, from);
+}
+
+function planFor(game, enemyUnit, heroes) {
+  const canHit = hitCheck(game, enemyUnit);
+  const range = enemyAttackRange(game, enemyUnit);
+  const aware = heroes.filter((h) => hexDistance(h, enemyUnit) <= AWARENESS_RANGE);
+  const spots = reachableSpots(game, enemyUnit);
+  const post = enemyUnit.post || enemyUnit;
+
+  // Close in until the targets can be hit from the hex, preferring the cheapest move.
+  const chase = (targets) => {
+    const dist = distanceField(game, targets);
+    return (spot) => (targets.some((t) => canHit(spot, t)) ? 0 : OUT_OF_REACH + dist(spot));
+  };
+  // Hit from as far away as range allows.
+  const kite = (targets) => {
+    const closeIn = chase(targets);
+    return (spot) => (targets.some((t) => canHit(spot, t)) ? range - Math.min(range, nearestDistance(spot, targets)) : closeIn(spot));
+  };
+
+  switch (enemyUnit.behavior) {
+    case EnemyBehavior.KITER:
+      return aware.length ? { spot: bestSpot(spots, kite(aware)), targets: aware } : null;
+    case EnemyBehavior.GUARD: {
+      const zone = spots.filter((spot) => hexDistance(spot, post) <= GUARD_RADIUS || spot.cost === 0);
+      const intruders = aware.filter((h) => hexDistance(h, post) <= GUARD_RADIUS + range);
+      if (intruders.length) return { spot: bestSpot(zone, chase(intruders)), targets: intruders };
+      return { spot: bestSpot(zone, (spot) => hexDistance(spot, post)), targets: [] };
+    }
+    case EnemyBehavior.HEALER: {
+      const patient = livingEnemies(game)
+        .filter((e) => e.hp < e.maxHp)
+        .sort((a, b) => b.maxHp - b.hp - (a.maxHp - a.hp) || a.id.localeCompare(b.id))[0];
+      // Stay within mending reach of the patient (or of the nearest ally) as far from heroes as possible.
+      const safety = (spot) => Math.max(0, AWARENESS_RANGE - nearestDistance(spot, aware));
+      const near = (units) => (spot) => {
+        const d = nearestDistance(spot, units);
+        return d <= HEAL_RANGE ? safety(spot) : OUT_OF_REACH + d;
+      };
+      if (patient) {
+        const score = patient.id === enemyUnit.id ? safety : near([patient]);
+        return { spot: bestSpot(aware.length ? spots : spots.slice(0, 1), score), targets: aware, patient };
+      }
+      if (!aware.length) return null;
+      const allies = livingEnemies(game).filter((e) => e.id !== enemyUnit.id);
+      return { spot: bestSpot(spots, allies.length ? near(allies) : kite(aware)), targets: aware };
+    }
+    case EnemyBehavior.COWARD:
+      if (aware.length && enemyUnit.hp <= enemyUnit.maxHp * FLEE_BELOW) {
+        return { spot: bestSpot(spots, (spot) => -nearestDistance(spot, aware)), targets: [], fleeing: true };
+      }
+      return aware.length ? { spot: bestSpot(spots, chase(aware)), targets: aware } : null;
+    case EnemyBehavior.PACK: {
+      if (!aware.length) return null;
+      const allies = livingEnemies(game).filter((e) => e.id !== enemyUnit.id);
+      const packed = allies.some((e) => hexDistance(e, enemyUnit) <= PACK_RADIUS);
+      if (allies.length && !packed && !aware.some((h) => canHit(enemyUnit, h))) {
+        return { spot: bestSpot(spots, (spot) => nearestDistance(spot, allies)), targets: aware };
+      }
+      const focus = [...aware].sort(heroOrder(game, enemyUnit, enemyUnit))[0];
+      return { spot: bestSpot(spots, chase([focus])), targets: aware };
+    }
+    default:
+      return aware.length ? { spot: bestSpot(spots, chase(aware)), targets: aware } : null;
+  }
+}
+
+// Plans one enemy's turn without changing the board: where it moves (`to`, null to stay put, along
+// `path`) and what it does from there - heal an ally (`heal`), hit a hero (`target`) or the escort
+// (`escort`).
+export function planEnemyTurn(game, enemyUnit, heroes) {
+  const plan = planFor(game, enemyUnit, heroes) || { spot: null, targets: [] };
+  const from = plan.spot || enemyUnit;
+  const to = plan.spot && plan.spot.cost > 0 ? { x: plan.spot.x, y: plan.spot.y } : null;
+  const path = to ? findHexPath(enemyUnit, to, enemyStepCost(game, enemyUnit), plan.spot.cost)?.path || [to] : [];
+  const result = { to, path, fleeing: Boolean(plan.fleeing), heal: null, target: null, escort: null };
+  if (plan.fleeing) return result;
+
+  if (plan.patient && hexDistance(from, plan.patient.id === enemyUnit.id ? from : plan.patient) <= HEAL_RANGE) {
+    result.heal = plan.patient;
+    return result;
+  }
+  const hits = hitCheck(game, enemyUnit);
+  const canHit = (unit) => hits(from, unit);
+  result.target = plan.targets.filter(canHit).sort(heroOrder(game, enemyUnit, from))[0] || null;
+  if (!result.target && game.escort?.hp > 0 && canHit(game.escort)) result.escort = game.escort;
+  return result;
+}
@@ -0,0 +1,175 @@
+import { findNearestPassableHex, hexDistance, hexesInRadius, isHeroAlive, isTerrainPassable, livingEnemies } from "../../shared/game.js";
+import { statusById } from "../../shared/status.js";
+import { BOSSES, ENEMY_TEMPLATES, clone, makeEnemyFromTemplate, pushLog } from "./common.js";
+
+// Boss encounters. A boss is an enemy made from a content-pack boss with `boss: true`, its
+// `bossId` and the index of the phase it is in. Phases start at HP thresholds and may change the
+// boss's stats and behavior, summon minions (when the phase starts and every few boss turns after)
+// and give it an area attack. Area attacks are announced a round ahead: the hexes they will hit
+// sit in `game.telegraphs` until the boss's next turn, so every hero gets a turn to step clear.
+
+const AWARENESS_RANGE = 8;
+
+export function bossDef(enemyUnit) {
+  return enemyUnit?.boss ? BOSSES[enemyUnit.bossId] || null : null;
+}
+
+export function bossPhase(enemyUnit) {
+  return bossDef(enemyUnit)?.phases[enemyUnit.phase] || null;
+}
+
+export function makeBoss(id, bossId, x, y) {
+  const def = BOSSES[bossId];
+  const boss = makeEnemyFromTemplate(id, { ...def, tier: "boss" }, x, y);
+  return { ...boss, boss: true, bossId, phase: 0, cooldowns: { area: 0, summon: def.phases[0].summon?.cooldown ?? null } };
+}
+
+function sanitizeTelegraph(src) {
+  return {
+    sourceId: src.sourceId,
+    name: typeof src.name === "string" && src.name ? src.name : "Area attack",
+    damage: Math.max(0, Math.floor(Number(src.damage) || 0)),
+    status: statusById(src.status?.id) ? src.status : null,
+    center: { x: Math.floor(Number(src.center?.x) || 0), y: Math.floor(Number(src.center?.y) || 0) },
+    hexes: (Array.isArray(src.hexes) ? src.hexes : []).filter((k) => typeof k === "string" && /^-?\d+,-?\d+$/.test(k))
+  };
+}
+
+// Saves from before phased bosses keep their bosses as plain ones without phases.
+export function sanitizeBosses(game) {
+  game.telegraphs = (Array.isArray(game.telegraphs) ? game.telegraphs : [])
+    .filter((t) => t && typeof t.sourceId === "string")
+    .map(sanitizeTelegraph);
+  for (const enemyUnit of game.enemies || []) {
+    const def = bossDef(enemyUnit);
+    if (!def) continue;
+    enemyUnit.phase = Math.max(0, Math.min(def.phases.length - 1, Math.floor(Number(enemyUnit.phase) || 0)));
+    const cooldowns = enemyUnit.cooldowns && typeof enemyUnit.cooldowns === "object" ? enemyUnit.cooldowns : {};
+    const summon = Number(cooldowns.summon);
+    enemyUnit.cooldowns = {
+      area: Math.max(0, Math.floor(Number(cooldowns.area) || 0)),
+      summon: Number.isFinite(summon) && cooldowns.summon !== null ? Math.max(0, Math.floor(summon)) : null
+    };
+  }
+}
+
+function takenKeys(game) {
+  const keys = new Set();
+  for (const h of Object.values(game.heroes || {})) if (isHeroAlive(h)) keys.add(`${h.x},${h.y}`);
+  for (const e of livingEnemies(game)) keys.add(`${e.x},${e.y}`);
+  if (game.escort?.hp > 0) keys.add(`${game.escort.x},${game.escort.y}`);
+  const exit = game.scenario?.objective?.exit;
+  if (exit) keys.add(`${exit.x},${exit.y}`);
+  for (const obj of game.objects || []) keys.add(`${obj.x},${obj.y}`);
+  return keys;
+}
+
+function nextEnemyNumber(game) {
+  const used = (game.enemies || []).map((e) => Number(/^enemy-(\d+)$/.exec(e.id)?.[1]) || 0);
+  return Math.max(game.enemies?.length || 0, ...used) + 1;
+}
+
+function summonMinions(ctx, boss, summon) {
+  const game = ctx.game;
+  const template = ENEMY_TEMPLATES[summon.enemy];
+  if (!template) return;
+  const boardTerrain = game.terrain ?? 0;
+  for (let i = 0; i < summon.count; i += 1) {
+    const taken = takenKeys(game);
+    const spot = findNearestPassableHex(boss.x, boss.y, boardTerrain, (x, y) => taken.has(`${x},${y}`), 6);
+    if (taken.has(`${spot.x},${spot.y}`) || !isTerrainPassable(spot.x, spot.y, boardTerrain)) break;
+    game.enemies.push(makeEnemyFromTemplate(`enemy-${nextEnemyNumber(game)}`, template, spot.x, spot.y));
+    pushLog(ctx, `${boss.name} summons a ${template.name} at (${spot.x},${spot.y}).`);
+  }
+}
+
+function enterPhase(ctx, boss, index) {
+  const phase = bossDef(boss).phases[index];
+  boss.phase = index;
+  if (phase.attackPower) boss.attackPower = phase.attackPower;
+  if (phase.moveAp !== undefined) boss.moveAp = phase.moveAp;
+  if (phase.behavior) boss.behavior = phase.behavior;
+  boss.cooldowns.summon = phase.summon?.cooldown ?? null;
+  pushLog(ctx, `${boss.name} enters phase ${index + 1}: ${phase.name}!`);
+  if (phase.summon) summonMinions(ctx, boss, phase.summon);
+}
+
+// Moves every living boss into the phase its HP has reached. Bosses hurt past several thresholds
+// at once go through each phase in turn.
+export function updateBossPhases(ctx) {
+  for (const boss of livingEnemies(ctx.game)) {
+    const def = bossDef(boss);
+    if (!def) continue;
+    const hpPercent = (boss.hp / boss.maxHp) * 100;
+    for (let index = boss.phase + 1; index < def.phases.length && hpPercent <= def.phases[index].hpAtMost; index += 1) {
+      enterPhase(ctx, boss, index);
+    }
+  }
+}
+
+// Takes the boss's announced area attack off the board so it can land.
+export function takeTelegraphs(game, boss) {
+  const due = (game.telegraphs || []).filter((t) => t.sourceId === boss.id);
+  game.telegraphs = (game.telegraphs || []).filter((t) => t.sourceId !== boss.id);
+  return due;
+}
+
+// End of the boss's turn: cooldowns run down, repeating summons come in and a ready area attack is
+// aimed where it would catch the most heroes (then the weakest, then by owner id). It is only
+// announced in the log when the party has seen one of its hexes (`seenKeys`).
+export function bossEndsTurn(ctx, boss, heroes, seenKeys) {
+  const game = ctx.game;
+  const phase = bossPhase(boss);
+  if (!phase) return;
+  boss.cooldowns.area = Math.max(0, boss.cooldowns.area - 1);
+  if (boss.cooldowns.summon !== null) {
+    boss.cooldowns.summon -= 1;
+    if (boss.cooldowns.summon <= 0 && phase.summon) {
+      summonMinions(ctx, boss, phase.summon);
+      boss.cooldowns.summon = phase.summon.cooldown;
+    }
+  }
+
+  const attack = phase.areaAttack;
+  const aware = heroes.filter((h) => isHeroAlive(h) && hexDistance(h, boss) <= AWARENESS_RANGE);
+  if (!attack || boss.cooldowns.area > 0 || !aware.length) return;
+  const caught = (center) => aware.filter((h) => hexDistance(h, center) <= attack.radius).length;
+  const center = [...aware].sort((a, b) => caught(b) - caught(a) || a.hp - b.hp || a.ownerPlayerId.localeCompare(b.ownerPlayerId))[0];
+  const boardTerrain = game.terrain ?? 0;
+  const hexes = hexesInRadius(center, attack.radius)
+    .filter((p) => isTerrainPassable(p.x, p.y, boardTerrain))
+    .map((p) => `${p.x},${p.y}`);
+  game.telegraphs = [
+    ...(game.telegraphs || []),
+    { sourceId: boss.id, name: attack.name, damage: attack.damage, status: attack.status ? clone(attack.status) : null, center: { x: center.x, y: center.y }, hexes }
+  ];
+  boss.cooldowns.area = attack.cooldown;
+  if (hexes.some((k) => seenKeys.has(k))) pushLog(ctx, `${boss.name} gathers ${attack.name} around (${center.x},${center.y}). Get clear!`);
+}
+
+// Living bosses among the enemies the party can see.
+export function bossesView(visibleEnemies) {
+  return visibleEnemies
+    .filter((enemyUnit) => enemyUnit.boss && enemyUnit.hp > 0)
+    .map((boss) => {
+      const def = bossDef(boss);
+      return {
+        id: boss.id,
+        name: boss.name,
+        art: boss.art || null,
+        hp: boss.hp,
+        maxHp: boss.maxHp,
+        phase: def ? boss.phase + 1 : 1,
+        phaseCount: def ? def.phases.length : 1,
+        phaseName: bossPhase(boss)?.name || null,
+        thresholds: def ? def.phases.slice(1).map((phase) => phase.hpAtMost) : []
+      };
+    });
+}
+
+// Announced area attacks, limited to hexes the party has seen.
+export function telegraphsView(game, seenKeys) {
+  return (game.telegraphs || [])
+    .map((t) => ({ sourceId: t.sourceId, name: t.name, damage: t.damage, hexes: t.hexes.filter((k) => seenKeys.has(k)) }))
+    .filter((t) => t.hexes.length);
+}
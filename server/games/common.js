@@ -0,0 +1,290 @@
+import { DEFAULT_ENEMY_BEHAVIOR, DEFAULT_ENEMY_MOVE_AP } from "../../shared/behaviors.js";
+import { BASE_DEFENSE, ENEMY_DICE, enemyAccuracy, weaponReach } from "../../shared/combat.js";
+import { DEFAULT_SPEED } from "../../shared/initiative.js";
+import { makeDefaultRpgProfile } from "../campaign-store.js";
+import { ABILITIES, CLASSES, DEFAULT_CLASS_ID, ENEMY_TEMPLATES, ITEM_LABELS, SPELLS, WEAPONS } from "../content/index.js";
+import { ENEMY_TIERS } from "../content/schema.js";
+import { addGear, gearBonus, sanitizeEquipment, wearGear } from "./equipment.js";
+
+// Content and helpers shared by every rules module that runs on the dungeon board.
+// Anything that needs the live session receives the session context (`ctx`) explicitly.
+// The content tables themselves are loaded from content packs (see ../content).
+
+export {
+  ABILITIES,
+  BOSSES,
+  CLASSES,
+  CRAFTING_RECIPES,
+  DEFAULT_CLASS_ID,
+  ENEMY_TEMPLATES,
+  ITEMS,
+  ITEM_LABELS,
+  LOOT_TABLES,
+  MAPS,
+  MINE_RESOURCES,
+  OPENING_ENEMY_TEMPLATES,
+  SPELLS,
+  WEAPONS
+} from "../content/index.js";
+
+export function clamp(n, lo, hi) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+export function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+export function xpNeededForLevel(level) {
+  return 20 + Math.max(0, level - 1) * 12;
+}
+
+// Heroes who have not picked a class yet play with the default one.
+export function heroClassFor(profile) {
+  return CLASSES[profile?.classId] || CLASSES[DEFAULT_CLASS_ID];
+}
+
+export function heroMaxHpFor(profile) {
+  const heroClass = heroClassFor(profile);
+  return heroClass.hp + Math.max(0, (profile?.level || 1) - 1) * heroClass.hpPerLevel + gearBonus(profile, "maxHpBonus");
+}
+
+export function weightedPick(entries, weights, random) {
+  const total = weights.reduce((sum, w) => sum + Math.max(0, w), 0);
+  if (total <= 0) return entries[0];
+  let roll = random() * total;
+  for (let i = 0; i < entries.length; i += 1) {
+    const w = Math.max(0, weights[i] || 0);
+    if (roll <= w) return entries[i];
+    roll -= w;
+  }
+  return entries[entries.length - 1];
+}
+
+export function ensureRpgProfile(player) {
+  const base = makeDefaultRpgProfile();
+  if (!player || typeof player !== "object") return clone(base);
+
+  const raw = player.rpg && typeof player.rpg === "object" ? player.rpg : {};
+  const inventory = {
+    ...base.inventory,
+    ...(raw.inventory && typeof raw.inventory === "object" ? raw.inventory : {})
+  };
+  for (const key of Object.keys(base.inventory)) {
+    inventory[key] = Math.max(0, Number(inventory[key]) || 0);
+  }
+
+  const level = Math.max(1, Number(raw.level) || base.level);
+  const classId = CLASSES[raw.classId] ? raw.classId : null;
+  const classAbilityIds = new Set((CLASSES[classId]?.abilities || []).map((unlock) => unlock.id));
+  const { weaponId, ...current } = raw;
+  player.rpg = {
+    ...base,
+    ...current,
+    level,
+    xp: Math.max(0, Number(raw.xp) || 0),
+    xpToNext: Math.max(10, Number(raw.xpToNext) || xpNeededForLevel(level)),
+    gold: Math.max(0, Number(raw.gold) || 0),
+    ...sanitizeEquipment(raw, base.equipment),
+    spellId: SPELLS[raw.spellId] ? raw.spellId : base.spellId,
+    classId,
+    abilityIds: Array.isArray(raw.abilityIds) ? [...new Set(raw.abilityIds.filter((id) => classAbilityIds.has(id)))] : [],
+    inventory
+  };
+  return player.rpg;
+}
+
+// Gives a profile its class and starting kit. Returns the abilities it unlocked.
+export function assignHeroClass(profile, classId) {
+  const heroClass = CLASSES[classId];
+  profile.classId = heroClass.id;
+  profile.abilityIds = [];
+  if (heroClass.weaponId && profile.equipment.weapon !== heroClass.weaponId) wearGear(profile, heroClass.weaponId);
+  if (heroClass.spellId) profile.spellId = heroClass.spellId;
+  return unlockClassAbilities(profile);
+}
+
+// Adds every class ability the profile's level has reached. Returns the newly unlocked ones.
+export function unlockClassAbilities(profile) {
+  const heroClass = CLASSES[profile?.classId];
+  if (!heroClass) return [];
+  const unlocked = [];
+  for (const { id, level } of heroClass.abilities) {
+    if (level > profile.level || profile.abilityIds.includes(id)) continue;
+    profile.abilityIds.push(id);
+    unlocked.push(ABILITIES[id]);
+  }
+  return unlocked;
+}
+
+// The hero's own spell plus the class spells its level has reached, own spell first.
+export function knownSpellIds(profile) {
+  const learned = (CLASSES[profile?.classId]?.spells || []).filter((unlock) => unlock.level <= profile.level).map((unlock) => unlock.id);
+  return [...new Set([profile?.spellId, ...learned])].filter((id) => SPELLS[id]);
+}
+
+export function makeEnemyFromTemplate(id, template, x, y) {
+  return {
+    id,
+    templateId: template.id,
+    name: template.name,
+    art: template.art,
+    flavor: template.flavor,
+    tier: template.tier,
+    level: template.level,
+    attackPower: template.attackPower,
+    x,
+    y,
+    hp: template.hp,
+    maxHp: template.hp,
+    rewardXp: template.rewardXp,
+    rewardGold: template.rewardGold,
+    dropTable: clone(template.dropTable),
+    onHit: template.onHit ? clone(template.onHit) : null,
+    behavior: template.behavior || DEFAULT_ENEMY_BEHAVIOR,
+    moveAp: template.moveAp ?? DEFAULT_ENEMY_MOVE_AP,
+    attackRange: template.attackRange ?? null,
+    heal: template.heal ?? 0,
+    speed: template.speed ?? DEFAULT_SPEED,
+    defense: template.defense ?? BASE_DEFENSE,
+    accuracy: template.accuracy ?? enemyAccuracy(template.level),
+    damageDice: template.damageDice ?? ENEMY_DICE,
+    post: { x, y },
+    statuses: []
+  };
+}
+
+// Templates of a tier, falling back to the next lower tier that has any. Content validation
+// guarantees at least one common enemy.
+export function enemyTemplatesOfTier(tier) {
+  for (let i = Math.max(0, ENEMY_TIERS.indexOf(tier)); i >= 0; i -= 1) {
+    const templates = Object.values(ENEMY_TEMPLATES).filter((t) => t.tier === ENEMY_TIERS[i]);
+    if (templates.length) return templates;
+  }
+  return [];
+}
+
+export function pickScaledEnemyTemplate(avgLevel, defeatedCount, random) {
+  const threat = Math.max(1, Math.floor(avgLevel + defeatedCount / 6));
+  let tier;
+  if (threat >= 6) tier = "rare";
+  else if (threat >= 4) tier = random() < 0.55 ? "elite" : "rare";
+  else if (threat >= 3) tier = random() < 0.5 ? "uncommon" : "elite";
+  else tier = random() < 0.75 ? "common" : "uncommon";
+  const templates = enemyTemplatesOfTier(tier);
+  return templates.length > 1 ? templates[Math.floor(random() * templates.length)] : templates[0];
+}
+
+export function rollEnemyDrops(enemyUnit, random) {
+  return rollDrops(enemyUnit?.dropTable, random);
+}
+
+// Rolls a list of { item, min, max, chance } entries into item counts.
+export function rollDrops(table, random) {
+  const entries = Array.isArray(table) ? table : [];
+  const drops = {};
+  for (const entry of entries) {
+    if (!entry || !entry.item) continue;
+    const chance = clamp(Number(entry.chance) || 0, 0, 1);
+    if (random() > chance) continue;
+    const min = Math.max(1, Math.floor(Number(entry.min) || 1));
+    const max = Math.max(min, Math.floor(Number(entry.max) || min));
+    const qty = min + Math.floor(random() * (max - min + 1));
+    drops[entry.item] = (drops[entry.item] || 0) + qty;
+  }
+  return drops;
+}
+
+export function grantXp(profile, xpAmount) {
+  let gainedLevels = 0;
+  profile.xp += Math.max(0, xpAmount);
+  while (profile.xp >= profile.xpToNext) {
+    profile.xp -= profile.xpToNext;
+    profile.level += 1;
+    profile.xpToNext = xpNeededForLevel(profile.level);
+    gainedLevels += 1;
+  }
+  return gainedLevels;
+}
+
+export function addInventory(profile, drops) {
+  profile.inventory = profile.inventory || {};
+  for (const [itemId, qty] of Object.entries(drops || {})) {
+    if (!qty) continue;
+    profile.inventory[itemId] = Math.max(0, (profile.inventory[itemId] || 0) + qty);
+  }
+}
+
+export function formatDrops(drops) {
+  const parts = Object.entries(drops || {})
+    .filter(([, qty]) => qty > 0)
+    .map(([itemId, qty]) => `${qty}x ${ITEM_LABELS[itemId] || itemId}`);
+  return parts.length ? parts.join(", ") : "none";
+}
+
+// Weapons with an `autoEquipAtLevel` are level rewards, handed out once when that level is
+// reached. A reward that hits harder and reaches as far as the wielded weapon is worn (the old one
+// goes into the gear bag); otherwise it is stowed. Returns the rewards as { weapon, worn }.
+export function equipAutoUpgrades(profile, levelsGained) {
+  if (!profile || levelsGained <= 0) return [];
+  const reached = (level) => level > profile.level - levelsGained && level <= profile.level;
+  return Object.values(WEAPONS)
+    .filter((weapon) => weapon.autoEquipAtLevel && reached(weapon.autoEquipAtLevel))
+    .sort((a, b) => a.autoEquipAtLevel - b.autoEquipAtLevel)
+    .map((weapon) => {
+      const current = WEAPONS[profile.equipment.weapon];
+      const worn = weapon.damageBonus > (current?.damageBonus ?? -1) && weaponReach(weapon).range >= weaponReach(current).range;
+      if (worn) wearGear(profile, weapon.id);
+      else addGear(profile, weapon.id);
+      return { weapon, worn };
+    });
+}
+
+export function campaignPlayerById(ctx, playerId) {
+  return (ctx.campaign.players || []).find((p) => p.id === playerId) || null;
+}
+
+export function rpgProfileById(ctx, playerId) {
+  return ensureRpgProfile(campaignPlayerById(ctx, playerId));
+}
+
+export function shortName(ctx, pid) {
+  const s = ctx.session.seats.find((x) => x.playerId === pid);
+  return s?.playerName || pid.slice(0, 4);
+}
+
+export function pushLog(ctx, msg, at = Date.now()) {
+  ctx.game.log.push({ at, msg });
+}
+
+// Grows the hero's max HP after a level-up and announces level, weapon and ability changes.
+export function applyProgression(ctx, playerId, profile, levelsGained, at = Date.now()) {
+  const game = ctx.game;
+  const rewards = equipAutoUpgrades(profile, levelsGained);
+  const learned = unlockClassAbilities(profile);
+  const spells = (CLASSES[profile.classId]?.spells || [])
+    .filter((unlock) => unlock.level <= profile.level && unlock.level > profile.level - levelsGained)
+    .map((unlock) => SPELLS[unlock.id]);
+  const hero = game.heroes?.[playerId];
+  if (hero) {
+    const nextMaxHp = heroMaxHpFor(profile);
+    if (nextMaxHp > hero.maxHp) {
+      hero.hp = clamp(hero.hp + nextMaxHp - hero.maxHp, 0, nextMaxHp);
+      hero.maxHp = nextMaxHp;
+    }
+    hero.level = profile.level;
+  }
+  if (levelsGained > 0) pushLog(ctx, `${shortName(ctx, playerId)} reached level ${profile.level}!`, at);
+  for (const { weapon, worn } of rewards) {
+    pushLog(ctx, worn ? `${shortName(ctx, playerId)} upgraded weapon to ${weapon.name}.` : `${shortName(ctx, playerId)} received ${weapon.name}.`, at);
+  }
+  for (const ability of [...learned, ...spells]) pushLog(ctx, `${shortName(ctx, playerId)} learned ${ability.name}.`, at);
+}
+
+export function ok(extra = {}) {
+  return { ok: true, ...extra };
+}
+
+export function fail(code, message) {
+  return { ok: false, code, message };
+}
@@ -0,0 +1,111 @@
+import { manhattan } from "../../shared/game.js";
+import { CRAFTING_STATIONS, INTERACT_RANGE, ObjectType } from "../../shared/objects.js";
+import { CRAFTING_RECIPES, ITEM_LABELS, pushLog, rpgProfileById } from "./common.js";
+import { addGear, gearById, removeGear } from "./equipment.js";
+
+// The crafting tree (content `recipes`). Recipes use and make inventory items or gear; gear comes
+// from and goes to the gear bag, so a weapon upgrade needs the old weapon taken off first. A
+// recipe with a `station` is only crafted next to a station object of that kind, and one with an
+// `unlock` stays hidden until the campaign discovers it (`campaign.recipes`).
+
+function entryName(id) {
+  return ITEM_LABELS[id] || gearById(id)?.gear.name || id;
+}
+
+function ownedCount(profile, id) {
+  return ITEM_LABELS[id] ? profile.inventory?.[id] || 0 : profile.gear?.[id] || 0;
+}
+
+export function recipeKnown(campaign, recipe) {
+  return !recipe.unlock || (campaign.recipes || []).includes(recipe.id);
+}
+
+function carriedByParty(ctx, id) {
+  return Object.keys(ctx.game?.heroes || {}).some((playerId) => {
+    const profile = rpgProfileById(ctx, playerId);
+    return ownedCount(profile, id) > 0 || Object.values(profile.equipment || {}).includes(id);
+  });
+}
+
+// Learns every hidden recipe whose unlock has been met: `crafted` is the recipe just crafted.
+// Returns the recipes discovered.
+export function discoverRecipes(ctx, crafted = null) {
+  const found = Object.values(CRAFTING_RECIPES).filter(
+    (recipe) =>
+      !recipeKnown(ctx.campaign, recipe) &&
+      ((recipe.unlock.recipe && recipe.unlock.recipe === crafted) || (recipe.unlock.item && carriedByParty(ctx, recipe.unlock.item)))
+  );
+  if (!found.length) return found;
+  ctx.campaign.recipes = [...(ctx.campaign.recipes || []), ...found.map((recipe) => recipe.id)];
+  for (const recipe of found) pushLog(ctx, `New recipe discovered: ${recipe.label}.`);
+  return found;
+}
+
+// Station kinds within reach of the hero.
+export function stationsNear(game, hero) {
+  if (!hero) return [];
+  const kinds = (game.objects || [])
+    .filter((obj) => obj.type === ObjectType.STATION && obj.station && manhattan(hero, obj) <= INTERACT_RANGE)
+    .map((obj) => obj.station);
+  return [...new Set(kinds)];
+}
+
+// `[{ id, name, need, have }]` for each thing the recipe uses.
+export function recipeMaterials(profile, recipe) {
+  return Object.entries(recipe.requires).map(([id, need]) => ({ id, name: entryName(id), need, have: ownedCount(profile, id) }));
+}
+
+// Why the player cannot craft the recipe right now as `{ code, message }`, or null.
+export function craftProblem(ctx, playerId, recipe) {
+  const game = ctx.game;
+  if (!recipeKnown(ctx.campaign, recipe)) return { code: "UNDISCOVERED", message: "The party has not discovered this recipe yet." };
+  if (recipe.station && !stationsNear(game, game.heroes?.[playerId]).includes(recipe.station)) {
+    return { code: "NO_STATION", message: `Needs a ${CRAFTING_STATIONS[recipe.station].label} nearby.` };
+  }
+  const missing = recipeMaterials(rpgProfileById(ctx, playerId), recipe).filter((m) => m.have < m.need);
+  if (missing.length) return { code: "MISSING_ITEMS", message: `Missing ${missing.map((m) => `${m.need - m.have}x ${m.name}`).join(", ")}.` };
+  if ((game.turn?.apRemaining ?? 0) < recipe.apCost) return { code: "NO_AP", message: `Crafting needs ${recipe.apCost} AP.` };
+  return null;
+}
+
+export function craftRecipe(profile, recipe) {
+  for (const [id, qty] of Object.entries(recipe.requires)) {
+    if (ITEM_LABELS[id]) profile.inventory[id] = Math.max(0, (profile.inventory[id] || 0) - qty);
+    else removeGear(profile, id, qty);
+  }
+  for (const [id, qty] of Object.entries(recipe.yields)) {
+    if (ITEM_LABELS[id]) profile.inventory[id] = (profile.inventory[id] || 0) + qty;
+    else addGear(profile, id, qty);
+  }
+}
+
+// The phone's crafting browser: every discovered recipe with what is missing for it, and a hint
+// for each one still hidden.
+export function craftingView(ctx, playerId) {
+  const profile = rpgProfileById(ctx, playerId);
+  const recipes = Object.values(CRAFTING_RECIPES);
+  const hint = (unlock) => (unlock.recipe ? `Craft ${CRAFTING_RECIPES[unlock.recipe].label} to discover.` : `Find ${entryName(unlock.item)} to discover.`);
+  return {
+    stations: stationsNear(ctx.game, ctx.game.heroes?.[playerId]).map((kind) => ({ kind, label: CRAFTING_STATIONS[kind].label })),
+    recipes: recipes
+      .filter((recipe) => recipeKnown(ctx.campaign, recipe))
+      .map((recipe) => {
+        const problem = craftProblem(ctx, playerId, recipe)?.message || null;
+        return {
+          id: recipe.id,
+          label: recipe.label,
+          tier: recipe.tier || 1,
+          category: recipe.category || "consumable",
+          station: recipe.station ? { kind: recipe.station, label: CRAFTING_STATIONS[recipe.station].label } : null,
+          apCost: recipe.apCost,
+          materials: recipeMaterials(profile, recipe),
+          yields: Object.entries(recipe.yields).map(([id, qty]) => ({ id, name: entryName(id), qty })),
+          problem,
+          canCraft: !problem
+        };
+      }),
+    hidden: recipes
+      .filter((recipe) => !recipeKnown(ctx.campaign, recipe))
+      .map((recipe) => ({ tier: recipe.tier || 1, category: recipe.category || "consumable", hint: hint(recipe.unlock) }))
+  };
+}
@@ -0,0 +1,2203 @@
+import { v4 as uuid } from "uuid";
+import { BEHAVIOR_META, DEFAULT_ENEMY_BEHAVIOR, DEFAULT_ENEMY_MOVE_AP, behaviorMeta } from "../../shared/behaviors.js";
+import {
+  BASE_DEFENSE,
+  ENEMY_DICE,
+  RollOutcome,
+  UNARMED_DICE,
+  describeReach,
+  enemyAccuracy,
+  heroAccuracy,
+  magicDamage,
+  parseDice,
+  resolveAttack,
+  strikeDamage
+} from "../../shared/combat.js";
+import { Role } from "../../shared/protocol.js";
+import { DEFAULT_SPEED, InitiativeKind } from "../../shared/initiative.js";
+import { ItemEffect, ItemTarget, describeItemUse, itemArea, itemAimProblem, itemUseStats } from "../../shared/items.js";
+import { INTERACT_RANGE, ObjectType, interactVerb, routeBlockingKeys } from "../../shared/objects.js";
+import { ReactionType, reactionMeta } from "../../shared/reactions.js";
+import { describeObjective, scenarioById } from "../../shared/scenarios.js";
+import { StatusId, damageDealtBonus, hasStatus, statusById, statusDamage, statusStepCost } from "../../shared/status.js";
+import {
+  ActionType,
+  chargePath,
+  coverFrom,
+  findNearestPassableHex,
+  isTerrainPassable,
+  livingEnemies,
+  makeInitialGameState,
+  manhattan,
+  resetTurnAP,
+  spawnHeroForPlayer,
+  ensurePlayerInTurnOrder,
+  findHexPath,
+  hexesInRadius,
+  isConcealedFrom,
+  isHeroAlive,
+  isInBounds,
+  sightBlockerFor,
+  terrainAt,
+  terrainMetaById,
+  terrainMoveCost
+} from "../../shared/game.js";
+import { spellAimProblem, spellTargetsHex } from "../../shared/spells.js";
+import {
+  ABILITIES,
+  BOSSES,
+  CLASSES,
+  CRAFTING_RECIPES,
+  DEFAULT_CLASS_ID,
+  ENEMY_TEMPLATES,
+  ITEMS,
+  ITEM_LABELS,
+  OPENING_ENEMY_TEMPLATES,
+  SPELLS,
+  addInventory,
+  applyProgression,
+  assignHeroClass,
+  campaignPlayerById,
+  clamp,
+  clone,
+  enemyTemplatesOfTier,
+  ensureRpgProfile,
+  fail,
+  formatDrops,
+  grantXp,
+  heroClassFor,
+  knownSpellIds,
+  heroMaxHpFor,
+  makeEnemyFromTemplate,
+  ok,
+  pickScaledEnemyTemplate,
+  pushLog,
+  rollEnemyDrops,
+  rpgProfileById,
+  shortName
+} from "./common.js";
+import { craftProblem, craftRecipe, craftingView, discoverRecipes } from "./crafting.js";
+import { EQUIPMENT_SLOTS, addGear, equippedWeapon, gearBonus, gearById, gearView, removeGear, shopEntry, shopStock, wearGear } from "./equipment.js";
+import { enemyAttackRange, enemyMoveAp, planEnemyTurn } from "./ai.js";
+import { sanitizeMap, scenarioMap } from "./maps.js";
+import { bossEndsTurn, bossesView, sanitizeBosses, takeTelegraphs, telegraphsView, updateBossPhases } from "./boss.js";
+import { initiativeSlot, initiativeView, joinInitiative, leaveInitiative, rollInitiative, sanitizeInitiative } from "./initiative.js";
+import { undoableCount } from "./journal.js";
+import { advanceRound, escortAt, escortView, evaluateScenario, isScenarioOver, sanitizeScenario, setupScenario } from "./objectives.js";
+import {
+  answerReaction,
+  askReactions,
+  guardTaking,
+  heldReactionView,
+  opportunityAttackers,
+  overwatchersAt,
+  pendingReactionView,
+  reactionDeadline,
+  reactionOptions,
+  sanitizeReactions,
+  useReaction
+} from "./reactions.js";
+import { makeRngState, newEncounterSeed, peekRng, randomId, rngFor, sanitizeRngState } from "./rng.js";
+import { heroReach, heroShotProblem } from "./ranged.js";
+import { recordRoll, rollsView, sanitizeRolls } from "./rolls.js";
+import {
+  closeTrade,
+  completeTrade,
+  describeOffer,
+  describeTrade,
+  dropTradesOf,
+  itemBundle,
+  missingFrom,
+  openTrade,
+  sanitizeTrades,
+  stashMove,
+  stashView,
+  tradeById,
+  tradePartners,
+  tradeProblem,
+  tradesView
+} from "./trades.js";
+import {
+  armedTrapAt,
+  closedDoorKeys,
+  doorwayOccupied,
+  leverJammedBy,
+  objectById,
+  objectsView,
+  pullLever,
+  rollChest,
+  sanitizeObjects,
+  setupObjects,
+  springTrap
+} from "./objects.js";
+import { fogView, isHexVisible, rememberVisibleHexes, visibleHexKeys } from "./fog.js";
+import { clearStatuses, damageUnit, removeStatus, sanitizeStatuses, statusesView, tickStatuses, tryApplyStatus } from "./status.js";
+import { changeTerrain, sanitizeTerrain, spellEffects, spellStats, spellView } from "./spells.js";
+import { enterTerrain } from "./terrain.js";
+import { reconcileTurnOrder, requireActive } from "./turns.js";
+
+// Rules module for the co-op hex crawl. `createDungeonRules` is also the base for other
+// board games that reuse heroes, enemies and loot but swap how rewards are granted.
+
+// Enough slots for a few rounds' worth of passing; only a broken turn order gets near it.
+const MAX_PASSED_SLOTS = 200;
+
+function scenarioView(game) {
+  return game.scenario
+    ? {
+        id: game.scenario.id,
+        title: game.scenario.title,
+        objective: game.scenario.objective,
+        summary: describeObjective(game.scenario),
+        defeatedCount: game.scenario.defeatedCount,
+        round: game.scenario.round,
+        status: game.scenario.status
+      }
+    : null;
+}
+
+function campaignView(campaign) {
+  return {
+    id: campaign.id,
+    title: campaign.title,
+    currentScenarioId: campaign.progression?.currentScenarioId || null,
+    victories: campaign.progression?.victories || 0
+  };
+}
+
+function rulesView(game) {
+  return {
+    attackRange: game.rules.attackRange,
+    spellRange: game.rules.spellRange,
+    spellApCost: game.rules.spellApCost,
+    actionPointsPerTurn: game.rules.actionPointsPerTurn
+  };
+}
+
+function enemyView(game, enemyUnit) {
+  return {
+    id: enemyUnit.id,
+    name: enemyUnit.name || null,
+    art: enemyUnit.art || null,
+    flavor: enemyUnit.flavor || null,
+    tier: enemyUnit.tier || "common",
+    level: enemyUnit.level || 1,
+    attackPower: enemyUnit.attackPower ?? game.rules.enemyDamage,
+    behavior: enemyUnit.behavior || DEFAULT_ENEMY_BEHAVIOR,
+    behaviorLabel: behaviorMeta(enemyUnit.behavior).label,
+    attackRange: enemyAttackRange(game, enemyUnit),
+    moveAp: enemyMoveAp(enemyUnit),
+    speed: enemyUnit.speed,
+    defense: enemyUnit.defense ?? BASE_DEFENSE,
+    accuracy: enemyUnit.accuracy ?? enemyAccuracy(enemyUnit.level),
+    damageDice: enemyUnit.damageDice || ENEMY_DICE,
+    boss: Boolean(enemyUnit.boss),
+    x: enemyUnit.x,
+    y: enemyUnit.y,
+    hp: enemyUnit.hp,
+    maxHp: enemyUnit.maxHp,
+    statuses: statusesView(enemyUnit)
+  };
+}
+
+function classView(heroClass) {
+  return {
+    id: heroClass.id,
+    name: heroClass.name,
+    description: heroClass.description,
+    hp: heroClass.hp,
+    speed: heroClass.speed ?? DEFAULT_SPEED,
+    defense: heroClass.defense ?? BASE_DEFENSE,
+    abilities: heroClass.abilities.map(({ id, level }) => ({ id, name: ABILITIES[id].name, level })),
+    spells: (heroClass.spells || []).map(({ id, level }) => ({ id, name: SPELLS[id].name, level }))
+  };
+}
+
+function abilityView(ability, hero) {
+  return {
+    id: ability.id,
+    name: ability.name,
+    description: ability.description,
+    target: ability.target,
+    apCost: ability.apCost,
+    range: ability.range,
+    cooldown: ability.cooldown,
+    charge: Boolean(ability.charge),
+    cooldownLeft: hero?.cooldowns?.[ability.id] || 0
+  };
+}
+
+function lootView(loot) {
+  return {
+    id: loot.id,
+    x: loot.x,
+    y: loot.y,
+    xp: loot.xp,
+    gold: loot.gold,
+    mineCredits: loot.mineCredits || 0,
+    drops: loot.drops
+  };
+}
+
+function cellOccupiedByOtherHero(ctx, x, y, actorPlayerId) {
+  if (!ctx.game) return false;
+  for (const h of Object.values(ctx.game.heroes)) {
+    if (h.ownerPlayerId !== actorPlayerId && h.hp > 0 && ctx.isPlayerConnected(h.ownerPlayerId) && h.x === x && h.y === y) return true;
+  }
+  return false;
+}
+
+function enemyAt(game, x, y) {
+  if (!game) return null;
+  return (game.enemies || []).find((enemyUnit) => enemyUnit.hp > 0 && enemyUnit.x === x && enemyUnit.y === y) || null;
+}
+
+function downedHeroTargetsFor(ctx, actorPlayerId) {
+  const game = ctx.game;
+  if (!game) return [];
+  const actorHero = game.heroes?.[actorPlayerId];
+  if (!actorHero || actorHero.hp <= 0) return [];
+  const campaignNameById = new Map((ctx.campaign.players || []).map((p) => [p.id, p.name]));
+  return Object.values(game.heroes || {})
+    .filter((h) => h.ownerPlayerId !== actorPlayerId)
+    .filter((h) => ctx.isPlayerConnected(h.ownerPlayerId))
+    .filter((h) => h.hp <= 0)
+    .map((h) => ({
+      playerId: h.ownerPlayerId,
+      playerName: ctx.session.seats.find((s) => s.playerId === h.ownerPlayerId)?.playerName || campaignNameById.get(h.ownerPlayerId) || null,
+      distance: manhattan(actorHero, h)
+    }))
+    .filter((x) => x.distance <= 1)
+    .sort((a, b) => a.distance - b.distance || (a.playerName || "").localeCompare(b.playerName || ""));
+}
+
+function requireLivingHero(ctx, actorPlayerId) {
+  const hero = ctx.game.heroes[actorPlayerId];
+  if (!hero || hero.hp <= 0) return fail("HERO_DOWN", "Hero is down.");
+  return ok({ hero });
+}
+
+function requireAnyAp(ctx, message = "No actions remaining. End your turn.") {
+  if ((ctx.game.turn.apRemaining ?? 0) <= 0) return fail("NO_AP", message);
+  return ok();
+}
+
+function spendAp(game, amount) {
+  game.turn.apRemaining = Math.max(0, (game.turn.apRemaining ?? 0) - amount);
+}
+
+// Players who join without picking a class (or come from older saves) get the default one.
+function ensureHeroClass(ctx, playerId) {
+  const profile = rpgProfileById(ctx, playerId);
+  if (!profile.classId) assignHeroClass(profile, DEFAULT_CLASS_ID);
+  return profile;
+}
+
+function sanitizeCooldowns(hero) {
+  const src = hero.cooldowns && typeof hero.cooldowns === "object" ? hero.cooldowns : {};
+  hero.cooldowns = Object.fromEntries(
+    Object.entries(src)
+      .filter(([abilityId]) => ABILITIES[abilityId])
+      .map(([abilityId, left]) => [abilityId, Math.max(0, Math.floor(Number(left) || 0))])
+      .filter(([, left]) => left > 0)
+  );
+}
+
+// Ability cooldowns count down when their owner ends a turn.
+function tickCooldowns(hero) {
+  for (const [abilityId, left] of Object.entries(hero?.cooldowns || {})) {
+    if (left > 1) hero.cooldowns[abilityId] = left - 1;
+    else delete hero.cooldowns[abilityId];
+  }
+}
+
+function readyAbilities(hero, profile, apRemaining) {
+  return profile.abilityIds
+    .map((abilityId) => ABILITIES[abilityId])
+    .filter((ability) => ability && !hero?.cooldowns?.[ability.id] && apRemaining >= ability.apCost);
+}
+
+// Default reward path: dropped loot grants XP, gold and items to whoever walks onto it.
+function collectDungeonLoot(ctx, playerId, collected, profile, now) {
+  const game = ctx.game;
+  const totals = { xp: 0, gold: 0, drops: {} };
+  for (const loot of collected) {
+    totals.xp += Math.max(0, Number(loot.xp) || 0);
+    totals.gold += Math.max(0, Number(loot.gold) || 0);
+    for (const [itemId, qty] of Object.entries(loot.drops || {})) {
+      if (!qty) continue;
+      totals.drops[itemId] = (totals.drops[itemId] || 0) + qty;
+    }
+  }
+
+  const levelsGained = grantXp(profile, totals.xp);
+  profile.gold += totals.gold;
+  addInventory(profile, totals.drops);
+
+  game.lastLoot = {
+    playerId,
+    enemyName: collected.length === 1 ? collected[0].enemyName : "Loot Cache",
+    xp: totals.xp,
+    gold: totals.gold,
+    drops: totals.drops,
+    mineCredits: 0,
+    mineAction: null,
+    mineDepth: null,
+    at: now
+  };
+  pushLog(ctx, `${shortName(ctx, playerId)} loots ${totals.gold} gold, ${totals.xp} XP, items: ${formatDrops(totals.drops)}.`, now);
+  applyProgression(ctx, playerId, profile, levelsGained, now);
+  return game.lastLoot;
+}
+
+function rewardDungeonDefeat(ctx, enemyUnit, killerPlayerId, now) {
+  const game = ctx.game;
+  const random = rngFor(game);
+  const xpReward = Math.max(1, Number(enemyUnit.rewardXp) || Number(enemyUnit.level) * 8 || 8);
+  const goldReward = Math.max(0, Number(enemyUnit.rewardGold) || Number(enemyUnit.level) * 3 || 0);
+  const drops = rollEnemyDrops(enemyUnit, random);
+  game.groundLoot.push({
+    id: randomId(random, "loot"),
+    x: enemyUnit.x,
+    y: enemyUnit.y,
+    xp: xpReward,
+    gold: goldReward,
+    drops,
+    enemyName: enemyUnit.name || "Monster",
+    killerPlayerId: killerPlayerId || null,
+    at: now
+  });
+
+  pushLog(
+    ctx,
+    `${enemyUnit.name || "Monster"} defeated (${game.scenario.defeatedCount} total). Loot dropped at (${enemyUnit.x},${enemyUnit.y}).`,
+    now
+  );
+}
+
+export function createDungeonRules({
+  id,
+  title,
+  allowsPhones = true,
+  collectLoot = collectDungeonLoot,
+  rewardDefeat = rewardDungeonDefeat,
+  extraActions = {},
+  extendPrivateView = null
+}) {
+  function migrateState(ctx) {
+    const game = ctx.game;
+    if (!game) return;
+    if (!Array.isArray(game.enemies)) {
+      game.enemies = game.enemy ? [game.enemy] : [];
+      delete game.enemy;
+    }
+    if (!Array.isArray(game.groundLoot)) game.groundLoot = [];
+    // Saves from before seeded rolls get a fresh stream; they cannot be replayed from the start.
+    game.rng = sanitizeRngState(game.rng) || makeRngState(newEncounterSeed());
+    sanitizeScenario(game);
+    sanitizeObjects(game);
+    sanitizeTerrain(game);
+    sanitizeMap(game);
+    game.rules = game.rules || {};
+    if ((game.rules.actionPointsPerTurn ?? 0) < 4) game.rules.actionPointsPerTurn = 4;
+    if (!Number.isFinite(game.rules.spellRange) || game.rules.spellRange < 2) game.rules.spellRange = 3;
+    if (!Number.isFinite(game.rules.spellApCost) || game.rules.spellApCost < 1) game.rules.spellApCost = 2;
+    if (!Number.isFinite(game.rules.visionRadius) || game.rules.visionRadius < 1) game.rules.visionRadius = 4;
+
+    for (const [playerId, hero] of Object.entries(game.heroes || {})) {
+      const profile = rpgProfileById(ctx, playerId);
+      const expectedMaxHp = heroMaxHpFor(profile);
+      // Max HP follows the profile (class, level, gear).
+      hero.maxHp = Math.max(1, expectedMaxHp);
+      const parsedHeroHp = Number(hero.hp);
+      hero.hp = clamp(Number.isFinite(parsedHeroHp) ? parsedHeroHp : hero.maxHp, 0, hero.maxHp);
+      hero.level = profile.level;
+      sanitizeStatuses(hero);
+      sanitizeCooldowns(hero);
+    }
+
+    for (const enemyUnit of game.enemies || []) {
+      const fallback = enemyTemplatesOfTier("common")[0];
+      enemyUnit.tier = typeof enemyUnit.tier === "string" ? enemyUnit.tier : fallback.tier;
+      enemyUnit.level = Math.max(1, Number(enemyUnit.level) || fallback.level);
+      const parsedEnemyMaxHp = Number(enemyUnit.maxHp);
+      const parsedEnemyHp = Number(enemyUnit.hp);
+      enemyUnit.maxHp = Math.max(
+        1,
+        Number.isFinite(parsedEnemyMaxHp)
+          ? parsedEnemyMaxHp
+          : Number.isFinite(parsedEnemyHp)
+            ? parsedEnemyHp
+            : fallback.hp
+      );
+      enemyUnit.hp = clamp(Number.isFinite(parsedEnemyHp) ? parsedEnemyHp : enemyUnit.maxHp, 0, enemyUnit.maxHp);
+      enemyUnit.attackPower = Math.max(1, Number(enemyUnit.attackPower) || fallback.attackPower);
+      enemyUnit.rewardXp = Math.max(1, Number(enemyUnit.rewardXp) || enemyUnit.level * 8);
+      enemyUnit.rewardGold = Math.max(0, Number(enemyUnit.rewardGold) || enemyUnit.level * 3);
+      enemyUnit.dropTable = Array.isArray(enemyUnit.dropTable) ? enemyUnit.dropTable : clone(fallback.dropTable);
+      // Enemies from before behavior profiles take theirs from the template they were made from.
+      const template = ENEMY_TEMPLATES[enemyUnit.templateId];
+      enemyUnit.behavior = BEHAVIOR_META[enemyUnit.behavior] ? enemyUnit.behavior : template?.behavior || DEFAULT_ENEMY_BEHAVIOR;
+      enemyUnit.moveAp = Math.max(0, Math.floor(Number(enemyUnit.moveAp ?? template?.moveAp ?? DEFAULT_ENEMY_MOVE_AP) || 0));
+      enemyUnit.attackRange = Number(enemyUnit.attackRange) >= 1 ? Math.floor(enemyUnit.attackRange) : template?.attackRange ?? null;
+      enemyUnit.heal = Math.max(0, Math.floor(Number(enemyUnit.heal ?? template?.heal) || 0));
+      // Enemies from before initiative and attack rolls take their speed and combat stats from the
+      // template (or boss) too.
+      const source = template || BOSSES[enemyUnit.bossId];
+      enemyUnit.speed = Math.max(0, Math.floor(Number(enemyUnit.speed ?? source?.speed ?? DEFAULT_SPEED) || 0));
+      enemyUnit.defense = Math.max(0, Math.floor(Number(enemyUnit.defense ?? source?.defense ?? BASE_DEFENSE) || 0));
+      enemyUnit.accuracy = Math.floor(Number(enemyUnit.accuracy ?? source?.accuracy ?? enemyAccuracy(enemyUnit.level)) || 0);
+      enemyUnit.damageDice = parseDice(enemyUnit.damageDice) ? enemyUnit.damageDice : source?.damageDice ?? ENEMY_DICE;
+      if (!Number.isFinite(Number(enemyUnit.post?.x)) || !Number.isFinite(Number(enemyUnit.post?.y))) enemyUnit.post = { x: enemyUnit.x, y: enemyUnit.y };
+      sanitizeStatuses(enemyUnit);
+    }
+    sanitizeBosses(game);
+    sanitizeInitiative(game);
+    sanitizeReactions(game);
+    sanitizeRolls(game);
+    sanitizeTrades(game);
+
+    game.groundLoot = (game.groundLoot || [])
+      .filter((loot) => loot && Number.isFinite(Number(loot.x)) && Number.isFinite(Number(loot.y)))
+      .map((loot) => ({
+        id: typeof loot.id === "string" && loot.id ? loot.id : `loot-${uuid().slice(0, 8)}`,
+        x: Math.floor(Number(loot.x)),
+        y: Math.floor(Number(loot.y)),
+        xp: Math.max(0, Number(loot.xp) || 0),
+        gold: Math.max(0, Number(loot.gold) || 0),
+        mineCredits: Math.max(0, Number(loot.mineCredits) || 0),
+        drops: Object.fromEntries(
+          Object.entries(loot.drops && typeof loot.drops === "object" ? loot.drops : {})
+            .map(([itemId, qty]) => [itemId, Math.max(0, Number(qty) || 0)])
+            .filter(([, qty]) => qty > 0)
+        ),
+        enemyName: typeof loot.enemyName === "string" ? loot.enemyName : "Monster",
+        killerPlayerId: typeof loot.killerPlayerId === "string" ? loot.killerPlayerId : null,
+        at: Number(loot.at) || Date.now()
+      }));
+  }
+
+  function initState(ctx, firstPlayerId, seed) {
+    const rng = makeRngState(seed);
+    const terrainSeed = Math.floor(rngFor({ rng })() * 0x7fffffff);
+    const map = scenarioMap(scenarioById(ctx.campaign.progression?.currentScenarioId), terrainSeed);
+    const game = makeInitialGameState(firstPlayerId, { terrainSeed, map, enemyTemplates: OPENING_ENEMY_TEMPLATES });
+    const firstHero = game.heroes[firstPlayerId];
+    firstHero.maxHp = heroMaxHpFor(ensureHeroClass(ctx, firstPlayerId));
+    firstHero.hp = firstHero.maxHp;
+    game.rng = rng;
+    setupScenario(game, ctx.campaign.progression?.currentScenarioId, game.heroes[firstPlayerId]);
+    setupObjects(game, game.scenario.id, game.heroes[firstPlayerId]);
+    // The first turn is handed out once the hero is seated and connected (syncConnections).
+    rollInitiative({ ...ctx, game });
+    game.turn.activePlayerId = null;
+    game.log.push({ at: Date.now(), msg: "Encounter started." });
+    game.log.push({ at: Date.now(), msg: `${game.scenario.title}: ${describeObjective(game.scenario)}` });
+    game.log.push({ at: Date.now(), msg: `Round ${game.scenario.round}.` });
+    return game;
+  }
+
+  function collectLootAt(ctx, playerId, x, y) {
+    const game = ctx.game;
+    if (!game || !playerId) return null;
+    const allLoot = game.groundLoot || [];
+    const collected = allLoot.filter((loot) => loot.x === x && loot.y === y);
+    if (!collected.length) return null;
+
+    game.groundLoot = allLoot.filter((loot) => !(loot.x === x && loot.y === y));
+    const profile = ensureRpgProfile(campaignPlayerById(ctx, playerId));
+    return collectLoot(ctx, playerId, collected, profile, Date.now());
+  }
+
+  function seatPlayer(ctx, playerId, seatIndex0) {
+    const profile = ensureHeroClass(ctx, playerId);
+    ensurePlayerInTurnOrder(ctx.game, playerId);
+    joinInitiative(ctx, playerId);
+    const maxHp = heroMaxHpFor(profile);
+    const hero = spawnHeroForPlayer(ctx.game, playerId, seatIndex0, { hp: maxHp, maxHp });
+    if (hero) {
+      hero.maxHp = maxHp;
+      if (hero.hp > hero.maxHp) hero.hp = hero.maxHp;
+      hero.level = profile.level;
+      hero.cooldowns = hero.cooldowns || {};
+      collectLootAt(ctx, playerId, hero.x, hero.y);
+    }
+  }
+
+  function removePlayer(ctx, playerId, { playerName, seatNo }) {
+    const game = ctx.game;
+    if (!game) return;
+    const wasActive = game.turn.activePlayerId === playerId;
+
+    delete game.heroes[playerId];
+    game.turn.order = game.turn.order.filter((pid) => pid !== playerId && !!game.heroes[pid]);
+    leaveInitiative(game, InitiativeKind.HERO, playerId);
+    pushLog(ctx, `Player removed: ${playerName} (seat ${seatNo}).`);
+    callOffTrades(ctx, playerId, playerName);
+
+    if (wasActive || dropReactionOf(game, playerId)) {
+      announceTurn(ctx, passTurn(ctx));
+      return;
+    }
+    game.turn.activeIndex = Math.max(0, game.turn.order.indexOf(game.turn.activePlayerId));
+  }
+
+  function playerDisconnected(ctx, playerId, playerName) {
+    const wasActive = ctx.game?.turn?.activePlayerId === playerId;
+    reconcileTurnOrder(ctx);
+    if (!ctx.game) return;
+    pushLog(ctx, `${playerName} disconnected.`);
+    callOffTrades(ctx, playerId, playerName);
+    if (wasActive || dropReactionOf(ctx.game, playerId)) announceTurn(ctx, passTurn(ctx), "No connected heroes available.");
+  }
+
+  function callOffTrades(ctx, playerId, playerName) {
+    if (dropTradesOf(ctx.game, playerId).length) pushLog(ctx, `Trade offers with ${playerName} are called off.`);
+  }
+
+  // A hero who leaves while the table waits on their reaction lets it pass.
+  function dropReactionOf(game, playerId) {
+    if (game.reaction?.pending?.playerId !== playerId) return false;
+    answerReaction(game, false);
+    return true;
+  }
+
+  function markEnemyDefeated(ctx, enemyUnit, killerPlayerId = null) {
+    const game = ctx.game;
+    if (!game || !enemyUnit) return;
+    game.scenario.defeatedCount = (game.scenario.defeatedCount ?? 0) + 1;
+    game.lastLoot = null;
+    game.enemies = (game.enemies || []).filter((enemy) => enemy.id !== enemyUnit.id);
+    leaveInitiative(game, InitiativeKind.ENEMY, enemyUnit.id);
+    if (game.reaction?.enemyId === enemyUnit.id) game.reaction = null;
+    takeTelegraphs(game, enemyUnit);
+    game.groundLoot = game.groundLoot || [];
+    rewardDefeat(ctx, enemyUnit, killerPlayerId, Date.now());
+  }
+
+  // Hands the turn to the next hero in initiative order, first playing out the turns of the
+  // enemies whose slots come before theirs. Running off the end of the order starts a new round.
+  // An enemy's turn that stops for a hero's reaction is picked up again where it stopped; until
+  // then nobody is active.
+  function passTurn(ctx) {
+    const game = ctx.game;
+    const ready = (playerId) => isHeroAlive(game.heroes[playerId]) && ctx.isPlayerConnected(playerId);
+    game.turn.activePlayerId = null;
+    for (let guard = 0; guard < MAX_PASSED_SLOTS; guard += 1) {
+      if (!Object.keys(game.heroes).some(ready)) return null;
+      if (!game.reaction) game.turn.initiativeIndex += 1;
+      const slot = initiativeSlot(game);
+      if (!slot) {
+        advanceRound(ctx);
+        rollInitiative(ctx);
+        pushLog(ctx, `Round ${game.scenario.round}.`);
+      } else if (slot.kind === InitiativeKind.ENEMY) {
+        const enemyUnit = livingEnemies(game).find((e) => e.id === slot.id);
+        if (enemyUnit && !enemyTurn(ctx, enemyUnit)) return null;
+        game.reaction = null;
+      } else if (ready(slot.id)) {
+        const hero = game.heroes[slot.id];
+        // Held reactions last until the hero's next turn.
+        delete hero.reaction;
+        hero.reacted = false;
+        game.turn.activePlayerId = slot.id;
+        game.turn.activeIndex = Math.max(0, game.turn.order.indexOf(slot.id));
+        resetTurnAP(game);
+        return slot.id;
+      }
+    }
+    return null;
+  }
+
+  function announceTurn(ctx, playerId, nobody = "No heroes left standing.") {
+    if (!playerId) {
+      if (!ctx.game.reaction?.pending) pushLog(ctx, nobody);
+      return;
+    }
+    pushLog(ctx, `Turn: ${shortName(ctx, playerId)}.`);
+    if (hasStatus(ctx.game.heroes[playerId], StatusId.STUN)) pushLog(ctx, `${shortName(ctx, playerId)} is stunned and cannot act this turn.`);
+  }
+
+  // Returns false when the turn stopped to wait for a hero's reaction.
+  function enemyTurn(ctx, enemyUnit) {
+    const game = ctx.game;
+    const aliveHeroes = Object.values(game.heroes).filter((h) => isHeroAlive(h) && ctx.isPlayerConnected(h.ownerPlayerId));
+    if (!aliveHeroes.length) return true;
+    enemyUnit.reacted = false;
+    // Heroes do not move during an enemy's turn, so what the party can see is fixed here.
+    const visible = visibleHexKeys(ctx);
+    if (!enemyActs(ctx, enemyUnit, aliveHeroes, visible)) return false;
+    if (enemyUnit.hp > 0) tickStatuses(ctx, enemyUnit, enemyUnit.name || "Enemy", { announce: isHexVisible(visible, enemyUnit.x, enemyUnit.y) });
+    // A hero's reaction may already have finished it off.
+    if (enemyUnit.hp <= 0 && game.enemies.includes(enemyUnit)) markEnemyDefeated(ctx, enemyUnit, null);
+    updateBossPhases(ctx);
+    return true;
+  }
+
+  // What an enemy does on its turn, as planned by its behavior profile (ai.js).
+  function enemyActs(ctx, enemyUnit, aliveHeroes, visible) {
+    const game = ctx.game;
+    const name = enemyUnit.name || "Enemy";
+    // A boss's announced area attack lands before anything else, even if the boss is stunned.
+    for (const telegraph of takeTelegraphs(game, enemyUnit)) {
+      const hexes = new Set(telegraph.hexes);
+      const caught = aliveHeroes.filter((h) => isHeroAlive(h) && hexes.has(`${h.x},${h.y}`));
+      for (const hero of caught) enemyHitsHero(ctx, enemyUnit, hero, { name: telegraph.name, damage: telegraph.damage, onHit: telegraph.status });
+      const escort = game.escort;
+      if (escort?.hp > 0 && hexes.has(`${escort.x},${escort.y}`)) {
+        escort.hp = clamp(escort.hp - telegraph.damage, 0, escort.maxHp);
+        pushLog(ctx, `${telegraph.name} hits ${escort.name} for ${telegraph.damage}.`);
+      } else if (!caught.length) {
+        pushLog(ctx, `${telegraph.name} strikes empty ground.`);
+      }
+    }
+    if (hasStatus(enemyUnit, StatusId.STUN)) {
+      if (isHexVisible(visible, enemyUnit.x, enemyUnit.y)) pushLog(ctx, `${name} is stunned.`);
+      return true;
+    }
+
+    const plan = planEnemyTurn(game, enemyUnit, aliveHeroes);
+    // Held reactions are asked about before the enemy does anything.
+    if (!askReactions(ctx, enemyUnit, plan, visible)) return false;
+    const wasSeen = isHexVisible(visible, enemyUnit.x, enemyUnit.y);
+    if (plan.to) {
+      // Weapons that cannot hit the next hex make no opportunity attacks.
+      const strikers = aliveHeroes.filter((hero) => heroReach(ctx, hero.ownerPlayerId).minRange <= 1);
+      for (const step of plan.path) {
+        for (const hero of opportunityAttackers(strikers, enemyUnit, step)) {
+          hero.reacted = true;
+          heroStrikes(ctx, hero.ownerPlayerId, enemyUnit, "strikes at the retreating");
+          if (enemyUnit.hp <= 0) break;
+        }
+        if (enemyUnit.hp <= 0) break;
+        enemyUnit.x = step.x;
+        enemyUnit.y = step.y;
+        enterTerrain(ctx, enemyUnit, name, { announce: isHexVisible(visible, step.x, step.y) });
+        if (enemyUnit.hp <= 0) break;
+        for (const hero of overwatchersAt(ctx, step)) {
+          heroStrikes(ctx, hero.ownerPlayerId, enemyUnit, "fires on overwatch at");
+          if (enemyUnit.hp <= 0) break;
+        }
+        if (enemyUnit.hp <= 0) break;
+      }
+      if (wasSeen || isHexVisible(visible, enemyUnit.x, enemyUnit.y)) {
+        pushLog(ctx, `${name} ${plan.fleeing ? "flees" : "moves"} to (${enemyUnit.x},${enemyUnit.y}).`);
+      }
+      if (enemyUnit.hp <= 0) return true;
+    }
+
+    if (plan.heal) {
+      const patient = plan.heal;
+      const healed = Math.min(enemyUnit.heal || 0, patient.maxHp - patient.hp);
+      patient.hp += healed;
+      if (healed && (isHexVisible(visible, enemyUnit.x, enemyUnit.y) || isHexVisible(visible, patient.x, patient.y))) {
+        const whom = patient.id === enemyUnit.id ? "itself" : patient.name || "an ally";
+        pushLog(ctx, `${name} mends ${whom} for ${healed}.`);
+      }
+    } else if (plan.target) {
+      const targetName = shortName(ctx, plan.target.ownerPlayerId);
+      const parried = useReaction(ctx, ReactionType.PARRY, plan.target.ownerPlayerId);
+      const guard = parried ? null : guardTaking(ctx, plan.target);
+      if (parried) {
+        pushLog(ctx, `${targetName} parries ${name}'s attack.`);
+      } else if (guard) {
+        pushLog(ctx, `${shortName(ctx, guard.ownerPlayerId)} steps in to guard ${targetName}.`);
+        enemyHitsHero(ctx, enemyUnit, guard);
+      } else {
+        enemyHitsHero(ctx, enemyUnit, plan.target);
+      }
+    } else if (plan.escort) {
+      const escort = plan.escort;
+      const roll = enemyAttackRoll(ctx, enemyUnit, escort, BASE_DEFENSE);
+      const before = escort.hp;
+      escort.hp = clamp(escort.hp - roll.damage, 0, escort.maxHp);
+      recordRoll(game, enemyRollSide(enemyUnit), { kind: "escort", id: escort.id || "escort", name: escort.name }, roll, { dealt: before - escort.hp });
+      if (roll.outcome === RollOutcome.MISS) pushLog(ctx, `${name} attacks ${escort.name} and misses.`);
+      else pushLog(ctx, `${critPrefix(roll)}${name} hits ${escort.name} for ${roll.damage}.`);
+    } else if (!plan.to && wasSeen) {
+      pushLog(ctx, `${name} waits.`);
+    }
+    if (enemyUnit.boss) bossEndsTurn(ctx, enemyUnit, aliveHeroes, seenHexKeys(ctx, visible));
+    return true;
+  }
+
+  function enemyRollSide(enemyUnit) {
+    return { kind: "enemy", id: enemyUnit.id, name: enemyUnit.name || "Enemy" };
+  }
+
+  function critPrefix(roll) {
+    return roll.outcome === RollOutcome.CRIT ? "Critical hit! " : "";
+  }
+
+  // An enemy's own attack rolls to hit (shared/combat.js), against the target's cover from range.
+  function enemyAttackRoll(ctx, enemyUnit, target, defense) {
+    return resolveAttack(rngFor(ctx.game), {
+      accuracy: enemyUnit.accuracy ?? enemyAccuracy(enemyUnit.level),
+      defense,
+      cover: coverFrom(ctx.game.terrain ?? 0, target, enemyUnit),
+      flat: Math.max(0, Math.max(1, Number(enemyUnit.attackPower) || ctx.game.rules.enemyDamage) + damageDealtBonus(enemyUnit)),
+      dice: enemyUnit.damageDice || ENEMY_DICE
+    });
+  }
+
+  // An enemy's attack on a hero: its own, which rolls to hit, or a named one (a boss's area attack)
+  // when given, which always lands.
+  function enemyHitsHero(ctx, enemyUnit, target, attack = {}) {
+    const game = ctx.game;
+    const targetName = shortName(ctx, target.ownerPlayerId);
+    const profile = rpgProfileById(ctx, target.ownerPlayerId);
+    const roll = attack.name ? null : enemyAttackRoll(ctx, enemyUnit, target, heroClassFor(profile).defense ?? BASE_DEFENSE);
+    const heroSide = { kind: "hero", id: target.ownerPlayerId, name: targetName };
+    if (roll?.outcome === RollOutcome.MISS) {
+      recordRoll(game, enemyRollSide(enemyUnit), heroSide, roll);
+      pushLog(ctx, `${enemyUnit.name || "Enemy"} attacks ${targetName} and misses.`);
+      return;
+    }
+    const rawDamage = roll ? roll.damage : statusDamage(enemyUnit, Math.max(1, Number(attack.damage) || game.rules.enemyDamage));
+    // Armor takes the edge off every hit but never stops one completely.
+    const enemyDamage = Math.max(1, rawDamage - gearBonus(profile, "armor"));
+    const damageAt = Date.now();
+    const { dealt, absorbed } = damageUnit(target, enemyDamage);
+    if (roll) recordRoll(game, enemyRollSide(enemyUnit), heroSide, roll, { dealt });
+    game.lastEnemyDamage = {
+      enemyId: enemyUnit.id,
+      targetPlayerId: target.ownerPlayerId,
+      amount: dealt,
+      heroHp: target.hp,
+      heroMaxHp: target.maxHp,
+      at: damageAt
+    };
+    const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+    const armored = rawDamage > enemyDamage ? ` (${rawDamage - enemyDamage} blocked by armor)` : "";
+    const crit = roll ? critPrefix(roll) : "";
+    pushLog(ctx, `${crit}${attack.name || enemyUnit.name || "Enemy"} hits ${targetName} for ${dealt}${armored}${shielded}.`, damageAt);
+    if (target.hp <= 0) pushLog(ctx, `Hero ${targetName} is down!`, damageAt);
+    else tryApplyStatus(ctx, target, attack.name ? attack.onHit : enemyUnit.onHit, targetName, rngFor(game));
+  }
+
+  function recordHeroDamage(game, actorPlayerId, target, dealt, type) {
+    game.lastHeroDamage = {
+      actorPlayerId,
+      amount: dealt,
+      type,
+      enemyId: target.id,
+      enemyHp: target.hp,
+      enemyMaxHp: target.maxHp,
+      at: Date.now()
+    };
+  }
+
+  // What a hero's weapon attack rolls with (shared/combat.js); weaken and empower change the flat part.
+  function heroAttackStats(game, profile, hero) {
+    const weapon = equippedWeapon(profile);
+    const flat = strikeDamage(game.rules.heroDamage, gearBonus(profile, "damageBonus") + heroClassFor(profile).damageBonus, profile.level);
+    return {
+      weapon,
+      accuracy: heroAccuracy(profile.level),
+      flat: Math.max(0, flat + damageDealtBonus(hero)),
+      dice: weapon.damageDice || UNARMED_DICE
+    };
+  }
+
+  // A weapon attack on an enemy, on the hero's turn ("attacks") or off it (an opportunity attack
+  // or overwatch). The caller pays any AP.
+  function heroStrikes(ctx, playerId, target, how) {
+    const game = ctx.game;
+    const { weapon, accuracy, flat, dice } = heroAttackStats(game, rpgProfileById(ctx, playerId), game.heroes[playerId]);
+    const cover = coverFrom(game.terrain ?? 0, target, game.heroes[playerId]);
+    const roll = resolveAttack(rngFor(game), { accuracy, defense: target.defense ?? BASE_DEFENSE, cover, flat, dice });
+    const heroName = shortName(ctx, playerId);
+    const sides = [{ kind: "hero", id: playerId, name: heroName }, enemyRollSide(target)];
+    if (roll.outcome === RollOutcome.MISS) {
+      recordRoll(game, ...sides, roll, { weapon: weapon.name });
+      pushLog(ctx, `Hero ${heroName} ${how} ${target.name || "enemy"} with ${weapon.name} and misses.`);
+      return;
+    }
+    const { dealt, absorbed } = damageUnit(target, roll.damage);
+    recordRoll(game, ...sides, roll, { weapon: weapon.name, dealt });
+    recordHeroDamage(game, playerId, target, dealt, "weapon");
+    const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+    pushLog(ctx, `${critPrefix(roll)}Hero ${heroName} ${how} ${target.name || "enemy"} with ${weapon.name} for ${dealt}${shielded}.`);
+    tryApplyStatus(ctx, target, weapon.status, target.name || "Enemy", rngFor(game));
+    if (target.hp <= 0) markEnemyDefeated(ctx, target, playerId);
+  }
+
+  // Heroes can only aim at enemies the party can see and that concealing terrain does not hide.
+  function enemyTargetsInRange(ctx, hero, range) {
+    const visible = visibleHexKeys(ctx);
+    const boardTerrain = ctx.game.terrain ?? 0;
+    return livingEnemies(ctx.game)
+      .filter((enemyUnit) => isHexVisible(visible, enemyUnit.x, enemyUnit.y) && !isConcealedFrom(boardTerrain, enemyUnit, hero))
+      .map((enemyUnit) => ({ enemyUnit, dist: manhattan(hero, enemyUnit) }))
+      .filter((x) => x.dist <= range)
+      .sort((a, b) => a.enemyUnit.hp - b.enemyUnit.hp || a.dist - b.dist || a.enemyUnit.id.localeCompare(b.enemyUnit.id));
+  }
+
+  // Every enemy the party can see, with why the hero's weapon cannot hit it from where the hero
+  // stands (null when it can) and the cover it has from there.
+  function weaponTargets(ctx, playerId) {
+    const game = ctx.game;
+    const hero = game.heroes[playerId];
+    const visible = visibleHexKeys(ctx);
+    const boardTerrain = game.terrain ?? 0;
+    return livingEnemies(game)
+      .filter((enemyUnit) => isHexVisible(visible, enemyUnit.x, enemyUnit.y))
+      .map((enemyUnit) => ({
+        enemyUnit,
+        dist: manhattan(hero, enemyUnit),
+        problem: isConcealedFrom(boardTerrain, enemyUnit, hero)
+          ? `Hidden by ${terrainAt(enemyUnit.x, enemyUnit.y, boardTerrain).label}.`
+          : heroShotProblem(ctx, playerId, enemyUnit),
+        cover: coverFrom(boardTerrain, enemyUnit, hero)
+      }));
+  }
+
+  function chooseTarget(targets, params) {
+    const targetEnemyId = (params?.targetEnemyId ?? "").toString().trim();
+    return targetEnemyId
+      ? (targets.find((x) => x.enemyUnit.id === targetEnemyId)?.enemyUnit || null)
+      : targets[0].enemyUnit;
+  }
+
+  // Hero routes go around units, closed doors and traps the party has found.
+  function heroStepCost(ctx, actorPlayerId, hero) {
+    const game = ctx.game;
+    const boardTerrain = game?.terrain ?? 0;
+    const blocked = routeBlockingKeys(game.objects);
+    return statusStepCost(hero, (x, y) =>
+      enemyAt(game, x, y) || cellOccupiedByOtherHero(ctx, x, y, actorPlayerId) || escortAt(game, x, y) || blocked.has(`${x},${y}`)
+        ? null
+        : terrainMoveCost(x, y, boardTerrain)
+    );
+  }
+
+  // Walks the hero along a path, one hex at a time: loot is picked up and terrain takes effect on
+  // every hex, and enemies left behind get their opportunity attacks. A hidden trap or going down
+  // stops the hero where it happens. Returns the hexes walked.
+  function walkHero(ctx, actorPlayerId, hero, path) {
+    const game = ctx.game;
+    const name = shortName(ctx, actorPlayerId);
+    const walked = [];
+    for (const step of path) {
+      for (const enemyUnit of opportunityAttackers(livingEnemies(game), hero, step)) {
+        enemyUnit.reacted = true;
+        enemyHitsHero(ctx, enemyUnit, hero);
+        if (hero.hp <= 0) break;
+      }
+      if (hero.hp <= 0) break;
+      hero.x = step.x;
+      hero.y = step.y;
+      walked.push(step);
+      collectLootAt(ctx, actorPlayerId, step.x, step.y);
+      enterTerrain(ctx, hero, name);
+      if (hero.hp <= 0) {
+        pushLog(ctx, `Hero ${name} is down!`);
+        break;
+      }
+      const trap = armedTrapAt(game, step.x, step.y);
+      if (trap) {
+        springTrap(ctx, trap, hero, rngFor(game));
+        break;
+      }
+    }
+    return walked;
+  }
+
+  const move = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const ap = requireAnyAp(ctx);
+      if (!ap.ok) return ap;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const toX = Number(params.toX);
+      const toY = Number(params.toY);
+      if (!Number.isFinite(toX) || !Number.isFinite(toY)) return fail("BAD_PARAMS", "MOVE requires toX/toY.");
+
+      const nx = Math.floor(toX);
+      const ny = Math.floor(toY);
+      const boardTerrain = game?.terrain ?? 0;
+
+      if (nx === hero.x && ny === hero.y) return fail("BAD_PARAMS", "Hero is already there.");
+      if (!isInBounds(nx, ny, boardTerrain)) return fail("OUT_OF_BOUNDS", "That hex is off the map.");
+      if (terrainMoveCost(nx, ny, boardTerrain) === null) return fail("BLOCKED", "Cell is blocked terrain.");
+      if (enemyAt(game, nx, ny)) return fail("BLOCKED", "Cell occupied by enemy.");
+      if (cellOccupiedByOtherHero(ctx, nx, ny, actorPlayerId)) return fail("BLOCKED", "Cell occupied by another hero.");
+      if (escortAt(game, nx, ny)) return fail("BLOCKED", `Cell occupied by ${game.escort.name}.`);
+      if (closedDoorKeys(game).has(`${nx},${ny}`)) return fail("BLOCKED", "That door is closed.");
+      if (armedTrapAt(game, nx, ny)?.hidden === false) return fail("BLOCKED", "That hex holds an armed trap. Disarm it first.");
+
+      const apRemaining = game.turn.apRemaining ?? 0;
+      const route = findHexPath(hero, { x: nx, y: ny }, heroStepCost(ctx, actorPlayerId, hero), apRemaining);
+      if (!route) return fail("NO_AP", `No route to (${nx},${ny}) within ${apRemaining} AP.`);
+      return ok({ hero, nx, ny, path: route.path, moveCost: route.cost });
+    },
+    // MOVE with `preview: true` only reports the route and its cost.
+    preview(ctx, actorPlayerId, params, { hero, nx, ny, path, moveCost }) {
+      const provokes = [];
+      let from = hero;
+      for (const step of path) {
+        for (const enemyUnit of opportunityAttackers(livingEnemies(ctx.game), from, step)) {
+          if (!provokes.some((p) => p.enemyId === enemyUnit.id)) provokes.push({ enemyId: enemyUnit.id, name: enemyUnit.name || "Enemy" });
+        }
+        from = step;
+      }
+      return { to: { x: nx, y: ny }, path, apCost: moveCost, provokes };
+    },
+    // A hidden trap or hazard that drops the hero stops the move; only the steps taken are paid for.
+    apply(ctx, actorPlayerId, params, { hero, path }) {
+      const game = ctx.game;
+      const stepCost = heroStepCost(ctx, actorPlayerId, hero);
+      const walked = walkHero(ctx, actorPlayerId, hero, path);
+      const apCost = walked.reduce((sum, step) => sum + stepCost(step.x, step.y), 0);
+      pushLog(ctx, `Hero ${shortName(ctx, actorPlayerId)} moves to (${hero.x},${hero.y}).`);
+      spendAp(game, apCost);
+      return { path: walked, apCost };
+    }
+  };
+
+  const attack = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const ap = requireAnyAp(ctx);
+      if (!ap.ok) return ap;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const reach = heroReach(ctx, actorPlayerId);
+      const seen = weaponTargets(ctx, actorPlayerId);
+      const targets = seen
+        .filter((x) => !x.problem)
+        .sort((a, b) => a.enemyUnit.hp - b.enemyUnit.hp || a.dist - b.dist || a.enemyUnit.id.localeCompare(b.enemyUnit.id));
+      const problem = seen.find((x) => x.enemyUnit.id === params?.targetEnemyId)?.problem;
+      if (problem) return fail("OUT_OF_RANGE", problem);
+      if (!targets.length) return fail("OUT_OF_RANGE", `No enemy in reach (${describeReach(reach)}).`);
+      const target = chooseTarget(targets, params);
+      if (!target) return fail("OUT_OF_RANGE", "Selected enemy is not in range.");
+      return ok({ target });
+    },
+    // Rolls to hit; the roll is in the reply and in `game.rolls`.
+    apply(ctx, actorPlayerId, params, { target }) {
+      const game = ctx.game;
+      spendAp(game, 1);
+      heroStrikes(ctx, actorPlayerId, target, "attacks");
+      return { roll: game.rolls[game.rolls.length - 1] };
+    }
+  };
+
+  // CAST_SPELL { spellId?, targetEnemyId? | targetX, targetY } casts one of the hero's spells (its
+  // own spell when spellId is left out). Area spells are aimed at a hex the party can see.
+  const castSpell = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const profile = rpgProfileById(ctx, actorPlayerId);
+      const spellId = (params.spellId || profile.spellId).toString();
+      if (!knownSpellIds(profile).includes(spellId)) return fail("BAD_SPELL", "Your hero does not know that spell.");
+      const spell = SPELLS[spellId];
+      const { apCost: spellApCost, range: spellRange } = spellStats(game, spell);
+      if ((game.turn.apRemaining ?? 0) < spellApCost) return fail("NO_AP", `${spell.name} needs ${spellApCost} AP.`);
+      const spellDamage = statusDamage(hero, magicDamage(game.rules.heroDamage, spell.damageBonus, profile.level));
+
+      if (spellTargetsHex(spell)) {
+        const targetX = Number(params.targetX);
+        const targetY = Number(params.targetY);
+        if (!Number.isFinite(targetX) || !Number.isFinite(targetY)) return fail("BAD_PARAMS", `${spell.name} needs targetX/targetY.`);
+        const target = { x: Math.floor(targetX), y: Math.floor(targetY) };
+        if (!isHexVisible(visibleHexKeys(ctx), target.x, target.y)) return fail("OUT_OF_RANGE", "The party cannot see that hex.");
+        const problem = spellAimProblem(spell, hero, target, spellRange, sightBlockerFor(game.terrain ?? 0, game.objects));
+        if (problem) return fail("OUT_OF_RANGE", problem);
+        const effects = spellEffects(game, hero, spell, target);
+        if (!effects.enemies.length && !effects.terrain.length) return fail("NO_TARGETS", `${spell.name} would not hit an enemy or change the ground there.`);
+        return ok({ spell, spellApCost, spellDamage, target, effects });
+      }
+
+      const targets = enemyTargetsInRange(ctx, hero, spellRange);
+      if (!targets.length) return fail("OUT_OF_RANGE", `No enemy in spell range (range ${spellRange}).`);
+      const target = chooseTarget(targets, params);
+      if (!target) return fail("OUT_OF_RANGE", "Selected enemy is not in spell range.");
+      return ok({ spell, spellApCost, spellDamage, target });
+    },
+    // Area spells with `preview: true` only report the hexes they would hit.
+    preview(ctx, actorPlayerId, params, { spell, spellApCost, target, effects }) {
+      if (!effects) return { spellId: spell.id, apCost: spellApCost, target: { x: target.x, y: target.y }, hexes: [`${target.x},${target.y}`] };
+      return {
+        spellId: spell.id,
+        apCost: spellApCost,
+        target,
+        hexes: effects.hexes.map((p) => `${p.x},${p.y}`),
+        enemyIds: effects.enemies.map((e) => e.id),
+        heroIds: effects.heroes.map((h) => h.ownerPlayerId),
+        terrain: effects.terrain
+      };
+    },
+    apply(ctx, actorPlayerId, params, { spell, spellApCost, spellDamage, target, effects }) {
+      const game = ctx.game;
+      const caster = shortName(ctx, actorPlayerId);
+      spendAp(game, spellApCost);
+      if (!effects) {
+        const { dealt, absorbed } = damageUnit(target, spellDamage);
+        recordHeroDamage(game, actorPlayerId, target, dealt, "spell");
+        const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+        pushLog(ctx, `${caster} casts ${spell.name} on ${target.name || "enemy"} for ${dealt}${shielded}.`);
+        tryApplyStatus(ctx, target, spell.status, target.name || "Enemy", rngFor(game));
+        if (target.hp <= 0) markEnemyDefeated(ctx, target, actorPlayerId);
+        return { cast: spell.id };
+      }
+
+      pushLog(ctx, `${caster} casts ${spell.name} at (${target.x},${target.y}).`);
+      hitArea(ctx, actorPlayerId, spell.name, effects, spellDamage, spell.status, "spell");
+      return { cast: spell.id, hexes: effects.hexes.length };
+    }
+  };
+
+  // What an area spell or thrown item caught (spellEffects) takes the damage and status; the
+  // ground changes and the fallen are counted last.
+  function hitArea(ctx, actorPlayerId, source, effects, damage, status, type) {
+    const game = ctx.game;
+    const random = rngFor(game);
+    for (const enemyUnit of effects.enemies) {
+      const { dealt, absorbed } = damageUnit(enemyUnit, damage);
+      recordHeroDamage(game, actorPlayerId, enemyUnit, dealt, type);
+      const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+      pushLog(ctx, `${source} hits ${enemyUnit.name || "enemy"} for ${dealt}${shielded}.`);
+      tryApplyStatus(ctx, enemyUnit, status, enemyUnit.name || "Enemy", random);
+    }
+    for (const hero of effects.heroes) {
+      const name = shortName(ctx, hero.ownerPlayerId);
+      const { dealt, absorbed } = damageUnit(hero, damage);
+      const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+      pushLog(ctx, `${source} catches ${name} for ${dealt}${shielded}!`);
+      if (hero.hp <= 0) pushLog(ctx, `Hero ${name} is down!`);
+      else tryApplyStatus(ctx, hero, status, name, random);
+    }
+    if (effects.escort) {
+      const escort = effects.escort;
+      escort.hp = clamp(escort.hp - damage, 0, escort.maxHp);
+      pushLog(ctx, `${source} catches ${escort.name} for ${damage}!`);
+    }
+    changeTerrain(game, effects.terrain);
+    const changed = new Map();
+    for (const { to } of effects.terrain) changed.set(to, (changed.get(to) || 0) + 1);
+    for (const [to, count] of changed) {
+      pushLog(ctx, `${source} turns ${count} hex${count === 1 ? "" : "es"} to ${terrainMetaById(to).label}.`);
+    }
+    for (const enemyUnit of effects.enemies) if (enemyUnit.hp <= 0) markEnemyDefeated(ctx, enemyUnit, actorPlayerId);
+  }
+
+  // Heroes an ally-targeted ability can reach, the user first.
+  function allyTargetsInRange(ctx, hero, range) {
+    return Object.values(ctx.game.heroes)
+      .filter((h) => h.hp > 0 && ctx.isPlayerConnected(h.ownerPlayerId) && manhattan(hero, h) <= range)
+      .sort((a, b) => (a === hero ? -1 : b === hero ? 1 : manhattan(hero, a) - manhattan(hero, b) || a.ownerPlayerId.localeCompare(b.ownerPlayerId)));
+  }
+
+  // USE_ABILITY { abilityId, targetEnemyId? | targetPlayerId? } uses one of the hero's class abilities.
+  // Charges need a straight run to the enemy that no unit, door, known trap or difficult ground blocks.
+  const useAbility = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const profile = rpgProfileById(ctx, actorPlayerId);
+      const abilityId = (params.abilityId || "").toString();
+      const ability = ABILITIES[abilityId];
+      if (!ability || !profile.abilityIds.includes(abilityId)) return fail("BAD_ABILITY", "Your hero does not know that ability.");
+      const cooldownLeft = hero.cooldowns?.[abilityId] || 0;
+      if (cooldownLeft > 0) return fail("COOLDOWN", `${ability.name} is ready in ${cooldownLeft} turn${cooldownLeft === 1 ? "" : "s"}.`);
+      if ((game.turn.apRemaining ?? 0) < ability.apCost) return fail("NO_AP", `${ability.name} needs ${ability.apCost} AP.`);
+
+      if (ability.target === "enemy") {
+        const targets = enemyTargetsInRange(ctx, hero, ability.range);
+        if (!targets.length) return fail("OUT_OF_RANGE", `No enemy in range (range ${ability.range}).`);
+        const target = chooseTarget(targets, params);
+        if (!target) return fail("OUT_OF_RANGE", "Selected enemy is not in range.");
+        const damage =
+          ability.damageBonus === undefined
+            ? 0
+            : statusDamage(hero, strikeDamage(game.rules.heroDamage, ability.damageBonus, profile.level));
+        if (!ability.charge) return ok({ hero, ability, target, damage, path: [] });
+        const stepCost = heroStepCost(ctx, actorPlayerId, hero);
+        const charge = chargePath(hero, target, game.terrain ?? 0, (x, y) => stepCost(x, y) === null);
+        if (charge.problem) return fail("BLOCKED", charge.problem);
+        return ok({ hero, ability, target, damage, path: charge.path });
+      }
+
+      const targets = ability.target === "self" ? [hero] : allyTargetsInRange(ctx, hero, ability.range);
+      const targetPlayerId = (params.targetPlayerId || "").toString().trim();
+      const target = targetPlayerId ? targets.find((h) => h.ownerPlayerId === targetPlayerId) || null : targets[0];
+      if (!target) return fail("OUT_OF_RANGE", "Selected ally is not in range.");
+      if (ability.heal && !ability.status && target.hp >= target.maxHp) return fail("FULL_HP", "Target is already at full HP.");
+      return ok({ hero, ability, target, damage: 0 });
+    },
+    apply(ctx, actorPlayerId, params, { hero, ability, target, damage, path }) {
+      const game = ctx.game;
+      const user = shortName(ctx, actorPlayerId);
+      spendAp(game, ability.apCost);
+      hero.cooldowns = { ...hero.cooldowns, [ability.id]: ability.cooldown };
+
+      if (path?.length) {
+        pushLog(ctx, `${user} charges at ${target.name || "enemy"}.`);
+        walkHero(ctx, actorPlayerId, hero, path);
+        if (hero.hp <= 0 || manhattan(hero, target) > 1) {
+          if (hero.hp > 0) pushLog(ctx, `${user}'s charge is stopped at (${hero.x},${hero.y}).`);
+          return { ability: ability.id, path };
+        }
+      }
+      if (ability.target === "enemy") {
+        let hit = "";
+        if (damage) {
+          const { dealt, absorbed } = damageUnit(target, damage);
+          recordHeroDamage(game, actorPlayerId, target, dealt, "ability");
+          hit = ` for ${dealt}${absorbed ? ` (${absorbed} absorbed by shield)` : ""}`;
+        }
+        pushLog(ctx, `${user} uses ${ability.name} on ${target.name || "enemy"}${hit}.`);
+        tryApplyStatus(ctx, target, ability.status, target.name || "Enemy", rngFor(game));
+        if (target.hp <= 0) markEnemyDefeated(ctx, target, actorPlayerId);
+        return { ability: ability.id };
+      }
+
+      const targetName = shortName(ctx, target.ownerPlayerId);
+      const hpBefore = target.hp;
+      if (ability.heal) target.hp = clamp(target.hp + ability.heal, 0, target.maxHp);
+      const healed = target.hp - hpBefore;
+      const on = target === hero ? "" : ` on ${targetName}`;
+      pushLog(ctx, `${user} uses ${ability.name}${on}${healed ? `, restoring ${healed} HP` : ""}.`);
+      tryApplyStatus(ctx, target, ability.status, targetName, rngFor(game));
+      return { ability: ability.id, healed };
+    }
+  };
+
+  const applyDamage = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const ap = requireAnyAp(ctx);
+      if (!ap.ok) return ap;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+
+      const targetEnemyId = (params?.targetEnemyId ?? "").toString().trim();
+      const amount = Math.floor(Number(params?.amount));
+      if (!targetEnemyId) return fail("BAD_PARAMS", "targetEnemyId required.");
+      if (!Number.isFinite(amount) || amount <= 0) return fail("BAD_PARAMS", "amount must be > 0.");
+
+      const target = livingEnemies(ctx.game).find((enemyUnit) => enemyUnit.id === targetEnemyId) || null;
+      if (!target) return fail("NOT_FOUND", "Enemy not found.");
+      return ok({ target, amount });
+    },
+    apply(ctx, actorPlayerId, params, { target, amount }) {
+      const game = ctx.game;
+      const { dealt } = damageUnit(target, amount);
+      recordHeroDamage(game, actorPlayerId, target, dealt, "manual");
+      pushLog(ctx, `${shortName(ctx, actorPlayerId)} deals ${dealt} damage to ${target.name || "enemy"}.`);
+      spendAp(game, 1);
+      if (target.hp <= 0) markEnemyDefeated(ctx, target, actorPlayerId);
+      return { dealt };
+    }
+  };
+
+  const craftItem = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+
+      const recipeId = (params.recipeId || "potion_minor").toString();
+      const recipe = CRAFTING_RECIPES[recipeId];
+      if (!recipe) return fail("BAD_RECIPE", "Unknown recipe.");
+      const problem = craftProblem(ctx, actorPlayerId, recipe);
+      if (problem) return fail(problem.code, problem.message);
+      return ok({ recipe, profile: rpgProfileById(ctx, actorPlayerId) });
+    },
+    apply(ctx, actorPlayerId, params, { recipe, profile }) {
+      craftRecipe(profile, recipe);
+      spendAp(ctx.game, recipe.apCost);
+      pushLog(ctx, `${shortName(ctx, actorPlayerId)} crafts ${recipe.label}.`);
+      discoverRecipes(ctx, recipe.id);
+      return { crafted: recipe.id };
+    }
+  };
+
+  // Why the player cannot use the item right now for lack of the item or AP, as a failure, or null.
+  function itemShortage(ctx, actorPlayerId, item, stats) {
+    if ((rpgProfileById(ctx, actorPlayerId).inventory[item.id] || 0) <= 0) return fail("MISSING_ITEMS", `No ${item.label} left.`);
+    if ((ctx.game.turn.apRemaining ?? 0) < stats.apCost) return fail("NO_AP", `${item.label} needs ${stats.apCost} AP.`);
+    return null;
+  }
+
+  // Statuses the cure would take off the hero: the ones it names, or every harmful one.
+  function curedStatuses(stats, hero) {
+    return (hero.statuses || []).filter((s) => (stats.cures ? stats.cures.includes(s.id) : statusById(s.id)?.harmful)).map((s) => s.id);
+  }
+
+  // Why a hero-targeted item would do nothing for the hero, as a failure, or null.
+  function heroItemProblem(stats, hero) {
+    if (stats.effect === ItemEffect.HEAL && hero.hp >= hero.maxHp) return fail("FULL_HP", "Target is already at full HP.");
+    if (stats.effect === ItemEffect.CURE && !curedStatuses(stats, hero).length) return fail("NOTHING_TO_CURE", "Target has nothing this item cures.");
+    return null;
+  }
+
+  // Checks an item aimed at a hex: the hex must be in reach and, except for a reveal, seen by the
+  // party. A teleport needs a hex the hero could stand on; a throw has to catch an enemy.
+  function hexItemUse(ctx, actorPlayerId, hero, item, stats, target) {
+    const game = ctx.game;
+    const boardTerrain = game.terrain ?? 0;
+    if (!isInBounds(target.x, target.y, boardTerrain)) return fail("OUT_OF_BOUNDS", "That hex is off the map.");
+    if (stats.effect !== ItemEffect.REVEAL && !isHexVisible(visibleHexKeys(ctx), target.x, target.y)) {
+      return fail("OUT_OF_RANGE", "The party cannot see that hex.");
+    }
+    const problem = itemAimProblem(stats, hero, target, sightBlockerFor(boardTerrain, game.objects));
+    if (problem) return fail("OUT_OF_RANGE", problem);
+
+    if (stats.effect === ItemEffect.REVEAL) {
+      const hexes = hexesInRadius(target, stats.radius).filter((p) => isInBounds(p.x, p.y, boardTerrain));
+      return ok({ item, stats, target, hexes });
+    }
+    if (stats.effect === ItemEffect.TELEPORT) {
+      if (terrainMoveCost(target.x, target.y, boardTerrain) === null) return fail("BLOCKED", "Cell is blocked terrain.");
+      if (enemyAt(game, target.x, target.y)) return fail("BLOCKED", "Cell occupied by enemy.");
+      if (cellOccupiedByOtherHero(ctx, target.x, target.y, actorPlayerId)) return fail("BLOCKED", "Cell occupied by another hero.");
+      if (escortAt(game, target.x, target.y)) return fail("BLOCKED", `Cell occupied by ${game.escort.name}.`);
+      if (armedTrapAt(game, target.x, target.y)?.hidden === false) return fail("BLOCKED", "That hex holds an armed trap. Disarm it first.");
+      if (routeBlockingKeys(game.objects).has(`${target.x},${target.y}`)) return fail("BLOCKED", "Something blocks that hex.");
+      return ok({ item, stats, target, hexes: [target] });
+    }
+    const effects = spellEffects(game, hero, itemArea(stats), target);
+    if (!effects.enemies.length) return fail("NO_TARGETS", `${item.label} would not hit an enemy there.`);
+    return ok({ item, stats, target, hexes: effects.hexes, effects });
+  }
+
+  // The heroes a hero-targeted item can go on, the user first.
+  function itemHeroTargets(ctx, hero, stats) {
+    return stats.target === ItemTarget.SELF ? [hero] : allyTargetsInRange(ctx, hero, stats.range);
+  }
+
+  // USE_ITEM { itemId, targetPlayerId? | targetX, targetY } spends one item that has a `use` (content
+  // items, shared/items.js). Heals, cures and buffs go on the user or, for ally items, a hero in
+  // range (the user when targetPlayerId is left out); throws, teleports and reveals are aimed at a hex.
+  const useItem = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const itemId = (params.itemId || "potion").toString();
+      const item = ITEMS[itemId];
+      if (!item?.use) return fail("BAD_ITEM", "That item cannot be used.");
+      const stats = itemUseStats(item.use);
+      const shortage = itemShortage(ctx, actorPlayerId, item, stats);
+      if (shortage) return shortage;
+
+      if (stats.target === ItemTarget.HEX) {
+        const targetX = Number(params.targetX);
+        const targetY = Number(params.targetY);
+        if (!Number.isFinite(targetX) || !Number.isFinite(targetY)) return fail("BAD_PARAMS", `${item.label} needs targetX/targetY.`);
+        return hexItemUse(ctx, actorPlayerId, hero, item, stats, { x: Math.floor(targetX), y: Math.floor(targetY) });
+      }
+      const targets = itemHeroTargets(ctx, hero, stats);
+      const targetPlayerId = (params.targetPlayerId || "").toString().trim();
+      const target = targetPlayerId ? targets.find((h) => h.ownerPlayerId === targetPlayerId) || null : targets[0];
+      if (!target) return fail("OUT_OF_RANGE", "Selected ally is not in range.");
+      return heroItemProblem(stats, target) || ok({ item, stats, target });
+    },
+    // Aimed items with `preview: true` only report the hexes they would reach.
+    preview(ctx, actorPlayerId, params, { item, stats, target, hexes, effects }) {
+      if (!hexes) return { itemId: item.id, apCost: stats.apCost, targetPlayerId: target.ownerPlayerId };
+      return {
+        itemId: item.id,
+        apCost: stats.apCost,
+        target,
+        hexes: hexes.map((p) => `${p.x},${p.y}`),
+        enemyIds: (effects?.enemies || []).map((e) => e.id),
+        heroIds: (effects?.heroes || []).map((h) => h.ownerPlayerId)
+      };
+    },
+    apply(ctx, actorPlayerId, params, { item, stats, target, hexes, effects }) {
+      const game = ctx.game;
+      const hero = game.heroes[actorPlayerId];
+      const user = shortName(ctx, actorPlayerId);
+      rpgProfileById(ctx, actorPlayerId).inventory[item.id] -= 1;
+      spendAp(game, stats.apCost);
+
+      switch (stats.effect) {
+        case ItemEffect.THROW:
+          pushLog(ctx, `${user} throws ${item.label} at (${target.x},${target.y}).`);
+          hitArea(ctx, actorPlayerId, item.label, effects, statusDamage(hero, stats.amount), stats.status, "item");
+          return { used: item.id, hexes: hexes.length };
+        case ItemEffect.TELEPORT: {
+          hero.x = target.x;
+          hero.y = target.y;
+          pushLog(ctx, `${user} uses ${item.label} and reappears at (${target.x},${target.y}).`);
+          collectLootAt(ctx, actorPlayerId, target.x, target.y);
+          enterTerrain(ctx, hero, user);
+          if (hero.hp <= 0) pushLog(ctx, `Hero ${user} is down!`);
+          const trap = hero.hp > 0 && armedTrapAt(game, target.x, target.y);
+          if (trap) springTrap(ctx, trap, hero, rngFor(game));
+          return { used: item.id, to: target };
+        }
+        case ItemEffect.REVEAL: {
+          const keys = new Set(hexes.map((p) => `${p.x},${p.y}`));
+          rememberVisibleHexes(ctx, keys);
+          const found = (game.objects || []).filter((obj) => obj.type === ObjectType.TRAP && obj.hidden && keys.has(`${obj.x},${obj.y}`));
+          for (const trap of found) trap.hidden = false;
+          const traps = found.length ? ` ${found.map((trap) => trap.name).join(", ")} ${found.length === 1 ? "is" : "are"} found.` : "";
+          pushLog(ctx, `${user} uses ${item.label}, revealing the map around (${target.x},${target.y}).${traps}`);
+          return { used: item.id, hexes: hexes.length, trapsFound: found.length };
+        }
+        default:
+          break;
+      }
+
+      const targetName = shortName(ctx, target.ownerPlayerId);
+      const on = target === hero ? "" : ` on ${targetName}`;
+      if (stats.effect === ItemEffect.HEAL) {
+        const hpBefore = target.hp;
+        target.hp = clamp(target.hp + stats.amount, 0, target.maxHp);
+        const healed = target.hp - hpBefore;
+        pushLog(ctx, `${user} uses ${item.label}${on}, restoring ${healed} HP.`);
+        return { used: item.id, healed };
+      }
+      if (stats.effect === ItemEffect.CURE) {
+        const cured = curedStatuses(stats, target);
+        for (const id of cured) removeStatus(target, id);
+        pushLog(ctx, `${user} uses ${item.label}${on}, curing ${cured.map((id) => statusById(id).label).join(", ")}.`);
+        return { used: item.id, cured };
+      }
+      pushLog(ctx, `${user} uses ${item.label}${on}.`);
+      tryApplyStatus(ctx, target, stats.status, targetName, rngFor(game));
+      return { used: item.id };
+    }
+  };
+
+  // The phone's list of items with a `use`: what each does and why it cannot be used right now.
+  function usableItemsView(ctx, playerId, hero) {
+    const inventory = rpgProfileById(ctx, playerId).inventory;
+    return Object.values(ITEMS)
+      .filter((item) => item.use && (inventory[item.id] || 0) > 0)
+      .map((item) => {
+        const stats = itemUseStats(item.use);
+        const heroTargets = stats.target === ItemTarget.HEX || !isHeroAlive(hero) ? [] : itemHeroTargets(ctx, hero, stats);
+        return {
+          id: item.id,
+          name: item.label,
+          qty: inventory[item.id],
+          effect: stats.effect,
+          target: stats.target,
+          range: stats.range,
+          radius: stats.radius,
+          apCost: stats.apCost,
+          friendlyFire: stats.friendlyFire,
+          summary: describeItemUse(stats),
+          problem: itemShortage(ctx, playerId, item, stats)?.message || null,
+          targets: heroTargets.map((h) => ({
+            playerId: h.ownerPlayerId,
+            name: shortName(ctx, h.ownerPlayerId),
+            problem: heroItemProblem(stats, h)?.message || null
+          }))
+        };
+      });
+  }
+
+  const revive = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const ap = requireAnyAp(ctx, "No actions remaining.");
+      if (!ap.ok) return ap;
+
+      const requestedTargetId = (params.targetPlayerId || "").toString().trim();
+      const targets = downedHeroTargetsFor(ctx, actorPlayerId);
+      if (!targets.length) return fail("NO_TARGET", "No downed ally in revive range.");
+
+      const targetInfo = requestedTargetId
+        ? targets.find((t) => t.playerId === requestedTargetId) || null
+        : targets[0];
+      if (!targetInfo) return fail("NO_TARGET", "Target is not in revive range.");
+
+      const targetHero = ctx.game.heroes[targetInfo.playerId];
+      if (!targetHero || targetHero.hp > 0) return fail("NO_TARGET", "Target is not downed.");
+      return ok({ targetHero, targetPlayerId: targetInfo.playerId });
+    },
+    apply(ctx, actorPlayerId, params, { targetHero, targetPlayerId }) {
+      const restoredHp = Math.max(1, Math.ceil(targetHero.maxHp * 0.4));
+      targetHero.hp = clamp(restoredHp, 1, targetHero.maxHp);
+      clearStatuses(targetHero);
+      spendAp(ctx.game, 1);
+      pushLog(
+        ctx,
+        `${shortName(ctx, actorPlayerId)} revives ${shortName(ctx, targetPlayerId)} (${targetHero.hp}/${targetHero.maxHp} HP).`
+      );
+      return { revived: targetPlayerId, hp: targetHero.hp };
+    }
+  };
+
+  // Objects the hero could use right now: seen, within reach and with something to do.
+  function interactTargetsFor(ctx, hero) {
+    const game = ctx.game;
+    if (!hero || hero.hp <= 0) return [];
+    const visible = visibleHexKeys(ctx);
+    return (game.objects || [])
+      .filter((obj) => !(obj.type === ObjectType.TRAP && obj.hidden))
+      .filter((obj) => isHexVisible(visible, obj.x, obj.y) && manhattan(hero, obj) <= INTERACT_RANGE && interactVerb(obj))
+      .map((obj) => ({ id: obj.id, type: obj.type, name: obj.name, verb: interactVerb(obj), x: obj.x, y: obj.y }));
+  }
+
+  // INTERACT { objectId } opens or closes a door, loots a chest, pulls a lever or disarms a found trap.
+  const interact = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const ap = requireAnyAp(ctx);
+      if (!ap.ok) return ap;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const obj = objectById(game, (params.objectId || "").toString());
+      if (!obj || (obj.type === ObjectType.TRAP && obj.hidden) || !isHexVisible(visibleHexKeys(ctx), obj.x, obj.y)) {
+        return fail("BAD_TARGET", "There is no such object in sight.");
+      }
+      if (manhattan(hero, obj) > INTERACT_RANGE) return fail("OUT_OF_RANGE", `${obj.name} is out of reach.`);
+      if (obj.type === ObjectType.DOOR && obj.locked) return fail("LOCKED", `${obj.name} is locked. Something else must open it.`);
+      if (obj.type === ObjectType.DOOR && obj.open && doorwayOccupied(game, obj)) return fail("BLOCKED", `Something is standing in ${obj.name}.`);
+      if (obj.type === ObjectType.CHEST && obj.opened) return fail("ALREADY_OPEN", `${obj.name} has already been looted.`);
+      if (obj.type === ObjectType.TRAP && !obj.armed) return fail("ALREADY_DISARMED", `${obj.name} is already disarmed.`);
+      if (obj.type === ObjectType.LEVER) {
+        const jammed = leverJammedBy(game, obj);
+        if (jammed) return fail("BLOCKED", `Something is standing in ${jammed.name}.`);
+      }
+      return ok({ obj });
+    },
+    apply(ctx, actorPlayerId, params, { obj }) {
+      const game = ctx.game;
+      const name = shortName(ctx, actorPlayerId);
+      spendAp(game, 1);
+      switch (obj.type) {
+        case ObjectType.DOOR:
+          obj.open = !obj.open;
+          pushLog(ctx, `${name} ${obj.open ? "opens" : "closes"} ${obj.name}.`);
+          break;
+        case ObjectType.CHEST: {
+          obj.opened = true;
+          pushLog(ctx, `${name} opens ${obj.name}.`);
+          const profile = ensureRpgProfile(campaignPlayerById(ctx, actorPlayerId));
+          collectLoot(ctx, actorPlayerId, [rollChest(obj, rngFor(game))], profile, Date.now());
+          break;
+        }
+        case ObjectType.LEVER: {
+          const changes = pullLever(ctx, obj);
+          pushLog(ctx, `${name} pulls ${obj.name}${changes.length ? `: ${changes.join(", ")}` : ""}.`);
+          break;
+        }
+        case ObjectType.TRAP:
+          obj.armed = false;
+          pushLog(ctx, `${name} disarms ${obj.name}.`);
+          break;
+      }
+      return { objectId: obj.id };
+    }
+  };
+
+  // The shop opens once the encounter is won or lost, and every seated hero can use it at once.
+  // Shopping and gear changes happen off-turn there, so none of them can be undone.
+  function requireShopOpen(ctx) {
+    if (!isScenarioOver(ctx.game)) return fail("SHOP_CLOSED", "The shop opens once the encounter is over.");
+    return ok();
+  }
+
+  function tradeQuantity(params) {
+    const qty = params.qty === undefined ? 1 : Math.floor(Number(params.qty));
+    return Number.isFinite(qty) && qty >= 1 && qty <= 99 ? qty : null;
+  }
+
+  // BUY_ITEM { itemId, qty? } puts items in the inventory and gear in the gear bag.
+  const buyItem = {
+    by: Role.PHONE,
+    undoable: false,
+    validate(ctx, actorPlayerId, params) {
+      const open = requireShopOpen(ctx);
+      if (!open.ok) return open;
+      const entry = shopEntry((params.itemId || "").toString());
+      if (!entry) return fail("BAD_ITEM", "That is not for sale.");
+      const qty = tradeQuantity(params);
+      if (!qty) return fail("BAD_PARAMS", "qty must be between 1 and 99.");
+      const profile = rpgProfileById(ctx, actorPlayerId);
+      const cost = entry.price * qty;
+      if (profile.gold < cost) return fail("NO_GOLD", `Need ${cost} gold (you have ${profile.gold}).`);
+      return ok({ entry, qty, cost, profile });
+    },
+    apply(ctx, actorPlayerId, params, { entry, qty, cost, profile }) {
+      profile.gold -= cost;
+      if (entry.kind === "item") addInventory(profile, { [entry.id]: qty });
+      else addGear(profile, entry.id, qty);
+      pushLog(ctx, `${shortName(ctx, actorPlayerId)} buys ${qty}x ${entry.name} for ${cost} gold.`);
+      discoverRecipes(ctx);
+      return { bought: entry.id, qty, gold: profile.gold };
+    }
+  };
+
+  // SELL_ITEM { itemId, qty? } sells from the inventory or the gear bag (worn gear must come off first).
+  const sellItem = {
+    by: Role.PHONE,
+    undoable: false,
+    validate(ctx, actorPlayerId, params) {
+      const open = requireShopOpen(ctx);
+      if (!open.ok) return open;
+      const entry = shopEntry((params.itemId || "").toString());
+      if (!entry) return fail("BAD_ITEM", "The shop does not buy that.");
+      const qty = tradeQuantity(params);
+      if (!qty) return fail("BAD_PARAMS", "qty must be between 1 and 99.");
+      const profile = rpgProfileById(ctx, actorPlayerId);
+      const owned = entry.kind === "item" ? profile.inventory[entry.id] || 0 : profile.gear[entry.id] || 0;
+      if (owned < qty) return fail("MISSING_ITEMS", `You only have ${owned} ${entry.name}${entry.kind === "item" ? "" : " in your gear bag"}.`);
+      return ok({ entry, qty, profile });
+    },
+    apply(ctx, actorPlayerId, params, { entry, qty, profile }) {
+      const earned = entry.sellPrice * qty;
+      if (entry.kind === "item") profile.inventory[entry.id] -= qty;
+      else removeGear(profile, entry.id, qty);
+      profile.gold += earned;
+      pushLog(ctx, `${shortName(ctx, actorPlayerId)} sells ${qty}x ${entry.name} for ${earned} gold.`);
+      return { sold: entry.id, qty, gold: profile.gold };
+    }
+  };
+
+  // OFFER_TRADE { toPlayerId, give?, ask? } offers items ({ itemId: qty }) to a standing hero next
+  // to yours, on your turn or once the encounter is over. Nothing changes hands until they accept.
+  const offerTrade = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      if (!isScenarioOver(game)) {
+        const active = requireActive(ctx, actorPlayerId);
+        if (!active.ok) return active;
+      }
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      if ((game.trades || []).some((t) => t.fromPlayerId === actorPlayerId)) return fail("TRADE_PENDING", "You already have an offer open.");
+      const toPlayerId = (params.toPlayerId || "").toString();
+      if (!tradePartners(ctx, actorPlayerId).includes(toPlayerId)) return fail("BAD_TARGET", "Trade with a standing hero next to you.");
+      const give = itemBundle(params.give);
+      const ask = itemBundle(params.ask);
+      if (!give || !ask) return fail("BAD_PARAMS", "give and ask map item ids to counts between 1 and 99.");
+      if (!Object.keys(give).length && !Object.keys(ask).length) return fail("BAD_PARAMS", "Offer or ask for at least one item.");
+      const missing = missingFrom(rpgProfileById(ctx, actorPlayerId).inventory, give, "You");
+      if (missing) return fail("MISSING_ITEMS", missing);
+      return ok({ toPlayerId, give, ask });
+    },
+    apply(ctx, actorPlayerId, params, { toPlayerId, give, ask }) {
+      const trade = openTrade(ctx.game, actorPlayerId, toPlayerId, give, ask);
+      pushLog(ctx, `${describeOffer(ctx, trade)}.`);
+      return { tradeId: trade.id };
+    }
+  };
+
+  // ANSWER_TRADE { tradeId, accept } is the other hero's answer, accepted off-turn. The hero who
+  // made the offer can withdraw it with accept: false.
+  const answerTrade = {
+    by: Role.PHONE,
+    undoable: false,
+    validate(ctx, actorPlayerId, params) {
+      const trade = tradeById(ctx.game, (params.tradeId || "").toString());
+      if (!trade) return fail("NO_TRADE", "That offer is no longer open.");
+      const accept = params.accept === true;
+      const answering = accept ? [trade.toPlayerId] : [trade.toPlayerId, trade.fromPlayerId];
+      if (!answering.includes(actorPlayerId)) return fail("NO_TRADE", "That offer is not yours to answer.");
+      if (accept) {
+        const problem = tradeProblem(ctx, trade);
+        if (problem) return fail("TRADE_FAILED", problem);
+      }
+      return ok({ trade, accept });
+    },
+    apply(ctx, actorPlayerId, params, { trade, accept }) {
+      if (accept) {
+        completeTrade(ctx, trade);
+        pushLog(ctx, `${describeTrade(ctx, trade)}.`);
+        discoverRecipes(ctx);
+        return { traded: trade.id };
+      }
+      closeTrade(ctx.game, trade);
+      const from = shortName(ctx, trade.fromPlayerId);
+      const to = shortName(ctx, trade.toPlayerId);
+      pushLog(ctx, actorPlayerId === trade.fromPlayerId ? `${from} withdraws the offer to ${to}.` : `${to} turns down ${from}'s offer.`);
+      return { declined: trade.id };
+    }
+  };
+
+  // STASH_DEPOSIT and STASH_WITHDRAW { itemId, qty? } move items between a player's inventory and
+  // the campaign's party stash once the encounter is over.
+  function stashAction(deposit) {
+    return {
+      by: Role.PHONE,
+      undoable: false,
+      validate(ctx, actorPlayerId, params) {
+        if (!isScenarioOver(ctx.game)) return fail("STASH_CLOSED", "The party stash opens once the encounter is over.");
+        const itemId = (params.itemId || "").toString();
+        if (!ITEM_LABELS[itemId]) return fail("BAD_ITEM", "Only items go in the party stash.");
+        const qty = tradeQuantity(params);
+        if (!qty) return fail("BAD_PARAMS", "qty must be between 1 and 99.");
+        const have = deposit ? rpgProfileById(ctx, actorPlayerId).inventory[itemId] || 0 : stashView(ctx)[itemId] || 0;
+        if (have < qty) return fail("MISSING_ITEMS", `${deposit ? "You only have" : "The stash only holds"} ${have} ${ITEM_LABELS[itemId]}.`);
+        return ok({ itemId, qty });
+      },
+      apply(ctx, actorPlayerId, params, { itemId, qty }) {
+        stashMove(ctx, actorPlayerId, itemId, qty, deposit);
+        const moved = `${qty}x ${ITEM_LABELS[itemId]}`;
+        pushLog(ctx, `${shortName(ctx, actorPlayerId)} ${deposit ? `puts ${moved} in` : `takes ${moved} from`} the party stash.`);
+        if (!deposit) discoverRecipes(ctx);
+        return { itemId, qty, stash: stashView(ctx) };
+      }
+    };
+  }
+
+  // Changing gear is free while the shop is open and costs 1 AP on your turn during an encounter.
+  function requireGearChange(ctx, actorPlayerId) {
+    if (isScenarioOver(ctx.game)) return ok({ apCost: 0 });
+    const active = requireActive(ctx, actorPlayerId);
+    if (!active.ok) return active;
+    const living = requireLivingHero(ctx, actorPlayerId);
+    if (!living.ok) return living;
+    const ap = requireAnyAp(ctx);
+    if (!ap.ok) return ap;
+    return ok({ apCost: 1 });
+  }
+
+  // Max HP follows gear; gaining max HP heals by the same amount, losing it only caps HP.
+  function refreshHeroMaxHp(ctx, playerId, profile) {
+    const hero = ctx.game.heroes?.[playerId];
+    if (!hero) return;
+    const maxHp = heroMaxHpFor(profile);
+    if (maxHp > hero.maxHp && hero.hp > 0) hero.hp += maxHp - hero.maxHp;
+    hero.maxHp = maxHp;
+    hero.hp = clamp(hero.hp, 0, maxHp);
+  }
+
+  // EQUIP_ITEM { itemId } wears gear from the gear bag, stowing what was in that slot.
+  const equipItem = {
+    by: Role.PHONE,
+    undoable: false,
+    validate(ctx, actorPlayerId, params) {
+      const change = requireGearChange(ctx, actorPlayerId);
+      if (!change.ok) return change;
+      const itemId = (params.itemId || "").toString();
+      const profile = rpgProfileById(ctx, actorPlayerId);
+      if (!gearById(itemId)) return fail("BAD_ITEM", "That cannot be equipped.");
+      if (!profile.gear[itemId]) return fail("MISSING_ITEMS", "That is not in your gear bag.");
+      return ok({ itemId, profile, apCost: change.apCost });
+    },
+    apply(ctx, actorPlayerId, params, { itemId, profile, apCost }) {
+      removeGear(profile, itemId);
+      const replaced = wearGear(profile, itemId);
+      refreshHeroMaxHp(ctx, actorPlayerId, profile);
+      if (apCost) spendAp(ctx.game, apCost);
+      const swap = replaced ? ` (stowing ${replaced.name})` : "";
+      pushLog(ctx, `${shortName(ctx, actorPlayerId)} equips ${gearById(itemId).gear.name}${swap}.`);
+      return { equipped: itemId };
+    }
+  };
+
+  // UNEQUIP_ITEM { slot } moves the worn piece into the gear bag.
+  const unequipItem = {
+    by: Role.PHONE,
+    undoable: false,
+    validate(ctx, actorPlayerId, params) {
+      const change = requireGearChange(ctx, actorPlayerId);
+      if (!change.ok) return change;
+      const slot = (params.slot || "").toString();
+      if (!EQUIPMENT_SLOTS.includes(slot)) return fail("BAD_PARAMS", `slot must be one of ${EQUIPMENT_SLOTS.join(", ")}.`);
+      const profile = rpgProfileById(ctx, actorPlayerId);
+      if (!profile.equipment[slot]) return fail("EMPTY_SLOT", `Nothing is equipped as ${slot}.`);
+      return ok({ slot, profile, apCost: change.apCost });
+    },
+    apply(ctx, actorPlayerId, params, { slot, profile, apCost }) {
+      const itemId = profile.equipment[slot];
+      profile.equipment[slot] = null;
+      addGear(profile, itemId);
+      refreshHeroMaxHp(ctx, actorPlayerId, profile);
+      if (apCost) spendAp(ctx.game, apCost);
+      pushLog(ctx, `${shortName(ctx, actorPlayerId)} unequips ${gearById(itemId).gear.name}.`);
+      return { unequipped: itemId };
+    }
+  };
+
+  const endTurn = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId) {
+      return requireActive(ctx, actorPlayerId);
+    },
+    apply(ctx, actorPlayerId) {
+      const game = ctx.game;
+      pushLog(ctx, `Hero ${shortName(ctx, actorPlayerId)} ends turn.`);
+      const hero = game.heroes[actorPlayerId];
+      tickCooldowns(hero);
+      const lost = tickStatuses(ctx, hero, shortName(ctx, actorPlayerId));
+      if (lost && hero.hp <= 0) pushLog(ctx, `Hero ${shortName(ctx, actorPlayerId)} is down!`);
+      announceTurn(ctx, passTurn(ctx));
+      return {};
+    }
+  };
+
+  // READY_REACTION { reaction, targetPlayerId? } spends AP to hold a reaction until the hero's next
+  // turn. Guarding names the ally to guard.
+  const readyReaction = {
+    by: Role.PHONE,
+    validate(ctx, actorPlayerId, params) {
+      const game = ctx.game;
+      const active = requireActive(ctx, actorPlayerId);
+      if (!active.ok) return active;
+      const living = requireLivingHero(ctx, actorPlayerId);
+      if (!living.ok) return living;
+      const { hero } = living;
+
+      const type = (params.reaction || "").toString();
+      const meta = reactionMeta(type);
+      if (!meta) return fail("BAD_REACTION", "Unknown reaction.");
+      if (hero.reaction) return fail("BAD_REACTION", `${shortName(ctx, actorPlayerId)} already holds ${reactionMeta(hero.reaction.type).label}.`);
+      if ((game.turn.apRemaining ?? 0) < meta.apCost) return fail("NO_AP", `${meta.label} needs ${meta.apCost} AP.`);
+      if (type !== ReactionType.GUARD) return ok({ hero, type, meta, targetPlayerId: null });
+      const targetPlayerId = (params.targetPlayerId || "").toString().trim();
+      const ally = game.heroes[targetPlayerId];
+      if (!ally || targetPlayerId === actorPlayerId || !isHeroAlive(ally) || !ctx.isPlayerConnected(targetPlayerId)) {
+        return fail("BAD_TARGET", "Choose a standing ally to guard.");
+      }
+      return ok({ hero, type, meta, targetPlayerId });
+    },
+    apply(ctx, actorPlayerId, params, { hero, type, meta, targetPlayerId }) {
+      hero.reaction = targetPlayerId ? { type, targetPlayerId } : { type };
+      spendAp(ctx.game, meta.apCost);
+      const whom = targetPlayerId ? ` over ${shortName(ctx, targetPlayerId)}` : "";
+      pushLog(ctx, `Hero ${shortName(ctx, actorPlayerId)} readies ${meta.label}${whom}.`);
+      return { reaction: heldReactionView(hero) };
+    }
+  };
+
+  // REACT { use } answers the reaction prompt on the hero's phone; the enemy's turn then carries on.
+  // The session layer sends it with `timedOut` when the window runs out.
+  const react = {
+    by: Role.PHONE,
+    // The enemy has already acted on the answer.
+    undoable: false,
+    validate(ctx, actorPlayerId) {
+      const pending = ctx.game.reaction?.pending;
+      if (!pending || pending.playerId !== actorPlayerId) return fail("NO_REACTION", "Nothing to react to.");
+      return ok();
+    },
+    apply(ctx, actorPlayerId, params) {
+      const use = params.use === true;
+      const pending = answerReaction(ctx.game, use);
+      const name = shortName(ctx, actorPlayerId);
+      const label = reactionMeta(pending.type).label;
+      if (params.timedOut) pushLog(ctx, `${name} does not react in time.`);
+      else pushLog(ctx, use ? `${name} uses ${label}.` : `${name} holds ${label}.`);
+      announceTurn(ctx, passTurn(ctx));
+      return { used: use };
+    }
+  };
+
+  const spawnEnemy = {
+    by: Role.TABLE,
+    validate(ctx) {
+      const game = ctx.game;
+      const boardTerrain = game?.terrain ?? 0;
+      const occupied = new Set(
+        Object.values(game.heroes)
+          .filter((h) => isHeroAlive(h) && ctx.isPlayerConnected(h.ownerPlayerId))
+          .map((h) => `${h.x},${h.y}`)
+      );
+      for (const enemyUnit of livingEnemies(game)) occupied.add(`${enemyUnit.x},${enemyUnit.y}`);
+      if (game.escort?.hp > 0) occupied.add(`${game.escort.x},${game.escort.y}`);
+      for (const obj of game.objects || []) occupied.add(`${obj.x},${obj.y}`);
+      const anchor =
+        game.heroes[game.turn.activePlayerId] ||
+        Object.values(game.heroes).find((h) => isHeroAlive(h) && ctx.isPlayerConnected(h.ownerPlayerId)) ||
+        { x: 0, y: 0 };
+      const roll = peekRng(game);
+      const target = {
+        x: anchor.x + Math.floor(roll.random() * 13) - 6,
+        y: anchor.y + Math.floor(roll.random() * 13) - 6
+      };
+      const spawn = findNearestPassableHex(target.x, target.y, boardTerrain, (x, y) => occupied.has(`${x},${y}`), 48);
+      if (occupied.has(`${spawn.x},${spawn.y}`) || !isTerrainPassable(spawn.x, spawn.y, boardTerrain)) {
+        return fail("NO_SPACE", "No free passable hexes to spawn enemy.");
+      }
+      return ok({ spawn, roll });
+    },
+    apply(ctx, actorPlayerId, params, { spawn, roll }) {
+      const game = ctx.game;
+      roll.commit();
+      const enemyNumber = (game.enemies?.length || 0) + 1;
+      const aliveProfiles = (game.turn.order || []).map((pid) => rpgProfileById(ctx, pid));
+      const avgLevel = aliveProfiles.length
+        ? aliveProfiles.reduce((sum, p) => sum + p.level, 0) / aliveProfiles.length
+        : 1;
+      const template = pickScaledEnemyTemplate(avgLevel, game.scenario?.defeatedCount || 0, rngFor(game));
+      game.enemies = game.enemies || [];
+      game.enemies.push(makeEnemyFromTemplate(`enemy-${enemyNumber}`, template, spawn.x, spawn.y));
+      game.lastHeroDamage = null;
+      pushLog(ctx, `${template.name} (Lv.${template.level}) spawned at (${spawn.x},${spawn.y}) by table.`);
+      return { spawn };
+    }
+  };
+
+  // Board actions stop once the encounter is won or lost, and every one that lands is
+  // followed by an objective check and a look for recipes the party's finds have revealed.
+  function judged(def) {
+    return {
+      ...def,
+      validate(ctx, actorPlayerId, params) {
+        if (isScenarioOver(ctx.game)) return fail("SCENARIO_OVER", "This encounter is over.");
+        return def.validate(ctx, actorPlayerId, params);
+      },
+      apply(ctx, actorPlayerId, params, checked) {
+        const result = def.apply(ctx, actorPlayerId, params, checked);
+        discoverRecipes(ctx);
+        updateBossPhases(ctx);
+        const outcome = evaluateScenario(ctx);
+        return outcome ? { ...result, outcome } : result;
+      }
+    };
+  }
+
+  const actions = Object.freeze({
+    [ActionType.MOVE]: judged(move),
+    [ActionType.ATTACK]: judged(attack),
+    [ActionType.CAST_SPELL]: judged(castSpell),
+    [ActionType.USE_ABILITY]: judged(useAbility),
+    [ActionType.APPLY_DAMAGE]: judged(applyDamage),
+    [ActionType.REVIVE]: judged(revive),
+    [ActionType.CRAFT_ITEM]: judged(craftItem),
+    [ActionType.USE_ITEM]: judged(useItem),
+    [ActionType.INTERACT]: judged(interact),
+    [ActionType.END_TURN]: judged(endTurn),
+    [ActionType.READY_REACTION]: judged(readyReaction),
+    [ActionType.REACT]: judged(react),
+    [ActionType.SPAWN_ENEMY]: judged(spawnEnemy),
+    [ActionType.BUY_ITEM]: buyItem,
+    [ActionType.SELL_ITEM]: sellItem,
+    [ActionType.EQUIP_ITEM]: equipItem,
+    [ActionType.UNEQUIP_ITEM]: unequipItem,
+    [ActionType.OFFER_TRADE]: offerTrade,
+    [ActionType.ANSWER_TRADE]: answerTrade,
+    [ActionType.STASH_DEPOSIT]: stashAction(true),
+    [ActionType.STASH_WITHDRAW]: stashAction(false),
+    ...extraActions
+  });
+
+  function syncConnections(ctx) {
+    reconcileTurnOrder(ctx);
+    // A turn left without a hero moves on as soon as someone at the table can take one.
+    if (ctx.game && !ctx.game.turn.activePlayerId && !ctx.game.reaction?.pending && !isScenarioOver(ctx.game)) {
+      const next = passTurn(ctx);
+      if (next) announceTurn(ctx, next);
+      evaluateScenario(ctx);
+    }
+    rememberVisibleHexes(ctx);
+  }
+
+  // Hexes the party sees now or has explored.
+  function seenHexKeys(ctx, visible) {
+    const fog = fogView(ctx, visible);
+    return new Set([...fog.visible, ...fog.explored]);
+  }
+
+  // Enemies and loot outside party vision are left out of every view; objects stay on the
+  // board once their hex has been explored.
+  function seenByParty(ctx) {
+    const visible = visibleHexKeys(ctx);
+    const game = ctx.game;
+    const enemies = (game.enemies || []).filter((enemyUnit) => isHexVisible(visible, enemyUnit.x, enemyUnit.y));
+    const fog = fogView(ctx, visible);
+    const seenKeys = new Set([...fog.visible, ...fog.explored]);
+    return {
+      fog,
+      objects: objectsView(game, seenKeys),
+      telegraphs: telegraphsView(game, seenKeys),
+      enemies,
+      primaryEnemy: enemies.find((enemyUnit) => enemyUnit.hp > 0) || null,
+      groundLoot: (game.groundLoot || []).filter((loot) => isHexVisible(visible, loot.x, loot.y))
+    };
+  }
+
+  function computePublicView(ctx) {
+    const { game, campaign, session } = ctx;
+    if (!game) return null;
+    const seen = seenByParty(ctx);
+    const nameById = new Map(session.seats.filter((s) => s.playerId).map((s) => [s.playerId, s.playerName]));
+    const campaignNameById = new Map((campaign.players || []).map((p) => [p.id, p.name]));
+    const levelById = new Map((campaign.players || []).map((p) => [p.id, ensureRpgProfile(p).level]));
+    const primaryEnemy = seen.primaryEnemy;
+    return {
+      grid: game.grid,
+      terrain: game.terrain ? { seed: game.terrain.seed, theme: game.terrain.theme, map: game.terrain.map || null, changes: { ...game.terrain.changes } } : null,
+      scenario: scenarioView(game),
+      campaign: campaignView(campaign),
+      turn: { activePlayerId: game.turn.activePlayerId, activePlayerName: nameById.get(game.turn.activePlayerId) || campaignNameById.get(game.turn.activePlayerId) || null, order: game.turn.order, apRemaining: game.turn.apRemaining, apMax: game.turn.apMax, initiative: initiativeView(ctx, seen.enemies) },
+      heroes: Object.values(game.heroes).filter((h) => h && ctx.isPlayerConnected(h.ownerPlayerId)).map((h) => ({
+        ownerPlayerId: h.ownerPlayerId,
+        ownerPlayerName: nameById.get(h.ownerPlayerId) || campaignNameById.get(h.ownerPlayerId) || null,
+        level: levelById.get(h.ownerPlayerId) || 1,
+        className: heroClassFor(rpgProfileById(ctx, h.ownerPlayerId)).name,
+        x: h.x,
+        y: h.y,
+        hp: h.hp,
+        maxHp: h.maxHp,
+        statuses: statusesView(h),
+        reaction: heldReactionView(h)
+      })),
+      reaction: pendingReactionView(ctx),
+      enemies: seen.enemies.map((enemyUnit) => enemyView(game, enemyUnit)),
+      groundLoot: seen.groundLoot.map(lootView),
+      objects: seen.objects,
+      bosses: bossesView(seen.enemies),
+      telegraphs: seen.telegraphs,
+      escort: escortView(game),
+      fog: seen.fog,
+      enemy: primaryEnemy ? enemyView(game, primaryEnemy) : null,
+      rules: rulesView(game),
+      lastEnemyDamage: game.lastEnemyDamage
+        ? {
+            enemyId: game.lastEnemyDamage.enemyId,
+            targetPlayerId: game.lastEnemyDamage.targetPlayerId,
+            amount: game.lastEnemyDamage.amount,
+            heroHp: game.lastEnemyDamage.heroHp,
+            heroMaxHp: game.lastEnemyDamage.heroMaxHp,
+            at: game.lastEnemyDamage.at
+          }
+        : null,
+      rolls: rollsView(game),
+      log: game.log.slice(-10)
+    };
+  }
+
+  function allowedActionsFor(ctx, playerId, rpg, spells) {
+    const game = ctx.game;
+    const hero = game.heroes?.[playerId] ?? null;
+    const isActive = game.turn.activePlayerId === playerId;
+    // Trade offers are answered off-turn; new ones need a hero next to yours.
+    const trading = (game.trades || []).some((t) => t.fromPlayerId === playerId || t.toPlayerId === playerId) ? [ActionType.ANSWER_TRADE] : [];
+    const canOffer = !(game.trades || []).some((t) => t.fromPlayerId === playerId) && tradePartners(ctx, playerId).length > 0;
+    if (canOffer) trading.push(ActionType.OFFER_TRADE);
+    if (isScenarioOver(game)) {
+      const shopping = [ActionType.BUY_ITEM, ActionType.SELL_ITEM, ActionType.EQUIP_ITEM, ActionType.UNEQUIP_ITEM, ActionType.STASH_DEPOSIT, ActionType.STASH_WITHDRAW];
+      const between = [...shopping, ...trading];
+      return isActive && hero?.hp > 0 && undoableCount(ctx) ? [...between, ActionType.UNDO] : between;
+    }
+    // A reaction prompt is answered off-turn.
+    if (game.reaction?.pending?.playerId === playerId) return [ActionType.REACT];
+    if (!(isActive && hero && hero.hp > 0)) return trading.filter((action) => action === ActionType.ANSWER_TRADE);
+    const allowed = [ActionType.END_TURN, ...trading];
+    const apRemaining = game.turn.apRemaining ?? 0;
+    if (apRemaining > 0) {
+      allowed.push(ActionType.MOVE, ActionType.ATTACK, ActionType.APPLY_DAMAGE, ActionType.EQUIP_ITEM, ActionType.UNEQUIP_ITEM);
+      if (Object.values(CRAFTING_RECIPES).some((recipe) => !craftProblem(ctx, playerId, recipe))) allowed.push(ActionType.CRAFT_ITEM);
+      if (downedHeroTargetsFor(ctx, playerId).length) allowed.push(ActionType.REVIVE);
+      if (readyAbilities(hero, rpg, apRemaining).length) allowed.push(ActionType.USE_ABILITY);
+      if (interactTargetsFor(ctx, hero).length) allowed.push(ActionType.INTERACT);
+      if (!hero.reaction && reactionOptions(apRemaining).some((option) => option.affordable)) allowed.push(ActionType.READY_REACTION);
+    }
+    if (undoableCount(ctx)) allowed.push(ActionType.UNDO);
+    if (spells.some((spell) => apRemaining >= spell.apCost)) allowed.push(ActionType.CAST_SPELL);
+    const usable = (item) => !item.problem && (item.target === ItemTarget.HEX || item.targets.some((t) => !t.problem));
+    if (usableItemsView(ctx, playerId, hero).some(usable)) allowed.push(ActionType.USE_ITEM);
+    return allowed;
+  }
+
+  function computePrivateView(ctx, playerId) {
+    const { game, campaign, session } = ctx;
+    if (!game) return null;
+    const isActive = game.turn.activePlayerId === playerId;
+    const hero = game.heroes?.[playerId] ?? null;
+    const campaignNameById = new Map((campaign.players || []).map((p) => [p.id, p.name]));
+    const rpg = ensureRpgProfile(campaignPlayerById(ctx, playerId));
+    const weapon = equippedWeapon(rpg);
+    const attackStats = heroAttackStats(game, rpg, hero);
+    const spells = knownSpellIds(rpg).map((spellId) => spellView(game, SPELLS[spellId]));
+    const seen = seenByParty(ctx);
+    const primaryEnemy = seen.primaryEnemy;
+    const view = {
+      youAreActive: isActive,
+      grid: game.grid,
+      terrain: game.terrain ? { seed: game.terrain.seed, theme: game.terrain.theme, map: game.terrain.map || null, changes: { ...game.terrain.changes } } : null,
+      scenario: scenarioView(game),
+      campaign: campaignView(campaign),
+      rules: rulesView(game),
+      rpg: {
+        level: rpg.level,
+        xp: rpg.xp,
+        xpToNext: rpg.xpToNext,
+        gold: rpg.gold,
+        heroClass: classView(heroClassFor(rpg)),
+        abilities: rpg.abilityIds.map((abilityId) => abilityView(ABILITIES[abilityId], hero)),
+        equipment: Object.fromEntries(EQUIPMENT_SLOTS.map((slot) => [slot, gearView(rpg.equipment[slot])])),
+        gear: Object.entries(rpg.gear).map(([itemId, qty]) => ({ ...gearView(itemId), qty, sellPrice: shopEntry(itemId)?.sellPrice ?? null })),
+        stats: {
+          damageBonus: gearBonus(rpg, "damageBonus") + heroClassFor(rpg).damageBonus,
+          armor: gearBonus(rpg, "armor"),
+          maxHpBonus: gearBonus(rpg, "maxHpBonus"),
+          accuracy: attackStats.accuracy,
+          defense: heroClassFor(rpg).defense ?? BASE_DEFENSE,
+          weaponDamage: attackStats.flat
+        },
+        weapon: {
+          id: weapon.id,
+          name: weapon.name,
+          damageBonus: weapon.damageBonus,
+          damageDice: attackStats.dice,
+          ...heroReach(ctx, playerId)
+        },
+        spell: spells[0],
+        spells,
+        inventory: { ...rpg.inventory }
+      },
+      shop: { open: isScenarioOver(game), stock: shopStock() },
+      itemLabels: ITEM_LABELS,
+      crafting: craftingView(ctx, playerId),
+      usableItems: usableItemsView(ctx, playerId, game.heroes?.[playerId]),
+      heroesPublic: Object.values(game.heroes).filter((h) => h && ctx.isPlayerConnected(h.ownerPlayerId)).map((h) => ({
+        ownerPlayerId: h.ownerPlayerId,
+        ownerPlayerName:
+          session.seats.find((s) => s.playerId === h.ownerPlayerId)?.playerName ||
+          campaignNameById.get(h.ownerPlayerId) ||
+          null,
+        level: rpgProfileById(ctx, h.ownerPlayerId).level,
+        className: heroClassFor(rpgProfileById(ctx, h.ownerPlayerId)).name,
+        x: h.x,
+        y: h.y,
+        hp: h.hp,
+        maxHp: h.maxHp,
+        statuses: statusesView(h),
+        reaction: heldReactionView(h)
+      })),
+      hero: hero ? { x: hero.x, y: hero.y, hp: hero.hp, maxHp: hero.maxHp, statuses: statusesView(hero) } : null,
+      reaction: {
+        held: heldReactionView(hero),
+        pending: game.reaction?.pending?.playerId === playerId ? pendingReactionView(ctx) : null,
+        options: reactionOptions(isActive ? game.turn.apRemaining ?? 0 : 0)
+      },
+      enemies: seen.enemies.map((enemyUnit) => enemyView(game, enemyUnit)),
+      groundLoot: seen.groundLoot.map(lootView),
+      objects: seen.objects,
+      bosses: bossesView(seen.enemies),
+      telegraphs: seen.telegraphs,
+      escort: escortView(game),
+      fog: seen.fog,
+      enemy: primaryEnemy ? enemyView(game, primaryEnemy) : null,
+      apRemaining: game.turn.apRemaining,
+      apMax: game.turn.apMax,
+      initiative: initiativeView(ctx, seen.enemies),
+      rolls: rollsView(game, playerId),
+      lastHeroDamage:
+        game.lastHeroDamage && game.lastHeroDamage.actorPlayerId === playerId
+          ? {
+              amount: game.lastHeroDamage.amount,
+              type: game.lastHeroDamage.type || "weapon",
+              enemyHp: game.lastHeroDamage.enemyHp,
+              enemyMaxHp: game.lastHeroDamage.enemyMaxHp,
+              at: game.lastHeroDamage.at
+            }
+          : null,
+      lastEnemyDamage:
+        game.lastEnemyDamage && game.lastEnemyDamage.targetPlayerId === playerId
+          ? {
+              amount: game.lastEnemyDamage.amount,
+              enemyId: game.lastEnemyDamage.enemyId,
+              heroHp: game.lastEnemyDamage.heroHp,
+              heroMaxHp: game.lastEnemyDamage.heroMaxHp,
+              at: game.lastEnemyDamage.at
+            }
+          : null,
+      lastLoot:
+        game.lastLoot && game.lastLoot.playerId === playerId
+          ? {
+              enemyName: game.lastLoot.enemyName,
+              xp: game.lastLoot.xp,
+              gold: game.lastLoot.gold,
+              drops: game.lastLoot.drops,
+              mineCredits: game.lastLoot.mineCredits || 0,
+              mineAction: game.lastLoot.mineAction || null,
+              mineDepth: Number.isFinite(Number(game.lastLoot.mineDepth)) ? Number(game.lastLoot.mineDepth) : null,
+              at: game.lastLoot.at
+            }
+          : null,
+      reviveTargets: downedHeroTargetsFor(ctx, playerId),
+      interactTargets: isActive ? interactTargetsFor(ctx, hero) : [],
+      trades: tradesView(ctx, playerId),
+      stash: { open: isScenarioOver(game), items: stashView(ctx) },
+      weaponTargets: hero ? weaponTargets(ctx, playerId).map(({ enemyUnit, problem, cover }) => ({ enemyId: enemyUnit.id, problem, cover })) : [],
+      allowedActions: allowedActionsFor(ctx, playerId, rpg, spells)
+    };
+    return extendPrivateView ? extendPrivateView(ctx, playerId, view, rpg) : view;
+  }
+
+  // A phone picks its hero's class when it joins. The class sticks once chosen.
+  function joinOptions() {
+    return { classes: Object.values(CLASSES).map(classView) };
+  }
+
+  const joinChoices = {
+    validate(ctx, payload) {
+      const classId = (payload?.classId ?? "").toString().trim();
+      if (classId && !CLASSES[classId]) return fail("BAD_CLASS", `Unknown class: ${classId}.`);
+      return ok({ classId: classId || null });
+    },
+    apply(ctx, campaignPlayer, { classId }) {
+      const profile = ensureRpgProfile(campaignPlayer);
+      if (classId && !profile.classId) assignHeroClass(profile, classId);
+    }
+  };
+
+  return Object.freeze({
+    id,
+    title,
+    allowsPhones,
+    actions,
+    joinOptions,
+    joinChoices,
+    initState,
+    migrateState,
+    seatPlayer,
+    removePlayer,
+    playerDisconnected,
+    syncConnections,
+    computePublicView,
+    computePrivateView,
+    pendingDecision: (ctx) => reactionDeadline(ctx.game)
+  });
+}
+
+export const dungeonRules = createDungeonRules({
+  id: "touchtable-dungeon",
+  title: "TouchTable Dungeon"
+});
@@ -0,0 +1,93 @@
+import { EQUIPMENT, ITEMS } from "../content/index.js";
+
+// Equipment slots, gear stat modifiers and the shop. A profile wears at most one piece per slot
+// (`rpg.equipment`, slot -> id or null) and keeps the gear it owns but is not wearing in
+// `rpg.gear` ({ id: count }). Gear modifiers are damageBonus, armor and maxHpBonus.
+
+export const EQUIPMENT_SLOTS = Object.freeze(Object.keys(EQUIPMENT));
+
+const BARE_HANDS = Object.freeze({ id: null, name: "Bare Hands", damageBonus: 0 });
+
+export function gearById(id) {
+  for (const slot of EQUIPMENT_SLOTS) {
+    if (EQUIPMENT[slot][id]) return { slot, gear: EQUIPMENT[slot][id] };
+  }
+  return null;
+}
+
+export function sanitizeEquipment(raw, defaults) {
+  // Profiles from before equipment slots only had a weaponId; it wins until it has been migrated.
+  const src = typeof raw.weaponId === "string"
+    ? { ...defaults, weapon: raw.weaponId }
+    : raw.equipment && typeof raw.equipment === "object" ? raw.equipment : defaults;
+  const equipment = {};
+  for (const slot of EQUIPMENT_SLOTS) equipment[slot] = EQUIPMENT[slot][src[slot]] ? src[slot] : null;
+  const gear = Object.fromEntries(
+    Object.entries(raw.gear && typeof raw.gear === "object" ? raw.gear : {})
+      .map(([id, qty]) => [id, Math.max(0, Math.floor(Number(qty) || 0))])
+      .filter(([id, qty]) => qty > 0 && gearById(id))
+  );
+  return { equipment, gear };
+}
+
+export function equippedWeapon(profile) {
+  return EQUIPMENT.weapon[profile?.equipment?.weapon] || BARE_HANDS;
+}
+
+// Sum of one modifier across the gear a profile is wearing.
+export function gearBonus(profile, stat) {
+  return EQUIPMENT_SLOTS.reduce((sum, slot) => sum + (EQUIPMENT[slot][profile?.equipment?.[slot]]?.[stat] || 0), 0);
+}
+
+export function addGear(profile, id, qty = 1) {
+  profile.gear = profile.gear || {};
+  profile.gear[id] = (profile.gear[id] || 0) + qty;
+}
+
+export function removeGear(profile, id, qty = 1) {
+  const left = (profile.gear?.[id] || 0) - qty;
+  if (left > 0) profile.gear[id] = left;
+  else delete profile.gear[id];
+}
+
+// Wears a piece of gear, putting whatever was in its slot into the gear bag. Returns the old piece.
+export function wearGear(profile, id) {
+  const { slot } = gearById(id);
+  const replaced = EQUIPMENT[slot][profile.equipment[slot]] || null;
+  if (replaced) addGear(profile, replaced.id);
+  profile.equipment[slot] = id;
+  return replaced;
+}
+
+export function gearView(id) {
+  const found = gearById(id);
+  if (!found) return null;
+  const { slot, gear } = found;
+  return {
+    id,
+    slot,
+    name: gear.name,
+    damageBonus: gear.damageBonus || 0,
+    armor: gear.armor || 0,
+    maxHpBonus: gear.maxHpBonus || 0
+  };
+}
+
+export function sellPrice(price) {
+  return Math.max(1, Math.floor(price / 2));
+}
+
+// Shop entry for anything with a price: `kind` is "item" for inventory items, else the gear slot.
+export function shopEntry(id) {
+  const item = ITEMS[id];
+  if (item?.price) return { id, kind: "item", name: item.label, price: item.price, sellPrice: sellPrice(item.price) };
+  const found = gearById(id);
+  if (!found?.gear.price) return null;
+  return { ...gearView(id), kind: found.slot, price: found.gear.price, sellPrice: sellPrice(found.gear.price) };
+}
+
+export function shopStock() {
+  return [...Object.keys(ITEMS), ...EQUIPMENT_SLOTS.flatMap((slot) => Object.keys(EQUIPMENT[slot]))]
+    .map(shopEntry)
+    .filter(Boolean);
+}
@@ -0,0 +1,68 @@
+import { hasLineOfSight, hexesInRadius, sightBlockerFor } from "../../shared/game.js";
+
+// Party vision for the dungeon board. Every connected hero sees hexes within its vision
+// radius that are not hidden behind sight-blocking terrain or closed doors; the party shares
+// what it sees.
+// Hexes the party has ever seen are remembered on the campaign, per map seed, so the
+// memory survives undo and server restarts.
+
+const DEFAULT_VISION_RADIUS = 4;
+
+function hexKey(x, y) {
+  return `${x},${y}`;
+}
+
+export function heroVisionRadius(game, hero) {
+  const radius = Number(hero?.visionRadius ?? game?.rules?.visionRadius);
+  return Number.isFinite(radius) && radius >= 0 ? Math.floor(radius) : DEFAULT_VISION_RADIUS;
+}
+
+export function visibleHexKeys(ctx) {
+  const game = ctx.game;
+  const visible = new Set();
+  if (!game) return visible;
+  const blocksSight = sightBlockerFor(game.terrain ?? 0, game.objects);
+
+  for (const hero of Object.values(game.heroes || {})) {
+    if (!hero || !ctx.isPlayerConnected(hero.ownerPlayerId)) continue;
+    for (const p of hexesInRadius(hero, heroVisionRadius(game, hero))) {
+      const k = hexKey(p.x, p.y);
+      if (visible.has(k)) continue;
+      if (hasLineOfSight(hero, p, blocksSight)) visible.add(k);
+    }
+  }
+  return visible;
+}
+
+export function isHexVisible(visible, x, y) {
+  return visible.has(hexKey(x, y));
+}
+
+function explorationFor(ctx) {
+  const campaign = ctx.campaign;
+  const mapSeed = ctx.game?.terrain?.seed ?? null;
+  if (!campaign.exploration || campaign.exploration.mapSeed !== mapSeed) {
+    campaign.exploration = { mapSeed, hexes: [] };
+  }
+  return campaign.exploration;
+}
+
+export function rememberVisibleHexes(ctx, visible = visibleHexKeys(ctx)) {
+  if (!ctx.game) return;
+  const exploration = explorationFor(ctx);
+  const known = new Set(exploration.hexes);
+  for (const k of visible) {
+    if (known.has(k)) continue;
+    known.add(k);
+    exploration.hexes.push(k);
+  }
+}
+
+export function fogView(ctx, visible) {
+  const game = ctx.game;
+  return {
+    visionRadius: heroVisionRadius(game, null),
+    visible: [...visible],
+    explored: [...explorationFor(ctx).hexes]
+  };
+}
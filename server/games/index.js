@@ -0,0 +1,32 @@
+import { dungeonRules } from "./dungeon.js";
+import { kewlRules } from "./kewl.js";
+
+// Server-side rules for each table game. A rules module owns everything about its game state;
+// ws.js only routes messages, tracks sessions and persists campaigns. Modules expose:
+//   id, title, allowsPhones
+//   initState(ctx, firstPlayerId, seed)      -> fresh game state for a new encounter
+//   migrateState(ctx)                        -> normalize ctx.game loaded from an older save
+//   seatPlayer(ctx, playerId, seatIndex0)    -> put a joined player's piece on the board
+//   removePlayer(ctx, playerId, seatInfo)    -> table kicked a player
+//   playerDisconnected(ctx, playerId, name)  -> phone socket closed
+//   syncConnections(ctx)                     -> refresh turn order, vision etc. before views go out
+//   actions[ActionType]                      -> { by, undoable?, validate(ctx, actor, params), apply(ctx, actor, params, checked),
+//                                                preview?(ctx, actor, params, checked) }
+//   computePublicView(ctx) / computePrivateView(ctx, playerId)
+//   joinOptions?(ctx)                        -> choices offered to phones before JOIN (sent with the HELLO reply)
+//   joinChoices?                             -> { validate(ctx, joinPayload), apply(ctx, campaignPlayer, checked) }
+//   pendingDecision?(ctx)                    -> { playerId, at, action, params } sent for the player at `at` (ms)
+//                                                unless they answer first, or null
+// `validate` returns ok({...}) or fail(code, message) before anything changes; `apply` receives
+// the validated result and returns extra fields for the OK reply. An action sent with
+// `params.preview` is only validated and passed to `preview`, whose result is shown to the table
+// and the sender until the next action lands.
+
+const GAME_MODULES = Object.freeze({
+  [dungeonRules.id]: dungeonRules,
+  [kewlRules.id]: kewlRules
+});
+
+export function getGameModule(gameId) {
+  return GAME_MODULES[gameId] || null;
+}
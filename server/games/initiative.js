@@ -0,0 +1,94 @@
+import { livingEnemies } from "../../shared/game.js";
+import { DEFAULT_SPEED, INITIATIVE_DIE, InitiativeKind, compareInitiative } from "../../shared/initiative.js";
+import { clamp, heroClassFor, rpgProfileById, shortName } from "./common.js";
+import { rngFor } from "./rng.js";
+
+// The round's turn order. `game.turn.initiative` holds one slot per hero and enemy, sorted by
+// initiative, and `game.turn.initiativeIndex` points at the slot taking its turn (-1 before the
+// first). The rules module walks the slots (passTurn in dungeon.js); `game.turn.order` keeps
+// listing the seated heroes. Enemies that appear mid-round roll in at the next round.
+
+function slotSpeed(ctx, kind, id) {
+  const speed =
+    kind === InitiativeKind.HERO
+      ? heroClassFor(rpgProfileById(ctx, id)).speed
+      : (ctx.game.enemies || []).find((enemyUnit) => enemyUnit.id === id)?.speed;
+  return Number.isFinite(speed) ? speed : DEFAULT_SPEED;
+}
+
+function rollSlot(ctx, kind, id) {
+  const speed = slotSpeed(ctx, kind, id);
+  const roll = 1 + Math.floor(rngFor(ctx.game)() * INITIATIVE_DIE);
+  return { kind, id, speed, roll, total: speed + roll };
+}
+
+// Start of a round: every hero (down or not, they may be revived before their slot) and every
+// living enemy rolls again.
+export function rollInitiative(ctx) {
+  const game = ctx.game;
+  const slots = [
+    ...Object.keys(game.heroes || {}).map((playerId) => rollSlot(ctx, InitiativeKind.HERO, playerId)),
+    ...livingEnemies(game).map((enemyUnit) => rollSlot(ctx, InitiativeKind.ENEMY, enemyUnit.id))
+  ];
+  game.turn.initiative = slots.sort(compareInitiative);
+  game.turn.initiativeIndex = -1;
+}
+
+// A hero seated mid-round rolls and takes their place among the slots still to come.
+export function joinInitiative(ctx, playerId) {
+  const turn = ctx.game.turn;
+  if (turn.initiative.some((slot) => slot.kind === InitiativeKind.HERO && slot.id === playerId)) return;
+  const slot = rollSlot(ctx, InitiativeKind.HERO, playerId);
+  const at = turn.initiative.findIndex((other, idx) => idx > turn.initiativeIndex && compareInitiative(slot, other) < 0);
+  turn.initiative.splice(at < 0 ? turn.initiative.length : at, 0, slot);
+}
+
+export function leaveInitiative(game, kind, id) {
+  const turn = game.turn;
+  const idx = turn.initiative.findIndex((slot) => slot.kind === kind && slot.id === id);
+  if (idx < 0) return;
+  turn.initiative.splice(idx, 1);
+  if (idx <= turn.initiativeIndex) turn.initiativeIndex -= 1;
+}
+
+export function initiativeSlot(game) {
+  return game.turn.initiative[game.turn.initiativeIndex] || null;
+}
+
+// Saves from before initiative finish their round in join order, enemies last, picking up at the
+// active hero.
+export function sanitizeInitiative(game) {
+  const turn = game.turn;
+  if (!Array.isArray(turn.initiative)) {
+    turn.initiative = [
+      ...(turn.order || []).map((playerId) => ({ kind: InitiativeKind.HERO, id: playerId })),
+      ...livingEnemies(game).map((enemyUnit) => ({ kind: InitiativeKind.ENEMY, id: enemyUnit.id }))
+    ];
+    turn.initiativeIndex = turn.initiative.findIndex((slot) => slot.kind === InitiativeKind.HERO && slot.id === turn.activePlayerId);
+  }
+  turn.initiative = turn.initiative
+    .filter((slot) => slot && Object.values(InitiativeKind).includes(slot.kind) && typeof slot.id === "string")
+    .map((slot) => {
+      const speed = Math.max(0, Math.floor(Number(slot.speed) || 0));
+      const roll = Math.max(0, Math.floor(Number(slot.roll) || 0));
+      return { kind: slot.kind, id: slot.id, speed, roll, total: speed + roll };
+    });
+  turn.initiativeIndex = clamp(Math.floor(Number(turn.initiativeIndex) || 0), -1, turn.initiative.length - 1);
+}
+
+// The tracker: heroes at the table and the enemies the party can see, in turn order.
+export function initiativeView(ctx, seenEnemies) {
+  const { heroes, turn } = ctx.game;
+  const shown = new Map(seenEnemies.map((enemyUnit) => [enemyUnit.id, enemyUnit]));
+  return turn.initiative.flatMap((slot, idx) => {
+    const state = { total: slot.total, roll: slot.roll, speed: slot.speed, acted: idx < turn.initiativeIndex, active: idx === turn.initiativeIndex };
+    if (slot.kind === InitiativeKind.HERO) {
+      const hero = heroes[slot.id];
+      if (!hero || !ctx.isPlayerConnected(slot.id)) return [];
+      return [{ kind: slot.kind, id: slot.id, name: shortName(ctx, slot.id), down: !(hero.hp > 0), ...state }];
+    }
+    const enemyUnit = shown.get(slot.id);
+    if (!enemyUnit || enemyUnit.hp <= 0) return [];
+    return [{ kind: slot.kind, id: slot.id, name: enemyUnit.name || "Enemy", art: enemyUnit.art || null, boss: Boolean(enemyUnit.boss), down: false, ...state }];
+  });
+}
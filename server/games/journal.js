@@ -0,0 +1,185 @@
+import { clone } from "./common.js";
+
+// Append-only journal of everything that changed an encounter, saved with the campaign
+// (`campaign.journal`) so it survives a restart. Each event keeps its actor, params, the
+// RNG draws it used and a path-level delta of the game, progression and hero profiles:
+//   { seq, at, kind: "action" | "undo" | "system", actorPlayerId?, action?, params?, undoes?,
+//     rng?: { before, after, draws }, delta: [{ path, before, after }] }
+// "system" events cover seating, disconnects and turn reconciling between actions.
+// Undo rewinds the deltas back to the last live action and appends an "undo" event; actions
+// marked `undoable: false` cannot be rewound. Deltas older than the undo depth are dropped to
+// keep the save small.
+
+export const DEFAULT_UNDO_DEPTH = 20;
+const MAX_UNDO_DEPTH = 200;
+
+function sanitizeUndoDepth(raw, fallback = DEFAULT_UNDO_DEPTH) {
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) return fallback;
+  return Math.min(MAX_UNDO_DEPTH, Math.floor(n));
+}
+
+export function makeJournal(undoDepth = DEFAULT_UNDO_DEPTH) {
+  return { nextSeq: 1, undoDepth: sanitizeUndoDepth(undoDepth), events: [] };
+}
+
+export function sanitizeJournal(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const events = Array.isArray(src.events)
+    ? src.events.filter((e) => e && typeof e === "object" && Number.isFinite(Number(e.seq)) && typeof e.kind === "string")
+    : [];
+  const lastSeq = events.length ? Number(events[events.length - 1].seq) : 0;
+  return {
+    nextSeq: Math.max(lastSeq + 1, Math.floor(Number(src.nextSeq) || 1)),
+    undoDepth: sanitizeUndoDepth(src.undoDepth),
+    events
+  };
+}
+
+// What the journal tracks: the encounter, campaign progression, the party stash, discovered
+// recipes and each campaign player's RPG profile and stats.
+function journaledState(ctx) {
+  const players = {};
+  for (const p of ctx.campaign.players || []) players[p.id] = { rpg: p.rpg, stats: p.stats };
+  return { game: ctx.game, progression: ctx.campaign.progression, stash: ctx.campaign.stash, recipes: ctx.campaign.recipes, players };
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function diffInto(ops, path, a, b) {
+  if (a === b) return;
+  if (isPlainObject(a) && isPlainObject(b)) {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) diffInto(ops, [...path, key], a[key], b[key]);
+    return;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    // The length op goes first so that rewinding (which walks ops backwards) truncates last.
+    if (a.length !== b.length) ops.push({ path: [...path, "length"], before: a.length, after: b.length });
+    for (let i = 0; i < Math.max(a.length, b.length); i += 1) diffInto(ops, [...path, i], a[i], b[i]);
+    return;
+  }
+  if (JSON.stringify(a) === JSON.stringify(b)) return;
+  ops.push({ path, before: a, after: b });
+}
+
+function setPath(root, path, value) {
+  let node = root;
+  for (const key of path.slice(0, -1)) {
+    if (node[key] === undefined || node[key] === null) node[key] = typeof key === "number" ? [] : {};
+    node = node[key];
+  }
+  const last = path[path.length - 1];
+  if (value === undefined && !Array.isArray(node)) delete node[last];
+  else node[last] = value === undefined ? undefined : clone(value);
+}
+
+function rewindDelta(root, delta) {
+  for (let i = delta.length - 1; i >= 0; i -= 1) setPath(root, delta[i].path, delta[i].before);
+}
+
+// Actions still in effect, oldest first (undo events pop the action they rewound).
+function liveActionEvents(journal) {
+  const live = [];
+  for (const event of journal.events) {
+    if (event.kind === "action") live.push(event);
+    else if (event.kind === "undo") live.pop();
+  }
+  return live;
+}
+
+function trimDeltas(journal) {
+  const live = liveActionEvents(journal);
+  const oldestUndoable = live.length > journal.undoDepth ? live[live.length - journal.undoDepth] : null;
+  const keepFrom = journal.undoDepth === 0 ? journal.events.length : oldestUndoable ? journal.events.indexOf(oldestUndoable) : 0;
+  for (let i = 0; i < keepFrom; i += 1) {
+    if (journal.events[i].delta) delete journal.events[i].delta;
+  }
+}
+
+// Starts tracking the session's current state. Called when a session is created (fresh or
+// loaded from disk) and when a new encounter begins. A given `undoDepth` (the server's setting)
+// replaces the one saved with the journal.
+export function openJournal(ctx, { reset = false, undoDepth } = {}) {
+  const previous = ctx.campaign.journal;
+  const depth = undoDepth ?? previous?.undoDepth;
+  if (reset || !previous) {
+    ctx.campaign.journal = makeJournal(depth);
+  } else {
+    ctx.campaign.journal = sanitizeJournal(previous);
+    ctx.campaign.journal.undoDepth = sanitizeUndoDepth(depth);
+    trimDeltas(ctx.campaign.journal);
+  }
+  ctx.journalBase = clone(journaledState(ctx));
+}
+
+// Appends an event carrying everything that changed since the previous one. System events
+// with nothing to record are skipped.
+export function recordJournalEvent(ctx, fields) {
+  const journal = ctx.campaign.journal;
+  if (!journal || !ctx.journalBase) return null;
+  const current = clone(journaledState(ctx));
+  const delta = [];
+  diffInto(delta, [], ctx.journalBase, current);
+  if (fields.kind === "system" && !delta.length) return null;
+
+  const event = { seq: journal.nextSeq, at: Date.now(), ...clone(fields), delta };
+  journal.nextSeq += 1;
+  journal.events.push(event);
+  ctx.journalBase = current;
+  trimDeltas(journal);
+  return event;
+}
+
+// RNG position before an action, paired with `rngDraws` afterwards for the event.
+export function rngMark(game) {
+  return game?.rng ? { ...game.rng } : null;
+}
+
+export function rngDraws(before, game) {
+  if (!before || !game?.rng) return null;
+  return { before: before.state, after: game.rng.state, draws: game.rng.draws - before.draws };
+}
+
+export function undoableCount(ctx) {
+  const journal = ctx.campaign?.journal;
+  if (!journal) return 0;
+  const live = liveActionEvents(journal);
+  let count = 0;
+  for (let i = live.length - 1; i >= 0 && live[i].delta && live[i].undoable !== false; i -= 1) count += 1;
+  return count;
+}
+
+// Rewinds every event after the last live action and then the action itself, restoring the
+// game, progression and hero profiles to how they were before it. Returns the rewound event or null.
+export function undoLastAction(ctx) {
+  const journal = ctx.campaign?.journal;
+  if (!journal || !ctx.journalBase) return null;
+  const live = liveActionEvents(journal);
+  const target = live[live.length - 1];
+  if (!target?.delta || target.undoable === false) return null;
+
+  const start = journal.events.indexOf(target);
+  const rewound = journal.events.slice(start);
+  if (rewound.some((event) => !event.delta)) return null;
+
+  const pending = [];
+  diffInto(pending, [], ctx.journalBase, clone(journaledState(ctx)));
+  const root = journaledState(ctx);
+  rewindDelta(root, pending);
+  for (let i = rewound.length - 1; i >= 0; i -= 1) rewindDelta(root, rewound[i].delta);
+
+  ctx.game = root.game;
+  ctx.campaign.progression = root.progression;
+  ctx.campaign.stash = root.stash;
+  ctx.campaign.recipes = root.recipes;
+  for (const player of ctx.campaign.players || []) {
+    const saved = root.players[player.id];
+    if (!saved) continue;
+    player.rpg = saved.rpg;
+    player.stats = saved.stats;
+  }
+  return target;
+}
+
@@ -0,0 +1,285 @@
+import { Role } from "../../shared/protocol.js";
+import { ActionType } from "../../shared/game.js";
+import {
+  MINE_RESOURCES,
+  addInventory,
+  applyProgression,
+  campaignPlayerById,
+  clamp,
+  ensureRpgProfile,
+  fail,
+  formatDrops,
+  grantXp,
+  ok,
+  pushLog,
+  rpgProfileById,
+  shortName,
+  weightedPick
+} from "./common.js";
+import { createDungeonRules } from "./dungeon.js";
+import { randomId, rngFor } from "./rng.js";
+
+// Kewl Card Game runs on the dungeon board but swaps loot for mining: defeated enemies
+// drop mining caches, and each cache grants digs into the player's personal mine.
+
+function mineKey(x, y) {
+  return `${x},${y}`;
+}
+
+function mineDepth(x, y) {
+  return Math.abs(x) + Math.abs(y);
+}
+
+function mineNeighbors(x, y) {
+  return [
+    { x: x + 1, y },
+    { x: x - 1, y },
+    { x, y: y + 1 },
+    { x, y: y - 1 }
+  ];
+}
+
+function sanitizeMineReward(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const gold = Math.max(0, Number(raw.gold) || 0);
+  const drops = {};
+  for (const [itemId, qty] of Object.entries(raw.drops && typeof raw.drops === "object" ? raw.drops : {})) {
+    const amt = Math.max(0, Number(qty) || 0);
+    if (amt > 0) drops[itemId] = amt;
+  }
+  const tier = typeof raw.tier === "string" ? raw.tier : null;
+  return { gold, drops, tier };
+}
+
+function ensureMineProfile(profile) {
+  if (!profile || typeof profile !== "object") return null;
+  if (!profile.mine || typeof profile.mine !== "object") profile.mine = {};
+
+  const mine = profile.mine;
+  mine.seed = Number.isFinite(mine.seed) ? Math.floor(mine.seed) : Math.floor(Math.random() * 0x7fffffff);
+  mine.credits = Math.max(0, Number(mine.credits) || 0);
+  mine.totalDigs = Math.max(0, Number(mine.totalDigs) || 0);
+
+  const cursor = mine.cursor && typeof mine.cursor === "object" ? mine.cursor : {};
+  const cx = Number.isFinite(Number(cursor.x)) ? Math.floor(Number(cursor.x)) : 0;
+  const cy = Number.isFinite(Number(cursor.y)) ? Math.floor(Number(cursor.y)) : 0;
+  mine.cursor = { x: cx, y: cy };
+
+  const tilesRaw = mine.tiles && typeof mine.tiles === "object" ? mine.tiles : {};
+  const entries = Array.isArray(tilesRaw) ? tilesRaw : Object.values(tilesRaw);
+  const tiles = {};
+  for (const entry of entries) {
+    if (!entry || typeof entry !== "object") continue;
+    const tx = Number.isFinite(Number(entry.x)) ? Math.floor(Number(entry.x)) : null;
+    const ty = Number.isFinite(Number(entry.y)) ? Math.floor(Number(entry.y)) : null;
+    if (tx === null || ty === null) continue;
+    const key = mineKey(tx, ty);
+    tiles[key] = {
+      x: tx,
+      y: ty,
+      depth: Math.max(0, Number(entry.depth) || mineDepth(tx, ty)),
+      reward: sanitizeMineReward(entry.reward),
+      at: Number(entry.at) || Date.now()
+    };
+  }
+  const originKey = mineKey(0, 0);
+  if (!tiles[originKey]) {
+    tiles[originKey] = { x: 0, y: 0, depth: 0, reward: null, at: Date.now() };
+  }
+  mine.tiles = tiles;
+
+  const cursorKey = mineKey(mine.cursor.x, mine.cursor.y);
+  if (!mine.tiles[cursorKey]) {
+    mine.cursor = { x: 0, y: 0 };
+  }
+
+  const lastReward = sanitizeMineReward(mine.lastReward);
+  mine.lastReward = lastReward
+    ? {
+        gold: lastReward.gold,
+        drops: lastReward.drops,
+        tier: lastReward.tier,
+        depth: Math.max(0, Number(mine.lastReward.depth) || 0),
+        x: Number.isFinite(Number(mine.lastReward.x)) ? Math.floor(Number(mine.lastReward.x)) : 0,
+        y: Number.isFinite(Number(mine.lastReward.y)) ? Math.floor(Number(mine.lastReward.y)) : 0,
+        at: Number(mine.lastReward.at) || Date.now()
+      }
+    : null;
+
+  return mine;
+}
+
+function mineAvailableNeighbors(mine) {
+  if (!mine) return [];
+  const cur = mine.cursor || { x: 0, y: 0 };
+  const taken = mine.tiles || {};
+  return mineNeighbors(cur.x, cur.y).filter((p) => !taken[mineKey(p.x, p.y)]);
+}
+
+function rollMineReward(depth, random) {
+  const depthFactor = clamp(depth / 8, 0, 1.6);
+  const weights = MINE_RESOURCES.map((entry) => {
+    if (entry.tier === "early") return entry.weight * Math.max(0.2, 1 - depthFactor * 0.85);
+    if (entry.tier === "mid") return entry.weight * (0.6 + depthFactor * 0.7);
+    return entry.weight * (0.2 + depthFactor * 1.1);
+  });
+
+  const picks = 1 + (random() < (0.12 + depthFactor * 0.15) ? 1 : 0);
+  const drops = {};
+  let tier = "early";
+  for (let i = 0; i < picks; i += 1) {
+    const resource = weightedPick(MINE_RESOURCES, weights, random);
+    const min = Math.max(1, Math.floor(resource.min));
+    const max = Math.max(min, Math.floor(resource.max));
+    const qty = min + Math.floor(random() * (max - min + 1));
+    drops[resource.id] = (drops[resource.id] || 0) + qty;
+    if (resource.tier === "late") tier = "late";
+    else if (resource.tier === "mid" && tier === "early") tier = "mid";
+  }
+
+  const gold = Math.max(1, 2 + Math.floor(random() * 5) + Math.floor(depth * 0.7));
+  return { gold, drops, tier };
+}
+
+function collectMiningCache(ctx, playerId, collected, profile, now) {
+  const game = ctx.game;
+  const mine = ensureMineProfile(profile);
+  let credits = 0;
+  for (const loot of collected) {
+    const raw = Number(loot.mineCredits);
+    const gained = Number.isFinite(raw) ? Math.max(0, Math.floor(raw)) : 1;
+    credits += gained;
+  }
+  if (credits > 0) mine.credits += credits;
+  game.lastLoot = {
+    playerId,
+    enemyName: collected.length === 1 ? collected[0].enemyName : "Loot Cache",
+    xp: 0,
+    gold: 0,
+    drops: {},
+    mineCredits: credits,
+    mineAction: "credit",
+    mineDepth: null,
+    at: now
+  };
+  pushLog(ctx, `${shortName(ctx, playerId)} collects a mining cache (${credits} dig${credits === 1 ? "" : "s"}).`, now);
+  return game.lastLoot;
+}
+
+function dropMiningCache(ctx, enemyUnit, killerPlayerId, now) {
+  const game = ctx.game;
+  const random = rngFor(game);
+  const xpReward = 1 + Math.floor(random() * 3);
+  if (killerPlayerId) {
+    const profile = rpgProfileById(ctx, killerPlayerId);
+    const levelsGained = grantXp(profile, xpReward);
+    pushLog(ctx, `${shortName(ctx, killerPlayerId)} gains ${xpReward} XP for the kill.`, now);
+    applyProgression(ctx, killerPlayerId, profile, levelsGained, now);
+  }
+
+  const mineCredits = Math.max(1, Math.floor(Number(enemyUnit.level) || 1));
+  game.groundLoot.push({
+    id: randomId(random, "loot"),
+    x: enemyUnit.x,
+    y: enemyUnit.y,
+    xp: 0,
+    gold: 0,
+    mineCredits,
+    drops: {},
+    enemyName: enemyUnit.name || "Monster",
+    killerPlayerId: killerPlayerId || null,
+    at: now
+  });
+
+  pushLog(
+    ctx,
+    `${enemyUnit.name || "Monster"} defeated (${game.scenario.defeatedCount} total). Mining cache dropped at (${enemyUnit.x},${enemyUnit.y}).`,
+    now
+  );
+}
+
+// Digging is off-turn and does not touch the board, so it is not undoable.
+const mineDig = {
+  by: Role.PHONE,
+  undoable: false,
+  validate(ctx, actorPlayerId, params) {
+    const campaignPlayer = campaignPlayerById(ctx, actorPlayerId);
+    if (!campaignPlayer) return fail("NOT_FOUND", "Player not found.");
+    const profile = ensureRpgProfile(campaignPlayer);
+    const mine = ensureMineProfile(profile);
+    if (!mine || mine.credits <= 0) return fail("NO_CREDITS", "No mining digs available.");
+
+    const toX = Number(params.x ?? params.toX);
+    const toY = Number(params.y ?? params.toY);
+    if (!Number.isFinite(toX) || !Number.isFinite(toY)) return fail("BAD_PARAMS", "x/y required.");
+    const nx = Math.floor(toX);
+    const ny = Math.floor(toY);
+
+    const isNeighbor = mineNeighbors(mine.cursor.x, mine.cursor.y).some((p) => p.x === nx && p.y === ny);
+    if (!isNeighbor) return fail("OUT_OF_RANGE", "Select a tile adjacent to your miner.");
+    const key = mineKey(nx, ny);
+    if (mine.tiles[key]) return fail("TAKEN", "That tile is already mined.");
+    return ok({ profile, mine, nx, ny, key });
+  },
+  apply(ctx, actorPlayerId, params, { profile, mine, nx, ny, key }) {
+    const now = Date.now();
+    mine.credits = Math.max(0, mine.credits - 1);
+    mine.cursor = { x: nx, y: ny };
+    mine.totalDigs += 1;
+    const depth = mineDepth(nx, ny);
+    const reward = rollMineReward(depth, rngFor(ctx.game));
+    const rewardPayload = { gold: reward.gold, drops: reward.drops, tier: reward.tier };
+    mine.tiles[key] = { x: nx, y: ny, depth, reward: rewardPayload, at: now };
+    mine.lastReward = { ...rewardPayload, depth, x: nx, y: ny, at: now };
+
+    profile.gold += reward.gold;
+    addInventory(profile, reward.drops);
+
+    ctx.game.lastLoot = {
+      playerId: actorPlayerId,
+      enemyName: "Mining Find",
+      xp: 0,
+      gold: reward.gold,
+      drops: reward.drops,
+      mineCredits: 0,
+      mineAction: "dig",
+      mineDepth: depth,
+      at: now
+    };
+
+    pushLog(
+      ctx,
+      `${shortName(ctx, actorPlayerId)} digs deeper (depth ${depth}) and finds ${reward.gold} gold, ${formatDrops(reward.drops)}.`,
+      now
+    );
+    return { depth, reward: rewardPayload };
+  }
+};
+
+function withMineView(ctx, playerId, view, rpg) {
+  const mine = ensureMineProfile(rpg);
+  const allowedActions = [...view.allowedActions];
+  if (allowedActions.length && mine.credits > 0) allowedActions.push(ActionType.MINE_DIG);
+  return {
+    ...view,
+    mine: {
+      credits: mine.credits,
+      cursor: { ...mine.cursor },
+      tiles: Object.values(mine.tiles || {}),
+      available: mineAvailableNeighbors(mine),
+      lastReward: mine.lastReward,
+      totalDigs: mine.totalDigs
+    },
+    allowedActions
+  };
+}
+
+export const kewlRules = createDungeonRules({
+  id: "kewl-card-game",
+  title: "Kewl Card Game",
+  allowsPhones: false,
+  collectLoot: collectMiningCache,
+  rewardDefeat: dropMiningCache,
+  extraActions: { [ActionType.MINE_DIG]: mineDig },
+  extendPrivateView: withMineView
+});
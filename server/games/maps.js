@@ -0,0 +1,126 @@
+import { TERRAIN_BY_TILE, TERRAIN_META, hexDistance, terrainTypeAt } from "../../shared/game.js";
+import { MAP_MAX_SIZE, parseMap } from "../../shared/maps.js";
+import { MAPS } from "./common.js";
+import { makeRngState, rngFor } from "./rng.js";
+
+// Builds the board map for a scenario (see shared/maps.js for the format). A scenario's `layout`
+// names a hand-built content-pack map (`{ mapId }`), carries its own rows (`{ map }`, from the
+// table's editor) or asks for one generated from the encounter's terrain seed
+// (`{ generate: { width, height, rooms } }`), so replays rebuild the same rooms.
+
+const WALL = TERRAIN_META.wall.tile;
+const FLOOR = TERRAIN_META.floor.tile;
+const ENTRANCE_COUNT = 4;
+
+export function scenarioMap(def, seed) {
+  const layout = def?.layout;
+  if (layout?.mapId && MAPS[layout.mapId]) return parseMap(layout.mapId, MAPS[layout.mapId]);
+  if (layout?.map) return parseMap(def.id, layout.map);
+  if (layout?.generate) return generateMap(seed, layout.generate);
+  return null;
+}
+
+function overlaps(a, b, margin) {
+  return a.x - margin < b.x + b.w && b.x - margin < a.x + a.w && a.y - margin < b.y + b.h && b.y - margin < a.y + a.h;
+}
+
+function roomHexes(room) {
+  const out = [];
+  for (let y = room.y; y < room.y + room.h; y += 1) for (let x = room.x; x < room.x + room.w; x += 1) out.push({ x, y });
+  return out;
+}
+
+function roomCenter(room) {
+  return { x: room.x + Math.floor(room.w / 2), y: room.y + Math.floor(room.h / 2) };
+}
+
+// Rooms are scattered without touching and joined west to east by bent corridors. Room floors
+// take the open-terrain noise of the seed, with anything impassable swapped for stone floor so
+// every room stays reachable. Heroes enter in the westmost room and leave from the far corner of
+// the eastmost one; the rooms between hold the enemy spawns.
+export function generateMap(seed, { width = 28, height = 18, rooms = 6 } = {}) {
+  const w = Math.max(12, Math.min(MAP_MAX_SIZE, Math.floor(width)));
+  const h = Math.max(10, Math.min(MAP_MAX_SIZE, Math.floor(height)));
+  const random = rngFor({ rng: makeRngState(seed) });
+  const cells = Array.from({ length: h }, () => Array(w).fill(WALL));
+  const placed = [];
+  for (let tries = 0; placed.length < rooms && tries < rooms * 40; tries += 1) {
+    const rw = 4 + Math.floor(random() * 4);
+    const rh = 3 + Math.floor(random() * 3);
+    const room = { x: 1 + Math.floor(random() * (w - rw - 1)), y: 1 + Math.floor(random() * (h - rh - 1)), w: rw, h: rh };
+    if (!placed.some((other) => overlaps(other, room, 2))) placed.push(room);
+  }
+  placed.sort((a, b) => a.x - b.x || a.y - b.y);
+
+  for (const room of placed) {
+    for (const { x, y } of roomHexes(room)) {
+      const meta = TERRAIN_META[terrainTypeAt(x, y, seed)];
+      cells[y][x] = meta.passable ? meta.tile : FLOOR;
+    }
+  }
+  // Straight runs along a row or a column are always unbroken on the even-q grid.
+  const carve = (x, y) => {
+    if (!TERRAIN_META[TERRAIN_BY_TILE[cells[y][x]]].passable) cells[y][x] = FLOOR;
+  };
+  for (let i = 1; i < placed.length; i += 1) {
+    const from = roomCenter(placed[i - 1]);
+    const to = roomCenter(placed[i]);
+    for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x += 1) carve(x, from.y);
+    for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y += 1) carve(to.x, y);
+  }
+
+  const first = placed[0];
+  const last = placed[placed.length - 1];
+  const entry = roomCenter(first);
+  const entrances = roomHexes(first)
+    .sort((a, b) => hexDistance(a, entry) - hexDistance(b, entry) || a.y - b.y || a.x - b.x)
+    .slice(0, ENTRANCE_COUNT);
+  const exit = roomHexes(last).sort((a, b) => hexDistance(b, entry) - hexDistance(a, entry) || a.y - b.y || a.x - b.x)[0];
+  const spawns = (placed.length > 1 ? placed.slice(1) : placed).map(roomCenter).filter((p) => p.x !== exit.x || p.y !== exit.y);
+
+  return {
+    id: `generated-${seed}`,
+    name: "Generated Dungeon",
+    width: w,
+    height: h,
+    rows: cells.map((row) => row.join("")),
+    entrances,
+    spawns,
+    exits: [exit]
+  };
+}
+
+function sanitizePoints(src, width, height) {
+  return (Array.isArray(src) ? src : [])
+    .map((p) => ({ x: Math.floor(Number(p?.x)), y: Math.floor(Number(p?.y)) }))
+    .filter((p) => p.x >= 0 && p.y >= 0 && p.x < width && p.y < height);
+}
+
+// Boards from before maps have none and stay open terrain; a broken map is dropped the same way.
+export function sanitizeMap(game) {
+  const map = game.terrain?.map;
+  if (!map) return;
+  const rows = Array.isArray(map.rows) ? map.rows : [];
+  const width = typeof rows[0] === "string" ? rows[0].length : 0;
+  const height = rows.length;
+  const valid =
+    width > 0 &&
+    width <= MAP_MAX_SIZE &&
+    height <= MAP_MAX_SIZE &&
+    rows.every((row) => typeof row === "string" && row.length === width && [...row].every((ch) => TERRAIN_BY_TILE[ch]));
+  if (!valid) {
+    delete game.terrain.map;
+    return;
+  }
+  game.terrain.map = {
+    id: typeof map.id === "string" && map.id ? map.id : "map",
+    name: typeof map.name === "string" && map.name ? map.name : "Dungeon",
+    width,
+    height,
+    rows: [...rows],
+    entrances: sanitizePoints(map.entrances, width, height),
+    spawns: sanitizePoints(map.spawns, width, height),
+    exits: sanitizePoints(map.exits, width, height)
+  };
+  game.grid = { w: width, h: height };
+}
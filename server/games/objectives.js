@@ -0,0 +1,288 @@
+import { findHexPath, findNearestPassableHex, isHeroAlive, livingEnemies, terrainMoveCost } from "../../shared/game.js";
+import { blockingObjectKeys } from "../../shared/objects.js";
+import {
+  DEFAULT_SCENARIO_ID,
+  ObjectiveType,
+  ScenarioNodeStatus,
+  ScenarioStatus,
+  allScenarios,
+  findScenario,
+  scenarioById
+} from "../../shared/scenarios.js";
+import { makeBoss } from "./boss.js";
+import { campaignPlayerById, clone, pushLog } from "./common.js";
+
+// Scenario objectives: setting them up on a fresh board, judging victory/defeat after every
+// action and writing the outcome into the campaign. The escort objective adds a friendly NPC
+// (`game.escort`) that walks toward the exit once per round. Which scenarios the campaign may
+// embark on next is also decided here, from its completed scenarios and flags.
+
+const ESCORT_ROUTE_MAX_COST = 80;
+
+export function escortAt(game, x, y) {
+  const escort = game?.escort;
+  return escort && escort.hp > 0 && escort.x === x && escort.y === y ? escort : null;
+}
+
+function occupiedKeys(game) {
+  const keys = new Set();
+  for (const h of Object.values(game.heroes || {})) if (isHeroAlive(h)) keys.add(`${h.x},${h.y}`);
+  for (const e of livingEnemies(game)) keys.add(`${e.x},${e.y}`);
+  if (game.escort?.hp > 0) keys.add(`${game.escort.x},${game.escort.y}`);
+  for (const k of blockingObjectKeys(game.objects)) keys.add(k);
+  return keys;
+}
+
+// Replaces the starting scenario of a freshly built board with the campaign's scenario.
+export function setupScenario(game, scenarioId, anchor) {
+  const def = scenarioById(scenarioId);
+  const boardTerrain = game.terrain ?? 0;
+  const { exitOffset, escort, ...objective } = clone(def.objective);
+  const mapExit = game.terrain?.map?.exits[0];
+
+  if ((objective.type === ObjectiveType.REACH_EXIT || objective.type === ObjectiveType.ESCORT) && mapExit) {
+    objective.exit = { x: mapExit.x, y: mapExit.y };
+  } else if (exitOffset) {
+    const blocked = occupiedKeys(game);
+    objective.exit = findNearestPassableHex(anchor.x + exitOffset.x, anchor.y + exitOffset.y, boardTerrain, (x, y) => blocked.has(`${x},${y}`), 24);
+  }
+  if (objective.type === ObjectiveType.ESCORT) {
+    const blocked = occupiedKeys(game);
+    const spot = findNearestPassableHex(anchor.x + 1, anchor.y + 1, boardTerrain, (x, y) => blocked.has(`${x},${y}`), 24);
+    game.escort = {
+      id: "escort-1",
+      name: escort?.name || "Survivor",
+      x: spot.x,
+      y: spot.y,
+      hp: escort?.hp || 8,
+      maxHp: escort?.hp || 8,
+      moveAp: escort?.moveAp || 2
+    };
+  }
+  if (objective.type === ObjectiveType.DEFEAT_BOSS) {
+    const idx = Math.max(0, (game.enemies || []).findIndex((e) => e.id === objective.bossEnemyId));
+    let boss = game.enemies?.[idx] || game.enemies?.[game.enemies.length - 1];
+    if (boss && objective.bossId) {
+      // A content-pack boss takes the place of the opening enemy it names.
+      boss = makeBoss(boss.id, objective.bossId, boss.x, boss.y);
+      game.enemies[idx] = boss;
+    } else if (boss) {
+      boss.boss = true;
+      boss.maxHp += objective.bossHpBonus || 0;
+      boss.hp = boss.maxHp;
+    }
+    if (boss) objective.bossEnemyId = boss.id;
+    delete objective.bossHpBonus;
+  }
+
+  game.scenario = {
+    id: def.id,
+    title: def.title,
+    objective,
+    defeatedCount: 0,
+    round: 1,
+    status: ScenarioStatus.ACTIVE
+  };
+}
+
+// Normalizes the scenario block of a saved game. Saves from before objectives keep playing
+// as an endless encounter.
+export function sanitizeScenario(game) {
+  const src = game.scenario && typeof game.scenario === "object" ? game.scenario : {};
+  const objective = src.objective && Object.values(ObjectiveType).includes(src.objective.type) ? src.objective : { type: ObjectiveType.ENDLESS };
+  game.scenario = {
+    ...src,
+    id: typeof src.id === "string" ? src.id : DEFAULT_SCENARIO_ID,
+    title: typeof src.title === "string" ? src.title : scenarioById(src.id).title,
+    objective,
+    defeatedCount: Math.max(0, Number(src.defeatedCount) || 0),
+    round: Math.max(1, Math.floor(Number(src.round) || 1)),
+    status: Object.values(ScenarioStatus).includes(src.status) ? src.status : ScenarioStatus.ACTIVE
+  };
+}
+
+export function isScenarioOver(game) {
+  return Boolean(game?.scenario) && game.scenario.status !== ScenarioStatus.ACTIVE;
+}
+
+function objectiveMet(game) {
+  const { objective, defeatedCount, round } = game.scenario;
+  switch (objective.type) {
+    case ObjectiveType.DEFEAT_COUNT:
+      return defeatedCount >= objective.targetCount;
+    case ObjectiveType.DEFEAT_BOSS:
+      return !(game.enemies || []).some((e) => e.boss && e.hp > 0);
+    case ObjectiveType.SURVIVE_ROUNDS:
+      return round > objective.rounds;
+    case ObjectiveType.REACH_EXIT:
+      return Object.values(game.heroes || {}).some((h) => isHeroAlive(h) && h.x === objective.exit?.x && h.y === objective.exit?.y);
+    case ObjectiveType.ESCORT:
+      return game.escort?.hp > 0 && game.escort.x === objective.exit?.x && game.escort.y === objective.exit?.y;
+    default:
+      return false;
+  }
+}
+
+function objectiveFailed(ctx) {
+  const game = ctx.game;
+  const present = Object.values(game.heroes || {}).filter((h) => ctx.isPlayerConnected(h.ownerPlayerId));
+  if (present.length && !present.some(isHeroAlive)) return "The party has fallen.";
+  if (game.scenario.objective.type === ObjectiveType.ESCORT && !(game.escort?.hp > 0)) return `${game.escort?.name || "The escort"} was lost.`;
+  return null;
+}
+
+function recordOutcome(ctx, status) {
+  const { campaign, game } = ctx;
+  const progression = campaign.progression;
+  if (status === ScenarioStatus.VICTORY) {
+    const completed = new Set(progression.completedScenarioIds || []);
+    completed.add(game.scenario.id);
+    progression.completedScenarioIds = [...completed];
+    progression.victories = (progression.victories || 0) + 1;
+    const flags = new Set(progression.flags || []);
+    for (const flag of scenarioById(game.scenario.id).grantsFlags || []) flags.add(flag);
+    progression.flags = [...flags];
+  }
+  for (const playerId of Object.keys(game.heroes || {})) {
+    const player = campaignPlayerById(ctx, playerId);
+    if (!player) continue;
+    player.stats = player.stats || { victories: 0, scenariosCompleted: 0, defeats: 0 };
+    if (status === ScenarioStatus.VICTORY) {
+      player.stats.victories = (player.stats.victories || 0) + 1;
+      player.stats.scenariosCompleted = (player.stats.scenariosCompleted || 0) + 1;
+    } else {
+      player.stats.defeats = (player.stats.defeats || 0) + 1;
+    }
+  }
+}
+
+// Called after every accepted action. Returns the new status when the encounter just ended.
+export function evaluateScenario(ctx) {
+  const game = ctx.game;
+  if (!game?.scenario || isScenarioOver(game)) return null;
+  let status = null;
+  const failure = objectiveFailed(ctx);
+  if (failure) {
+    status = ScenarioStatus.DEFEAT;
+    pushLog(ctx, `${failure} Defeat in ${game.scenario.title}.`);
+  } else if (objectiveMet(game)) {
+    status = ScenarioStatus.VICTORY;
+    pushLog(ctx, `Victory! ${game.scenario.title} complete.`);
+  }
+  if (!status) return null;
+  game.scenario.status = status;
+  recordOutcome(ctx, status);
+  return status;
+}
+
+// Start of a new round: bump the counter and let the escort walk.
+export function advanceRound(ctx) {
+  const game = ctx.game;
+  if (!game?.scenario || isScenarioOver(game)) return;
+  game.scenario.round += 1;
+  moveEscort(ctx);
+}
+
+function moveEscort(ctx) {
+  const game = ctx.game;
+  const escort = game.escort;
+  const exit = game.scenario.objective.exit;
+  if (!escort || escort.hp <= 0 || !exit || (escort.x === exit.x && escort.y === exit.y)) return;
+  const boardTerrain = game.terrain ?? 0;
+  const blocked = occupiedKeys(game);
+  blocked.delete(`${escort.x},${escort.y}`);
+  const route = findHexPath(
+    escort,
+    exit,
+    (x, y) => (blocked.has(`${x},${y}`) ? null : terrainMoveCost(x, y, boardTerrain)),
+    ESCORT_ROUTE_MAX_COST
+  );
+  if (!route) {
+    pushLog(ctx, `${escort.name} is stuck.`);
+    return;
+  }
+  let ap = escort.moveAp;
+  let moved = false;
+  for (const step of route.path) {
+    const cost = terrainMoveCost(step.x, step.y, boardTerrain);
+    if (cost > ap) break;
+    ap -= cost;
+    escort.x = step.x;
+    escort.y = step.y;
+    moved = true;
+  }
+  if (moved) pushLog(ctx, `${escort.name} moves to (${escort.x},${escort.y}).`);
+}
+
+export function escortView(game) {
+  const escort = game.escort;
+  return escort ? { id: escort.id, name: escort.name, x: escort.x, y: escort.y, hp: escort.hp, maxHp: escort.maxHp } : null;
+}
+
+function scenarioNodeStatus(progression, def) {
+  const completed = new Set(progression?.completedScenarioIds || []);
+  const flags = new Set(progression?.flags || []);
+  const unlock = def.unlock || {};
+  if (completed.has(def.id)) return ScenarioNodeStatus.COMPLETED;
+  if ((unlock.notFlags || []).some((flag) => flags.has(flag))) return ScenarioNodeStatus.CLOSED;
+  const met =
+    (unlock.completed || []).every((id) => completed.has(id)) &&
+    (!unlock.completedAny?.length || unlock.completedAny.some((id) => completed.has(id))) &&
+    (unlock.flags || []).every((flag) => flags.has(flag));
+  return met ? ScenarioNodeStatus.AVAILABLE : ScenarioNodeStatus.LOCKED;
+}
+
+function lockedNote(def) {
+  const names = (ids) => ids.map((id) => scenarioById(id).name).join(" or ");
+  const unlock = def.unlock || {};
+  if (unlock.completed?.length) return `Complete ${names(unlock.completed).replace(/ or /g, " and ")} to open this scenario.`;
+  if (unlock.completedAny?.length) return `Complete ${names(unlock.completedAny)} to open this scenario.`;
+  return "Locked by an earlier campaign choice.";
+}
+
+// Completed scenarios can be replayed; closed ones were shut by a choice made elsewhere.
+export function canEmbarkOn(progression, scenarioId) {
+  const def = findScenario(scenarioId);
+  if (!def) return false;
+  const status = scenarioNodeStatus(progression, def);
+  return status === ScenarioNodeStatus.AVAILABLE || status === ScenarioNodeStatus.COMPLETED;
+}
+
+export function scenarioGraphView(progression) {
+  const nodes = allScenarios().map((def) => {
+    const status = scenarioNodeStatus(progression, def);
+    const { objective, unlock, grantsFlags, layout, objects, ...info } = def;
+    return {
+      ...info,
+      status,
+      current: progression?.currentScenarioId === def.id,
+      note:
+        status === ScenarioNodeStatus.CLOSED
+          ? "Closed: the campaign took another route."
+          : status === ScenarioNodeStatus.LOCKED
+            ? lockedNote(def)
+            : null
+    };
+  });
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const links = [];
+  for (const node of nodes) {
+    const def = findScenario(node.id);
+    for (const fromId of [...(def.unlock?.completed || []), ...(def.unlock?.completedAny || [])]) {
+      const from = byId.get(fromId);
+      if (!from) continue;
+      links.push({
+        id: `${fromId}->${node.id}`,
+        from: fromId,
+        to: node.id,
+        open: from.status === ScenarioNodeStatus.COMPLETED && node.status !== ScenarioNodeStatus.CLOSED && node.status !== ScenarioNodeStatus.LOCKED
+      });
+    }
+  }
+  return {
+    currentScenarioId: progression?.currentScenarioId || DEFAULT_SCENARIO_ID,
+    flags: [...(progression?.flags || [])],
+    nodes,
+    links
+  };
+}
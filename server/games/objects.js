@@ -0,0 +1,151 @@
+import { findNearestPassableHex, isHeroAlive, livingEnemies } from "../../shared/game.js";
+import { CRAFTING_STATIONS, ObjectType, blockingObjectKeys, objectBlocks } from "../../shared/objects.js";
+import { scenarioById } from "../../shared/scenarios.js";
+import { statusById } from "../../shared/status.js";
+import { LOOT_TABLES, clone, pushLog, rollDrops, shortName } from "./common.js";
+import { damageUnit, tryApplyStatus } from "./status.js";
+
+// The object layer of the dungeon board (`game.objects`): the doors, chests, levers, traps and stations a
+// scenario places around the first hero, and what happens when heroes use or step on them.
+// Enemies know their own traps and never set them off.
+
+const OBJECT_TYPES = Object.values(ObjectType);
+
+function takenKeys(game) {
+  const keys = new Set();
+  for (const h of Object.values(game.heroes || {})) if (isHeroAlive(h)) keys.add(`${h.x},${h.y}`);
+  for (const e of livingEnemies(game)) keys.add(`${e.x},${e.y}`);
+  if (game.escort?.hp > 0) keys.add(`${game.escort.x},${game.escort.y}`);
+  const exit = game.scenario?.objective?.exit;
+  if (exit) keys.add(`${exit.x},${exit.y}`);
+  for (const obj of game.objects || []) keys.add(`${obj.x},${obj.y}`);
+  return keys;
+}
+
+// Places the scenario's objects on a fresh board, one per free passable hex.
+export function setupObjects(game, scenarioId, anchor) {
+  const boardTerrain = game.terrain ?? 0;
+  game.objects = [];
+  for (const def of scenarioById(scenarioId).objects || []) {
+    const { offset, ...obj } = clone(def);
+    const taken = takenKeys(game);
+    const spot = findNearestPassableHex(anchor.x + offset.x, anchor.y + offset.y, boardTerrain, (x, y) => taken.has(`${x},${y}`), 24);
+    game.objects.push(sanitizeObject({ ...obj, x: spot.x, y: spot.y }));
+  }
+}
+
+function sanitizeObject(src) {
+  const obj = {
+    id: src.id,
+    type: src.type,
+    name: typeof src.name === "string" && src.name ? src.name : src.type,
+    x: Math.floor(Number(src.x)),
+    y: Math.floor(Number(src.y))
+  };
+  switch (src.type) {
+    case ObjectType.DOOR:
+      return { ...obj, open: Boolean(src.open), locked: Boolean(src.locked) };
+    case ObjectType.CHEST:
+      return { ...obj, lootTable: src.lootTable, opened: Boolean(src.opened) };
+    case ObjectType.LEVER:
+      return { ...obj, targets: Array.isArray(src.targets) ? src.targets.filter((id) => typeof id === "string") : [], pulled: Boolean(src.pulled) };
+    case ObjectType.TRAP:
+      return {
+        ...obj,
+        damage: Math.max(0, Math.floor(Number(src.damage) || 0)),
+        status: statusById(src.status?.id) ? src.status : null,
+        hidden: src.hidden !== false,
+        armed: src.armed !== false
+      };
+    case ObjectType.STATION:
+      return { ...obj, station: CRAFTING_STATIONS[src.station] ? src.station : null };
+    default:
+      return obj;
+  }
+}
+
+// Saves from before the object layer get an empty one.
+export function sanitizeObjects(game) {
+  const src = Array.isArray(game.objects) ? game.objects : [];
+  game.objects = src
+    .filter((obj) => obj && typeof obj.id === "string" && OBJECT_TYPES.includes(obj.type))
+    .filter((obj) => Number.isFinite(Number(obj.x)) && Number.isFinite(Number(obj.y)))
+    .map(sanitizeObject);
+}
+
+export function closedDoorKeys(game) {
+  return blockingObjectKeys(game?.objects);
+}
+
+export function objectById(game, objectId) {
+  return (game.objects || []).find((obj) => obj.id === objectId) || null;
+}
+
+export function armedTrapAt(game, x, y) {
+  return (game.objects || []).find((obj) => obj.type === ObjectType.TRAP && obj.armed && obj.x === x && obj.y === y) || null;
+}
+
+// Whatever stands on a door hex keeps it from closing.
+export function doorwayOccupied(game, door) {
+  return Object.values(game.heroes || {}).some((h) => isHeroAlive(h) && h.x === door.x && h.y === door.y)
+    || livingEnemies(game).some((e) => e.x === door.x && e.y === door.y)
+    || (game.escort?.hp > 0 && game.escort.x === door.x && game.escort.y === door.y);
+}
+
+// Doors a lever would shut on someone stop the lever from moving.
+export function leverJammedBy(game, lever) {
+  return lever.targets
+    .map((id) => objectById(game, id))
+    .find((obj) => obj?.type === ObjectType.DOOR && obj.open && doorwayOccupied(game, obj)) || null;
+}
+
+export function pullLever(ctx, lever) {
+  lever.pulled = !lever.pulled;
+  const changes = [];
+  for (const target of lever.targets.map((id) => objectById(ctx.game, id)).filter(Boolean)) {
+    if (target.type === ObjectType.DOOR) {
+      target.open = !target.open;
+      changes.push(`${target.name} ${target.open ? "opens" : "closes"}`);
+    } else if (target.type === ObjectType.TRAP) {
+      target.armed = !target.armed;
+      // A trap nobody has found yet changes silently.
+      if (!target.hidden) changes.push(`${target.name} is ${target.armed ? "armed" : "disarmed"}`);
+    }
+  }
+  return changes;
+}
+
+export function rollChest(chest, random) {
+  const table = LOOT_TABLES[chest.lootTable];
+  return {
+    xp: table?.xp || 0,
+    gold: table?.gold || 0,
+    drops: rollDrops(table?.drops, random),
+    enemyName: chest.name
+  };
+}
+
+// A hero stepped onto an armed trap: it goes off once and stays revealed on the board.
+export function springTrap(ctx, trap, hero, random) {
+  trap.hidden = false;
+  trap.armed = false;
+  const name = shortName(ctx, hero.ownerPlayerId);
+  const { dealt, absorbed } = damageUnit(hero, trap.damage);
+  const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+  pushLog(ctx, `${name} springs ${trap.name} for ${dealt}${shielded}!`);
+  if (hero.hp <= 0) pushLog(ctx, `Hero ${name} is down!`);
+  else tryApplyStatus(ctx, hero, trap.status, name, random);
+}
+
+// Objects on hexes the party has seen; traps only once they have been found.
+export function objectsView(game, seenKeys) {
+  return (game.objects || [])
+    .filter((obj) => seenKeys.has(`${obj.x},${obj.y}`))
+    .filter((obj) => !(obj.type === ObjectType.TRAP && obj.hidden))
+    .map((obj) => {
+      const view = { ...obj, blocks: objectBlocks(obj) };
+      delete view.hidden;
+      delete view.lootTable;
+      return view;
+    });
+}
@@ -0,0 +1,27 @@
+import { weaponReach } from "../../shared/combat.js";
+import { isHeroAlive, livingEnemies, shotProblem, sightBlockerFor } from "../../shared/game.js";
+import { rpgProfileById } from "./common.js";
+import { equippedWeapon } from "./equipment.js";
+
+// Weapon reach during play. Each weapon has its own range, minimum range and line-of-fire rule
+// (weaponReach in shared/combat.js); shotProblem in shared/game.js draws the hex line between
+// shooter and target.
+
+export function heroReach(ctx, playerId) {
+  return weaponReach(equippedWeapon(rpgProfileById(ctx, playerId)), ctx.game.rules.attackRange);
+}
+
+// Hexes that stop a shot needing line of fire: standing heroes, living enemies and the escort.
+function unitHexes(game) {
+  const units = [...Object.values(game.heroes || {}).filter(isHeroAlive), ...livingEnemies(game)];
+  if (game.escort?.hp > 0) units.push(game.escort);
+  return new Set(units.map((unit) => `${unit.x},${unit.y}`));
+}
+
+// Why the hero's weapon cannot hit `at` from where the hero stands, or null.
+export function heroShotProblem(ctx, playerId, at) {
+  const game = ctx.game;
+  const units = unitHexes(game);
+  const blocksSight = sightBlockerFor(game.terrain ?? 0, game.objects);
+  return shotProblem(game.heroes[playerId], at, heroReach(ctx, playerId), blocksSight, (x, y) => units.has(`${x},${y}`));
+}
@@ -0,0 +1,148 @@
+import { ActionType, hexDistance, isHeroAlive } from "../../shared/game.js";
+import { REACTION_META, REACTION_WINDOW_MS, ReactionType, reactionMeta } from "../../shared/reactions.js";
+import { StatusId, hasStatus } from "../../shared/status.js";
+import { pushLog, shortName } from "./common.js";
+import { isHexVisible } from "./fog.js";
+import { heroShotProblem } from "./ranged.js";
+
+// Reactions during play (rules in shared/reactions.js). A held reaction sits on its hero
+// (`hero.reaction`) and `unit.reacted` marks a unit that has made its opportunity attack since its last turn.
+// When a held reaction could fire on an enemy's turn, the turn stops before the enemy does anything
+// and `game.reaction` records the open question (`pending`) and the answers so far (`decisions`);
+// the rules module runs the turn again once it is answered, with the same plan.
+
+export function reactionKey(type, playerId) {
+  return `${type}:${playerId}`;
+}
+
+export function sanitizeReactions(game) {
+  for (const hero of Object.values(game.heroes || {})) {
+    if (hero.reaction && !reactionMeta(hero.reaction.type)) delete hero.reaction;
+  }
+  const src = game.reaction;
+  if (!src || typeof src.enemyId !== "string") {
+    game.reaction = null;
+    return;
+  }
+  const pending = src.pending && reactionMeta(src.pending.type) && typeof src.pending.playerId === "string" ? src.pending : null;
+  game.reaction = {
+    enemyId: src.enemyId,
+    decisions: Object.fromEntries(Object.entries(src.decisions || {}).filter(([, use]) => typeof use === "boolean")),
+    pending: pending ? { ...pending, expiresAt: Number(pending.expiresAt) || 0 } : null
+  };
+}
+
+// Units that get a free strike at one stepping from `from` to `to`: those next to `from` but not
+// to `to` that are not stunned and have not made their opportunity attack this round.
+export function opportunityAttackers(units, from, to) {
+  return units.filter((unit) => unit.hp > 0 && !unit.reacted && !hasStatus(unit, StatusId.STUN) && hexDistance(unit, from) <= 1 && hexDistance(unit, to) > 1);
+}
+
+function holds(ctx, hero, type) {
+  return hero?.reaction?.type === type && isHeroAlive(hero) && ctx.isPlayerConnected(hero.ownerPlayerId) && !hasStatus(hero, StatusId.STUN);
+}
+
+// Heroes who guard `target` and stand next to it.
+function guardsOf(ctx, target) {
+  return Object.values(ctx.game.heroes).filter(
+    (hero) => hero !== target && holds(ctx, hero, ReactionType.GUARD) && hero.reaction.targetPlayerId === target.ownerPlayerId && hexDistance(hero, target) <= 1
+  );
+}
+
+// Every held reaction an enemy's plan gives a hero the chance to use, in the order they come up.
+function reactionTriggers(ctx, enemyUnit, plan, visible) {
+  const game = ctx.game;
+  const enemyName = enemyUnit.name || "Enemy";
+  const heroes = Object.values(game.heroes);
+  const triggers = [];
+  const watching = new Set();
+  for (const step of plan.path) {
+    if (!isHexVisible(visible, step.x, step.y)) continue;
+    for (const hero of heroes) {
+      if (watching.has(hero) || !holds(ctx, hero, ReactionType.OVERWATCH) || heroShotProblem(ctx, hero.ownerPlayerId, step)) continue;
+      watching.add(hero);
+      triggers.push({ type: ReactionType.OVERWATCH, playerId: hero.ownerPlayerId, prompt: `${enemyName} comes within reach of ${shortName(ctx, hero.ownerPlayerId)}.` });
+    }
+  }
+  const target = plan.target;
+  if (!target) return triggers;
+  const targetName = shortName(ctx, target.ownerPlayerId);
+  if (holds(ctx, target, ReactionType.PARRY)) {
+    triggers.push({ type: ReactionType.PARRY, playerId: target.ownerPlayerId, prompt: `${enemyName} attacks ${targetName}.` });
+  }
+  // Nobody needs to step in for a hero who parries.
+  if (game.reaction?.decisions[reactionKey(ReactionType.PARRY, target.ownerPlayerId)] === true) return triggers;
+  for (const hero of guardsOf(ctx, target)) {
+    triggers.push({ type: ReactionType.GUARD, playerId: hero.ownerPlayerId, prompt: `${enemyName} attacks ${targetName}, guarded by ${shortName(ctx, hero.ownerPlayerId)}.` });
+  }
+  return triggers;
+}
+
+// Puts the next unanswered question about an enemy's plan to the hero's phone. Returns false while
+// one is waiting for an answer.
+export function askReactions(ctx, enemyUnit, plan, visible) {
+  const game = ctx.game;
+  if (game.reaction?.enemyId !== enemyUnit.id) game.reaction = { enemyId: enemyUnit.id, decisions: {}, pending: null };
+  if (game.reaction.pending) return false;
+  const decisions = game.reaction.decisions;
+  const open = reactionTriggers(ctx, enemyUnit, plan, visible).find((t) => !(reactionKey(t.type, t.playerId) in decisions));
+  if (!open) return true;
+  game.reaction.pending = { type: open.type, playerId: open.playerId, prompt: open.prompt, expiresAt: Date.now() + REACTION_WINDOW_MS };
+  pushLog(ctx, `${open.prompt} Waiting for ${shortName(ctx, open.playerId)} to react.`);
+  return false;
+}
+
+export function answerReaction(game, use) {
+  const { pending, decisions } = game.reaction;
+  decisions[reactionKey(pending.type, pending.playerId)] = use;
+  game.reaction.pending = null;
+  return pending;
+}
+
+// Spends the hero's held reaction if they chose to use it on the current enemy's turn.
+export function useReaction(ctx, type, playerId) {
+  const hero = ctx.game.heroes[playerId];
+  if (ctx.game.reaction?.decisions[reactionKey(type, playerId)] !== true || !holds(ctx, hero, type)) return false;
+  delete hero.reaction;
+  return true;
+}
+
+// Heroes who chose to fire their overwatch at an enemy now standing at `at`.
+export function overwatchersAt(ctx, at) {
+  return Object.values(ctx.game.heroes).filter(
+    (hero) => holds(ctx, hero, ReactionType.OVERWATCH) && !heroShotProblem(ctx, hero.ownerPlayerId, at) && useReaction(ctx, ReactionType.OVERWATCH, hero.ownerPlayerId)
+  );
+}
+
+export function guardTaking(ctx, target) {
+  return guardsOf(ctx, target).find((hero) => useReaction(ctx, ReactionType.GUARD, hero.ownerPlayerId)) || null;
+}
+
+export function heldReactionView(hero) {
+  if (!hero?.reaction) return null;
+  return { type: hero.reaction.type, label: reactionMeta(hero.reaction.type).label, targetPlayerId: hero.reaction.targetPlayerId || null };
+}
+
+export function reactionOptions(apRemaining) {
+  return Object.entries(REACTION_META).map(([type, meta]) => ({ type, ...meta, affordable: apRemaining >= meta.apCost }));
+}
+
+export function pendingReactionView(ctx) {
+  const pending = ctx.game.reaction?.pending;
+  if (!pending) return null;
+  return {
+    playerId: pending.playerId,
+    playerName: shortName(ctx, pending.playerId),
+    type: pending.type,
+    label: reactionMeta(pending.type).label,
+    prompt: pending.prompt,
+    expiresInMs: Math.max(0, pending.expiresAt - Date.now())
+  };
+}
+
+// For the session layer: the answer sent for a hero who lets the window run out.
+export function reactionDeadline(game) {
+  const pending = game?.reaction?.pending;
+  if (!pending) return null;
+  return { playerId: pending.playerId, at: pending.expiresAt, action: ActionType.REACT, params: { use: false, timedOut: true } };
+}
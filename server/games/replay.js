@@ -0,0 +1,96 @@
+import { clone, pushLog } from "./common.js";
+import { getGameModule } from "./index.js";
+
+// Everything that changes an encounter outside the RNG is recorded as a replay step
+// (seating, actions, disconnects, kicks), together with which players were connected at
+// the time. Steps live in `game.replay`, so undo drops the steps it rewinds. Feeding the
+// encounter seed and its steps back through the rules module rebuilds the same board. The party
+// stash and discovered recipes are kept as they were when the encounter started, since actions
+// check them.
+
+function connectedPlayerIds(ctx) {
+  return ctx.session.seats.filter((s) => s.playerId && ctx.isPlayerConnected(s.playerId)).map((s) => s.playerId);
+}
+
+// `campaign` gives the stash and discovered recipes to start from.
+export function startReplay(game, seed, campaign = {}) {
+  game.replay = { seed, scenarioId: game.scenario?.id ?? null, stash: clone(campaign.stash || {}), recipes: [...(campaign.recipes || [])], steps: [] };
+}
+
+export function recordReplayStep(ctx, step) {
+  const replay = ctx.game?.replay;
+  if (!replay) return;
+  replay.steps.push({ ...clone(step), connected: connectedPlayerIds(ctx) });
+}
+
+// The server reconciles turns and connections (syncConnections) only when views go out, which can
+// be several steps apart: embarking seats the whole party before the first sync. Mark the last step
+// as synced, or record a bare sync step when sockets dropped in between, so the replay syncs at the
+// same points with the same connection set.
+export function recordSync(ctx) {
+  const replay = ctx.game?.replay;
+  const last = replay?.steps?.[replay.steps.length - 1];
+  if (!last) return;
+  const connected = connectedPlayerIds(ctx);
+  if (connected.join(",") === (last.connected || []).join(",")) last.synced = true;
+  else replay.steps.push({ kind: "sync", connected, synced: true });
+}
+
+export function replayEncounter(gameId, replay) {
+  const rules = getGameModule(gameId);
+  if (!rules) throw new Error(`Unknown game: ${gameId}`);
+  if (!replay || !Array.isArray(replay.steps)) throw new Error("Replay has no steps.");
+
+  const connected = new Set();
+  const ctx = {
+    session: { seats: [] },
+    campaign: {
+      players: [],
+      progression: { currentScenarioId: replay.scenarioId, completedScenarioIds: [], flags: [], victories: 0 },
+      exploration: null,
+      stash: clone(replay.stash || {}),
+      recipes: [...(replay.recipes || [])]
+    },
+    game: null,
+    isPlayerConnected: (playerId) => connected.has(playerId)
+  };
+
+  for (const [idx, step] of replay.steps.entries()) {
+    connected.clear();
+    for (const playerId of step.connected || []) connected.add(playerId);
+
+    if (step.kind === "seat") {
+      if (!ctx.campaign.players.some((p) => p.id === step.player.id)) ctx.campaign.players.push(clone(step.player));
+      if (!ctx.session.seats.some((s) => s.playerId === step.player.id)) {
+        ctx.session.seats.push({ seat: step.seatIndex0 + 1, playerId: step.player.id, playerName: step.player.name });
+      }
+      if (!ctx.game) {
+        ctx.game = rules.initState(ctx, step.player.id, replay.seed);
+        startReplay(ctx.game, replay.seed, replay);
+      }
+      rules.seatPlayer(ctx, step.player.id, step.seatIndex0);
+      if (step.joined) pushLog(ctx, `Player joined campaign: ${step.player.name} (${step.player.id.slice(0, 4)})`);
+    } else if (step.kind === "action") {
+      const def = rules.actions[step.action];
+      if (!def) throw new Error(`Step ${idx}: unknown action ${step.action}`);
+      rules.migrateState(ctx);
+      const checked = def.validate(ctx, step.actorPlayerId, step.params || {});
+      if (!checked.ok) throw new Error(`Step ${idx}: ${step.action} rejected on replay (${checked.code}).`);
+      def.apply(ctx, step.actorPlayerId, step.params || {}, checked);
+    } else if (step.kind === "disconnect") {
+      rules.playerDisconnected(ctx, step.playerId, step.playerName);
+    } else if (step.kind === "remove") {
+      rules.removePlayer(ctx, step.playerId, { playerName: step.playerName, seatNo: step.seatNo });
+    } else if (step.kind !== "sync") {
+      throw new Error(`Step ${idx}: unknown step kind ${step.kind}`);
+    }
+
+    if (ctx.game) {
+      ctx.game.replay.steps.push(clone(step));
+      if (step.synced) rules.syncConnections(ctx);
+    }
+  }
+  // The server runs migrateState on the game every time it saves it.
+  if (ctx.game) rules.migrateState(ctx);
+  return ctx.game;
+}
@@ -0,0 +1,52 @@
+// Seeded random stream for an encounter. The generator state lives in `game.rng`, so it is
+// saved with the campaign and rolled back by undo, and every roll can be reproduced from
+// the encounter seed. Math.random() is only used to pick new seeds.
+
+export function newEncounterSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+export function makeRngState(seed) {
+  const safeSeed = Math.floor(Number(seed)) >>> 0;
+  return { seed: safeSeed, state: safeSeed, draws: 0 };
+}
+
+export function sanitizeRngState(raw) {
+  if (!raw || typeof raw !== "object" || !Number.isFinite(Number(raw.seed))) return null;
+  return {
+    seed: Math.floor(Number(raw.seed)) >>> 0,
+    state: Number.isFinite(Number(raw.state)) ? Math.floor(Number(raw.state)) >>> 0 : Math.floor(Number(raw.seed)) >>> 0,
+    draws: Math.max(0, Math.floor(Number(raw.draws) || 0))
+  };
+}
+
+// mulberry32
+function step(rng) {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  rng.draws += 1;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Returns a Math.random()-compatible function that draws from the game's stream.
+export function rngFor(game) {
+  return () => step(game.rng);
+}
+
+// Draws from a copy of the stream; nothing is consumed until `commit()` is called. Lets a
+// validate step roll without advancing the stream for rejected actions.
+export function peekRng(game) {
+  const copy = { ...game.rng };
+  return {
+    random: () => step(copy),
+    commit() {
+      game.rng = copy;
+    }
+  };
+}
+
+export function randomId(random, prefix) {
+  return `${prefix}-${Math.floor(random() * 0xffffffff).toString(16).padStart(8, "0")}`;
+}
@@ -0,0 +1,27 @@
+import { RollOutcome } from "../../shared/combat.js";
+
+// Recent attack rolls (shared/combat.js) for the table to animate and phones to break down.
+// `game.rolls` keeps the last few, each with a `seq` that only goes up so clients can tell which
+// ones they have already shown.
+
+const MAX_ROLLS = 8;
+
+export function sanitizeRolls(game) {
+  game.rollSeq = Math.max(0, Math.floor(Number(game.rollSeq) || 0));
+  game.rolls = (Array.isArray(game.rolls) ? game.rolls : [])
+    .filter((r) => r && Object.values(RollOutcome).includes(r.outcome) && r.attacker && r.target)
+    .slice(-MAX_ROLLS);
+}
+
+// `attacker` and `target` are `{ kind: "hero" | "enemy" | "escort", id, name }`; `dealt` is what
+// got through armor and shields.
+export function recordRoll(game, attacker, target, roll, { weapon = null, dealt = 0 } = {}) {
+  game.rollSeq = (game.rollSeq || 0) + 1;
+  game.rolls = [...(game.rolls || []), { seq: game.rollSeq, at: Date.now(), attacker, target, weapon, ...roll, dealt }].slice(-MAX_ROLLS);
+}
+
+export function rollsView(game, playerId = null) {
+  const rolls = game.rolls || [];
+  if (!playerId) return rolls;
+  return rolls.filter((r) => (r.attacker.kind === "hero" && r.attacker.id === playerId) || (r.target.kind === "hero" && r.target.id === playerId));
+}
@@ -0,0 +1,70 @@
+import { TERRAIN_META, isHeroAlive, livingEnemies, sightBlockerFor, terrainTypeAt } from "../../shared/game.js";
+import { spellAreaHexes, spellTerrainChange } from "../../shared/spells.js";
+
+// Area spells on the dungeon board: what an aimed spell catches and the ground it leaves behind.
+// Changed hexes are kept in `game.terrain.changes` ("x,y" -> terrain id); every terrain lookup
+// that is given the board's terrain sees them, so ice made by a spell can be walked on at once.
+
+function hexKey(x, y) {
+  return `${x},${y}`;
+}
+
+// AP cost and range of a spell; content values of 0 fall back to the board rules.
+export function spellStats(game, spell) {
+  return {
+    apCost: Math.max(1, Number(spell.apCost) || game.rules.spellApCost || 2),
+    range: Math.max(2, Number(spell.range) || game.rules.spellRange || 3)
+  };
+}
+
+// Saves from before terrain could change get an empty change list; unknown terrain ids are dropped.
+export function sanitizeTerrain(game) {
+  if (!game.terrain) return;
+  const src = game.terrain.changes && typeof game.terrain.changes === "object" ? game.terrain.changes : {};
+  game.terrain.changes = Object.fromEntries(
+    Object.entries(src).filter(([k, id]) => /^-?\d+,-?\d+$/.test(k) && TERRAIN_META[id])
+  );
+}
+
+// Everything the spell would do when aimed at the target hex. Enemies are always hit; heroes
+// and the escort only by friendly-fire spells.
+export function spellEffects(game, caster, spell, target) {
+  const boardTerrain = game.terrain ?? 0;
+  const hexes = spellAreaHexes(spell, caster, target, sightBlockerFor(boardTerrain, game.objects));
+  const keys = new Set(hexes.map((p) => hexKey(p.x, p.y)));
+  const caught = (unit) => keys.has(hexKey(unit.x, unit.y));
+  const terrain = [];
+  for (const p of hexes) {
+    const from = terrainTypeAt(p.x, p.y, boardTerrain);
+    const to = spellTerrainChange(spell, from);
+    if (to && to !== from) terrain.push({ x: p.x, y: p.y, from, to });
+  }
+  return {
+    hexes,
+    enemies: livingEnemies(game).filter(caught),
+    heroes: spell.friendlyFire ? Object.values(game.heroes || {}).filter((h) => isHeroAlive(h) && caught(h)) : [],
+    escort: spell.friendlyFire && game.escort?.hp > 0 && caught(game.escort) ? game.escort : null,
+    terrain
+  };
+}
+
+export function changeTerrain(game, changes) {
+  if (!changes.length) return;
+  game.terrain.changes = { ...game.terrain.changes };
+  for (const { x, y, to } of changes) game.terrain.changes[hexKey(x, y)] = to;
+}
+
+export function spellView(game, spell) {
+  const { apCost, range } = spellStats(game, spell);
+  return {
+    id: spell.id,
+    name: spell.name,
+    range,
+    apCost,
+    damageBonus: spell.damageBonus,
+    status: spell.status || null,
+    area: spell.area || null,
+    friendlyFire: Boolean(spell.friendlyFire),
+    terrain: spell.terrain || []
+  };
+}
@@ -0,0 +1,103 @@
+import { terrainAt } from "../../shared/game.js";
+import { STATUS_EFFECTS, StatusId, describeStatus, statusById } from "../../shared/status.js";
+import { clamp, pushLog } from "./common.js";
+
+// Applying, ticking and absorbing status effects (definitions live in shared/status.js).
+// Every unit ticks at the end of its own turn (heroes on END_TURN). Each unit gets one turn a
+// round, so durations and cooldowns count rounds.
+
+export function sanitizeStatuses(unit) {
+  const src = Array.isArray(unit.statuses) ? unit.statuses : [];
+  unit.statuses = src
+    .filter((s) => s && statusById(s.id))
+    .map((s) => ({
+      id: s.id,
+      turns: Math.max(0, Math.floor(Number(s.turns) || 0)),
+      stacks: clamp(Math.floor(Number(s.stacks) || 1), 1, statusById(s.id).maxStacks)
+    }))
+    .filter((s) => s.turns > 0);
+}
+
+export function applyStatus(unit, { id, turns = 1, stacks = 1 }) {
+  const def = statusById(id);
+  if (!def || !unit) return null;
+  unit.statuses = unit.statuses || [];
+  const existing = unit.statuses.find((s) => s.id === id);
+  if (!existing) {
+    const status = { id, turns, stacks: def.stacking === "refresh" ? 1 : clamp(stacks, 1, def.maxStacks) };
+    unit.statuses.push(status);
+    return status;
+  }
+  existing.turns = Math.max(existing.turns, turns);
+  if (def.stacking !== "refresh") existing.stacks = clamp(existing.stacks + stacks, 1, def.maxStacks);
+  return existing;
+}
+
+// Content attaches statuses as `{ id, turns, stacks?, chance? }`; rolls only when there is a chance.
+export function tryApplyStatus(ctx, unit, application, name, random) {
+  if (!application || !unit || unit.hp <= 0) return null;
+  if (application.chance !== undefined && application.chance < 1 && random() >= application.chance) return null;
+  // Burning cannot take hold on a unit standing in water.
+  if (application.id === StatusId.BURN && terrainAt(unit.x, unit.y, ctx.game?.terrain ?? 0).extinguishes) return null;
+  const status = applyStatus(unit, application);
+  if (status) pushLog(ctx, `${name} is affected by ${describeStatus(status)}.`);
+  return status;
+}
+
+// Hits go through the shield first. Returns what reached HP and what the shield took.
+export function damageUnit(unit, amount) {
+  let remaining = Math.max(0, amount);
+  let absorbed = 0;
+  const shield = (unit.statuses || []).find((s) => s.id === StatusId.SHIELD);
+  if (shield && remaining > 0) {
+    absorbed = Math.min(shield.stacks, remaining);
+    shield.stacks -= absorbed;
+    remaining -= absorbed;
+    if (shield.stacks <= 0) unit.statuses = unit.statuses.filter((s) => s !== shield);
+  }
+  const hpBefore = unit.hp;
+  unit.hp = clamp(unit.hp - remaining, 0, unit.maxHp);
+  if (unit.hp <= 0) clearStatuses(unit);
+  return { dealt: hpBefore - unit.hp, absorbed };
+}
+
+export function clearStatuses(unit) {
+  if (unit) unit.statuses = [];
+}
+
+export function removeStatus(unit, id) {
+  if (!unit?.statuses) return false;
+  const before = unit.statuses.length;
+  unit.statuses = unit.statuses.filter((s) => s.id !== id);
+  return unit.statuses.length !== before;
+}
+
+// End of the unit's turn: damage over time, then every status loses a turn. `announce: false`
+// keeps units the party cannot see out of the log. Returns the HP lost.
+export function tickStatuses(ctx, unit, name, { announce = true } = {}) {
+  if (!unit?.statuses?.length || unit.hp <= 0) return 0;
+  let damage = 0;
+  for (const status of unit.statuses) {
+    const def = STATUS_EFFECTS[status.id];
+    if (def.damagePerStack) damage += def.damagePerStack * status.stacks;
+  }
+  const hpBefore = unit.hp;
+  if (damage > 0) {
+    const sources = unit.statuses.filter((s) => STATUS_EFFECTS[s.id].damagePerStack).map((s) => STATUS_EFFECTS[s.id].label.toLowerCase());
+    unit.hp = clamp(unit.hp - damage, 0, unit.maxHp);
+    if (announce) pushLog(ctx, `${name} takes ${hpBefore - unit.hp} damage from ${sources.join(" and ")}.`);
+  }
+  if (unit.hp <= 0) {
+    clearStatuses(unit);
+    return hpBefore;
+  }
+  for (const status of unit.statuses) status.turns -= 1;
+  const expired = unit.statuses.filter((s) => s.turns <= 0);
+  unit.statuses = unit.statuses.filter((s) => s.turns > 0);
+  if (expired.length && announce) pushLog(ctx, `${name} is no longer affected by ${expired.map((s) => STATUS_EFFECTS[s.id].label.toLowerCase()).join(", ")}.`);
+  return hpBefore - unit.hp;
+}
+
+export function statusesView(unit) {
+  return (unit?.statuses || []).map((s) => ({ id: s.id, turns: s.turns, stacks: s.stacks }));
+}
@@ -0,0 +1,17 @@
+import { terrainAt } from "../../shared/game.js";
+import { StatusId } from "../../shared/status.js";
+import { pushLog } from "./common.js";
+import { damageUnit, removeStatus } from "./status.js";
+
+// Terrain effects on units stepping onto a hex (see TERRAIN_META in shared/game.js): water puts
+// out burning and hazards hurt. Heroes feel every hex of their route; enemies every hex of theirs.
+// Logs stay quiet for units the party cannot see.
+export function enterTerrain(ctx, unit, name, { announce = true } = {}) {
+  const meta = terrainAt(unit.x, unit.y, ctx.game.terrain ?? 0);
+  if (meta.extinguishes && removeStatus(unit, StatusId.BURN) && announce) pushLog(ctx, `${meta.label} puts out ${name}'s burn.`);
+  if (meta.entryDamage) {
+    const { dealt, absorbed } = damageUnit(unit, meta.entryDamage);
+    const shielded = absorbed ? ` (${absorbed} absorbed by shield)` : "";
+    if (announce) pushLog(ctx, `${name} is hurt by ${meta.label} for ${dealt}${shielded}.`);
+  }
+}
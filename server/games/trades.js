@@ -0,0 +1,144 @@
+import { hexDistance, isHeroAlive } from "../../shared/game.js";
+import { ITEM_LABELS, formatDrops, rpgProfileById, shortName } from "./common.js";
+
+// Items changing hands. A hero offers a trade to a hero standing next to them (`game.trades`,
+// one open offer per hero): the items they give and, for a swap, the items they ask for; an offer
+// that asks for nothing is a gift. Nothing moves until the other hero's phone accepts, and both
+// sides are checked again then. The party stash (`campaign.stash`, item id -> count) belongs to
+// the campaign and is open to every seated player once the encounter is over.
+
+const MAX_QTY = 99;
+
+export function sanitizeTrades(game) {
+  game.tradeSeq = Math.max(0, Math.floor(Number(game.tradeSeq) || 0));
+  game.trades = (Array.isArray(game.trades) ? game.trades : []).filter(
+    (t) => t && typeof t.id === "string" && typeof t.fromPlayerId === "string" && typeof t.toPlayerId === "string" && t.give && t.ask
+  );
+}
+
+// `{ itemId: qty }` from a request, or null when it names an unknown item or a bad count.
+export function itemBundle(raw) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) return null;
+  const bundle = {};
+  for (const [itemId, rawQty] of Object.entries(raw)) {
+    const qty = Number(rawQty);
+    if (!ITEM_LABELS[itemId] || !Number.isInteger(qty) || qty < 1 || qty > MAX_QTY) return null;
+    bundle[itemId] = qty;
+  }
+  return bundle;
+}
+
+// The first item in the bundle the owner does not have enough of, as a message, or null.
+export function missingFrom(inventory, bundle, owner) {
+  for (const [itemId, qty] of Object.entries(bundle)) {
+    const have = inventory[itemId] || 0;
+    if (have < qty) return `${owner} only ${owner === "You" ? "have" : "has"} ${have} ${ITEM_LABELS[itemId]}.`;
+  }
+  return null;
+}
+
+function moveItems(from, to, bundle) {
+  for (const [itemId, qty] of Object.entries(bundle)) {
+    from[itemId] -= qty;
+    to[itemId] = (to[itemId] || 0) + qty;
+  }
+}
+
+// Standing heroes next to the player's hero whose players are at the table.
+export function tradePartners(ctx, playerId) {
+  const hero = ctx.game.heroes?.[playerId];
+  if (!isHeroAlive(hero)) return [];
+  return Object.values(ctx.game.heroes)
+    .filter((other) => other !== hero && isHeroAlive(other) && ctx.isPlayerConnected(other.ownerPlayerId) && hexDistance(hero, other) <= 1)
+    .map((other) => other.ownerPlayerId);
+}
+
+export function openTrade(game, fromPlayerId, toPlayerId, give, ask) {
+  game.tradeSeq = (game.tradeSeq || 0) + 1;
+  const trade = { id: `trade-${game.tradeSeq}`, fromPlayerId, toPlayerId, give, ask };
+  game.trades = [...(game.trades || []), trade];
+  return trade;
+}
+
+export function closeTrade(game, trade) {
+  game.trades = game.trades.filter((t) => t !== trade);
+}
+
+export function tradeById(game, tradeId) {
+  return (game.trades || []).find((t) => t.id === tradeId) || null;
+}
+
+// "Ana offers Bo 2x Potion for 1x Fang" for the log.
+export function describeOffer(ctx, trade) {
+  const from = shortName(ctx, trade.fromPlayerId);
+  const to = shortName(ctx, trade.toPlayerId);
+  if (!Object.keys(trade.give).length) return `${from} asks ${to} for ${formatDrops(trade.ask)}`;
+  const asking = Object.keys(trade.ask).length ? ` for ${formatDrops(trade.ask)}` : "";
+  return `${from} offers ${to} ${formatDrops(trade.give)}${asking}`;
+}
+
+// What happened once the trade went through.
+export function describeTrade(ctx, trade) {
+  const from = shortName(ctx, trade.fromPlayerId);
+  const to = shortName(ctx, trade.toPlayerId);
+  if (!Object.keys(trade.ask).length) return `${from} gives ${to} ${formatDrops(trade.give)}`;
+  if (!Object.keys(trade.give).length) return `${to} gives ${from} ${formatDrops(trade.ask)}`;
+  return `${from} trades ${formatDrops(trade.give)} to ${to} for ${formatDrops(trade.ask)}`;
+}
+
+// Why the trade cannot go through right now, or null.
+export function tradeProblem(ctx, trade) {
+  if (!tradePartners(ctx, trade.fromPlayerId).includes(trade.toPlayerId)) return "You need to stand next to each other.";
+  return (
+    missingFrom(rpgProfileById(ctx, trade.fromPlayerId).inventory, trade.give, shortName(ctx, trade.fromPlayerId)) ||
+    missingFrom(rpgProfileById(ctx, trade.toPlayerId).inventory, trade.ask, shortName(ctx, trade.toPlayerId))
+  );
+}
+
+export function completeTrade(ctx, trade) {
+  const giver = rpgProfileById(ctx, trade.fromPlayerId);
+  const taker = rpgProfileById(ctx, trade.toPlayerId);
+  moveItems(giver.inventory, taker.inventory, trade.give);
+  moveItems(taker.inventory, giver.inventory, trade.ask);
+  closeTrade(ctx.game, trade);
+}
+
+// Offers a player leaving the table was part of. Returns the dropped trades.
+export function dropTradesOf(game, playerId) {
+  const dropped = (game.trades || []).filter((t) => t.fromPlayerId === playerId || t.toPlayerId === playerId);
+  if (dropped.length) game.trades = game.trades.filter((t) => !dropped.includes(t));
+  return dropped;
+}
+
+export function tradesView(ctx, playerId) {
+  const view = (trade) => ({
+    id: trade.id,
+    fromPlayerId: trade.fromPlayerId,
+    fromName: shortName(ctx, trade.fromPlayerId),
+    toPlayerId: trade.toPlayerId,
+    toName: shortName(ctx, trade.toPlayerId),
+    give: { ...trade.give },
+    ask: { ...trade.ask },
+    problem: tradeProblem(ctx, trade)
+  });
+  const trades = ctx.game.trades || [];
+  return {
+    partners: tradePartners(ctx, playerId).map((id) => ({ playerId: id, name: shortName(ctx, id) })),
+    incoming: trades.filter((t) => t.toPlayerId === playerId).map(view),
+    outgoing: trades.filter((t) => t.fromPlayerId === playerId).map(view)
+  };
+}
+
+// The party stash.
+
+export function stashMove(ctx, playerId, itemId, qty, deposit) {
+  const stash = (ctx.campaign.stash = ctx.campaign.stash || {});
+  const inventory = rpgProfileById(ctx, playerId).inventory;
+  if (deposit) moveItems(inventory, stash, { [itemId]: qty });
+  else moveItems(stash, inventory, { [itemId]: qty });
+}
+
+export function stashView(ctx) {
+  return Object.fromEntries(Object.entries(ctx.campaign.stash || {}).filter(([, qty]) => qty > 0));
+}
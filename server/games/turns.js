@@ -0,0 +1,57 @@
+import { isHeroAlive } from "../../shared/game.js";
+import { fail, ok } from "./common.js";
+
+// Turn-order helpers shared by rules modules. Heroes whose phone is disconnected are
+// skipped, so these rely on `ctx.isPlayerConnected` provided by the session layer. Who acts
+// next is up to the rules module: a turn whose hero dropped or went down is left without an
+// active player until the module passes it on.
+
+export function connectedHeroIds(ctx) {
+  if (!ctx.game?.heroes) return [];
+  return Object.keys(ctx.game.heroes).filter((playerId) => ctx.isPlayerConnected(playerId));
+}
+
+export function reconcileTurnOrder(ctx) {
+  const game = ctx.game;
+  if (!game) return null;
+  const order = Array.isArray(game.turn?.order) ? game.turn.order : [];
+  const seen = new Set();
+  const nextOrder = [];
+
+  for (const playerId of order) {
+    if (!playerId || seen.has(playerId)) continue;
+    if (!game.heroes?.[playerId]) continue;
+    if (!ctx.isPlayerConnected(playerId)) continue;
+    seen.add(playerId);
+    nextOrder.push(playerId);
+  }
+
+  for (const playerId of connectedHeroIds(ctx)) {
+    if (seen.has(playerId)) continue;
+    seen.add(playerId);
+    nextOrder.push(playerId);
+  }
+
+  game.turn.order = nextOrder;
+  if (!nextOrder.length) {
+    game.turn.activePlayerId = null;
+    game.turn.activeIndex = 0;
+    return null;
+  }
+
+  const activeIdx = nextOrder.indexOf(game.turn.activePlayerId);
+  if (activeIdx >= 0 && isHeroAlive(game.heroes[game.turn.activePlayerId])) {
+    game.turn.activeIndex = activeIdx;
+    return game.turn.activePlayerId;
+  }
+
+  game.turn.activePlayerId = null;
+  return null;
+}
+
+export function requireActive(ctx, actorPlayerId) {
+  reconcileTurnOrder(ctx);
+  if (!ctx.game?.turn.activePlayerId) return fail("NO_ACTIVE_PLAYER", "No active player.");
+  if (ctx.game.turn.activePlayerId !== actorPlayerId) return fail("NOT_YOUR_TURN", "Not your turn.");
+  return ok();
+}
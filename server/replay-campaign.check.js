@@ -0,0 +1,126 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import { createServer } from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import WebSocket from "ws";
+import { ActionType } from "../shared/game.js";
+import { MsgType, PROTOCOL_VERSION, Role } from "../shared/protocol.js";
+
+// Plays a short encounter against a throwaway campaign store, then runs `replay-campaign.js` on it
+// and expects every campaign to replay cleanly. Run with `npm --workspace server run check:replay`.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAME_ID = "touchtable-dungeon";
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "tt-replay-"));
+process.env.TT_CAMPAIGN_STORE = path.join(storeDir, "campaigns.json");
+
+const { setupWebSocket } = await import("./ws.js");
+const httpServer = createServer();
+setupWebSocket(httpServer);
+await new Promise((resolve) => httpServer.listen(0, resolve));
+const port = httpServer.address().port;
+
+function connect() {
+  const ws = new WebSocket(`ws://localhost:${port}`);
+  const waiting = new Map();
+  let state = null;
+  let seq = 0;
+  ws.on("message", (data) => {
+    const msg = JSON.parse(data.toString());
+    if (msg.t === MsgType.STATE_PUBLIC || msg.t === MsgType.STATE_PRIVATE) state = msg.payload.state;
+    if (msg.id && waiting.has(msg.id)) {
+      waiting.get(msg.id)(msg);
+      waiting.delete(msg.id);
+    }
+  });
+  return {
+    ready: new Promise((resolve) => ws.on("open", resolve)),
+    state: () => state,
+    close: () => ws.close(),
+    send(t, payload) {
+      const id = `c${++seq}`;
+      ws.send(JSON.stringify({ v: PROTOCOL_VERSION, t, id, payload }));
+      return new Promise((resolve) => waiting.set(id, resolve));
+    }
+  };
+}
+
+async function expectOk(reply, what) {
+  const msg = await reply;
+  if (msg.t !== MsgType.OK) throw new Error(`${what} failed: ${JSON.stringify(msg.payload)}`);
+  return msg.payload;
+}
+
+const clients = [];
+async function open() {
+  const client = connect();
+  clients.push(client);
+  await client.ready;
+  return client;
+}
+
+// Views go out right after each OK; give them a moment to arrive before reading the table's state.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+// The active hero's phone kills an enemy; the opening scenario's are enemy-1 to enemy-4, usually out
+// of sight, so the table's view cannot list them.
+async function kill(table, phones, targetEnemyId) {
+  await settle();
+  const phone = phones[table.state().game.turn.activePlayerId];
+  await expectOk(phone.send(MsgType.ACTION, { action: ActionType.APPLY_DAMAGE, params: { targetEnemyId, amount: 99 } }), "APPLY_DAMAGE");
+}
+
+async function endTurn(table, phones) {
+  await settle();
+  const phone = phones[table.state().game.turn.activePlayerId];
+  await expectOk(phone.send(MsgType.ACTION, { action: ActionType.END_TURN, params: {} }), "END_TURN");
+}
+
+// Two heroes join a new campaign and fight. With `embark`, they first clear the opening scenario and
+// the table starts it again, which seats the whole party before the server's single sync.
+async function playCampaign(title, { embark = false } = {}) {
+  const table = await open();
+  await expectOk(table.send(MsgType.HELLO, { role: Role.TABLE, gameId: GAME_ID }), "table HELLO");
+  const { sessionId } = await expectOk(table.send(MsgType.CAMPAIGN_SELECT, { gameId: GAME_ID, title }), "CAMPAIGN_SELECT");
+  const phones = {};
+  for (const playerName of ["Ana", "Bo"]) {
+    const phone = await open();
+    await expectOk(phone.send(MsgType.HELLO, { role: Role.PHONE, sessionId }), "phone HELLO");
+    const { playerId } = await expectOk(phone.send(MsgType.JOIN, { playerName }), "JOIN");
+    phones[playerId] = phone;
+  }
+  if (embark) {
+    for (const targetEnemyId of ["enemy-1", "enemy-2", "enemy-3", "enemy-4"]) await kill(table, phones, targetEnemyId);
+    await expectOk(table.send(MsgType.SCENARIO_EMBARK, { scenarioId: "scenario-1" }), "SCENARIO_EMBARK");
+  }
+  await expectOk(table.send(MsgType.ACTION, { action: ActionType.SPAWN_ENEMY, params: {} }), "SPAWN_ENEMY");
+  await kill(table, phones, "enemy-1");
+  await endTurn(table, phones);
+  // Loot dropped by the last action has only been through the server's save-time migration.
+  await kill(table, phones, "enemy-2");
+}
+
+let failed = false;
+try {
+  await playCampaign("Joined party");
+  await playCampaign("Embarked party", { embark: true });
+} catch (err) {
+  failed = true;
+  console.error(err?.stack || err);
+}
+for (const client of clients) client.close();
+httpServer.close();
+
+if (!failed) {
+  try {
+    process.stdout.write(execFileSync(process.execPath, [path.join(__dirname, "replay-campaign.js")], { env: process.env, encoding: "utf8" }));
+  } catch (err) {
+    failed = true;
+    process.stdout.write(err.stdout || "");
+    console.error(err.stderr || err.message);
+  }
+}
+fs.rmSync(storeDir, { recursive: true, force: true });
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,50 @@
+import { getCampaign, listCampaigns, loadCampaignStore } from "./campaign-store.js";
+import { replayEncounter } from "./games/replay.js";
+
+// Replays the active encounter of saved campaigns from `game.replay` and reports whether the rebuilt
+// game matches the saved one. Run with `npm --workspace server run replay -- [campaignId] [gameId]`;
+// without a campaign id every saved campaign is checked. Exits non-zero on a mismatch or error.
+
+const [campaignId, gameId = "touchtable-dungeon"] = process.argv.slice(2);
+
+// Log lines and damage flashes carry wall-clock `at` stamps, which a replay cannot reproduce.
+function strip(game) {
+  return JSON.parse(JSON.stringify(game, (key, value) => (key === "at" ? undefined : value)));
+}
+
+function check(campaign) {
+  const live = campaign.activeGame;
+  if (!live?.replay) return { ok: true, msg: "no active encounter" };
+  let rebuilt;
+  try {
+    rebuilt = strip(replayEncounter(gameId, live.replay));
+  } catch (err) {
+    return { ok: false, msg: err?.message || String(err) };
+  }
+  const saved = strip(live);
+  const keys = [...new Set([...Object.keys(saved), ...Object.keys(rebuilt)])];
+  const diff = keys.filter((k) => JSON.stringify(saved[k]) !== JSON.stringify(rebuilt[k]));
+  const steps = live.replay.steps?.length || 0;
+  if (diff.length) return { ok: false, msg: `${steps} steps, differs in ${diff.join(", ")}` };
+  return { ok: true, msg: `${steps} steps match` };
+}
+
+const store = loadCampaignStore();
+let campaigns = listCampaigns(store, gameId);
+if (campaignId) {
+  const campaign = getCampaign(store, gameId, campaignId);
+  if (!campaign) {
+    console.error(`Campaign ${campaignId} not found for ${gameId}.`);
+    process.exit(1);
+  }
+  campaigns = [campaign];
+}
+if (!campaigns.length) console.log(`No saved campaigns for ${gameId}.`);
+
+let failed = 0;
+for (const campaign of campaigns) {
+  const result = check(campaign);
+  if (!result.ok) failed += 1;
+  console.log(`${result.ok ? "ok  " : "FAIL"} ${campaign.id} (${campaign.title}): ${result.msg}`);
+}
+if (failed) process.exit(1);
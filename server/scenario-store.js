@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { v4 as uuid } from "uuid";
+import { findHexPath, terrainAt, terrainMoveCost } from "../shared/game.js";
+import { mapProblems, parseMap } from "../shared/maps.js";
+import { CRAFTING_STATIONS, ObjectType } from "../shared/objects.js";
+import { ObjectiveType, findScenario, registerScenario } from "../shared/scenarios.js";
+import { statusById } from "../shared/status.js";
+import { BOSSES, LOOT_TABLES } from "./content/index.js";
+
+// Scenarios authored in the table's editor (SCENARIO_SAVE in docs/protocol.md). The editor sends
+// a draft; it is turned into a definition shaped like the built-in ones in shared/scenarios.js,
+// checked, kept in .scenarios.json and registered so any campaign can embark on it.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCENARIO_STORE_FILE = path.join(__dirname, ".scenarios.json");
+const CUSTOM_ID_PREFIX = "custom-";
+const EDITOR_OBJECTIVES = Object.freeze([
+  ObjectiveType.DEFEAT_COUNT,
+  ObjectiveType.DEFEAT_BOSS,
+  ObjectiveType.SURVIVE_ROUNDS,
+  ObjectiveType.REACH_EXIT,
+  ObjectiveType.ESCORT
+]);
+
+function makeDefaultStore() {
+  return { version: 1, scenarios: {} };
+}
+
+function text(value, max) {
+  return (value ?? "").toString().trim().slice(0, max);
+}
+
+function int(value, lo, hi, fallback) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : fallback;
+}
+
+function draftObjective(src) {
+  const type = src?.type;
+  switch (type) {
+    case ObjectiveType.DEFEAT_COUNT:
+      return { type, targetCount: int(src.targetCount, 1, 20, 4) };
+    case ObjectiveType.DEFEAT_BOSS:
+      return { type, bossId: text(src.bossId, 48) };
+    case ObjectiveType.SURVIVE_ROUNDS:
+      return { type, rounds: int(src.rounds, 1, 30, 8) };
+    case ObjectiveType.ESCORT:
+      return { type, escort: { name: text(src.escort?.name, 32) || "Survivor", hp: int(src.escort?.hp, 1, 40, 8), moveAp: 2 } };
+    default:
+      return { type };
+  }
+}
+
+function draftObject(src, anchor) {
+  const obj = {
+    id: text(src?.id, 24),
+    type: src?.type,
+    name: text(src?.name, 32) || src?.type,
+    offset: { x: int(src?.x, -999, 999, 0) - anchor.x, y: int(src?.y, -999, 999, 0) - anchor.y }
+  };
+  switch (src?.type) {
+    case ObjectType.DOOR:
+      return { ...obj, locked: Boolean(src.locked) };
+    case ObjectType.CHEST:
+      return { ...obj, lootTable: text(src.lootTable, 48) };
+    case ObjectType.LEVER:
+      return { ...obj, targets: Array.isArray(src.targets) ? src.targets.map((id) => text(id, 24)).filter(Boolean) : [] };
+    case ObjectType.TRAP:
+      return { ...obj, damage: int(src.damage, 0, 20, 2), ...(src.status?.id ? { status: { id: text(src.status.id, 24), turns: int(src.status.turns, 1, 5, 2) } } : {}) };
+    case ObjectType.STATION:
+      return { ...obj, station: text(src.station, 24) };
+    default:
+      return obj;
+  }
+}
+
+// A draft carries the map rows with their E/S/X markers and objects at board positions; objects
+// are stored as offsets from the first entrance like every other scenario's.
+export function scenarioFromDraft(draft) {
+  const src = draft && typeof draft === "object" ? draft : {};
+  const existing = typeof src.id === "string" && src.id.startsWith(CUSTOM_ID_PREFIX) ? findScenario(src.id) : null;
+  const id = existing?.custom ? existing.id : `${CUSTOM_ID_PREFIX}${uuid().slice(0, 8)}`;
+  const name = text(src.name, 48);
+  const rows = Array.isArray(src.rows) ? src.rows.map((row) => (row ?? "").toString()) : [];
+  const anchor = mapProblems(rows).length ? { x: 0, y: 0 } : parseMap(id, { rows }).entrances[0];
+  const after = Array.isArray(src.unlock?.completed) ? [...new Set(src.unlock.completed.map((v) => text(v, 48)).filter(Boolean))] : [];
+  return {
+    id,
+    title: name,
+    name,
+    chapter: text(src.chapter, 24) || "Custom",
+    teaser: text(src.teaser, 160),
+    intel: text(src.intel, 240),
+    difficulty: text(src.difficulty, 16) || "Custom",
+    estDuration: text(src.estDuration, 16) || "-",
+    rewardHint: text(src.rewardHint, 80) || "Authored at the table.",
+    map: { x: int(src.map?.x, 4, 96, 50), y: int(src.map?.y, 4, 96, 92) },
+    unlock: after.length ? { completed: after } : {},
+    grantsFlags: [],
+    layout: { map: { name, rows } },
+    objective: draftObjective(src.objective),
+    objects: (Array.isArray(src.objects) ? src.objects : []).map((obj) => draftObject(obj, anchor)),
+    custom: true
+  };
+}
+
+// Everything that would keep a custom scenario from being played, as a list of problems.
+export function scenarioProblems(def) {
+  const problems = [];
+  if (!def?.name) problems.push("the scenario needs a name");
+  const rows = def?.layout?.map?.rows;
+  const rowProblems = mapProblems(rows);
+  if (rowProblems.length) return [...problems, ...rowProblems.map((p) => `map: ${p}`)];
+
+  const map = parseMap(def.id, def.layout.map);
+  const terrain = { seed: 0, map, changes: {} };
+  const anchor = map.entrances[0];
+  const objective = def.objective || {};
+  if (!map.spawns.length) problems.push("the map needs at least one enemy spawn (S)");
+  if (!EDITOR_OBJECTIVES.includes(objective.type)) problems.push("pick an objective");
+  if (objective.type === ObjectiveType.DEFEAT_BOSS && !BOSSES[objective.bossId]) problems.push(`unknown boss "${objective.bossId}"`);
+  if (objective.type === ObjectiveType.REACH_EXIT || objective.type === ObjectiveType.ESCORT) {
+    const exit = map.exits[0];
+    if (!exit) problems.push("the objective needs an exit (X) on the map");
+    else if (!findHexPath(anchor, exit, (x, y) => terrainMoveCost(x, y, terrain), map.width * map.height * 3)) {
+      problems.push("the exit cannot be reached from the first entrance");
+    }
+  }
+  for (const id of def.unlock?.completed || []) {
+    if (id === def.id || !findScenario(id)) problems.push(`unknown scenario "${id}" to unlock after`);
+  }
+
+  const objects = def.objects || [];
+  const ids = new Set(objects.map((obj) => obj.id));
+  if (ids.size !== objects.length) problems.push("object ids must be unique");
+  const markers = new Set([...map.entrances, ...map.exits].map((p) => `${p.x},${p.y}`));
+  for (const obj of objects) {
+    const where = `${obj.name || obj.id}`;
+    if (!obj.id) problems.push("every object needs an id");
+    if (!Object.values(ObjectType).includes(obj.type)) problems.push(`${where}: unknown object type "${obj.type}"`);
+    const x = anchor.x + obj.offset.x;
+    const y = anchor.y + obj.offset.y;
+    if (!terrainAt(x, y, terrain).passable) problems.push(`${where}: must stand on passable ground`);
+    if (markers.has(`${x},${y}`)) problems.push(`${where}: cannot stand on an entrance or the exit`);
+    if (obj.type === ObjectType.CHEST && !LOOT_TABLES[obj.lootTable]) problems.push(`${where}: unknown loot table "${obj.lootTable}"`);
+    if (obj.type === ObjectType.LEVER) {
+      if (!obj.targets.length) problems.push(`${where}: a lever needs something to pull`);
+      for (const target of obj.targets) if (!ids.has(target) || target === obj.id) problems.push(`${where}: unknown target "${target}"`);
+    }
+    if (obj.type === ObjectType.TRAP && obj.status && !statusById(obj.status.id)) problems.push(`${where}: unknown status "${obj.status.id}"`);
+    if (obj.type === ObjectType.STATION && !CRAFTING_STATIONS[obj.station]) problems.push(`${where}: unknown crafting station "${obj.station}"`);
+  }
+  return problems;
+}
+
+// What the editor offers from the loaded content packs.
+export function scenarioEditorOptions() {
+  return {
+    lootTables: Object.keys(LOOT_TABLES),
+    bosses: Object.entries(BOSSES).map(([id, boss]) => ({ id, name: boss.name }))
+  };
+}
+
+// Stored scenarios that no longer check out against the content packs are left out until fixed.
+export function loadScenarioStore() {
+  let store = makeDefaultStore();
+  try {
+    if (fs.existsSync(SCENARIO_STORE_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(SCENARIO_STORE_FILE, "utf8"));
+      if (parsed?.scenarios && typeof parsed.scenarios === "object") store = { ...store, scenarios: parsed.scenarios };
+    }
+  } catch {
+    return store;
+  }
+  for (const def of Object.values(store.scenarios)) {
+    const problems = scenarioProblems(def);
+    if (problems.length) console.warn(`Skipping custom scenario ${def?.id}: ${problems.join("; ")}`);
+    else registerScenario(def);
+  }
+  return store;
+}
+
+export function saveCustomScenario(store, draft) {
+  const def = scenarioFromDraft(draft);
+  const problems = scenarioProblems(def);
+  if (problems.length) return { ok: false, problems };
+  store.scenarios[def.id] = def;
+  fs.writeFileSync(SCENARIO_STORE_FILE, JSON.stringify(store, null, 2), "utf8");
+  registerScenario(def);
+  return { ok: true, scenario: def };
+}
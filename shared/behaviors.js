@@ -0,0 +1,28 @@
+// Enemy behavior profiles. Each enemy template names one; the server plans the enemy's turn from
+// it (server/games/ai.js) and both clients show the label when an enemy is inspected.
+
+export const EnemyBehavior = Object.freeze({
+  RUSHER: "rusher",
+  KITER: "kiter",
+  GUARD: "guard",
+  HEALER: "healer",
+  COWARD: "coward",
+  PACK: "pack"
+});
+
+export const DEFAULT_ENEMY_BEHAVIOR = EnemyBehavior.RUSHER;
+// AP an enemy spends on movement each turn when its template does not say.
+export const DEFAULT_ENEMY_MOVE_AP = 2;
+
+export const BEHAVIOR_META = Object.freeze({
+  [EnemyBehavior.RUSHER]: Object.freeze({ label: "Rusher", description: "Charges the nearest hero and attacks the weakest one in reach." }),
+  [EnemyBehavior.KITER]: Object.freeze({ label: "Kiter", description: "Attacks from as far away as its range allows and backs off when heroes close in." }),
+  [EnemyBehavior.GUARD]: Object.freeze({ label: "Guard", description: "Holds the ground around where it spawned and only fights heroes who come close." }),
+  [EnemyBehavior.HEALER]: Object.freeze({ label: "Healer", description: "Mends wounded allies and keeps its distance from heroes." }),
+  [EnemyBehavior.COWARD]: Object.freeze({ label: "Coward", description: "Fights like a rusher until badly hurt, then runs." }),
+  [EnemyBehavior.PACK]: Object.freeze({ label: "Pack hunter", description: "Regroups with its allies and piles onto the hero they are already fighting." })
+});
+
+export function behaviorMeta(id) {
+  return BEHAVIOR_META[id] || BEHAVIOR_META[DEFAULT_ENEMY_BEHAVIOR];
+}
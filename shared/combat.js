@@ -0,0 +1,97 @@
+// Attack resolution. Weapon attacks roll a d20 plus the attacker's accuracy against the target's
+// defense: a natural 20 always hits and is a critical (the damage dice are rolled twice), a natural 1
+// always misses. A hit deals the attacker's flat damage plus its damage dice; armor and shields take
+// their share afterwards on the server. Spells, abilities and boss area attacks do not roll to hit.
+// Ranged attacks add the target's cover (coverFrom in shared/game.js) to its defense.
+
+export const TO_HIT_DIE = 20;
+export const CRIT_ROLL = 20;
+export const FUMBLE_ROLL = 1;
+// Defense of a class, enemy or boss that does not give one.
+export const BASE_DEFENSE = 10;
+export const HERO_BASE_ACCURACY = 3;
+// Damage dice of bare hands, and of enemies that do not give any.
+export const UNARMED_DICE = "1d2";
+export const ENEMY_DICE = "1d2";
+
+export const RollOutcome = Object.freeze({
+  HIT: "hit",
+  CRIT: "crit",
+  MISS: "miss"
+});
+
+// "2d6" -> { count: 2, sides: 6 }; null for anything else.
+export function parseDice(text) {
+  const match = /^(\d{1,2})d(\d{1,3})$/.exec(typeof text === "string" ? text.trim() : "");
+  if (!match) return null;
+  const count = Number(match[1]);
+  const sides = Number(match[2]);
+  return count >= 1 && sides >= 2 ? { count, sides } : null;
+}
+
+export function rollDie(random, sides) {
+  return 1 + Math.floor(random() * sides);
+}
+
+export function heroAccuracy(level) {
+  return HERO_BASE_ACCURACY + Math.floor(((level || 1) - 1) / 2);
+}
+
+// Enemies and bosses that do not give an accuracy hit about as well as a hero of their level.
+export function enemyAccuracy(level) {
+  return 2 + (level || 1);
+}
+
+// Flat damage of a hero's weapon attack or ability: the rules' base damage, the bonuses (gear and
+// class, or the ability's) and a point every three levels.
+export function strikeDamage(baseDamage, damageBonus, level) {
+  return Math.max(1, baseDamage + damageBonus + Math.floor(((level || 1) - 1) / 3));
+}
+
+// Spells grow faster: a point every two levels.
+export function magicDamage(baseDamage, damageBonus, level) {
+  return Math.max(1, baseDamage + damageBonus + Math.floor(((level || 1) - 1) / 2));
+}
+
+// How far a weapon reaches: content weapons may set `range` (the rules' attackRange otherwise),
+// `minRange` (1) and `lineOfFire: false` for thrown or lobbed weapons that units do not block.
+export function weaponReach(weapon, defaultRange = 1) {
+  const range = Math.max(1, Math.floor(Number(weapon?.range) || defaultRange || 1));
+  const minRange = Math.min(range, Math.max(1, Math.floor(Number(weapon?.minRange) || 1)));
+  return { range, minRange, lineOfFire: weapon?.lineOfFire !== false };
+}
+
+// "range 4", or "range 2-6" with a minimum range.
+export function describeReach(reach) {
+  return `range ${reach.minRange > 1 ? `${reach.minRange}-` : ""}${reach.range}`;
+}
+
+// The chance (0-1) that an attack with `accuracy` hits `defense`, natural 1s and 20s included.
+export function hitChance(accuracy, defense) {
+  const needed = Math.min(CRIT_ROLL, Math.max(FUMBLE_ROLL + 1, defense - accuracy));
+  return (TO_HIT_DIE - needed + 1) / TO_HIT_DIE;
+}
+
+// Rolls one attack: `{ accuracy, defense, cover?, flat, dice }` in, the full breakdown out. The
+// roll's `defense` includes the cover.
+export function resolveAttack(random, { accuracy, defense, cover = 0, flat, dice }) {
+  const natural = rollDie(random, TO_HIT_DIE);
+  const toHit = natural + accuracy;
+  const outcome =
+    natural === CRIT_ROLL ? RollOutcome.CRIT : natural === FUMBLE_ROLL || toHit < defense + cover ? RollOutcome.MISS : RollOutcome.HIT;
+  const roll = { natural, accuracy, toHit, defense: defense + cover, cover, outcome, dice, damageRolls: [], flat, damage: 0 };
+  if (outcome === RollOutcome.MISS) return roll;
+  const { count, sides } = parseDice(dice) || parseDice(UNARMED_DICE);
+  const times = outcome === RollOutcome.CRIT ? count * 2 : count;
+  for (let i = 0; i < times; i += 1) roll.damageRolls.push(rollDie(random, sides));
+  roll.damage = Math.max(1, flat + roll.damageRolls.reduce((sum, n) => sum + n, 0));
+  return roll;
+}
+
+// "d20 14+3 = 17 vs 12, hit: 2+3 = 5" for logs and breakdowns.
+export function describeRoll(roll) {
+  const check = `d20 ${roll.natural}${roll.accuracy >= 0 ? "+" : ""}${roll.accuracy} = ${roll.toHit} vs ${roll.defense}${roll.cover ? ` (cover +${roll.cover})` : ""}`;
+  if (roll.outcome === RollOutcome.MISS) return `${check}, miss`;
+  const parts = [...roll.damageRolls, ...(roll.flat ? [roll.flat] : [])];
+  return `${check}, ${roll.outcome === RollOutcome.CRIT ? "critical" : "hit"}: ${parts.join("+")} = ${roll.damage}`;
+}
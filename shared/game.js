@@ -1,13 +1,31 @@
+import { DEFAULT_ENEMY_BEHAVIOR, DEFAULT_ENEMY_MOVE_AP } from "./behaviors.js";
+import { BASE_DEFENSE, ENEMY_DICE, enemyAccuracy } from "./combat.js";
+import { DEFAULT_SPEED } from "./initiative.js";
+import { blockingObjectKeys } from "./objects.js";
+import { turnApFor } from "./status.js";
+
 export const ActionType = Object.freeze({
   MOVE: "MOVE",
   ATTACK: "ATTACK",
   CAST_SPELL: "CAST_SPELL",
+  USE_ABILITY: "USE_ABILITY",
   APPLY_DAMAGE: "APPLY_DAMAGE",
   MINE_DIG: "MINE_DIG",
   REVIVE: "REVIVE",
+  INTERACT: "INTERACT",
   END_TURN: "END_TURN",
+  READY_REACTION: "READY_REACTION",
+  REACT: "REACT",
   USE_ITEM: "USE_ITEM",
   CRAFT_ITEM: "CRAFT_ITEM",
+  BUY_ITEM: "BUY_ITEM",
+  SELL_ITEM: "SELL_ITEM",
+  EQUIP_ITEM: "EQUIP_ITEM",
+  UNEQUIP_ITEM: "UNEQUIP_ITEM",
+  OFFER_TRADE: "OFFER_TRADE",
+  ANSWER_TRADE: "ANSWER_TRADE",
+  STASH_DEPOSIT: "STASH_DEPOSIT",
+  STASH_WITHDRAW: "STASH_WITHDRAW",
   SPAWN_ENEMY: "SPAWN_ENEMY",
   KICK_PLAYER: "KICK_PLAYER",
   UNDO: "UNDO",
@@ -22,93 +40,175 @@ export const TerrainClass = Object.freeze({
   OBSTACLE: "obstacle"
 });
 
+// `tile` is the character that stands for the terrain in map rows (shared/maps.js).
+// Besides movement and sight, terrain may carry effects: `entryDamage` hurts whoever steps in,
+// `extinguishes` puts out (and keeps off) burning, `concealment` hides a unit from ranged attacks
+// beyond CONCEALMENT_RANGE, `cover` adds to the defense of a unit shot at from behind it (see
+// coverFrom) and `blocksCharge` stops charges that would cross it.
 export const TERRAIN_META = Object.freeze({
   grassland: Object.freeze({
     id: "grassland",
+    tile: ",",
     label: "Grassland",
     className: TerrainClass.GROUND,
     passable: true,
     moveCost: 1,
+    blocksSight: false,
     fill: "rgba(56, 96, 66, 0.92)",
     stroke: "rgba(149, 188, 153, 0.22)",
     accent: "rgba(112, 174, 118, 0.35)"
   }),
   high_grass: Object.freeze({
     id: "high_grass",
+    tile: "\"",
     label: "High Grass",
     className: TerrainClass.GROUND,
     passable: true,
     moveCost: 2,
+    blocksSight: false,
+    concealment: true,
+    cover: 1,
     fill: "rgba(69, 113, 74, 0.94)",
     stroke: "rgba(168, 199, 141, 0.26)",
     accent: "rgba(195, 219, 160, 0.34)"
   }),
   mudflat: Object.freeze({
     id: "mudflat",
+    tile: "%",
     label: "Mudflat",
     className: TerrainClass.DIFFICULT,
     passable: true,
     moveCost: 2,
+    blocksSight: false,
+    blocksCharge: true,
     fill: "rgba(86, 77, 63, 0.92)",
     stroke: "rgba(169, 145, 106, 0.28)",
     accent: "rgba(128, 111, 84, 0.34)"
   }),
   frozen_scree: Object.freeze({
     id: "frozen_scree",
+    tile: "^",
     label: "Frozen Scree",
     className: TerrainClass.DIFFICULT,
     passable: true,
     moveCost: 2,
+    blocksSight: false,
+    blocksCharge: true,
+    cover: 1,
     fill: "rgba(78, 88, 100, 0.9)",
     stroke: "rgba(182, 196, 214, 0.28)",
     accent: "rgba(136, 148, 162, 0.35)"
   }),
   thornbrush: Object.freeze({
     id: "thornbrush",
+    tile: "*",
     label: "Thornbrush",
     className: TerrainClass.HAZARD,
     passable: true,
     moveCost: 3,
+    blocksSight: false,
+    entryDamage: 1,
+    cover: 2,
     fill: "rgba(84, 70, 58, 0.92)",
     stroke: "rgba(190, 143, 112, 0.3)",
     accent: "rgba(158, 112, 82, 0.36)"
   }),
   shallow_water: Object.freeze({
     id: "shallow_water",
+    tile: "~",
     label: "Shallow Water",
     className: TerrainClass.WATER,
     passable: true,
     moveCost: 3,
+    blocksSight: false,
+    extinguishes: true,
     fill: "rgba(49, 87, 114, 0.9)",
     stroke: "rgba(129, 178, 212, 0.3)",
     accent: "rgba(96, 156, 196, 0.4)"
   }),
   deep_water: Object.freeze({
     id: "deep_water",
+    tile: "=",
     label: "Deep Water",
     className: TerrainClass.OBSTACLE,
     passable: false,
     moveCost: null,
+    blocksSight: false,
     fill: "rgba(25, 53, 79, 0.96)",
     stroke: "rgba(92, 148, 190, 0.32)",
     accent: "rgba(67, 124, 169, 0.45)"
   }),
   boulder: Object.freeze({
     id: "boulder",
+    tile: "o",
     label: "Boulder",
     className: TerrainClass.OBSTACLE,
     passable: false,
     moveCost: null,
+    blocksSight: true,
     fill: "rgba(86, 94, 104, 0.95)",
     stroke: "rgba(174, 186, 200, 0.28)",
     accent: "rgba(130, 142, 157, 0.36)"
+  }),
+  ice: Object.freeze({
+    id: "ice",
+    tile: "_",
+    label: "Ice",
+    className: TerrainClass.GROUND,
+    passable: true,
+    moveCost: 1,
+    blocksSight: false,
+    fill: "rgba(150, 190, 214, 0.9)",
+    stroke: "rgba(222, 240, 252, 0.36)",
+    accent: "rgba(236, 248, 255, 0.42)"
+  }),
+  floor: Object.freeze({
+    id: "floor",
+    tile: ".",
+    label: "Stone Floor",
+    className: TerrainClass.GROUND,
+    passable: true,
+    moveCost: 1,
+    blocksSight: false,
+    fill: "rgba(92, 88, 80, 0.92)",
+    stroke: "rgba(190, 182, 166, 0.24)",
+    accent: "rgba(150, 142, 128, 0.3)"
+  }),
+  wall: Object.freeze({
+    id: "wall",
+    tile: "#",
+    label: "Rock Wall",
+    className: TerrainClass.OBSTACLE,
+    passable: false,
+    moveCost: null,
+    blocksSight: true,
+    fill: "rgba(34, 36, 42, 0.98)",
+    stroke: "rgba(120, 124, 134, 0.3)",
+    accent: "rgba(70, 74, 84, 0.4)"
   })
 });
 
+export const TERRAIN_BY_TILE = Object.freeze(Object.fromEntries(Object.values(TERRAIN_META).map((meta) => [meta.tile, meta.id])));
+
 export function terrainMetaById(id) {
   return TERRAIN_META[id] || TERRAIN_META.grassland;
 }
 
+export const CONCEALMENT_RANGE = 2;
+
+// What a terrain does, one short sentence per rule, for the table and phone.
+export function terrainEffects(meta) {
+  if (!meta.passable) return [meta.blocksSight ? "Impassable; blocks sight." : "Impassable."];
+  const effects = [`Costs ${meta.moveCost} AP to enter.`];
+  if (meta.entryDamage) effects.push(`Deals ${meta.entryDamage} damage to anyone who enters.`);
+  if (meta.extinguishes) effects.push("Puts out burning and keeps it off.");
+  if (meta.concealment) effects.push(`Hides units from ranged attacks beyond ${CONCEALMENT_RANGE} hexes.`);
+  if (meta.cover) effects.push(`Gives +${meta.cover} defense against ranged attacks as cover.`);
+  if (meta.blocksCharge) effects.push("Charges cannot cross it.");
+  if (meta.blocksSight) effects.push("Blocks sight.");
+  return effects;
+}
+
 function hashNoise(x, y, seed, salt = 0) {
   let h =
     (Math.imul(x | 0, 374761393) ^
@@ -153,7 +253,17 @@ function sampleTerrainNoise(x, y, seed, scale, salt) {
   return valueNoise(worldX / scale, worldY / scale, seed, salt);
 }
 
-export function terrainTypeAt(x, y, terrainSeed = 0) {
+// Terrain comes from the board's map, or from its seed on boards without one (saves from before
+// maps). Callers pass either the seed or the board's whole `terrain` ({ seed, map?, changes }),
+// where `changes` maps "x,y" to the terrain a spell left there. Everything off a map is wall.
+export function terrainTypeAt(x, y, terrain = 0) {
+  if (terrain && typeof terrain === "object") {
+    const changed = terrain.changes?.[`${x},${y}`];
+    if (TERRAIN_META[changed]) return changed;
+    if (terrain.map) return TERRAIN_BY_TILE[terrain.map.rows[y]?.[x]] || "wall";
+    return terrainTypeAt(x, y, terrain.seed ?? 0);
+  }
+  const terrainSeed = terrain;
   const biomeRoll = sampleTerrainNoise(x, y, terrainSeed, 8.5, 17);
   const detailRoll = sampleTerrainNoise(x, y, terrainSeed, 3.4, 53);
   const objectRoll = sampleTerrainNoise(x, y, terrainSeed, 2.2, 89);
@@ -182,12 +292,25 @@ export function terrainTypeAt(x, y, terrainSeed = 0) {
   return objectRoll < 0.72 ? "boulder" : "shallow_water";
 }
 
-export function terrainAt(x, y, terrainSeed = 0) {
-  return terrainMetaById(terrainTypeAt(x, y, terrainSeed));
+// Whether the hex lies on the board. Boards without a map go on forever.
+export function isInBounds(x, y, terrain = 0) {
+  const map = terrain && typeof terrain === "object" ? terrain.map : null;
+  return !map || (x >= 0 && y >= 0 && x < map.width && y < map.height);
 }
 
-export function isTerrainPassable(x, y, terrainSeed = 0) {
-  return terrainAt(x, y, terrainSeed).passable;
+export function terrainAt(x, y, terrain = 0) {
+  return terrainMetaById(terrainTypeAt(x, y, terrain));
+}
+
+export function isTerrainPassable(x, y, terrain = 0) {
+  return terrainAt(x, y, terrain).passable;
+}
+
+// AP to step onto a hex, or null when the terrain can't be entered.
+export function terrainMoveCost(x, y, terrain = 0) {
+  const meta = terrainAt(x, y, terrain);
+  if (!meta.passable) return null;
+  return Math.min(4, Math.max(1, Number(meta.moveCost) || 1));
 }
 
 // Hex grid helpers (even-q vertical layout):
@@ -213,6 +336,148 @@ export function manhattan(a, b) {
   return hexDistance(a, b);
 }
 
+function cubeToOffset(c) {
+  return { x: c.x, y: c.z + Math.floor(c.x / 2) };
+}
+
+function cubeRound(c) {
+  let rx = Math.round(c.x);
+  let ry = Math.round(c.y);
+  let rz = Math.round(c.z);
+  const dx = Math.abs(rx - c.x);
+  const dy = Math.abs(ry - c.y);
+  const dz = Math.abs(rz - c.z);
+  if (dx > dy && dx > dz) rx = -ry - rz;
+  else if (dy > dz) ry = -rx - rz;
+  else rz = -rx - ry;
+  return { x: rx, y: ry, z: rz };
+}
+
+// Hexes on the straight line from a to b, both ends included. The tiny nudge keeps
+// lines that run exactly along a hex edge from flipping between neighbors.
+export function hexLine(a, b) {
+  const n = hexDistance(a, b);
+  const ac = offsetToCube(a.x, a.y);
+  const bc = offsetToCube(b.x, b.y);
+  const out = [];
+  for (let i = 0; i <= n; i += 1) {
+    const t = n === 0 ? 0 : i / n;
+    const c = cubeRound({
+      x: lerp(ac.x + 1e-6, bc.x + 1e-6, t),
+      y: lerp(ac.y + 1e-6, bc.y + 1e-6, t),
+      z: lerp(ac.z - 2e-6, bc.z - 2e-6, t)
+    });
+    out.push(cubeToOffset(c));
+  }
+  return out;
+}
+
+// Sight is blocked only by hexes strictly between the two ends, so a boulder itself can be seen.
+export function hasLineOfSight(from, to, blocksSight) {
+  const line = hexLine(from, to);
+  for (let i = 1; i < line.length - 1; i += 1) {
+    if (blocksSight(line[i].x, line[i].y)) return false;
+  }
+  return true;
+}
+
+// The `length` hexes after `from` on the straight line through `toward`, nearest first. The line
+// carries on past `toward` when it is closer than `length`.
+export function hexRay(from, toward, length) {
+  const n = hexDistance(from, toward);
+  if (n === 0) return [];
+  const ac = offsetToCube(from.x, from.y);
+  const bc = offsetToCube(toward.x, toward.y);
+  const out = [];
+  for (let i = 1; i <= length; i += 1) {
+    const c = cubeRound({
+      x: lerp(ac.x + 1e-6, bc.x + 1e-6, i / n),
+      y: lerp(ac.y + 1e-6, bc.y + 1e-6, i / n),
+      z: lerp(ac.z - 2e-6, bc.z - 2e-6, i / n)
+    });
+    out.push(cubeToOffset(c));
+  }
+  return out;
+}
+
+// Hexes up to `length` away from `from` that lie within 30 degrees of the direction of `toward`,
+// so a cone aimed straight at a neighbor widens by one hex on each side every other step.
+export function hexCone(from, toward, length) {
+  const toPoint = (p) => {
+    const c = offsetToCube(p.x, p.y);
+    return { px: 1.5 * c.x, py: Math.sqrt(3) * (c.z + c.x / 2) };
+  };
+  const origin = toPoint(from);
+  const aim = toPoint(toward);
+  const ax = aim.px - origin.px;
+  const ay = aim.py - origin.py;
+  const aimLength = Math.hypot(ax, ay);
+  if (aimLength === 0) return [];
+  return hexesInRadius(from, length).filter((p) => {
+    const { px, py } = toPoint(p);
+    const vx = px - origin.px;
+    const vy = py - origin.py;
+    const vLength = Math.hypot(vx, vy);
+    return vLength > 0 && (ax * vx + ay * vy) / (aimLength * vLength) >= Math.cos(Math.PI / 6) - 1e-9;
+  });
+}
+
+// Sight-blocking terrain and closed doors, as the blocksSight callback for hasLineOfSight.
+export function sightBlockerFor(terrain, objects) {
+  const doors = blockingObjectKeys(objects);
+  return (x, y) => doors.has(`${x},${y}`) || Boolean(terrainAt(x, y, terrain).blocksSight);
+}
+
+// A unit in concealing terrain cannot be picked out by ranged attacks from further than
+// CONCEALMENT_RANGE; area attacks still catch it.
+export function isConcealedFrom(terrain, target, from) {
+  return hexDistance(from, target) > CONCEALMENT_RANGE && Boolean(terrainAt(target.x, target.y, terrain).concealment);
+}
+
+// Cover against a ranged attack: the best `cover` of the target's hex and the hex in front of it on
+// the line from the attacker. Attacks from the next hex get none.
+export function coverFrom(terrain, target, from) {
+  if (hexDistance(from, target) <= 1) return 0;
+  return Math.max(...hexLine(from, target).slice(-2).map((p) => terrainAt(p.x, p.y, terrain).cover || 0));
+}
+
+// Why a weapon with `reach` (shared/combat.js weaponReach) cannot hit `target` from `from`, or null.
+// Sight blockers stop every shot; weapons that need line of fire are also stopped by units on the
+// hexes between (isOccupied(x, y)), while thrown and lobbed ones go over them.
+export function shotProblem(from, target, reach, blocksSight, isOccupied) {
+  const dist = hexDistance(from, target);
+  if (dist > reach.range) return `Out of range (range ${reach.range}).`;
+  if (dist < reach.minRange) return `Too close (minimum range ${reach.minRange}).`;
+  for (const p of hexLine(from, target).slice(1, -1)) {
+    if (blocksSight(p.x, p.y)) return `No line of fire: blocked at (${p.x},${p.y}).`;
+    if (reach.lineOfFire && isOccupied(p.x, p.y)) return `No line of fire: a unit is in the way at (${p.x},${p.y}).`;
+  }
+  return null;
+}
+
+// The hexes a charge from `from` crosses on the straight line to the hex next to `target`, or the
+// reason it cannot be made. isBlocked(x, y) marks hexes taken by units or closed doors.
+export function chargePath(from, target, terrain, isBlocked) {
+  const path = hexLine(from, target).slice(1, -1);
+  for (const p of path) {
+    const meta = terrainAt(p.x, p.y, terrain);
+    if (!meta.passable || meta.blocksCharge) return { path: null, problem: `${meta.label} at (${p.x},${p.y}) blocks the charge.` };
+    if (isBlocked(p.x, p.y)) return { path: null, problem: `The way is blocked at (${p.x},${p.y}).` };
+  }
+  return { path, problem: null };
+}
+
+export function hexesInRadius(center, radius) {
+  const out = [];
+  const c = offsetToCube(center.x, center.y);
+  for (let dx = -radius; dx <= radius; dx += 1) {
+    for (let dy = Math.max(-radius, -dx - radius); dy <= Math.min(radius, -dx + radius); dy += 1) {
+      out.push(cubeToOffset({ x: c.x + dx, y: c.y + dy, z: c.z - dx - dy }));
+    }
+  }
+  return out;
+}
+
 export function hexNeighbors(x, y) {
   const even = (x % 2) === 0;
   const dirsEven = [
@@ -256,7 +521,74 @@ export function hexWithinRange(start, range, inBounds, isBlocked) {
   return out;
 }
 
-export function findNearestPassableHex(startX, startY, terrainSeed = 0, isBlocked = null, maxRadius = 24) {
+// Cheapest route from start to goal (A* over hexNeighbors). stepCost(x, y) is the AP to enter a
+// hex, or null when it can't be entered; routes costing more than maxCost are never explored, which
+// also keeps the search finite on an unbounded map. Ties prefer the longer-settled partial route and
+// then the lower "x,y" key, so the same board always yields the same path.
+// Returns { path, cost } with path excluding start, or null when there is no route.
+export function findHexPath(start, goal, stepCost, maxCost) {
+  const key = (p) => `${p.x},${p.y}`;
+  const goalKey = key(goal);
+  const open = [{ x: start.x, y: start.y, g: 0, f: hexDistance(start, goal), from: null }];
+  const best = new Map([[key(start), 0]]);
+  const settled = new Map();
+
+  while (open.length) {
+    let bi = 0;
+    for (let i = 1; i < open.length; i += 1) {
+      const a = open[i];
+      const b = open[bi];
+      if (a.f < b.f || (a.f === b.f && (a.g > b.g || (a.g === b.g && key(a) < key(b))))) bi = i;
+    }
+    const cur = open.splice(bi, 1)[0];
+    const curKey = key(cur);
+    if (settled.has(curKey)) continue;
+    settled.set(curKey, cur);
+
+    if (curKey === goalKey) {
+      const path = [];
+      for (let node = cur; node.from; node = settled.get(node.from)) path.unshift({ x: node.x, y: node.y });
+      return { path, cost: cur.g };
+    }
+
+    for (const n of hexNeighbors(cur.x, cur.y)) {
+      const nKey = key(n);
+      if (settled.has(nKey)) continue;
+      const cost = stepCost(n.x, n.y);
+      if (cost === null || cost === undefined) continue;
+      const g = cur.g + cost;
+      if (g > maxCost || (best.has(nKey) && best.get(nKey) <= g)) continue;
+      best.set(nKey, g);
+      open.push({ x: n.x, y: n.y, g, f: g + hexDistance(n, goal), from: curKey });
+    }
+  }
+  return null;
+}
+
+// Every hex reachable from start for at most maxCost AP, as a Map of "x,y" -> cheapest cost.
+export function hexesWithinCost(start, maxCost, stepCost) {
+  const key = (p) => `${p.x},${p.y}`;
+  const costs = new Map([[key(start), 0]]);
+  const queue = [{ x: start.x, y: start.y, g: 0 }];
+  while (queue.length) {
+    queue.sort((a, b) => a.g - b.g);
+    const cur = queue.shift();
+    if (cur.g > costs.get(key(cur))) continue;
+    for (const n of hexNeighbors(cur.x, cur.y)) {
+      const cost = stepCost(n.x, n.y);
+      if (cost === null || cost === undefined) continue;
+      const g = cur.g + cost;
+      const nKey = key(n);
+      if (g > maxCost || (costs.has(nKey) && costs.get(nKey) <= g)) continue;
+      costs.set(nKey, g);
+      queue.push({ x: n.x, y: n.y, g });
+    }
+  }
+  costs.delete(key(start));
+  return costs;
+}
+
+export function findNearestPassableHex(startX, startY, terrain = 0, isBlocked = null, maxRadius = 24) {
   const sx = Math.floor(startX);
   const sy = Math.floor(startY);
   const queue = [{ x: sx, y: sy, dist: 0 }];
@@ -265,7 +597,7 @@ export function findNearestPassableHex(startX, startY, terrainSeed = 0, isBlocke
   while (queue.length) {
     const cur = queue.shift();
     const blocked = isBlocked ? Boolean(isBlocked(cur.x, cur.y)) : false;
-    if (!blocked && isTerrainPassable(cur.x, cur.y, terrainSeed)) return { x: cur.x, y: cur.y };
+    if (!blocked && isTerrainPassable(cur.x, cur.y, terrain)) return { x: cur.x, y: cur.y };
     if (cur.dist >= maxRadius) continue;
 
     for (const n of hexNeighbors(cur.x, cur.y)) {
@@ -287,86 +619,28 @@ export function firstLivingEnemy(game) {
   return livingEnemies(game)[0] || null;
 }
 
-function spawnScenarioOneEnemies(terrainSeed, occupiedKeys, anchor = { x: 1, y: 1 }) {
-  const desired = [
-    { x: anchor.x + 8, y: anchor.y + 0 },
-    { x: anchor.x - 8, y: anchor.y + 2 },
-    { x: anchor.x + 3, y: anchor.y + 8 },
-    { x: anchor.x - 2, y: anchor.y - 8 }
-  ];
-  const templates = [
-    {
-      name: "Rift Scavenger",
-      art: "RSC",
-      flavor: "A skittering hunter that drags bones into the dark.",
-      level: 1,
-      tier: "common",
-      attackPower: 1,
-      hp: 5,
-      maxHp: 5,
-      rewardXp: 8,
-      rewardGold: 3,
-      dropTable: [
-        { item: "herb", min: 1, max: 2, chance: 0.7 },
-        { item: "fang", min: 1, max: 1, chance: 0.45 }
-      ]
-    },
-    {
-      name: "Rift Stalker",
-      art: "RST",
-      flavor: "A warped predator that lunges from weak points in the veil.",
-      level: 2,
-      tier: "uncommon",
-      attackPower: 2,
-      hp: 8,
-      maxHp: 8,
-      rewardXp: 14,
-      rewardGold: 5,
-      dropTable: [
-        { item: "herb", min: 1, max: 2, chance: 0.5 },
-        { item: "fang", min: 1, max: 2, chance: 0.8 }
-      ]
-    },
-    {
-      name: "Veil Brute",
-      art: "VBT",
-      flavor: "A hulking shard-beast that smashes through cover.",
-      level: 3,
-      tier: "elite",
-      attackPower: 3,
-      hp: 12,
-      maxHp: 12,
-      rewardXp: 22,
-      rewardGold: 9,
-      dropTable: [
-        { item: "fang", min: 1, max: 2, chance: 0.9 },
-        { item: "essence", min: 1, max: 1, chance: 0.45 }
-      ]
-    },
-    {
-      name: "Abyss Warden",
-      art: "AWD",
-      flavor: "A sentry that channels volatile rift energy.",
-      level: 4,
-      tier: "rare",
-      attackPower: 4,
-      hp: 16,
-      maxHp: 16,
-      rewardXp: 30,
-      rewardGold: 13,
-      dropTable: [
-        { item: "essence", min: 1, max: 2, chance: 0.85 },
-        { item: "herb", min: 1, max: 2, chance: 0.5 }
-      ]
-    }
-  ];
+// Places the opening enemies, cycling through the given templates (the server passes the ones
+// its content packs list as `openingEnemies`). On a map they are spread over its spawn hexes in
+// order; open boards place them around the first hero.
+function spawnOpeningEnemies(terrain, occupiedKeys, templates, anchor = { x: 1, y: 1 }) {
+  const spawns = terrain.map?.spawns || [];
+  const desired = spawns.length
+    ? [0, 1, 2, 3].map((i) => spawns[Math.floor((i * spawns.length) / 4)])
+    : [
+        { x: anchor.x + 8, y: anchor.y + 0 },
+        { x: anchor.x - 8, y: anchor.y + 2 },
+        { x: anchor.x + 3, y: anchor.y + 8 },
+        { x: anchor.x - 2, y: anchor.y - 8 }
+      ];
+  if (!templates?.length) return [];
 
   return desired.map((p, idx) => {
-    const spawn = findNearestPassableHex(p.x, p.y, terrainSeed, (x, y) => occupiedKeys.has(`${x},${y}`), 28);
+    const spawn = findNearestPassableHex(p.x, p.y, terrain, (x, y) => occupiedKeys.has(`${x},${y}`), 28);
     occupiedKeys.add(`${spawn.x},${spawn.y}`);
     const tmpl = templates[idx % templates.length];
     return {
       id: `enemy-${idx + 1}`,
+      templateId: tmpl.id,
       name: tmpl.name,
       art: tmpl.art,
       flavor: tmpl.flavor,
@@ -376,28 +650,42 @@ function spawnScenarioOneEnemies(terrainSeed, occupiedKeys, anchor = { x: 1, y:
       x: spawn.x,
       y: spawn.y,
       hp: tmpl.hp,
-      maxHp: tmpl.maxHp,
+      maxHp: tmpl.hp,
       rewardXp: tmpl.rewardXp,
       rewardGold: tmpl.rewardGold,
-      dropTable: tmpl.dropTable
+      dropTable: tmpl.dropTable.map((entry) => ({ ...entry })),
+      onHit: tmpl.onHit ? { ...tmpl.onHit } : null,
+      behavior: tmpl.behavior || DEFAULT_ENEMY_BEHAVIOR,
+      moveAp: tmpl.moveAp ?? DEFAULT_ENEMY_MOVE_AP,
+      attackRange: tmpl.attackRange ?? null,
+      heal: tmpl.heal ?? 0,
+      speed: tmpl.speed ?? DEFAULT_SPEED,
+      defense: tmpl.defense ?? BASE_DEFENSE,
+      accuracy: tmpl.accuracy ?? enemyAccuracy(tmpl.level),
+      damageDice: tmpl.damageDice ?? ENEMY_DICE,
+      post: { x: spawn.x, y: spawn.y },
+      statuses: []
     };
   });
 }
 
-export function makeInitialGameState(firstPlayerId) {
-  const terrainSeed = Math.floor(Math.random() * 0x7fffffff);
+// `options.map` is the board map (shared/maps.js); without one the board is open terrain.
+export function makeInitialGameState(firstPlayerId, options = {}) {
+  const terrainSeed = Number.isFinite(options.terrainSeed)
+    ? Math.floor(options.terrainSeed)
+    : Math.floor(Math.random() * 0x7fffffff);
+  const map = options.map || null;
+  const terrain = { seed: terrainSeed, theme: "frostwild-frontier", ...(map ? { map } : {}), changes: {} };
   const occupied = new Set();
-  const heroSpawn = findNearestPassableHex(1, 1, terrainSeed, (x, y) => occupied.has(`${x},${y}`), 24);
+  const start = map?.entrances[0] || { x: 1, y: 1 };
+  const heroSpawn = findNearestPassableHex(start.x, start.y, terrain, (x, y) => occupied.has(`${x},${y}`), 24);
   occupied.add(`${heroSpawn.x},${heroSpawn.y}`);
-  const enemies = spawnScenarioOneEnemies(terrainSeed, occupied, heroSpawn);
+  const enemies = spawnOpeningEnemies(terrain, occupied, options.enemyTemplates, heroSpawn);
 
   return {
     v: 1,
-    grid: { w: 10, h: 7 },
-    terrain: {
-      seed: terrainSeed,
-      theme: "frostwild-frontier"
-    },
+    grid: map ? { w: map.width, h: map.height } : { w: 10, h: 7 },
+    terrain,
     scenario: {
       id: "scenario-1",
       title: "Scenario 1: Rift Breach",
@@ -427,13 +715,13 @@ export function makeInitialGameState(firstPlayerId) {
     },
     enemies,
     rules: {
-      moveRange: 1,
       attackRange: 1,
       spellRange: 3,
       spellApCost: 2,
       heroDamage: 2,
       enemyDamage: 1,
-      actionPointsPerTurn: 4
+      actionPointsPerTurn: 4,
+      visionRadius: 4
     },
     log: []
   };
@@ -449,9 +737,12 @@ export function ensurePlayerInTurnOrder(game, playerId) {
 
 export function spawnHeroForPlayer(game, playerId, seatIndex = 0, options = {}) {
   if (game.heroes[playerId]) return game.heroes[playerId];
-  const terrainSeed = game?.terrain?.seed ?? 0;
-  const desiredX = 1 + Math.floor(seatIndex / 2) * 2;
-  const desiredY = 1 + (seatIndex % 2) * 3;
+  const boardTerrain = game?.terrain ?? 0;
+  // Heroes come in through the map's entrances, one per seat.
+  const entrances = boardTerrain.map?.entrances || [];
+  const entrance = entrances[seatIndex % Math.max(1, entrances.length)];
+  const desiredX = entrance ? entrance.x : 1 + Math.floor(seatIndex / 2) * 2;
+  const desiredY = entrance ? entrance.y : 1 + (seatIndex % 2) * 3;
   const occupied = new Set(
     Object.values(game.heroes)
       .filter((h) => h.hp > 0)
@@ -460,7 +751,8 @@ export function spawnHeroForPlayer(game, playerId, seatIndex = 0, options = {})
   for (const enemy of game.enemies || []) {
     if (enemy?.hp > 0) occupied.add(`${enemy.x},${enemy.y}`);
   }
-  const spawn = findNearestPassableHex(desiredX, desiredY, terrainSeed, (x, y) => occupied.has(`${x},${y}`), 40);
+  for (const k of blockingObjectKeys(game.objects)) occupied.add(k);
+  const spawn = findNearestPassableHex(desiredX, desiredY, boardTerrain, (x, y) => occupied.has(`${x},${y}`), 40);
 
   game.heroes[playerId] = {
     id: `hero-${playerId}`,
@@ -474,25 +766,8 @@ export function spawnHeroForPlayer(game, playerId, seatIndex = 0, options = {})
   return game.heroes[playerId];
 }
 
-export function nextActivePlayer(game) {
-  if (!game.turn.order.length) return null;
-  const n = game.turn.order.length;
-  for (let step = 1; step <= n; step++) {
-    const idx = (game.turn.activeIndex + step) % n;
-    const pid = game.turn.order[idx];
-    if (isHeroAlive(game.heroes[pid])) {
-      game.turn.activeIndex = idx;
-      game.turn.activePlayerId = pid;
-      resetTurnAP(game);
-      return pid;
-    }
-  }
-  game.turn.activePlayerId = null;
-  return null;
-}
-
 export function resetTurnAP(game) {
   const ap = game?.rules?.actionPointsPerTurn ?? game?.turn?.apMax ?? 2;
   game.turn.apMax = ap;
-  game.turn.apRemaining = ap;
+  game.turn.apRemaining = turnApFor(game.heroes?.[game.turn.activePlayerId], ap);
 }
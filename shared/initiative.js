@@ -0,0 +1,20 @@
+// Initiative: at the start of every round each hero and enemy rolls its speed plus one die, and
+// they take their turns in that order, highest first. The server keeps the order
+// (server/games/initiative.js); the table shows it as the initiative tracker.
+
+export const InitiativeKind = Object.freeze({
+  HERO: "hero",
+  ENEMY: "enemy"
+});
+
+// Speed of a class, enemy or boss that does not give one.
+export const DEFAULT_SPEED = 3;
+export const INITIATIVE_DIE = 6;
+
+// Ties go to the faster unit, then to heroes; the sort keeps listing order after that.
+export function compareInitiative(a, b) {
+  if (a.total !== b.total) return b.total - a.total;
+  if (a.speed !== b.speed) return b.speed - a.speed;
+  if (a.kind !== b.kind) return a.kind === InitiativeKind.HERO ? -1 : 1;
+  return 0;
+}
@@ -0,0 +1,92 @@
+import { hexDistance } from "./game.js";
+import { SpellShape, spellAimProblem } from "./spells.js";
+import { statusById } from "./status.js";
+
+// Usable items. An inventory item with a `use` (content packs) is spent by USE_ITEM for one effect:
+//   heal     - restores `amount` HP to a hero
+//   cure     - removes the statuses in `cures` from a hero (every harmful one when left out)
+//   buff     - puts its `status` on a hero
+//   throw    - hits every unit within `radius` of the target hex for `amount`, with its `status`
+//   teleport - moves the user to the target hex
+//   reveal   - shows the party every hex within `radius` of the target hex, hidden traps included
+// Shared so the phone can aim thrown items and scrolls the same way the server checks them.
+
+export const ItemEffect = Object.freeze({
+  HEAL: "heal",
+  CURE: "cure",
+  BUFF: "buff",
+  THROW: "throw",
+  TELEPORT: "teleport",
+  REVEAL: "reveal"
+});
+
+// "self" is the user, "ally" the user or a hero within range, "hex" a hex within range.
+export const ItemTarget = Object.freeze({
+  SELF: "self",
+  ALLY: "ally",
+  HEX: "hex"
+});
+
+// The targets each effect can take: heals, cures and buffs go on heroes, the rest are aimed.
+export const EFFECT_TARGETS = Object.freeze({
+  [ItemEffect.HEAL]: Object.freeze([ItemTarget.SELF, ItemTarget.ALLY]),
+  [ItemEffect.CURE]: Object.freeze([ItemTarget.SELF, ItemTarget.ALLY]),
+  [ItemEffect.BUFF]: Object.freeze([ItemTarget.SELF, ItemTarget.ALLY]),
+  [ItemEffect.THROW]: Object.freeze([ItemTarget.HEX]),
+  [ItemEffect.TELEPORT]: Object.freeze([ItemTarget.HEX]),
+  [ItemEffect.REVEAL]: Object.freeze([ItemTarget.HEX])
+});
+
+// A content item's `use` with the defaults filled in: 1 AP, range 1 for allies and 3 for hexes.
+export function itemUseStats(use) {
+  const target = use.target;
+  return {
+    effect: use.effect,
+    target,
+    apCost: use.apCost ?? 1,
+    range: target === ItemTarget.SELF ? 0 : use.range ?? (target === ItemTarget.ALLY ? 1 : 3),
+    amount: use.amount || 0,
+    radius: use.radius || 0,
+    status: use.status || null,
+    cures: use.cures || null,
+    friendlyFire: Boolean(use.friendlyFire)
+  };
+}
+
+// The item's area in the shape the spell helpers (shared/spells.js) take.
+export function itemArea(stats) {
+  return { area: { shape: SpellShape.RADIUS, size: stats.radius }, friendlyFire: stats.friendlyFire };
+}
+
+// Why the user cannot aim the item at the hex, or null. A reveal reaches over walls; everything
+// else needs line of sight, and a teleport has to go somewhere.
+export function itemAimProblem(stats, user, target, blocksSight) {
+  if (stats.effect === ItemEffect.REVEAL) return hexDistance(user, target) > stats.range ? `Target is out of range (range ${stats.range}).` : null;
+  if (stats.effect === ItemEffect.TELEPORT && hexDistance(user, target) === 0) return "Pick a hex away from your hero.";
+  return spellAimProblem(itemArea(stats), user, target, stats.range, blocksSight);
+}
+
+// "Heals 6 HP (you or a hero within 1)." for the phone.
+export function describeItemUse(stats) {
+  const who = stats.target === ItemTarget.ALLY ? ` (you or a hero within ${stats.range})` : "";
+  const status = statusById(stats.status?.id);
+  const area = stats.radius ? ` within ${stats.radius} of a hex` : "";
+  switch (stats.effect) {
+    case ItemEffect.HEAL:
+      return `Heals ${stats.amount} HP${who}.`;
+    case ItemEffect.CURE: {
+      const cured = stats.cures ? stats.cures.map((id) => statusById(id)?.label || id).join(", ") : "harmful effects";
+      return `Cures ${cured}${who}.`;
+    }
+    case ItemEffect.BUFF:
+      return `Gives ${status?.label || "a boon"} for ${stats.status?.turns || 1} turns${who}.`;
+    case ItemEffect.THROW:
+      return `Deals ${stats.amount} damage${status ? ` and ${status.label.toLowerCase()}` : ""} to units${area || " on a hex"} up to ${stats.range} away.`;
+    case ItemEffect.TELEPORT:
+      return `Teleports you to a hex you can see up to ${stats.range} away.`;
+    case ItemEffect.REVEAL:
+      return `Reveals the map${area} up to ${stats.range} away.`;
+    default:
+      return "";
+  }
+}
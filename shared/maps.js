@@ -0,0 +1,57 @@
+import { TERRAIN_BY_TILE, TERRAIN_META } from "./game.js";
+
+// Board maps: the bounded rooms and corridors a dungeon encounter is played on. Shared so the
+// table and phones draw the same walls the server enforces. On the board a map is
+//   { id, name, width, height, rows, entrances, spawns, exits }
+// where `rows` are strings of terrain tiles (TERRAIN_META[*].tile), one character per hex, with
+// the row index as y and the character index as x. Hand-built maps (content-pack `maps`) use the
+// same rows plus markers, each standing on stone floor:
+//   E - entrance; heroes come in at these, the first one first
+//   S - enemy spawn hex; enemies take them in reading order
+//   X - exit
+
+export const MapMarker = Object.freeze({
+  ENTRANCE: "E",
+  SPAWN: "S",
+  EXIT: "X"
+});
+
+export const MAP_MAX_SIZE = 64;
+
+const MARKER_LISTS = Object.freeze({
+  [MapMarker.ENTRANCE]: "entrances",
+  [MapMarker.SPAWN]: "spawns",
+  [MapMarker.EXIT]: "exits"
+});
+
+// What is wrong with a map's rows, as a list of problems (empty when the map can be played).
+export function mapProblems(rows) {
+  if (!Array.isArray(rows) || !rows.length || rows.some((row) => typeof row !== "string" || !row.length)) {
+    return ["rows must be a non-empty list of non-empty strings"];
+  }
+  const problems = [];
+  const width = rows[0].length;
+  if (rows.some((row) => row.length !== width)) problems.push("rows must all have the same length");
+  if (width > MAP_MAX_SIZE || rows.length > MAP_MAX_SIZE) problems.push(`maps are at most ${MAP_MAX_SIZE} hexes each way`);
+  const unknown = new Set([...rows.join("")].filter((ch) => !TERRAIN_BY_TILE[ch] && !MARKER_LISTS[ch]));
+  if (unknown.size) problems.push(`rows use unknown tiles ${[...unknown].map((ch) => JSON.stringify(ch)).join(", ")}`);
+  if (!rows.some((row) => row.includes(MapMarker.ENTRANCE))) problems.push(`rows need at least one entrance (${MapMarker.ENTRANCE})`);
+  return problems;
+}
+
+// Turns hand-built rows into a board map: markers become stone floor and are listed by position.
+export function parseMap(id, { name, rows }) {
+  const map = { id, name: name || id, width: rows[0].length, height: rows.length, rows: [], entrances: [], spawns: [], exits: [] };
+  rows.forEach((row, y) => {
+    map.rows.push(
+      [...row]
+        .map((ch, x) => {
+          if (!MARKER_LISTS[ch]) return ch;
+          map[MARKER_LISTS[ch]].push({ x, y });
+          return TERRAIN_META.floor.tile;
+        })
+        .join("")
+    );
+  });
+  return map;
+}
@@ -0,0 +1,91 @@
+// Map objects on the dungeon board: doors, chests, levers, traps and crafting stations. Shared so
+// both clients can draw them and price moves around closed doors the same way the server does.
+// Each object is `{ id, type, name, x, y }` plus the state its type uses:
+//   door  - open, locked (a locked door only moves when a lever pulls it)
+//   chest - lootTable, opened
+//   lever - targets (object ids it toggles), pulled
+//   trap  - damage, status?, hidden, armed (hidden traps are never sent to clients)
+//   station - station (a CRAFTING_STATIONS kind)
+
+export const ObjectType = Object.freeze({
+  DOOR: "door",
+  CHEST: "chest",
+  LEVER: "lever",
+  TRAP: "trap",
+  STATION: "station"
+});
+
+export const OBJECT_META = Object.freeze({
+  [ObjectType.DOOR]: Object.freeze({ label: "Door", icon: "🚪" }),
+  [ObjectType.CHEST]: Object.freeze({ label: "Chest", icon: "🧰" }),
+  [ObjectType.LEVER]: Object.freeze({ label: "Lever", icon: "🕹" }),
+  [ObjectType.TRAP]: Object.freeze({ label: "Trap", icon: "⚠" }),
+  [ObjectType.STATION]: Object.freeze({ label: "Crafting Station", icon: "⚒" })
+});
+
+// Recipes that name a station can only be crafted by a hero standing next to one of its kind.
+export const CRAFTING_STATIONS = Object.freeze({
+  forge: Object.freeze({ label: "Forge" }),
+  alchemy: Object.freeze({ label: "Alchemy Bench" }),
+  scribe: Object.freeze({ label: "Scribe's Desk" })
+});
+
+// A hero must stand on or next to an object to interact with it.
+export const INTERACT_RANGE = 1;
+
+// Closed doors block movement and sight; everything else can be walked over.
+export function objectBlocks(obj) {
+  return obj?.type === ObjectType.DOOR && !obj.open;
+}
+
+export function blockingObjectKeys(objects) {
+  return new Set((objects || []).filter(objectBlocks).map((obj) => `${obj.x},${obj.y}`));
+}
+
+// Hexes a hero's route goes around: closed doors and armed traps the party knows about.
+// Clients are only ever sent traps that have been found.
+export function routeBlockingKeys(objects) {
+  const keys = blockingObjectKeys(objects);
+  for (const obj of objects || []) {
+    if (obj.type === ObjectType.TRAP && obj.armed && !obj.hidden) keys.add(`${obj.x},${obj.y}`);
+  }
+  return keys;
+}
+
+export function objectAt(objects, x, y) {
+  return (objects || []).find((obj) => obj.x === x && obj.y === y) || null;
+}
+
+// What INTERACT would do to the object, or null when there is nothing to do with it.
+export function interactVerb(obj) {
+  switch (obj?.type) {
+    case ObjectType.DOOR:
+      return obj.locked ? null : obj.open ? "Close" : "Open";
+    case ObjectType.CHEST:
+      return obj.opened ? null : "Open";
+    case ObjectType.LEVER:
+      return "Pull";
+    case ObjectType.TRAP:
+      return obj.armed ? "Disarm" : null;
+    default:
+      return null;
+  }
+}
+
+export function describeObject(obj) {
+  const name = obj?.name || OBJECT_META[obj?.type]?.label || "Object";
+  switch (obj?.type) {
+    case ObjectType.DOOR:
+      return `${name} (${obj.open ? "open" : "closed"}${obj.locked ? ", locked" : ""})`;
+    case ObjectType.CHEST:
+      return `${name}${obj.opened ? " (looted)" : ""}`;
+    case ObjectType.LEVER:
+      return `${name} (${obj.pulled ? "pulled" : "up"})`;
+    case ObjectType.TRAP:
+      return `${name} (${obj.armed ? `armed, ${obj.damage} damage` : "disarmed"})`;
+    case ObjectType.STATION:
+      return `${name} (${CRAFTING_STATIONS[obj.station]?.label || "crafting"})`;
+    default:
+      return name;
+  }
+}
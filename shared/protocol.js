@@ -10,6 +10,8 @@ export const MsgType = Object.freeze({
   CAMPAIGN_LIST: "CAMPAIGN_LIST",
   CAMPAIGN_SELECT: "CAMPAIGN_SELECT",
   CAMPAIGN_DELETE: "CAMPAIGN_DELETE",
+  SCENARIO_EMBARK: "SCENARIO_EMBARK",
+  SCENARIO_SAVE: "SCENARIO_SAVE",
   SESSION_INFO: "SESSION_INFO",
   STATE_PUBLIC: "STATE_PUBLIC",
   STATE_PRIVATE: "STATE_PRIVATE"
@@ -0,0 +1,34 @@
+// Reactions: what a unit does outside its own turn. Leaving the hex next to a hostile unit provokes
+// a free opportunity attack from it (one per unit between its own turns). On their turn heroes may also spend AP
+// to hold one of the reactions below until their next turn; when it could fire during an enemy's
+// turn the server pauses and asks the hero's phone, which has REACTION_WINDOW_MS to answer.
+
+export const ReactionType = Object.freeze({
+  OVERWATCH: "overwatch",
+  PARRY: "parry",
+  GUARD: "guard"
+});
+
+export const REACTION_META = Object.freeze({
+  [ReactionType.OVERWATCH]: Object.freeze({
+    label: "Overwatch",
+    apCost: 2,
+    description: "Strike an enemy with your weapon as it comes within reach."
+  }),
+  [ReactionType.PARRY]: Object.freeze({
+    label: "Parry",
+    apCost: 1,
+    description: "Turn aside an enemy attack aimed at you."
+  }),
+  [ReactionType.GUARD]: Object.freeze({
+    label: "Guard ally",
+    apCost: 1,
+    description: "Take an enemy attack aimed at the ally you guard while you stand next to them."
+  })
+});
+
+export const REACTION_WINDOW_MS = 10000;
+
+export function reactionMeta(type) {
+  return REACTION_META[type] || null;
+}
@@ -0,0 +1,184 @@
+import { ObjectType } from "./objects.js";
+
+// Scenario definitions shared by the server (which sets up and judges encounters) and the
+// clients (which describe objectives). Offsets are relative to the first hero's spawn hex.
+
+export const ObjectiveType = Object.freeze({
+  ENDLESS: "endless",
+  DEFEAT_COUNT: "defeat_count",
+  DEFEAT_BOSS: "defeat_boss",
+  SURVIVE_ROUNDS: "survive_rounds",
+  REACH_EXIT: "reach_exit",
+  ESCORT: "escort"
+});
+
+export const ScenarioStatus = Object.freeze({
+  ACTIVE: "active",
+  VICTORY: "victory",
+  DEFEAT: "defeat"
+});
+
+export const ScenarioNodeStatus = Object.freeze({
+  LOCKED: "locked",
+  CLOSED: "closed",
+  AVAILABLE: "available",
+  COMPLETED: "completed"
+});
+
+// `unlock` lists what must be true before a scenario can be embarked on: every scenario in
+// `completed`, at least one in `completedAny`, every campaign flag in `flags` and none in
+// `notFlags`. A victory adds the scenario's `grantsFlags` to the campaign. `map` places the node
+// on the table's route map (percent of the map area). `layout` is the board it is played on: a
+// content-pack map (`mapId`), map rows of its own (`map: { name, rows }`, in the content-pack
+// format) or one generated from the encounter seed (`generate`, see server/games/maps.js). `objects` places map objects (shared/objects.js) at offsets from the first
+// hero's spawn; chests name a content-pack loot table and stations a crafting station kind. Exit
+// objectives use the map's exit, or `exitOffset` from the first hero's spawn on a board without one.
+export const SCENARIOS = Object.freeze({
+  "scenario-1": Object.freeze({
+    id: "scenario-1",
+    title: "Scenario 1: Rift Breach",
+    name: "Rift Breach",
+    chapter: "Opening",
+    teaser: "A fresh breach is bleeding hostile energy into the frontier.",
+    intel: "Fast skirmishes, unstable terrain, and roaming rift spawn.",
+    difficulty: "Low",
+    estDuration: "20-30 min",
+    rewardHint: "Unlocks the first campaign split.",
+    map: Object.freeze({ x: 18, y: 52 }),
+    unlock: Object.freeze({}),
+    grantsFlags: Object.freeze([]),
+    layout: Object.freeze({ generate: Object.freeze({ width: 28, height: 18, rooms: 6 }) }),
+    objective: Object.freeze({ type: ObjectiveType.DEFEAT_COUNT, targetCount: 4 }),
+    objects: Object.freeze([
+      Object.freeze({ id: "chest-1", type: ObjectType.CHEST, name: "Supply Cache", offset: Object.freeze({ x: 2, y: 3 }), lootTable: "rift_cache" }),
+      Object.freeze({ id: "trap-1", type: ObjectType.TRAP, name: "Rift Snare", offset: Object.freeze({ x: 4, y: 1 }), damage: 2 }),
+      Object.freeze({ id: "station-1", type: ObjectType.STATION, name: "Field Still", offset: Object.freeze({ x: 1, y: -2 }), station: "alchemy" })
+    ])
+  }),
+  "scenario-2a": Object.freeze({
+    id: "scenario-2a",
+    title: "Scenario 2A: Ironroot Hollow",
+    name: "Ironroot Hollow",
+    chapter: "Branch A",
+    teaser: "Track corrupted growth through choking caverns.",
+    intel: "Opens after Rift Breach. Clearing it closes the Shatterline Convoy route.",
+    difficulty: "Medium",
+    estDuration: "25-35 min",
+    rewardHint: "Potential ally route.",
+    map: Object.freeze({ x: 50, y: 24 }),
+    unlock: Object.freeze({ completed: Object.freeze(["scenario-1"]), notFlags: Object.freeze(["route_convoy"]) }),
+    grantsFlags: Object.freeze(["route_ironroot"]),
+    layout: Object.freeze({ mapId: "ironroot_hollow" }),
+    objective: Object.freeze({ type: ObjectiveType.REACH_EXIT }),
+    objects: Object.freeze([
+      Object.freeze({ id: "door-1", type: ObjectType.DOOR, name: "Root Gate", offset: Object.freeze({ x: 15, y: 1 }), locked: true }),
+      Object.freeze({ id: "lever-1", type: ObjectType.LEVER, name: "Root Winch", offset: Object.freeze({ x: 9, y: 3 }), targets: Object.freeze(["door-1"]) }),
+      Object.freeze({ id: "chest-1", type: ObjectType.CHEST, name: "Hollow Cache", offset: Object.freeze({ x: 20, y: 3 }), lootTable: "hollow_cache" }),
+      Object.freeze({
+        id: "trap-1",
+        type: ObjectType.TRAP,
+        name: "Thorn Pit",
+        offset: Object.freeze({ x: 6, y: 0 }),
+        damage: 2,
+        status: Object.freeze({ id: "slow", turns: 2 })
+      }),
+      Object.freeze({ id: "station-1", type: ObjectType.STATION, name: "Root Forge", offset: Object.freeze({ x: 11, y: 2 }), station: "forge" })
+    ])
+  }),
+  "scenario-2b": Object.freeze({
+    id: "scenario-2b",
+    title: "Scenario 2B: Shatterline Convoy",
+    name: "Shatterline Convoy",
+    chapter: "Branch B",
+    teaser: "Escort survivors through artillery-scarred roads.",
+    intel: "Opens after Rift Breach. Clearing it closes the Ironroot Hollow route.",
+    difficulty: "Medium",
+    estDuration: "25-35 min",
+    rewardHint: "Resource cache route.",
+    map: Object.freeze({ x: 50, y: 80 }),
+    unlock: Object.freeze({ completed: Object.freeze(["scenario-1"]), notFlags: Object.freeze(["route_ironroot"]) }),
+    grantsFlags: Object.freeze(["route_convoy"]),
+    layout: Object.freeze({ generate: Object.freeze({ width: 24, height: 14, rooms: 5 }) }),
+    objective: Object.freeze({
+      type: ObjectiveType.ESCORT,
+      escort: Object.freeze({ name: "Convoy Survivor", hp: 8, moveAp: 2 })
+    }),
+    objects: Object.freeze([
+      Object.freeze({ id: "chest-1", type: ObjectType.CHEST, name: "Convoy Crate", offset: Object.freeze({ x: 4, y: -3 }), lootTable: "convoy_crate" }),
+      Object.freeze({
+        id: "trap-1",
+        type: ObjectType.TRAP,
+        name: "Buried Charge",
+        offset: Object.freeze({ x: 5, y: -1 }),
+        damage: 3,
+        status: Object.freeze({ id: "burn", turns: 2 })
+      }),
+      Object.freeze({ id: "station-1", type: ObjectType.STATION, name: "Convoy Forge", offset: Object.freeze({ x: 2, y: 2 }), station: "forge" })
+    ])
+  }),
+  "scenario-3": Object.freeze({
+    id: "scenario-3",
+    title: "Scenario 3: Citadel Threshold",
+    name: "Citadel Threshold",
+    chapter: "Convergence",
+    teaser: "Face the breach command node once paths reconverge.",
+    intel: "Requires one branch completion from Chapter 2.",
+    difficulty: "High",
+    estDuration: "35-45 min",
+    rewardHint: "Chapter clear unlock.",
+    map: Object.freeze({ x: 82, y: 52 }),
+    unlock: Object.freeze({ completedAny: Object.freeze(["scenario-2a", "scenario-2b"]) }),
+    grantsFlags: Object.freeze(["chapter_1_clear"]),
+    layout: Object.freeze({ mapId: "citadel_threshold" }),
+    objective: Object.freeze({ type: ObjectiveType.DEFEAT_BOSS, bossEnemyId: "enemy-4", bossId: "breach_overseer" }),
+    objects: Object.freeze([
+      Object.freeze({ id: "door-1", type: ObjectType.DOOR, name: "Citadel Door", offset: Object.freeze({ x: 5, y: 1 }) }),
+      Object.freeze({ id: "door-2", type: ObjectType.DOOR, name: "Vault Door", offset: Object.freeze({ x: 14, y: -3 }), locked: true }),
+      Object.freeze({ id: "lever-1", type: ObjectType.LEVER, name: "Vault Lever", offset: Object.freeze({ x: 7, y: -3 }), targets: Object.freeze(["door-2", "trap-1"]) }),
+      Object.freeze({ id: "chest-1", type: ObjectType.CHEST, name: "Citadel Vault", offset: Object.freeze({ x: 17, y: -5 }), lootTable: "citadel_vault" }),
+      Object.freeze({ id: "trap-1", type: ObjectType.TRAP, name: "Warding Glyph", offset: Object.freeze({ x: 13, y: 3 }), damage: 4 }),
+      Object.freeze({ id: "station-1", type: ObjectType.STATION, name: "Archive Desk", offset: Object.freeze({ x: 3, y: -2 }), station: "scribe" })
+    ])
+  })
+});
+
+export const DEFAULT_SCENARIO_ID = "scenario-1";
+
+// Scenarios authored in the table's editor. The server adds them from its scenario store at
+// startup and on every save (server/scenario-store.js); they are looked up like the built-in ones.
+const CUSTOM_SCENARIOS = new Map();
+
+export function registerScenario(def) {
+  CUSTOM_SCENARIOS.set(def.id, def);
+}
+
+export function allScenarios() {
+  return [...Object.values(SCENARIOS), ...CUSTOM_SCENARIOS.values()];
+}
+
+export function findScenario(id) {
+  return SCENARIOS[id] || CUSTOM_SCENARIOS.get(id) || null;
+}
+
+export function scenarioById(id) {
+  return findScenario(id) || SCENARIOS[DEFAULT_SCENARIO_ID];
+}
+
+// One-line description of an objective and its progress, for tables and phones.
+export function describeObjective(scenario) {
+  const objective = scenario?.objective || {};
+  switch (objective.type) {
+    case ObjectiveType.DEFEAT_COUNT:
+      return `Defeat ${objective.targetCount} monsters (${Math.min(scenario.defeatedCount || 0, objective.targetCount)}/${objective.targetCount}).`;
+    case ObjectiveType.DEFEAT_BOSS:
+      return "Defeat the boss.";
+    case ObjectiveType.SURVIVE_ROUNDS:
+      return `Survive ${objective.rounds} rounds (round ${Math.min(scenario.round || 1, objective.rounds)}/${objective.rounds}).`;
+    case ObjectiveType.REACH_EXIT:
+      return objective.exit ? `Reach the exit at (${objective.exit.x},${objective.exit.y}).` : "Reach the exit.";
+    case ObjectiveType.ESCORT:
+      return objective.exit ? `Escort the survivor to (${objective.exit.x},${objective.exit.y}).` : "Escort the survivor to the exit.";
+    default:
+      return "Hold the line.";
+  }
+}
@@ -0,0 +1,60 @@
+import { hasLineOfSight, hexCone, hexDistance, hexRay, hexesInRadius } from "./game.js";
+
+// Spell areas. A spell without an `area` hits one enemy; a spell with one is aimed at a hex and
+// hits every unit in the shape it makes there. Shared so the phone can preview exactly the hexes
+// the server will hit.
+//   radius - every hex within `size` of the target hex it can see
+//   line   - `size` hexes from the caster through the target hex, stopped by whatever blocks sight
+//   cone   - hexes within `size` of the caster in a 60-degree wedge towards the target hex
+
+export const SpellShape = Object.freeze({
+  RADIUS: "radius",
+  LINE: "line",
+  CONE: "cone"
+});
+
+export const SPELL_SHAPE_LABELS = Object.freeze({
+  [SpellShape.RADIUS]: "Burst",
+  [SpellShape.LINE]: "Line",
+  [SpellShape.CONE]: "Cone"
+});
+
+export function spellTargetsHex(spell) {
+  return Boolean(spell?.area);
+}
+
+// Why the caster cannot aim the spell at the hex, or null when it can. Bursts may be centered on
+// the caster; lines and cones need a direction.
+export function spellAimProblem(spell, caster, target, range, blocksSight) {
+  const dist = hexDistance(caster, target);
+  if (dist > range) return `Target is out of range (range ${range}).`;
+  if (dist === 0 && spell.area.shape !== SpellShape.RADIUS) return "Aim away from your hero.";
+  if (!hasLineOfSight(caster, target, blocksSight)) return "No line of sight to that hex.";
+  return null;
+}
+
+// Hexes the spell hits when aimed at the target hex, as { x, y } in a stable order.
+export function spellAreaHexes(spell, caster, target, blocksSight = () => false) {
+  const { shape, size } = spell.area;
+  switch (shape) {
+    case SpellShape.RADIUS:
+      return hexesInRadius(target, size).filter((p) => hasLineOfSight(target, p, blocksSight));
+    case SpellShape.LINE: {
+      const out = [];
+      for (const p of hexRay(caster, target, size)) {
+        if (blocksSight(p.x, p.y)) break;
+        out.push(p);
+      }
+      return out;
+    }
+    case SpellShape.CONE:
+      return hexCone(caster, target, size).filter((p) => hasLineOfSight(caster, p, blocksSight));
+    default:
+      return [{ x: target.x, y: target.y }];
+  }
+}
+
+// The terrain the spell leaves on a hex of the given terrain, or null when it leaves it alone.
+export function spellTerrainChange(spell, terrainId) {
+  return (spell?.terrain || []).find((rule) => rule.from === terrainId)?.to || null;
+}
@@ -0,0 +1,135 @@
+// Status effects that can sit on heroes and enemies. Shared so the phone can price moves the
+// same way the server does and both clients can label and draw the effects.
+//   stacking: "intensity" - stacks add up (to maxStacks), duration keeps the longer one
+//             "refresh"   - one stack, duration keeps the longer one
+//             "pool"      - stacks are points of absorption that add up (to maxStacks)
+// Each unit carries `statuses: [{ id, turns, stacks }]`; `turns` counts the unit's own turns left.
+// Modifiers: stun takes the unit's AP, slow raises its move cost, weaken and empower change the
+// damage it deals and shield soaks up damage it takes.
+
+export const StatusId = Object.freeze({
+  POISON: "poison",
+  STUN: "stun",
+  BURN: "burn",
+  SHIELD: "shield",
+  SLOW: "slow",
+  WEAKEN: "weaken",
+  EMPOWER: "empower"
+});
+
+export const STATUS_EFFECTS = Object.freeze({
+  [StatusId.POISON]: Object.freeze({
+    id: StatusId.POISON,
+    label: "Poison",
+    icon: "☠",
+    harmful: true,
+    stacking: "intensity",
+    maxStacks: 5,
+    damagePerStack: 1,
+    description: "Loses 1 HP per stack at the end of each turn."
+  }),
+  [StatusId.BURN]: Object.freeze({
+    id: StatusId.BURN,
+    label: "Burn",
+    icon: "🔥",
+    harmful: true,
+    stacking: "refresh",
+    maxStacks: 1,
+    damagePerStack: 2,
+    description: "Loses 2 HP at the end of each turn."
+  }),
+  [StatusId.STUN]: Object.freeze({
+    id: StatusId.STUN,
+    label: "Stun",
+    icon: "💫",
+    harmful: true,
+    stacking: "refresh",
+    maxStacks: 1,
+    description: "Loses its next turn."
+  }),
+  [StatusId.SLOW]: Object.freeze({
+    id: StatusId.SLOW,
+    label: "Slow",
+    icon: "🐌",
+    harmful: true,
+    stacking: "refresh",
+    maxStacks: 1,
+    moveCostPerStep: 1,
+    description: "Every hex costs 1 more AP to enter."
+  }),
+  [StatusId.WEAKEN]: Object.freeze({
+    id: StatusId.WEAKEN,
+    label: "Weaken",
+    icon: "🥀",
+    harmful: true,
+    stacking: "intensity",
+    maxStacks: 3,
+    damageDealtPerStack: -1,
+    description: "Deals 1 less damage per stack (at least 1)."
+  }),
+  [StatusId.EMPOWER]: Object.freeze({
+    id: StatusId.EMPOWER,
+    label: "Empower",
+    icon: "💪",
+    harmful: false,
+    stacking: "intensity",
+    maxStacks: 3,
+    damageDealtPerStack: 1,
+    description: "Deals 1 more damage per stack."
+  }),
+  [StatusId.SHIELD]: Object.freeze({
+    id: StatusId.SHIELD,
+    label: "Shield",
+    icon: "🛡",
+    harmful: false,
+    stacking: "pool",
+    maxStacks: 10,
+    description: "Absorbs 1 damage per stack from attacks before HP is lost."
+  })
+});
+
+export function statusById(id) {
+  return STATUS_EFFECTS[id] || null;
+}
+
+export function hasStatus(unit, id) {
+  return Boolean(unit?.statuses?.some((s) => s.id === id && s.turns > 0));
+}
+
+export function statusStacks(unit, id) {
+  return unit?.statuses?.find((s) => s.id === id && s.turns > 0)?.stacks || 0;
+}
+
+// AP a unit gets at the start of its turn.
+export function turnApFor(unit, baseAp) {
+  return hasStatus(unit, StatusId.STUN) ? 0 : baseAp;
+}
+
+// Wraps a terrain step-cost function with the unit's movement penalties.
+export function statusStepCost(unit, stepCost) {
+  const extra = hasStatus(unit, StatusId.SLOW) ? STATUS_EFFECTS[StatusId.SLOW].moveCostPerStep : 0;
+  if (!extra) return stepCost;
+  return (x, y) => {
+    const cost = stepCost(x, y);
+    return cost === null ? null : cost + extra;
+  };
+}
+
+// Change to every hit the unit deals from its weaken and empower stacks.
+export function damageDealtBonus(unit) {
+  return (unit?.statuses || [])
+    .filter((s) => s.turns > 0)
+    .reduce((sum, s) => sum + (statusById(s.id)?.damageDealtPerStack || 0) * s.stacks, 0);
+}
+
+// Damage the unit deals after its statuses; a hit that does damage still does at least 1.
+export function statusDamage(unit, damage) {
+  return damage > 0 ? Math.max(1, damage + damageDealtBonus(unit)) : damage;
+}
+
+export function describeStatus(status) {
+  const def = statusById(status?.id);
+  if (!def) return "";
+  const stacks = def.stacking === "refresh" ? "" : ` ${status.stacks}`;
+  return `${def.label}${stacks} (${status.turns} turn${status.turns === 1 ? "" : "s"})`;
+}